@@ -0,0 +1,2656 @@
+// The API as an Express app. createApp() opens and verifies the database,
+// builds the indexes and returns the app with a programmatic query API and
+// close(); server.js starts it as a standalone server.
+
+const express = require("express");
+const cors = require("cors");
+const sqlite3 = require("better-sqlite3");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const {
+  buildRouteGraph,
+  summarizeAirlineNetwork,
+  createAirlineMatcher,
+  createAirlineFilter,
+  findItineraries,
+  findReachable,
+} = require("./lib/graph");
+const { SpatialIndex } = require("./lib/geo");
+const { computeHubMetrics } = require("./lib/centrality");
+const { buildSearchIndex } = require("./lib/search");
+const { loadMetroAreas, buildCityIndex } = require("./lib/cities");
+const {
+  DEFAULT_PERCENTILES,
+  summarizeDistribution,
+} = require("./lib/distribution");
+const {
+  loadEmissionFactors,
+  createEmissionsModel,
+} = require("./lib/emissions");
+const {
+  GEOJSON_CONTENT_TYPE,
+  wantsGeoJson,
+  airportFeature,
+  arcGeometry,
+  routeFeature,
+  featureCollection,
+} = require("./lib/geojson");
+const {
+  getExportFormat,
+  exportFilename,
+  createExportPool,
+  streamQuery,
+} = require("./lib/export");
+const {
+  ROUTE_SORT_KEYS,
+  SERVED_AIRPORT_SORT_KEYS,
+  COMPETITION_SORT_KEYS,
+  COUNTRY_MATRIX_SORT_KEYS,
+  GROUPED_ROUTE_SORT_KEYS,
+  ROUTE_SORT_COLUMNS,
+  customSortKeys,
+  decodeCursor,
+  cursorForRow,
+  buildPageQuery,
+} = require("./lib/pagination");
+const {
+  ApiError,
+  invalidParameter,
+  missingParameter,
+  notFound,
+  notFoundHandler,
+  createErrorHandler,
+} = require("./lib/errors");
+const {
+  validate,
+  validateValues,
+  createRequestContext,
+} = require("./lib/validation");
+const { schemas } = require("./lib/schemas");
+const {
+  fileChecksum,
+  createStatementCache,
+  createResponseCache,
+  setRepresentationTag,
+} = require("./lib/cache");
+const { negotiateEncoding } = require("./lib/compression");
+const { buildOpenApiDocument, renderDocsHtml } = require("./lib/openapi");
+const { createBatchHandler } = require("./lib/batch");
+const { auditDatabase } = require("./lib/audit");
+const {
+  loadRouteSnapshot,
+  diffRouteSnapshots,
+  summarizeChanges,
+} = require("./lib/changes");
+const packageJson = require("./package.json");
+
+// Databases are opened read-only and can be replaced while the app runs
+// (see reloadDatabase below).
+const openDatabase = (file) =>
+  sqlite3(file, { readonly: true, fileMustExist: true });
+
+// Columns of the route_details view that the queries below rely on
+const ROUTE_DETAILS_COLUMNS = [
+  "route_id",
+  "departure_iata",
+  "departure_city",
+  "departure_country",
+  "arrival_iata",
+  "arrival_city",
+  "arrival_country",
+  "distance_km",
+  "duration_min",
+  "airline_iata",
+  "airline_name",
+];
+
+// Verify database structure and return the columns of route_details.
+// Throws if the view or any of its columns is missing, so a bad file is
+// rejected at startup and on reload.
+function verifyDatabase(db) {
+  // Check that the route_details view exists
+  const view = db
+    .prepare(
+      "SELECT name FROM sqlite_master WHERE type='view' AND name='route_details'"
+    )
+    .get();
+  if (!view) {
+    throw new Error("route_details view does not exist in the database");
+  }
+
+  // Verify the columns in the view to ensure they match what we expect
+  const viewSchema = db.prepare("PRAGMA table_info(route_details)").all();
+  const columns = viewSchema.map((col) => col.name);
+  const missing = ROUTE_DETAILS_COLUMNS.filter(
+    (column) => !columns.includes(column)
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `route_details view is missing columns: ${missing.join(", ")}`
+    );
+  }
+  return columns;
+}
+
+// Performance optimization: prepare statements in advance for common queries
+function prepareStatements(db) {
+  return {
+    // Airlines
+    getAllAirlines: db.prepare(
+      "SELECT id, iata, name FROM airlines ORDER BY name"
+    ),
+
+    // Airports
+    getAirportsByCountry: db.prepare(
+      "SELECT iata, name, city_name, country, country_code, continent, latitude, longitude FROM airports WHERE country = ? ORDER BY city_name, name"
+    ),
+    getAirportsByContinent: db.prepare(
+      "SELECT iata, name, city_name, country, country_code, continent, latitude, longitude FROM airports WHERE continent = ? ORDER BY country, city_name, name"
+    ),
+    getAllAirports: db.prepare(
+      "SELECT iata, name, city_name, country, country_code, continent, latitude, longitude FROM airports ORDER BY country, city_name, name"
+    ),
+
+    // Countries - FIXED: Use single quotes for empty string, not double quotes
+    getAllCountries: db.prepare(
+      "SELECT DISTINCT country, country_code, continent FROM airports WHERE country != '' ORDER BY country"
+    ),
+
+    // Stats
+    getAirportCount: db.prepare("SELECT COUNT(*) as count FROM airports"),
+    getAirlineCount: db.prepare("SELECT COUNT(*) as count FROM airlines"),
+    getRouteCount: db.prepare("SELECT COUNT(*) as count FROM routes"),
+    // FIXED: Use single quotes for empty string, not double quotes
+    getCountryCount: db.prepare(
+      "SELECT COUNT(DISTINCT country) as count FROM airports WHERE country != ''"
+    ),
+    getTopAirlines: db.prepare(`
+      SELECT a.name, COUNT(*) as route_count
+      FROM route_airlines ra
+      JOIN airlines a ON ra.airline_id = a.id
+      GROUP BY a.id
+      ORDER BY route_count DESC
+      LIMIT 5
+    `),
+    getTopDepartureAirports: db.prepare(`
+      SELECT a.name, a.city_name, a.country, COUNT(*) as route_count
+      FROM routes r
+      JOIN airports a ON r.departure_iata = a.iata
+      GROUP BY r.departure_iata
+      ORDER BY route_count DESC
+      LIMIT 5
+    `),
+
+    // Single route and airport lookups
+    getRouteDetailsById: db.prepare(`
+      SELECT 
+        route_id,
+        departure_iata, departure_city, departure_country,
+        arrival_iata, arrival_city, arrival_country,
+        distance_km, duration_min,
+        airline_iata, airline_name
+      FROM route_details
+      WHERE route_id = ?
+      ORDER BY airline_name
+    `),
+    getAirportByIata: db.prepare(
+      "SELECT iata, name, city_name, country, country_code, continent, latitude, longitude FROM airports WHERE iata = ?"
+    ),
+
+    // Airport profile
+    getAirportRow: db.prepare("SELECT * FROM airports WHERE iata = ?"),
+    getAirportDepartureSummary: db.prepare(`
+      SELECT
+        COUNT(DISTINCT route_id) as departures,
+        COUNT(DISTINCT arrival_iata) as destination_count,
+        COUNT(DISTINCT arrival_country) as country_count,
+        COUNT(DISTINCT CASE WHEN arrival_country = departure_country
+                            THEN route_id END) as domestic,
+        COUNT(DISTINCT CASE WHEN arrival_country != departure_country
+                            THEN route_id END) as international
+      FROM route_details
+      WHERE departure_iata = ?
+    `),
+    getAirportArrivalCount: db.prepare(
+      "SELECT COUNT(DISTINCT route_id) as count FROM route_details WHERE arrival_iata = ?"
+    ),
+    getAirportAirlines: db.prepare(`
+      SELECT airline_iata, airline_name, COUNT(DISTINCT route_id) as route_count
+      FROM route_details
+      WHERE departure_iata = ? OR arrival_iata = ?
+      GROUP BY airline_iata, airline_name
+      ORDER BY route_count DESC, airline_name
+    `),
+    getAirportTopDestinations: db.prepare(`
+      SELECT arrival_iata as iata, arrival_city as city_name,
+             arrival_country as country, distance_km, duration_min,
+             COUNT(*) as airline_count
+      FROM route_details
+      WHERE departure_iata = ?
+      GROUP BY route_id
+      ORDER BY airline_count DESC, distance_km DESC, arrival_iata
+      LIMIT 10
+    `),
+    getAirportLongestRoute: db.prepare(`
+      SELECT route_id, departure_iata, arrival_iata, arrival_city,
+             arrival_country, distance_km, duration_min
+      FROM route_details
+      WHERE departure_iata = ?
+      ORDER BY distance_km DESC
+      LIMIT 1
+    `),
+  };
+}
+
+// Version of everything a response can depend on: the API code, the
+// database, the definitions files and the database /changes compares
+// against. ETags are derived from it, so a change to any of them changes
+// every ETag.
+function responsesVersion(inputVersions) {
+  const hash = crypto.createHash("sha256").update(packageJson.version);
+  inputVersions.forEach((version) => hash.update(`\n${version || ""}`));
+  return hash.digest("hex");
+}
+
+// Everything derived from one database file: the handle, its prepared
+// statements, the route graph and indexes built from it, and caches keyed
+// on its checksum. The database is read-only, so all of it is built once
+// per file. Throws if the database fails verification. previous is the
+// route snapshot /changes compares against and emissionFactorsVersion the
+// checksum of the loaded emission factors; dbPath, exportConnections,
+// metroAreasFile, cache and logger are the createApp() options of the same
+// name.
+function loadDataset(
+  db,
+  version,
+  {
+    previous = null,
+    emissionFactorsVersion,
+    dbPath,
+    exportConnections,
+    metroAreasFile,
+    cache,
+    logger,
+  }
+) {
+  const loadStart = Date.now();
+  logger.log(
+    "route_details view schema verified. Columns found:",
+    verifyDatabase(db).join(", ")
+  );
+  const preparedStatements = prepareStatements(db);
+
+  const routeGraph = buildRouteGraph(db);
+  logger.log(
+    `Route graph built: ${routeGraph.edges.size} routes, ${routeGraph.outgoing.size} departure airports`
+  );
+
+  // Centrality of every airport in the whole network. Betweenness needs a
+  // search from every airport, so it is computed once here and served from
+  // memory; per-airline networks are computed on first use and kept.
+  const hubMetricsStart = Date.now();
+  const networkHubMetrics = computeHubMetrics(routeGraph.edges.values());
+  logger.log(
+    `Hub metrics computed: ${networkHubMetrics.size} airports in ${
+      Date.now() - hubMetricsStart
+    }ms`
+  );
+
+  // Airport coordinates by IATA code, used to draw route geometries
+  const airportsByIata = new Map(
+    preparedStatements.getAllAirports
+      .all()
+      .map((airport) => [airport.iata, airport])
+  );
+
+  // Spatial index over airport coordinates for nearby and bounding-box
+  // searches
+  const airportIndex = new SpatialIndex(airportsByIata.values());
+  logger.log(`Spatial index built: ${airportIndex.size} airports`);
+
+  // Typeahead index over airports and airlines, weighted by route counts
+  const routeCounts = new Map();
+  const increment = (key) =>
+    routeCounts.set(key, (routeCounts.get(key) || 0) + 1);
+  for (const edge of routeGraph.edges.values()) {
+    increment(`airport:${edge.departure_iata}`);
+    increment(`airport:${edge.arrival_iata}`);
+    edge.airline_ids.forEach((id) => increment(`airline:${id}`));
+  }
+  const searchIndex = buildSearchIndex({
+    airports: [...airportsByIata.values()],
+    airlines: preparedStatements.getAllAirlines.all(),
+    routeCounts,
+  });
+  logger.log(`Search index built: ${searchIndex.size} entries`);
+
+  // Cities and metro areas, for queries covering every airport of a city
+  const metroAreasVersion = fileChecksum(metroAreasFile);
+  const cityIndex = buildCityIndex(
+    airportsByIata,
+    loadMetroAreas(metroAreasFile),
+    new Map(
+      [...routeGraph.outgoing].map(([iata, edges]) => [iata, edges.length])
+    )
+  );
+  logger.log(`City index built: ${cityIndex.size} cities`);
+
+  // Every response can be cached in memory and validated with an ETag
+  // derived from the version of every input
+  const statementCache = createStatementCache(db);
+  const responseCache = createResponseCache({
+    version: responsesVersion([
+      version,
+      metroAreasVersion,
+      emissionFactorsVersion,
+      previous && previous.version,
+    ]),
+    ...cache,
+    variant: (req) => (wantsGeoJson(req) ? "geojson" : ""),
+    // Admin responses are never cached, so every request is authorized
+    skip: (req) => req.path === "/health" || req.path.startsWith("/admin/"),
+    // Exports are compressed whatever their size
+    streamed: (req) => getExportFormat(req.query.format) !== null,
+  });
+
+  // Known countries, used to reject unknown country names with a 404
+  const knownCountries = new Set(
+    preparedStatements.getAllCountries.all().map((row) => row.country)
+  );
+
+  // Airlines by IATA code. Codes are not unique in the data (defunct
+  // airlines keep theirs), so the airline with the most routes owns the code.
+  const airlinesByIata = new Map();
+  const routeCount = (id) => (routeGraph.byAirline.get(id) || []).length;
+  for (const airline of routeGraph.airlines.values()) {
+    if (!airline.iata) {
+      continue;
+    }
+    const code = airline.iata.toUpperCase();
+    const current = airlinesByIata.get(code);
+    if (!current || routeCount(airline.id) > routeCount(current.id)) {
+      airlinesByIata.set(code, airline);
+    }
+  }
+
+  // Exports stream from connections of their own, opened now so they read
+  // the same file as db even if it is replaced before they run
+  const exportPool = createExportPool(dbPath, exportConnections);
+  try {
+    exportPool.connections.forEach(verifyDatabase);
+  } catch (error) {
+    exportPool.close();
+    throw error;
+  }
+
+  return {
+    db,
+    exportPool,
+    version,
+    metroAreasVersion,
+    loadedAt: new Date(),
+    loadMs: Date.now() - loadStart,
+    activeRequests: 0,
+    retired: false,
+    // Snapshot of the routes of an earlier version, for /changes
+    previous,
+    changes: null,
+    preparedStatements,
+    routeGraph,
+    networkHubMetrics,
+    airlineHubMetrics: new Map(),
+    airportsByIata,
+    airportIndex,
+    searchIndex,
+    cityIndex,
+    statementCache,
+    responseCache,
+    knownCountries,
+    airlinesByIata,
+  };
+}
+
+// The routes of a dataset, kept to compare a later version against
+function routeSnapshot({ db, version, loadedAt, loadMs }) {
+  return { version, loadedAt, loadMs, routes: loadRouteSnapshot(db) };
+}
+
+// The routes of a database file that is not served, e.g. an earlier version
+function loadSnapshotFile(file) {
+  const loadStart = Date.now();
+  const db = openDatabase(file);
+  try {
+    verifyDatabase(db);
+    return routeSnapshot({
+      db,
+      version: fileChecksum(file),
+      loadedAt: new Date(),
+      loadMs: Date.now() - loadStart,
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Version, checksum and load time of a dataset, for /health, /stats and
+// /changes
+function databaseInfo(current) {
+  return {
+    version: current.version.slice(0, 12),
+    checksum: current.version,
+    loaded_at: current.loadedAt.toISOString(),
+    load_ms: current.loadMs,
+  };
+}
+
+// Logger for createApp({ logger: false })
+const silentLogger = { log() {}, error() {} };
+
+// Build the API for a routes.db file. Options:
+// - dbPath: the database file (default: routes.db next to this file)
+// - previousDbPath: an earlier version of the database, for /changes
+// - cors: false to leave CORS headers out, or options for the cors package
+//   (default: allow every origin)
+// - basePath: serve the API under this path, e.g. "/api"
+// - adminToken: bearer token for the admin endpoints (disabled without one)
+// - watchInterval: seconds between checks of dbPath for a new file (0
+//   disables watching)
+// - batchMaxRequests: the most requests one POST /batch may contain
+// - exportConnections: how many CSV and NDJSON exports may run at once
+// - cache: { maxEntries, maxBytes, maxAge } of the response cache
+// - metroAreasFile, emissionFactorsFile: replace the bundled definitions
+// - logger: where startup messages, request lines and errors go, as an
+//   object with log() and error() methods (default: console); false turns
+//   logging off
+// Returns { app, dbPath, findRoutes, reload, database, close }. Throws if a
+// database or definitions file cannot be loaded.
+function createApp({
+  dbPath = path.join(__dirname, "routes.db"),
+  previousDbPath = null,
+  cors: corsOptions = true,
+  basePath = "",
+  adminToken = null,
+  watchInterval = 5,
+  batchMaxRequests = 20,
+  exportConnections = 4,
+  cache = {},
+  metroAreasFile = path.join(__dirname, "metro-areas.json"),
+  emissionFactorsFile = path.join(__dirname, "emission-factors.json"),
+  logger = console,
+} = {}) {
+  if (basePath && !/^\/[^?#]*[^/?#]$/.test(basePath)) {
+    throw new Error("basePath must start with / and not end with /");
+  }
+  dbPath = path.resolve(dbPath);
+  logger = logger || silentLogger;
+  // Per-passenger CO2 estimates
+  const emissionsModel = createEmissionsModel(
+    loadEmissionFactors(emissionFactorsFile)
+  );
+
+  const datasetOptions = {
+    emissionFactorsVersion: fileChecksum(emissionFactorsFile),
+    dbPath,
+    exportConnections,
+    metroAreasFile,
+    logger,
+    cache: {
+      maxEntries: 500,
+      maxBytes: 64 * 1024 * 1024,
+      maxAge: 300,
+      ...cache,
+    },
+  };
+
+  // Initialize Express app
+  const app = express();
+
+  // Enable CORS for all routes unless disabled
+  if (corsOptions) {
+    app.use(cors(corsOptions === true ? undefined : corsOptions));
+  }
+
+  // Tag every request with an id that is echoed in errors and logs
+  app.use(createRequestContext(logger));
+
+  // Parse JSON request bodies
+  app.use(express.json());
+
+  // The dataset serving requests. Handlers use these bindings directly;
+  // swapping in a new dataset reassigns them all at once, between requests.
+  let dataset;
+  let db;
+  let databaseVersion;
+  let preparedStatements;
+  let routeGraph;
+  let networkHubMetrics;
+  let airlineHubMetrics;
+  let airportsByIata;
+  let airportIndex;
+  let searchIndex;
+  let cityIndex;
+  let statementCache;
+  let responseCache;
+  let knownCountries;
+  let airlinesByIata;
+
+  function useDataset(next) {
+    dataset = next;
+    ({
+      db,
+      version: databaseVersion,
+      preparedStatements,
+      routeGraph,
+      networkHubMetrics,
+      airlineHubMetrics,
+      airportsByIata,
+      airportIndex,
+      searchIndex,
+      cityIndex,
+      statementCache,
+      responseCache,
+      knownCountries,
+      airlinesByIata,
+    } = next);
+  }
+
+  // previousDbPath loads an earlier version of the database to compare the
+  // current one against in /changes. A reload replaces it with the database
+  // that was swapped out.
+  const previousRoutes = previousDbPath
+    ? loadSnapshotFile(previousDbPath)
+    : null;
+
+  const handle = openDatabase(dbPath);
+  try {
+    useDataset(
+      loadDataset(handle, fileChecksum(dbPath), {
+        ...datasetOptions,
+        previous: previousRoutes,
+      })
+    );
+  } catch (error) {
+    handle.close();
+    throw error;
+  }
+  logger.log(`Database version: ${databaseVersion.slice(0, 12)}`);
+  if (previousRoutes) {
+    logger.log(
+      `Previous database version: ${previousRoutes.version.slice(0, 12)}`
+    );
+  }
+
+  // Close a replaced dataset's handle once no request is using it
+  function closeIfDrained(old) {
+    if (old.retired && old.activeRequests === 0 && old.db.open) {
+      old.db.close();
+      old.exportPool.close();
+      logger.log(`Closed database version ${old.version.slice(0, 12)}`);
+    }
+  }
+
+  // Replace the dataset with the current contents of dbPath and
+  // metroAreasFile. The new file is opened, verified and fully indexed
+  // before the swap, and the old dataset keeps serving if anything fails.
+  // Its handle is closed once the requests that started on it have
+  // finished, and its cached responses are dropped. Throws if the new file
+  // is rejected.
+  function reloadDatabase() {
+    const version = fileChecksum(dbPath);
+    const previous = dataset;
+    const databaseChanged = version !== previous.version;
+    if (
+      !databaseChanged &&
+      fileChecksum(metroAreasFile) === previous.metroAreasVersion
+    ) {
+      return { reloaded: false, database: databaseInfo(previous) };
+    }
+
+    const handle = openDatabase(dbPath);
+    let next;
+    try {
+      next = loadDataset(handle, version, {
+        ...datasetOptions,
+        // With only the metro areas changed, /changes keeps comparing
+        // against the same earlier version
+        previous: databaseChanged ? routeSnapshot(previous) : previous.previous,
+      });
+    } catch (error) {
+      handle.close();
+      throw error;
+    }
+
+    useDataset(next);
+    previous.responseCache.clear();
+    logger.log(
+      `Database reloaded: version ${previous.version.slice(
+        0,
+        12
+      )} -> ${version.slice(0, 12)} in ${next.loadMs}ms`
+    );
+    previous.retired = true;
+    closeIfDrained(previous);
+    return {
+      reloaded: true,
+      previous_version: previous.version.slice(0, 12),
+      database: databaseInfo(next),
+    };
+  }
+
+  // Centrality metrics of the whole network, or of one airline's routes
+  // (computed on first use and kept with the dataset)
+  function hubMetricsFor(airline) {
+    if (!airline) {
+      return networkHubMetrics;
+    }
+    if (!airlineHubMetrics.has(airline.id)) {
+      airlineHubMetrics.set(
+        airline.id,
+        computeHubMetrics(routeGraph.byAirline.get(airline.id) || [])
+      );
+    }
+    return airlineHubMetrics.get(airline.id);
+  }
+
+  // Each request holds on to the dataset it started with, so a replaced
+  // database is closed only after those requests have finished
+  app.use((req, res, next) => {
+    const current = dataset;
+    current.activeRequests++;
+    res.on("close", () => {
+      current.activeRequests--;
+      closeIfDrained(current);
+    });
+    next();
+  });
+
+  // Express's weak ETags are replaced by the response cache's strong ones.
+  // The cache belongs to the dataset, so it is looked up per request.
+  app.set("etag", false);
+  app.use((req, res, next) => responseCache.middleware(req, res, next));
+
+  // Look up an airport by IATA code or fail with a 404
+  function requireAirport(iata, param) {
+    const airport = airportsByIata.get(iata);
+    if (!airport) {
+      throw notFound("AIRPORT_NOT_FOUND", `Airport ${iata} not found`, param);
+    }
+    return airport;
+  }
+
+  function requireCountry(country, param) {
+    if (!knownCountries.has(country)) {
+      throw notFound(
+        "COUNTRY_NOT_FOUND",
+        `Country ${country} not found`,
+        param
+      );
+    }
+    return country;
+  }
+
+  // Validate a cabin class for CO2 estimates, defaulting to the model's
+  function requireCabin(cabin, param) {
+    const cabinClass = cabin || emissionsModel.defaultCabin;
+    if (!emissionsModel.cabins.includes(cabinClass)) {
+      throw invalidParameter(
+        param,
+        `${param} must be one of: ${emissionsModel.cabins.join(", ")}`
+      );
+    }
+    return cabinClass;
+  }
+
+  // The cabin class for include=emissions, or null if no estimates were
+  // requested
+  function requestedEmissionsCabin({ include, cabin }) {
+    const cabinClass = requireCabin(cabin, "cabin");
+    return include && include.includes("emissions") ? cabinClass : null;
+  }
+
+  // Look up the cities with a name (optionally in one country) or fail with
+  // a 404
+  function requireCity(name, country, param) {
+    const cities = cityIndex.lookup(name, country);
+    if (cities.length === 0) {
+      throw notFound(
+        "CITY_NOT_FOUND",
+        country
+          ? `City ${name} not found in ${country}`
+          : `City ${name} not found`,
+        param
+      );
+    }
+    return cities;
+  }
+
+  // WHERE condition matching routes whose airport in `column` belongs to one
+  // of the cities. The codes are bound as one JSON array, so the SQL text
+  // does not depend on the number of airports.
+  function cityCondition(column, cities) {
+    const iatas = cities.flatMap((city) =>
+      city.airports.map((airport) => airport.iata)
+    );
+    return {
+      condition: `${column} IN (SELECT value FROM json_each(?))`,
+      param: JSON.stringify(iatas),
+    };
+  }
+
+  function requireAirline(airlineId, param) {
+    const airline = routeGraph.airlines.get(airlineId);
+    if (!airline) {
+      throw notFound(
+        "AIRLINE_NOT_FOUND",
+        `Airline ${airlineId} not found`,
+        param
+      );
+    }
+    return airline;
+  }
+
+  // Look up an airline by numeric ID or IATA code or fail with a 404
+  function resolveAirline(value, param) {
+    if (/^\d+$/.test(value)) {
+      return requireAirline(Number(value), param);
+    }
+
+    const code = value.toUpperCase();
+    if (!/^[A-Z0-9]{2}$/.test(code)) {
+      throw invalidParameter(
+        param,
+        `${param} must be an airline ID or 2-character IATA code`
+      );
+    }
+    const airline = airlinesByIata.get(code);
+    if (!airline) {
+      throw notFound("AIRLINE_NOT_FOUND", `Airline ${code} not found`, param);
+    }
+    return airline;
+  }
+
+  // The fields= of a route listing, or null for every field. Estimates
+  // requested with include=emissions survive fields=.
+  function listedFields(options) {
+    return options.fields && requestedEmissionsCabin(options)
+      ? [...options.fields, "emissions"]
+      : options.fields;
+  }
+
+  // A fetched route listing with its routes trimmed to fields=
+  function selectFields(payload, options) {
+    const fields = listedFields(options);
+    return fields
+      ? {
+          ...payload,
+          routes: payload.routes.map((route) => pick(route, fields)),
+        }
+      : payload;
+  }
+
+  // Send a route listing as JSON, or as a GeoJSON FeatureCollection of
+  // great-circle arcs when requested. Everything except the routes array is
+  // kept as metadata on the collection.
+  function sendRoutes(req, res, payload) {
+    if (!wantsGeoJson(req)) {
+      return res.json(selectFields(payload, req.validated));
+    }
+
+    // Arcs need both airports, so fields only trims the properties
+    const fields = listedFields(req.validated);
+    const { routes, ...metadata } = payload;
+    res.type(GEOJSON_CONTENT_TYPE).json(
+      featureCollection(
+        routes.map((route) => {
+          const feature = routeFeature(
+            route,
+            airportsByIata,
+            req.validated.points
+          );
+          return fields
+            ? { ...feature, properties: pick(feature.properties, fields) }
+            : feature;
+        }),
+        metadata
+      )
+    );
+  }
+
+  // Copy of an object with only the given keys, in that order
+  function pick(object, keys) {
+    const picked = {};
+    for (const key of keys) {
+      picked[key] = object[key];
+    }
+    return picked;
+  }
+
+  // Build the shared pagination options of the listings from validated
+  // parameters. sortKeys defines the order and the cursor format.
+  function parsePageOptions(
+    { all, limit, offset, cursor, include_total },
+    sortKeys = ROUTE_SORT_KEYS
+  ) {
+    const cursorValues = cursor ? decodeCursor(cursor, sortKeys) : null;
+    if (cursor && !cursorValues) {
+      throw invalidParameter("cursor", "cursor is invalid or has expired");
+    }
+
+    return {
+      sortKeys,
+      returnAll: all,
+      limit,
+      offset: cursorValues ? 0 : offset,
+      cursorValues,
+      includeTotal: include_total,
+    };
+  }
+
+  // Run a listing query (without ORDER BY) for one page. One extra row is read
+  // to tell whether another page follows, and COUNT(*) only runs on request.
+  function fetchPage(baseQuery, params, page) {
+    const { sortKeys } = page;
+
+    if (page.returnAll) {
+      const { query, params: allParams } = buildPageQuery(baseQuery, params, {
+        sortKeys,
+        returnAll: true,
+      });
+      const rows = statementCache.prepare(query).all(allParams);
+      return { rows, total: rows.length, next_cursor: null, has_more: false };
+    }
+
+    const { query, params: pageParams } = buildPageQuery(baseQuery, params, {
+      sortKeys,
+      limit: page.limit + 1,
+      offset: page.offset,
+      cursorValues: page.cursorValues,
+    });
+    const fetched = statementCache.prepare(query).all(pageParams);
+    const hasMore = fetched.length > page.limit;
+    const rows = hasMore ? fetched.slice(0, page.limit) : fetched;
+
+    const total = page.includeTotal
+      ? statementCache
+          .prepare(`SELECT COUNT(*) as count FROM (${baseQuery})`)
+          .get(params).count
+      : undefined;
+
+    return {
+      rows,
+      total,
+      next_cursor: hasMore
+        ? cursorForRow(sortKeys, rows[rows.length - 1])
+        : null,
+      has_more: hasMore,
+    };
+  }
+
+  // The pagination block of a listing response for a fetchPage() result
+  function paginationInfo(page, { rows, total, next_cursor, has_more }) {
+    if (page.returnAll) {
+      return { total, returnedCount: rows.length, all: true };
+    }
+    return {
+      total,
+      returnedCount: rows.length,
+      limit: page.limit,
+      offset: page.offset,
+      next_cursor,
+      has_more,
+      all: false,
+    };
+  }
+
+  // Stream a route query as a CSV or NDJSON download, applying the same
+  // pagination as the JSON response unless all=true
+  function streamRoutes(req, res, baseQuery, params, page, options) {
+    const { format, filenameParts, jsonColumns, fields, addColumns } = options;
+    const { query, params: exportParams } = buildPageQuery(baseQuery, params, {
+      sortKeys: page.sortKeys,
+      returnAll: page.returnAll,
+      limit: page.limit,
+      offset: page.offset,
+      cursorValues: page.cursorValues,
+    });
+
+    const encoding = negotiateEncoding(req);
+    setRepresentationTag(res, encoding);
+
+    streamQuery(res, {
+      pool: dataset.exportPool,
+      logger,
+      query,
+      params: exportParams,
+      format,
+      filename: exportFilename(filenameParts, format),
+      requestId: req.id,
+      encoding,
+      jsonColumns,
+      fields,
+      addColumns,
+    });
+  }
+
+  // The rows of the route_details view, read from the base tables for the
+  // route listings. The CROSS JOIN keeps routes as the outer loop, so pages
+  // in the default order walk idx_routes_duration (or the departure and
+  // arrival indexes) from the cursor instead of sorting every matching row.
+  // See "Query plans" in the README.
+  const ROUTE_DETAILS_TABLES = `(
+    SELECT
+      r.id as route_id,
+      dep.iata as departure_iata, dep.city_name as departure_city,
+      dep.country as departure_country,
+      arr.iata as arrival_iata, arr.city_name as arrival_city,
+      arr.country as arrival_country,
+      r.distance_km, r.duration_min,
+      a.iata as airline_iata, a.name as airline_name
+    FROM routes r
+    CROSS JOIN route_airlines ra ON r.id = ra.route_id
+    JOIN airports dep ON r.departure_iata = dep.iata
+    JOIN airports arr ON r.arrival_iata = arr.iata
+    JOIN airlines a ON ra.airline_id = a.id
+  )`;
+
+  // Columns returned by every route listing
+  const ROUTE_COLUMNS = `
+    SELECT 
+      route_id,
+      departure_iata, departure_city, departure_country,
+      arrival_iata, arrival_city, arrival_country,
+      distance_km, duration_min,
+      airline_iata, airline_name
+    FROM ${ROUTE_DETAILS_TABLES}
+  `;
+
+  // Fields of a route listing row, for fields= and sort=
+  const ROUTE_FIELDS = ROUTE_DETAILS_COLUMNS;
+  const GROUPED_ROUTE_FIELDS = [
+    ...ROUTE_FIELDS.slice(0, 9),
+    "airline_count",
+    "airlines",
+  ];
+
+  // Columns of a route listing with group=route: one row per route, with its
+  // airlines as a JSON array
+  const GROUPED_ROUTE_COLUMNS = `
+    SELECT
+      route_id,
+      departure_iata, departure_city, departure_country,
+      arrival_iata, arrival_city, arrival_country,
+      distance_km, duration_min,
+      COUNT(*) as airline_count,
+      json_group_array(
+        json_object('iata', airline_iata, 'name', airline_name)
+        ORDER BY airline_name
+      ) as airlines
+    FROM ${ROUTE_DETAILS_TABLES}
+  `;
+
+  // WHERE conditions for the /routes filters present in validated parameters
+  function routeFilters({
+    airline_id = null,
+    airline_name = null,
+    departure_iata = null,
+    arrival_iata = null,
+    departure_city = null,
+    arrival_city = null,
+    departure_country = null,
+    arrival_country = null,
+    max_duration = null,
+    min_duration = null,
+    ...rangeFilters
+  }) {
+    const params = [];
+    const conditions = [];
+
+    if (airline_id !== null) {
+      requireAirline(airline_id, "airline_id");
+      // Direct join not needed since we're using the view
+      const subQuery = `
+        SELECT route_id FROM route_airlines 
+        WHERE airline_id = ?
+      `;
+      conditions.push(`route_id IN (${subQuery})`);
+      params.push(airline_id);
+    }
+
+    if (airline_name) {
+      conditions.push("airline_name LIKE ?");
+      params.push(`%${airline_name}%`);
+    }
+
+    if (departure_iata) {
+      requireAirport(departure_iata, "departure_iata");
+      conditions.push("departure_iata = ?");
+      params.push(departure_iata);
+    }
+
+    if (arrival_iata) {
+      requireAirport(arrival_iata, "arrival_iata");
+      conditions.push("arrival_iata = ?");
+      params.push(arrival_iata);
+    }
+
+    if (departure_city) {
+      const { condition, param } = cityCondition(
+        "departure_iata",
+        requireCity(departure_city, departure_country, "departure_city")
+      );
+      conditions.push(condition);
+      params.push(param);
+    }
+
+    if (arrival_city) {
+      const { condition, param } = cityCondition(
+        "arrival_iata",
+        requireCity(arrival_city, arrival_country, "arrival_city")
+      );
+      conditions.push(condition);
+      params.push(param);
+    }
+
+    if (departure_country) {
+      requireCountry(departure_country, "departure_country");
+      conditions.push("departure_country = ?");
+      params.push(departure_country);
+    }
+
+    if (arrival_country) {
+      requireCountry(arrival_country, "arrival_country");
+      conditions.push("arrival_country = ?");
+      params.push(arrival_country);
+    }
+
+    if (max_duration !== null) {
+      conditions.push("duration_min <= ?");
+      params.push(max_duration);
+    }
+
+    if (min_duration !== null) {
+      conditions.push("duration_min >= ?");
+      params.push(min_duration);
+    }
+
+    const range = routeRangeFilters(rangeFilters);
+    conditions.push(...range.conditions);
+    params.push(...range.params);
+
+    return { conditions, params };
+  }
+
+  // WHERE conditions for the distance and continent filters, which every
+  // route listing accepts
+  function routeRangeFilters({
+    min_distance = null,
+    max_distance = null,
+    departure_continent = null,
+    arrival_continent = null,
+  }) {
+    const params = [];
+    const conditions = [];
+
+    if (min_distance !== null) {
+      conditions.push("distance_km >= ?");
+      params.push(min_distance);
+    }
+
+    if (max_distance !== null) {
+      conditions.push("distance_km <= ?");
+      params.push(max_distance);
+    }
+
+    if (departure_continent) {
+      conditions.push(
+        "departure_iata IN (SELECT iata FROM airports WHERE continent = ?)"
+      );
+      params.push(departure_continent);
+    }
+
+    if (arrival_continent) {
+      conditions.push(
+        "arrival_iata IN (SELECT iata FROM airports WHERE continent = ?)"
+      );
+      params.push(arrival_continent);
+    }
+
+    return { conditions, params };
+  }
+
+  // Sort keys of a route listing: the default order, or sort= followed by
+  // the default order as a tie-breaker
+  function routeSortKeys(sort, grouped) {
+    const defaultKeys = grouped ? GROUPED_ROUTE_SORT_KEYS : ROUTE_SORT_KEYS;
+    if (!sort) {
+      return defaultKeys;
+    }
+
+    const columns = (grouped ? GROUPED_ROUTE_FIELDS : ROUTE_FIELDS).filter(
+      (field) => ROUTE_SORT_COLUMNS.includes(field)
+    );
+    const sortKeys = customSortKeys(sort, defaultKeys, columns);
+    if (!sortKeys) {
+      throw invalidParameter(
+        "sort",
+        `sort must list distinct columns from: ${columns.join(", ")}`
+      );
+    }
+    return sortKeys;
+  }
+
+  // A route listing for WHERE conditions on route_details: its query and
+  // page options from validated parameters. With group=route every route is
+  // listed once, with an array of the airlines operating it.
+  function routeListing(options, conditions, params) {
+    const { sort, fields } = options;
+    const grouped = options.group === "route";
+
+    const available = grouped ? GROUPED_ROUTE_FIELDS : ROUTE_FIELDS;
+    if (fields && fields.some((field) => !available.includes(field))) {
+      throw invalidParameter(
+        "fields",
+        `fields must list columns from: ${available.join(", ")}`
+      );
+    }
+
+    let query = grouped ? GROUPED_ROUTE_COLUMNS : ROUTE_COLUMNS;
+    if (conditions.length > 0) {
+      query += " WHERE " + conditions.join(" AND ");
+    }
+    if (grouped) {
+      // duration_min is the same for every row of a route. Grouping by it
+      // too lets SQLite push the cursor condition into the aggregate.
+      query += " GROUP BY duration_min, route_id";
+    }
+
+    return {
+      query,
+      params,
+      grouped,
+      fields,
+      emissionsCabin: requestedEmissionsCabin(options),
+      page: parsePageOptions(options, routeSortKeys(sort, grouped)),
+    };
+  }
+
+  // The /routes listing for validated parameters, shared by the endpoint
+  // and findRoutes()
+  function filteredRouteListing(options) {
+    const { conditions, params } = routeFilters(options);
+    return routeListing(options, conditions, params);
+  }
+
+  const routeEmissions = (listing) => (route) =>
+    emissionsModel.estimate(route.distance_km, listing.emissionsCabin);
+
+  // One page of a route listing as { routes, pagination }
+  function fetchRouteListing(listing) {
+    const { grouped, emissionsCabin, page } = listing;
+    const addEmissions = routeEmissions(listing);
+
+    const result = fetchPage(listing.query, listing.params, page);
+    const routes = result.rows.map((route) => ({
+      ...route,
+      ...(grouped ? { airlines: JSON.parse(route.airlines) } : {}),
+      ...(emissionsCabin ? { emissions: addEmissions(route) } : {}),
+    }));
+    return { routes, pagination: paginationInfo(page, result) };
+  }
+
+  // Run a route listing built by routeListing(). Exports are streamed;
+  // otherwise one page is fetched and passed to respond({ routes,
+  // pagination }).
+  function runRouteListing(req, res, listing, options) {
+    const { filenameParts, respond } = options;
+
+    // Stream CSV and NDJSON exports instead of building the response in memory
+    const exportFormat = getExportFormat(req.validated.format);
+    if (exportFormat) {
+      const { query, params, page, grouped, fields, emissionsCabin } = listing;
+      return streamRoutes(req, res, query, params, page, {
+        format: exportFormat,
+        filenameParts,
+        jsonColumns: grouped ? ["airlines"] : [],
+        fields,
+        addColumns: emissionsCabin
+          ? { emissions: routeEmissions(listing) }
+          : {},
+      });
+    }
+
+    respond(fetchRouteListing(listing));
+  }
+
+  // Respond with a route listing in the /routes shape
+  // ({ ...extra, routes, pagination })
+  function sendRouteListing(req, res, listing, options) {
+    const { filenameParts, extra = {} } = options;
+
+    runRouteListing(req, res, listing, {
+      filenameParts,
+      respond: (listing) => sendRoutes(req, res, { ...extra, ...listing }),
+    });
+  }
+
+  // Health check endpoint, also reporting cache hit/miss counts
+  app.get("/health", (req, res) => {
+    res.json({
+      status: "ok",
+      database: databaseInfo(dataset),
+      cache: {
+        responses: responseCache.stats(),
+        statements: statementCache.stats(),
+      },
+    });
+  });
+
+  // Get all airlines
+  app.get("/airlines", (req, res, next) => {
+    try {
+      const airlines = preparedStatements.getAllAirlines.all();
+      res.json({ airlines });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get an airline with a summary of its network
+  app.get("/airlines/:airline", validate(schemas.airline), (req, res, next) => {
+    try {
+      const airline = resolveAirline(req.validated.airline, "airline");
+
+      res.json({
+        airline,
+        network: summarizeAirlineNetwork(
+          routeGraph,
+          airline.id,
+          airportsByIata
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get the routes operated by an airline, with the filters of /routes
+  app.get(
+    "/airlines/:airline/routes",
+    validate(schemas.airlineRoutes),
+    (req, res, next) => {
+      try {
+        const airline = resolveAirline(req.validated.airline, "airline");
+        const { conditions, params } = routeFilters(req.validated);
+
+        // The view has one row per operating airline; keep this airline's rows
+        conditions.unshift(
+          "route_id IN (SELECT route_id FROM route_airlines WHERE airline_id = ?)",
+          "airline_name = ?",
+          "airline_iata IS ?"
+        );
+        params.unshift(airline.id, airline.name, airline.iata);
+
+        sendRouteListing(
+          req,
+          res,
+          routeListing(req.validated, conditions, params),
+          {
+            filenameParts: ["routes", airline.iata || airline.id],
+            extra: { airline },
+          }
+        );
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Get the airports served by an airline, busiest first
+  app.get(
+    "/airlines/:airline/airports",
+    validate(schemas.airlineAirports),
+    (req, res, next) => {
+      try {
+        const { country, continent } = req.validated;
+        const airline = resolveAirline(req.validated.airline, "airline");
+
+        let query = `
+          SELECT a.iata, a.name, a.city_name, a.country, a.country_code,
+                 a.continent, a.latitude, a.longitude,
+                 s.departures, s.arrivals,
+                 s.departures + s.arrivals AS route_count
+          FROM (
+            SELECT iata, SUM(departure) AS departures, SUM(arrival) AS arrivals
+            FROM (
+              SELECT r.departure_iata AS iata, 1 AS departure, 0 AS arrival
+              FROM routes r JOIN route_airlines ra ON ra.route_id = r.id
+              WHERE ra.airline_id = ?
+              UNION ALL
+              SELECT r.arrival_iata, 0, 1
+              FROM routes r JOIN route_airlines ra ON ra.route_id = r.id
+              WHERE ra.airline_id = ?
+            )
+            GROUP BY iata
+          ) s
+          JOIN airports a ON a.iata = s.iata
+        `;
+        const params = [airline.id, airline.id];
+        const conditions = [];
+
+        if (country) {
+          requireCountry(country, "country");
+          conditions.push("a.country = ?");
+          params.push(country);
+        }
+
+        if (continent) {
+          conditions.push("a.continent = ?");
+          params.push(continent);
+        }
+
+        if (conditions.length > 0) {
+          query += " WHERE " + conditions.join(" AND ");
+        }
+
+        const page = parsePageOptions(req.validated, SERVED_AIRPORT_SORT_KEYS);
+        const result = fetchPage(query, params, page);
+        const pagination = paginationInfo(page, result);
+
+        if (wantsGeoJson(req)) {
+          return res.type(GEOJSON_CONTENT_TYPE).json(
+            featureCollection(result.rows.map(airportFeature), {
+              airline,
+              pagination,
+            })
+          );
+        }
+
+        res.json({ airline, airports: result.rows, pagination });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Get airports with optional filtering
+  app.get("/airports", validate(schemas.airports), (req, res, next) => {
+    try {
+      const { country, continent } = req.validated;
+      let airports;
+
+      if (country) {
+        requireCountry(country, "country");
+        airports = preparedStatements.getAirportsByCountry.all(country);
+      } else if (continent) {
+        airports = preparedStatements.getAirportsByContinent.all(continent);
+      } else {
+        airports = preparedStatements.getAllAirports.all();
+      }
+
+      if (wantsGeoJson(req)) {
+        return res
+          .type(GEOJSON_CONTENT_TYPE)
+          .json(featureCollection(airports.map(airportFeature)));
+      }
+
+      res.json({ airports });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Find airports near a point, near another airport, or inside a bounding box
+  app.get(
+    "/airports/nearby",
+    validate(schemas.nearbyAirports),
+    (req, res, next) => {
+      try {
+        const { lat, lon, near, bbox, radius_km, limit } = req.validated;
+
+        if (bbox) {
+          const [minLon, minLat, maxLon, maxLat] = bbox;
+          if (
+            minLon < -180 ||
+            maxLon > 180 ||
+            minLat < -90 ||
+            maxLat > 90 ||
+            minLat > maxLat
+          ) {
+            throw invalidParameter(
+              "bbox",
+              "bbox must be minLon,minLat,maxLon,maxLat within valid coordinates"
+            );
+          }
+
+          const airports = airportIndex
+            .withinBoundingBox(minLon, minLat, maxLon, maxLat)
+            .sort(
+              (a, b) =>
+                String(a.country).localeCompare(String(b.country)) ||
+                String(a.city_name).localeCompare(String(b.city_name)) ||
+                String(a.name).localeCompare(String(b.name))
+            );
+
+          return res.json({
+            bbox,
+            total: airports.length,
+            returnedCount: Math.min(airports.length, limit),
+            airports: airports.slice(0, limit),
+          });
+        }
+
+        let latitude = lat;
+        let longitude = lon;
+        let origin = null;
+
+        if (near) {
+          origin = requireAirport(near, "near");
+          latitude = origin.latitude;
+          longitude = origin.longitude;
+        } else if (latitude === null || longitude === null) {
+          throw missingParameter(latitude === null ? "lat" : "lon");
+        }
+
+        const matches = airportIndex
+          .withinRadius(latitude, longitude, radius_km)
+          .filter((match) => !origin || match.point.iata !== origin.iata);
+
+        res.json({
+          center: {
+            iata: origin ? origin.iata : null,
+            latitude,
+            longitude,
+          },
+          radius_km,
+          total: matches.length,
+          returnedCount: Math.min(matches.length, limit),
+          airports: matches.slice(0, limit).map((match) => ({
+            ...match.point,
+            distance_km: Math.round(match.distance_km * 10) / 10,
+          })),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Get all countries
+  app.get("/countries", (req, res, next) => {
+    try {
+      const countries = preparedStatements.getAllCountries.all();
+      res.json({ countries });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List cities with their airports, including configured metro areas
+  app.get("/cities", validate(schemas.cities), (req, res, next) => {
+    try {
+      const { country, continent, min_airports } = req.validated;
+
+      if (country) {
+        requireCountry(country, "country");
+      }
+
+      const cities = cityIndex.cities.filter(
+        (city) =>
+          (!country || city.country === country) &&
+          (!continent || city.continent === continent) &&
+          city.airport_count >= min_airports
+      );
+
+      res.json({ count: cities.length, cities });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get routes with filtering capabilities
+  app.get("/routes", validate(schemas.routes), (req, res, next) => {
+    try {
+      sendRouteListing(req, res, filteredRouteListing(req.validated), {
+        filenameParts: ["routes"],
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get the interpolated great-circle path of a single route as GeoJSON
+  app.get(
+    "/routes/:route_id/path",
+    validate(schemas.routePath),
+    (req, res, next) => {
+      try {
+        const { route_id: routeId, points } = req.validated;
+
+        const rows = preparedStatements.getRouteDetailsById.all(routeId);
+        if (rows.length === 0) {
+          throw notFound(
+            "ROUTE_NOT_FOUND",
+            `Route ${routeId} not found`,
+            "route_id"
+          );
+        }
+
+        const { airline_iata, airline_name, ...route } = rows[0];
+
+        res.type(GEOJSON_CONTENT_TYPE).json({
+          type: "Feature",
+          id: routeId,
+          geometry: arcGeometry(
+            airportsByIata.get(route.departure_iata),
+            airportsByIata.get(route.arrival_iata),
+            points
+          ),
+          properties: {
+            ...route,
+            airlines: rows.map((row) => ({
+              iata: row.airline_iata,
+              name: row.airline_name,
+            })),
+          },
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Per-passenger CO2 estimates of a single route in every cabin class
+  app.get(
+    "/routes/:route_id/emissions",
+    validate(schemas.routeEmissions),
+    (req, res, next) => {
+      try {
+        const { route_id: routeId } = req.validated;
+
+        const rows = preparedStatements.getRouteDetailsById.all(routeId);
+        if (rows.length === 0) {
+          throw notFound(
+            "ROUTE_NOT_FOUND",
+            `Route ${routeId} not found`,
+            "route_id"
+          );
+        }
+
+        const { airline_iata, airline_name, ...route } = rows[0];
+        const estimate = emissionsModel.estimate(route.distance_km);
+        const { factors } = emissionsModel;
+
+        res.json({
+          route,
+          band: estimate ? estimate.band : null,
+          co2_kg_per_passenger: emissionsModel.estimateByCabin(
+            route.distance_km
+          ),
+          factors: {
+            distance_uplift: factors.distance_uplift,
+            kg_co2_per_km: estimate
+              ? factors.bands.find((band) => band.band === estimate.band)
+                  .kg_co2_per_km
+              : null,
+            cabin_multipliers: factors.cabin_multipliers,
+          },
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Get an airport with a summary of its connectivity
+  app.get("/airports/:iata", validate(schemas.airport), (req, res, next) => {
+    try {
+      const { iata } = req.validated;
+      requireAirport(iata, "iata");
+
+      const summary = preparedStatements.getAirportDepartureSummary.get(iata);
+      const longestRoute = preparedStatements.getAirportLongestRoute.get(iata);
+
+      res.json({
+        airport: preparedStatements.getAirportRow.get(iata),
+        connectivity: {
+          departures: summary.departures,
+          arrivals: preparedStatements.getAirportArrivalCount.get(iata).count,
+          destination_count: summary.destination_count,
+          country_count: summary.country_count,
+          departures_by_type: {
+            domestic: summary.domestic,
+            international: summary.international,
+          },
+          airlines: preparedStatements.getAirportAirlines.all(iata, iata),
+          busiest_destinations:
+            preparedStatements.getAirportTopDestinations.all(iata),
+          longest_route: longestRoute || null,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Find every airport reachable from an airport within a time budget
+  app.get(
+    "/airports/:iata/reachable",
+    validate(schemas.reachable),
+    (req, res, next) => {
+      try {
+        const {
+          iata,
+          max_duration: maxDuration,
+          max_stops: maxStops,
+          min_connection: minConnection,
+          airline_id,
+          airline_name,
+          group_by,
+        } = req.validated;
+
+        const origin = requireAirport(iata, "iata");
+        const airlineIds = airline_id || [];
+        airlineIds.forEach((id) => requireAirline(id, "airline_id"));
+
+        const airports = findReachable(routeGraph, iata, {
+          maxStops,
+          minConnection,
+          maxDuration,
+          filter: createAirlineFilter(routeGraph, {
+            airlineIds,
+            airlineName: airline_name,
+          }),
+        }).map((result) => {
+          const airport = airportsByIata.get(result.iata) || {};
+          return {
+            iata: result.iata,
+            name: airport.name || null,
+            city_name: airport.city_name || null,
+            country: airport.country || null,
+            ...result,
+          };
+        });
+
+        const response = {
+          origin,
+          max_duration: maxDuration,
+          max_stops: maxStops,
+          min_connection_min: minConnection,
+          total: airports.length,
+        };
+
+        if (group_by === "country") {
+          // Countries are ordered by their fastest airport
+          const countries = new Map();
+          for (const airport of airports) {
+            if (!countries.has(airport.country)) {
+              countries.set(airport.country, {
+                country: airport.country,
+                airport_count: 0,
+                best_duration_min: airport.total_duration_min,
+                airports: [],
+              });
+            }
+            const group = countries.get(airport.country);
+            group.airport_count++;
+            group.airports.push(airport);
+          }
+
+          return res.json({
+            ...response,
+            country_count: countries.size,
+            countries: [...countries.values()],
+          });
+        }
+
+        res.json({ ...response, airports });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Get all routes from or to a specific airport
+  app.get(
+    "/airports/:iata/routes",
+    validate(schemas.airportRoutes),
+    (req, res, next) => {
+      try {
+        const { iata, direction, airline_id, airline_name } = req.validated;
+
+        requireAirport(iata, "iata");
+
+        // Determine which field to filter based on direction
+        const iataField =
+          direction === "departure" ? "departure_iata" : "arrival_iata";
+
+        const conditions = [`${iataField} = ?`];
+        const params = [iata];
+
+        // Handle airline filtering
+        if (airline_id !== null) {
+          requireAirline(airline_id, "airline_id");
+          conditions.push(
+            "route_id IN (SELECT route_id FROM route_airlines WHERE airline_id = ?)"
+          );
+          params.push(airline_id);
+        }
+
+        if (airline_name) {
+          conditions.push("airline_name LIKE ?");
+          params.push(`%${airline_name}%`);
+        }
+
+        const range = routeRangeFilters(req.validated);
+        conditions.push(...range.conditions);
+        params.push(...range.params);
+
+        runRouteListing(
+          req,
+          res,
+          routeListing(req.validated, conditions, params),
+          {
+            filenameParts: ["routes", iata, direction],
+            // This listing keeps the pagination fields at the top level
+            respond: ({ routes, pagination }) => {
+              const { total, returnedCount, all, ...page } = pagination;
+              sendRoutes(req, res, {
+                airport: iata,
+                direction,
+                total,
+                returnedCount,
+                all,
+                ...page,
+                routes,
+              });
+            },
+          }
+        );
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Get all routes from or to a specific country
+  app.get(
+    "/countries/:country/routes",
+    validate(schemas.countryRoutes),
+    (req, res, next) => {
+      try {
+        const { country, direction, destination_country, airline_name } =
+          req.validated;
+
+        requireCountry(country, "country");
+        if (destination_country) {
+          requireCountry(destination_country, "destination_country");
+        }
+
+        // Determine which fields to filter based on direction
+        const countryField =
+          direction === "departure" ? "departure_country" : "arrival_country";
+        const destCountryField =
+          direction === "departure" ? "arrival_country" : "departure_country";
+
+        const conditions = [`${countryField} = ?`];
+        const params = [country];
+
+        if (destination_country) {
+          conditions.push(`${destCountryField} = ?`);
+          params.push(destination_country);
+        }
+
+        if (airline_name) {
+          conditions.push("airline_name LIKE ?");
+          params.push(`%${airline_name}%`);
+        }
+
+        const range = routeRangeFilters(req.validated);
+        conditions.push(...range.conditions);
+        params.push(...range.params);
+
+        runRouteListing(
+          req,
+          res,
+          routeListing(req.validated, conditions, params),
+          {
+            filenameParts: ["routes", country, direction],
+            // This listing keeps the pagination fields at the top level
+            respond: ({ routes, pagination }) => {
+              const { total, returnedCount, all, ...page } = pagination;
+              sendRoutes(req, res, {
+                country,
+                direction,
+                destination_country: destination_country || null,
+                total,
+                returnedCount,
+                all,
+                ...page,
+                routes,
+              });
+            },
+          }
+        );
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Get all routes from or to any airport of a city or metro area
+  app.get(
+    "/cities/:city/routes",
+    validate(schemas.cityRoutes),
+    (req, res, next) => {
+      try {
+        const { city, country, direction, destination_city, airline_name } =
+          req.validated;
+
+        if (country) {
+          requireCountry(country, "country");
+        }
+        const cities = requireCity(city, country, "city");
+
+        const cityField =
+          direction === "departure" ? "departure_iata" : "arrival_iata";
+        const destinationField =
+          direction === "departure" ? "arrival_iata" : "departure_iata";
+
+        const origin = cityCondition(cityField, cities);
+        const conditions = [origin.condition];
+        const params = [origin.param];
+
+        if (destination_city) {
+          const destination = cityCondition(
+            destinationField,
+            requireCity(destination_city, null, "destination_city")
+          );
+          conditions.push(destination.condition);
+          params.push(destination.param);
+        }
+
+        if (airline_name) {
+          conditions.push("airline_name LIKE ?");
+          params.push(`%${airline_name}%`);
+        }
+
+        const range = routeRangeFilters(req.validated);
+        conditions.push(...range.conditions);
+        params.push(...range.params);
+
+        sendRouteListing(
+          req,
+          res,
+          routeListing(req.validated, conditions, params),
+          {
+            filenameParts: ["routes", city, direction],
+            extra: { cities, direction },
+          }
+        );
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Rank airports by network centrality
+  app.get("/analytics/hubs", validate(schemas.hubs), (req, res, next) => {
+    try {
+      const { continent, country, sort, limit } = req.validated;
+      const airline = req.validated.airline
+        ? resolveAirline(req.validated.airline, "airline")
+        : null;
+      if (country) {
+        requireCountry(country, "country");
+      }
+
+      const round = (value) => Math.round(value * 1e6) / 1e6;
+      const hubs = [];
+      for (const [iata, metrics] of hubMetricsFor(airline)) {
+        const airport = airportsByIata.get(iata);
+        if (
+          !airport ||
+          (country && airport.country !== country) ||
+          (continent && airport.continent !== continent)
+        ) {
+          continue;
+        }
+        hubs.push({
+          iata,
+          name: airport.name,
+          city_name: airport.city_name,
+          country: airport.country,
+          continent: airport.continent,
+          ...metrics,
+          betweenness: round(metrics.betweenness),
+          closeness: round(metrics.closeness),
+        });
+      }
+
+      hubs.sort((a, b) => b[sort] - a[sort] || a.iata.localeCompare(b.iata));
+
+      res.json({
+        airline,
+        sort,
+        total: hubs.length,
+        returnedCount: Math.min(hubs.length, limit),
+        airports: hubs
+          .slice(0, limit)
+          .map((hub, index) => ({ rank: index + 1, ...hub })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The airlines operating a route, by name
+  function routeAirlines(routeId) {
+    const edge = routeGraph.edges.get(routeId);
+    return (edge ? edge.airline_ids : [])
+      .map((id) => routeGraph.airlines.get(id))
+      .filter(Boolean)
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  // How many airlines compete on each route, most contested first
+  app.get(
+    "/analytics/competition",
+    validate(schemas.competition),
+    (req, res, next) => {
+      try {
+        const { status } = req.validated;
+        const airline = req.validated.airline
+          ? resolveAirline(req.validated.airline, "airline")
+          : null;
+        const { conditions, params } = routeFilters({
+          ...req.validated,
+          airline_id: airline ? airline.id : null,
+        });
+
+        // route_details has one row per operating airline, so grouping by
+        // route counts its airlines
+        let query = `
+          SELECT
+            route_id,
+            departure_iata, departure_city, departure_country,
+            arrival_iata, arrival_city, arrival_country,
+            distance_km, duration_min,
+            COUNT(*) as airline_count
+          FROM route_details
+        `;
+        if (conditions.length > 0) {
+          query += " WHERE " + conditions.join(" AND ");
+        }
+        query += " GROUP BY route_id";
+        if (status === "monopoly") {
+          query += " HAVING COUNT(*) = 1";
+        } else if (status === "contested") {
+          query += " HAVING COUNT(*) > 1";
+        }
+
+        const summary = statementCache
+          .prepare(
+            `
+            SELECT
+              COUNT(*) as route_count,
+              IFNULL(SUM(airline_count = 1), 0) as monopoly_count,
+              IFNULL(SUM(airline_count > 1), 0) as contested_count,
+              AVG(airline_count) as average_airlines
+            FROM (${query})
+          `
+          )
+          .get(params);
+        summary.average_airlines =
+          summary.average_airlines === null
+            ? null
+            : Math.round(summary.average_airlines * 100) / 100;
+
+        const page = parsePageOptions(req.validated, COMPETITION_SORT_KEYS);
+        const result = fetchPage(query, params, page);
+
+        res.json({
+          airline,
+          summary,
+          routes: result.rows.map((route) => ({
+            ...route,
+            status: route.airline_count > 1 ? "contested" : "monopoly",
+            airlines: routeAirlines(route.route_id),
+          })),
+          pagination: paginationInfo(page, result),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Shared and exclusive routes of two airlines
+  app.get("/analytics/overlap", validate(schemas.overlap), (req, res, next) => {
+    try {
+      const { limit } = req.validated;
+      const airlines = req.validated.airlines.map((value) =>
+        resolveAirline(value, "airlines")
+      );
+      if (airlines[0].id === airlines[1].id) {
+        throw invalidParameter(
+          "airlines",
+          "airlines must be two different airlines"
+        );
+      }
+
+      const routeSets = airlines.map(
+        (airline) => new Set(routeGraph.byAirline.get(airline.id) || [])
+      );
+      const describe = (edges) =>
+        edges
+          .sort(
+            (a, b) =>
+              a.departure_iata.localeCompare(b.departure_iata) ||
+              a.arrival_iata.localeCompare(b.arrival_iata)
+          )
+          .slice(0, limit)
+          .map((edge) => ({
+            route_id: edge.route_id,
+            departure_iata: edge.departure_iata,
+            arrival_iata: edge.arrival_iata,
+            distance_km: edge.distance_km,
+            duration_min: edge.duration_min,
+            airline_count: edge.airline_ids.length,
+          }));
+
+      const shared = [...routeSets[0]].filter((edge) => routeSets[1].has(edge));
+      const unionSize = routeSets[0].size + routeSets[1].size - shared.length;
+
+      res.json({
+        shared_count: shared.length,
+        // Jaccard index of the two route networks
+        overlap_ratio: unionSize
+          ? Math.round((shared.length / unionSize) * 1000) / 1000
+          : 0,
+        airlines: airlines.map((airline, index) => {
+          const other = routeSets[1 - index];
+          const exclusive = [...routeSets[index]].filter(
+            (edge) => !other.has(edge)
+          );
+          return {
+            airline,
+            route_count: routeSets[index].size,
+            exclusive_count: exclusive.length,
+            exclusive_routes: describe(exclusive),
+          };
+        }),
+        shared_routes: describe(shared),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Route counts, airline counts and average stage length between every pair
+  // of countries or continents
+  app.get(
+    "/analytics/country-matrix",
+    validate(schemas.countryMatrix),
+    (req, res, next) => {
+      try {
+        const { level } = req.validated;
+        const { conditions, params } = routeFilters(req.validated);
+
+        const [departure, arrival] =
+          level === "continent"
+            ? ["da.continent", "aa.continent"]
+            : ["rd.departure_country", "rd.arrival_country"];
+
+        // route_details has one row per operating airline: routes are
+        // averaged once each, airlines are counted across the pair
+        const query = `
+          WITH filtered AS (
+            SELECT ${departure} as departure, ${arrival} as arrival,
+                   rd.route_id, rd.distance_km, rd.duration_min,
+                   IFNULL(rd.airline_iata, '') || '|' || rd.airline_name as airline
+            FROM (
+              SELECT * FROM route_details
+              ${
+                conditions.length > 0 ? "WHERE " + conditions.join(" AND ") : ""
+              }
+            ) rd
+            JOIN airports da ON da.iata = rd.departure_iata
+            JOIN airports aa ON aa.iata = rd.arrival_iata
+          )
+          SELECT
+            r.departure, r.arrival, r.route_count, a.airline_count,
+            CAST(ROUND(r.average_distance_km) AS INTEGER) as average_distance_km,
+            CAST(ROUND(r.average_duration_min) AS INTEGER) as average_duration_min
+          FROM (
+            SELECT departure, arrival, COUNT(*) as route_count,
+                   AVG(distance_km) as average_distance_km,
+                   AVG(duration_min) as average_duration_min
+            FROM (
+              SELECT DISTINCT route_id, departure, arrival,
+                     distance_km, duration_min
+              FROM filtered
+            )
+            GROUP BY departure, arrival
+          ) r
+          JOIN (
+            SELECT departure, arrival, COUNT(DISTINCT airline) as airline_count
+            FROM filtered
+            GROUP BY departure, arrival
+          ) a ON a.departure IS r.departure AND a.arrival IS r.arrival
+        `;
+
+        const page = parsePageOptions(req.validated, COUNTRY_MATRIX_SORT_KEYS);
+        const result = fetchPage(query, params, page);
+
+        res.json({
+          level,
+          pairs: result.rows,
+          pagination: paginationInfo(page, result),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Histograms and percentiles of route distances and durations
+  app.get(
+    "/analytics/distribution",
+    validate(schemas.distribution),
+    (req, res, next) => {
+      try {
+        const { bins } = req.validated;
+        const percentiles = req.validated.percentiles || DEFAULT_PERCENTILES;
+        const { conditions, params } = routeFilters(req.validated);
+
+        // One value per route, however many airlines operate it
+        let query =
+          "SELECT route_id, MIN(distance_km) as distance_km, MIN(duration_min) as duration_min FROM route_details";
+        if (conditions.length > 0) {
+          query += " WHERE " + conditions.join(" AND ");
+        }
+        query += " GROUP BY route_id";
+
+        const routes = statementCache.prepare(query).all(params);
+        const options = { bins, percentiles };
+
+        res.json({
+          route_count: routes.length,
+          distance_km: summarizeDistribution(
+            routes.map((route) => route.distance_km),
+            options
+          ),
+          duration_min: summarizeDistribution(
+            routes.map((route) => route.duration_min),
+            options
+          ),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Total CO2 estimates over the matching routes, e.g. an airline's network
+  // or a country's departures
+  app.get(
+    "/analytics/emissions",
+    validate(schemas.emissions),
+    (req, res, next) => {
+      try {
+        const cabin = requireCabin(req.validated.cabin, "cabin");
+        const { conditions, params } = routeFilters(req.validated);
+
+        // One flight per route, however many airlines operate it
+        let query =
+          "SELECT route_id, MIN(distance_km) as distance_km FROM route_details";
+        if (conditions.length > 0) {
+          query += " WHERE " + conditions.join(" AND ");
+        }
+        query += " GROUP BY route_id";
+
+        const routes = statementCache.prepare(query).all(params);
+        res.json(
+          emissionsModel.summarize(
+            routes.map((route) => route.distance_km),
+            cabin
+          )
+        );
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Typeahead search across airports, cities and airlines
+  app.get("/search", validate(schemas.search), (req, res, next) => {
+    try {
+      const { q, type, limit } = req.validated;
+      const results = searchIndex.search(q, { type, limit });
+
+      res.json({
+        query: q,
+        type,
+        returnedCount: results.length,
+        results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // CO2 estimate of an itinerary: the sum of its legs, or null if a leg's
+  // distance is unknown
+  function itineraryEmissions(legs, cabin) {
+    const estimates = legs.map((leg) =>
+      emissionsModel.estimate(leg.distance_km, cabin)
+    );
+    if (estimates.some((estimate) => estimate === null)) {
+      return null;
+    }
+    return {
+      cabin,
+      co2_kg:
+        Math.round(
+          estimates.reduce((sum, estimate) => sum + estimate.co2_kg, 0) * 10
+        ) / 10,
+    };
+  }
+
+  // Find connecting itineraries between two airports
+  app.get("/itineraries", validate(schemas.itineraries), (req, res, next) => {
+    try {
+      const {
+        from,
+        to,
+        max_stops: maxStops,
+        min_connection: minConnection,
+        max_duration,
+        airline_id,
+        airline_name,
+        limit,
+      } = req.validated;
+      const emissionsCabin = requestedEmissionsCabin(req.validated);
+
+      if (from === to) {
+        throw invalidParameter("to", "from and to must be different airports");
+      }
+
+      const departureAirport = requireAirport(from, "from");
+      const arrivalAirport = requireAirport(to, "to");
+
+      // airline_id accepts a comma-separated list for same-alliance searches
+      const airlineIds = airline_id || [];
+      airlineIds.forEach((id) => requireAirline(id, "airline_id"));
+      const airlineOptions = { airlineIds, airlineName: airline_name };
+      const matchesAirline = createAirlineMatcher(routeGraph, airlineOptions);
+
+      const itineraries = findItineraries(routeGraph, from, to, {
+        maxStops,
+        minConnection,
+        maxDuration: max_duration,
+        filter: createAirlineFilter(routeGraph, airlineOptions),
+      });
+
+      const results = itineraries
+        .slice(0, limit)
+        .map(({ legs, ...summary }) => ({
+          ...summary,
+          ...(emissionsCabin
+            ? { emissions: itineraryEmissions(legs, emissionsCabin) }
+            : {}),
+          legs: legs.map((leg) => {
+            // Only list the operating airlines that satisfy the airline filters
+            const allowed = new Set(
+              leg.airline_ids
+                .filter((id) => !matchesAirline || matchesAirline(id))
+                .map((id) => routeGraph.airlines.get(id))
+                .filter(Boolean)
+                .map((airline) => `${airline.iata}|${airline.name}`)
+            );
+
+            return {
+              route_id: leg.route_id,
+              departure_iata: leg.departure_iata,
+              arrival_iata: leg.arrival_iata,
+              distance_km: leg.distance_km,
+              duration_min: leg.duration_min,
+              ...(emissionsCabin
+                ? {
+                    emissions: emissionsModel.estimate(
+                      leg.distance_km,
+                      emissionsCabin
+                    ),
+                  }
+                : {}),
+              route_details: preparedStatements.getRouteDetailsById
+                .all(leg.route_id)
+                .filter((row) =>
+                  allowed.has(`${row.airline_iata}|${row.airline_name}`)
+                ),
+            };
+          }),
+        }));
+
+      res.json({
+        from: departureAirport,
+        to: arrivalAirport,
+        max_stops: maxStops,
+        min_connection_min: minConnection,
+        total: itineraries.length,
+        returnedCount: results.length,
+        itineraries: results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Route changes since the previous version of the database, computed on
+  // first use and kept with the dataset
+  function datasetChanges(current) {
+    if (!current.previous) {
+      throw notFound(
+        "PREVIOUS_DATASET_NOT_FOUND",
+        "No previous database version is loaded; set PREVIOUS_DB_FILE or reload the database"
+      );
+    }
+    if (!current.changes) {
+      current.changes = diffRouteSnapshots(
+        current.previous.routes,
+        loadRouteSnapshot(current.db)
+      );
+    }
+    return current.changes;
+  }
+
+  // List added and removed routes and airline additions and removals since
+  // the previous version. With an airline filter, only that airline's
+  // additions and removals are listed.
+  app.get("/changes", validate(schemas.changes), (req, res, next) => {
+    try {
+      const {
+        type,
+        airport,
+        departure_iata,
+        arrival_iata,
+        country,
+        departure_country,
+        arrival_country,
+        airline_iata,
+        airline_name,
+        limit,
+        offset,
+      } = req.validated;
+
+      const code = airline_iata && airline_iata.toUpperCase();
+      const name = airline_name && airline_name.toLowerCase();
+      const matchesAirline = (airline) =>
+        (!code || (airline.iata || "").toUpperCase() === code) &&
+        (!name || airline.name.toLowerCase().includes(name));
+
+      const changes = [];
+      for (const change of datasetChanges(dataset)) {
+        if (
+          (type && !type.includes(change.change)) ||
+          (airport &&
+            change.departure_iata !== airport &&
+            change.arrival_iata !== airport) ||
+          (departure_iata && change.departure_iata !== departure_iata) ||
+          (arrival_iata && change.arrival_iata !== arrival_iata) ||
+          (country &&
+            change.departure_country !== country &&
+            change.arrival_country !== country) ||
+          (departure_country &&
+            change.departure_country !== departure_country) ||
+          (arrival_country && change.arrival_country !== arrival_country)
+        ) {
+          continue;
+        }
+        if (!code && !name) {
+          changes.push(change);
+          continue;
+        }
+        const airlinesAdded = change.airlines_added.filter(matchesAirline);
+        const airlinesRemoved = change.airlines_removed.filter(matchesAirline);
+        if (airlinesAdded.length > 0 || airlinesRemoved.length > 0) {
+          changes.push({
+            ...change,
+            airlines_added: airlinesAdded,
+            airlines_removed: airlinesRemoved,
+          });
+        }
+      }
+
+      const page = changes.slice(offset, offset + limit);
+      res.json({
+        previous: databaseInfo(dataset.previous),
+        current: databaseInfo(dataset),
+        summary: summarizeChanges(changes),
+        changes: page,
+        pagination: {
+          total: changes.length,
+          returnedCount: page.length,
+          limit,
+          offset,
+          has_more: offset + page.length < changes.length,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get database statistics
+  app.get("/stats", (req, res, next) => {
+    try {
+      const airportCount = preparedStatements.getAirportCount.get().count;
+      const airlineCount = preparedStatements.getAirlineCount.get().count;
+      const routeCount = preparedStatements.getRouteCount.get().count;
+      const countryCount = preparedStatements.getCountryCount.get().count;
+      const topAirlines = preparedStatements.getTopAirlines.all();
+      const topDepartureAirports =
+        preparedStatements.getTopDepartureAirports.all();
+
+      res.json({
+        counts: {
+          airports: airportCount,
+          airlines: airlineCount,
+          routes: routeCount,
+          countries: countryCount,
+        },
+        top_airlines: topAirlines,
+        top_departure_airports: topDepartureAirports,
+        database: databaseInfo(dataset),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Admin endpoints need adminToken as a bearer token, and are disabled
+  // when it is not set
+  function requireAdmin(req, res, next) {
+    if (!adminToken) {
+      return next(
+        new ApiError(403, "FORBIDDEN", "Admin endpoints are disabled")
+      );
+    }
+    const given = Buffer.from(req.get("Authorization") || "");
+    const expected = Buffer.from(`Bearer ${adminToken}`);
+    if (
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)
+    ) {
+      return next(
+        new ApiError(401, "UNAUTHORIZED", "A valid admin token is required")
+      );
+    }
+    next();
+  }
+
+  // Load a new routes.db if the file has changed. Responds with the loaded
+  // version, or 422 if the new file fails verification (the current database
+  // keeps serving).
+  app.post("/admin/reload", requireAdmin, (req, res, next) => {
+    let result;
+    try {
+      result = reloadDatabase();
+    } catch (error) {
+      logger.error(`[${req.id}] Database reload failed:`, error.message);
+      return next(
+        new ApiError(
+          422,
+          "INVALID_DATABASE",
+          `The new database was rejected: ${error.message}`
+        )
+      );
+    }
+    res.json(result);
+  });
+
+  // Data integrity report for the loaded database, as printed by validate-db
+  app.get(
+    "/admin/audit",
+    requireAdmin,
+    validate(schemas.audit),
+    (req, res, next) => {
+      try {
+        res.json({
+          database: databaseInfo(dataset),
+          ...auditDatabase(db, { limit: req.validated.limit }),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Several GET requests in one round trip, for dashboards that load many
+  // endpoints at once
+  app.post(
+    "/batch",
+    createBatchHandler(app, {
+      maxRequests: batchMaxRequests,
+    })
+  );
+
+  // API description, generated from the same schemas used for validation
+  const openApiDocument = buildOpenApiDocument({ basePath, batchMaxRequests });
+  const docsHtml = renderDocsHtml(openApiDocument);
+
+  app.get("/openapi.json", (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  app.get("/docs", (req, res) => {
+    res.type("html").send(docsHtml);
+  });
+
+  // Unknown endpoints and all errors share the same JSON error model
+  const errorHandler = createErrorHandler(logger);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  // Reload the database when the file changes. Publish a new database by
+  // writing it elsewhere and renaming it over dbPath, so it is never read
+  // half-written. watchInterval sets how often the file is checked, in
+  // seconds.
+  //
+  // A change is only acted on once the file has stopped changing: every
+  // change restarts the wait, and the file's size must be the same two
+  // checks a watchInterval apart. This keeps a file copied in place from
+  // being loaded while it grows, but a writer that pauses for longer than
+  // that still looks finished, hence the rename.
+  let pendingReload = null;
+  const reloadWhenSettled = (size) => {
+    pendingReload = setTimeout(() => {
+      pendingReload = null;
+      let current;
+      try {
+        current = fs.statSync(dbPath);
+      } catch (error) {
+        // Gone again; the watcher reports the file once it is back
+        return;
+      }
+      if (current.size !== size) {
+        reloadWhenSettled(current.size);
+        return;
+      }
+      try {
+        reloadDatabase();
+      } catch (error) {
+        logger.error(
+          `Database reload failed, keeping version ${databaseVersion.slice(
+            0,
+            12
+          )}:`,
+          error.message
+        );
+      }
+    }, watchInterval * 1000);
+    pendingReload.unref();
+  };
+  const onDatabaseChange = (current, previous) => {
+    // Only replaced or modified files count; a zeroed mtime means the file
+    // is missing, e.g. in the middle of a replace
+    if (
+      current.mtimeMs === 0 ||
+      (current.mtimeMs === previous.mtimeMs && current.ino === previous.ino)
+    ) {
+      return;
+    }
+    clearTimeout(pendingReload);
+    reloadWhenSettled(current.size);
+  };
+  if (watchInterval > 0) {
+    fs.watchFile(dbPath, { interval: watchInterval * 1000 }, onDatabaseChange);
+  }
+
+  // Programmatic /routes: filters are its query parameters as plain values,
+  // e.g. { departure_iata: "LHR", max_duration: 120 }, with arrays for
+  // lists. Returns { routes, pagination } like the JSON response and throws
+  // the ApiError the endpoint would respond with.
+  function findRoutes(filters = {}) {
+    const options = validateValues(schemas.routes, filters);
+    return selectFields(
+      fetchRouteListing(filteredRouteListing(options)),
+      options
+    );
+  }
+
+  // Stop watching dbPath and close the database. Requests still running
+  // finish on the open handle, which is closed once they have; stop the
+  // HTTP server first so no new ones arrive.
+  function close() {
+    fs.unwatchFile(dbPath, onDatabaseChange);
+    clearTimeout(pendingReload);
+    dataset.retired = true;
+    closeIfDrained(dataset);
+  }
+
+  // With a basePath, the API is mounted under it and everything else gets
+  // the API's 404. Batch sub-requests still run against the API itself, so
+  // their paths leave the basePath out.
+  let root = app;
+  if (basePath) {
+    root = express();
+    root.use(basePath, app);
+    root.use(notFoundHandler);
+    root.use(errorHandler);
+  }
+
+  return {
+    app: root,
+    dbPath,
+    findRoutes,
+    reload: reloadDatabase,
+    database: () => databaseInfo(dataset),
+    close,
+  };
+}
+
+module.exports = {
+  createApp,
+};
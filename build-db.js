@@ -0,0 +1,119 @@
+// Build routes.db from CSV files:
+//
+//   npm run build-db -- --airports airports.csv --airlines airlines.csv \
+//     --routes routes.csv [--output routes.db] [--rejects rejected.csv]
+//
+// See "Building the Database" in the README for the expected columns.
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { buildDatabase } = require("./lib/importer");
+const { csvLine } = require("./lib/export");
+
+// Rejected rows printed to the console; --rejects writes all of them
+const MAX_PRINTED_REJECTS = 20;
+
+const usage = `Usage: npm run build-db -- --airports FILE --airlines FILE --routes FILE
+                          [--output FILE] [--rejects FILE]`;
+
+function main() {
+  let options;
+  try {
+    ({ values: options } = parseArgs({
+      options: {
+        airports: { type: "string" },
+        airlines: { type: "string" },
+        routes: { type: "string" },
+        output: {
+          type: "string",
+          default: path.join(__dirname, "routes.db"),
+        },
+        rejects: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n${usage}`);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(usage);
+    return 0;
+  }
+  const missing = ["airports", "airlines", "routes"].filter(
+    (name) => !options[name]
+  );
+  if (missing.length > 0) {
+    console.error(
+      `Missing ${missing.map((name) => `--${name}`).join(", ")}\n${usage}`
+    );
+    return 1;
+  }
+
+  const startTime = Date.now();
+  let report;
+  try {
+    report = buildDatabase(options);
+  } catch (error) {
+    console.error(`Build failed: ${error.message}`);
+    return 1;
+  }
+
+  console.log(
+    `Built ${report.output} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`
+  );
+  console.log(
+    `  airports: ${report.airports.imported} imported, ${report.airports.rejected} rejected`
+  );
+  console.log(
+    `  airlines: ${report.airlines.imported} imported, ${report.airlines.rejected} rejected`
+  );
+  console.log(
+    `  routes:   ${report.routes.imported} imported (${report.routes.route_airlines} route/airline pairs), ${report.routes.rejected} rows rejected`
+  );
+  console.log(
+    `            ${report.routes.computed_distances} distances computed from coordinates, ${report.routes.estimated_durations} durations estimated`
+  );
+
+  if (report.rejected.length > 0) {
+    const reasons = new Map();
+    for (const { reason } of report.rejected) {
+      reasons.set(reason, (reasons.get(reason) || 0) + 1);
+    }
+    console.log(`\nRejected rows by reason:`);
+    [...reasons]
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([reason, count]) => console.log(`  ${count}\t${reason}`));
+
+    console.log(`\nFirst rejected rows:`);
+    report.rejected
+      .slice(0, MAX_PRINTED_REJECTS)
+      .forEach(({ file, line, reason }) =>
+        console.log(`  ${file}:${line}: ${reason}`)
+      );
+    if (report.rejected.length > MAX_PRINTED_REJECTS && !options.rejects) {
+      console.log("  ... use --rejects FILE to write all of them");
+    }
+  }
+
+  if (options.rejects) {
+    fs.writeFileSync(
+      options.rejects,
+      csvLine(["file", "line", "reason", "row"]) +
+        report.rejected
+          .map(({ file, line, reason, values }) =>
+            csvLine([file, line, reason, values])
+          )
+          .join("")
+    );
+    console.log(
+      `\nWrote ${report.rejected.length} rejected rows to ${options.rejects}`
+    );
+  }
+
+  return 0;
+}
+
+process.exitCode = main();
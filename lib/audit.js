@@ -0,0 +1,266 @@
+// Data integrity checks over routes.db. Each check reports how many rows
+// it found and a few examples; problems that make rows disappear from
+// route_details or break queries are errors, suspicious data is a warning.
+// Used by validate-db.js and /admin/audit.
+
+const { haversineKm } = require("./geo");
+
+// A route's distance may differ from the great-circle distance between its
+// airports by this many kilometres or this share of it, whichever is larger
+const DISTANCE_TOLERANCE_KM = 50;
+const DISTANCE_TOLERANCE_RATIO = 0.1;
+
+// Average speeds implied by distance_km and duration_min outside this range
+// are implausible. Short hops are slow because of taxi and climb time.
+const MIN_SPEED_KMH = 100;
+const MAX_SPEED_KMH = 1100;
+const MIN_SPEED_DISTANCE_KM = 300;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// SQL checks: rows matching the query are findings
+const QUERY_CHECKS = [
+  {
+    id: "orphaned_route_airlines_route",
+    severity: "error",
+    description: "route_airlines rows pointing at a route that does not exist",
+    query: `
+      SELECT ra.route_id, ra.airline_id
+      FROM route_airlines ra
+      LEFT JOIN routes r ON r.id = ra.route_id
+      WHERE r.id IS NULL
+      ORDER BY ra.route_id, ra.airline_id
+    `,
+  },
+  {
+    id: "orphaned_route_airlines_airline",
+    severity: "error",
+    description:
+      "route_airlines rows pointing at an airline that does not exist",
+    query: `
+      SELECT ra.route_id, ra.airline_id
+      FROM route_airlines ra
+      LEFT JOIN airlines a ON a.id = ra.airline_id
+      WHERE a.id IS NULL
+      ORDER BY ra.route_id, ra.airline_id
+    `,
+  },
+  {
+    id: "orphaned_route_airport",
+    severity: "error",
+    description:
+      "Routes whose departure or arrival airport does not exist; they are missing from route_details",
+    query: `
+      SELECT r.id as route_id, r.departure_iata, r.arrival_iata
+      FROM routes r
+      LEFT JOIN airports dep ON dep.iata = r.departure_iata
+      LEFT JOIN airports arr ON arr.iata = r.arrival_iata
+      WHERE dep.iata IS NULL OR arr.iata IS NULL
+      ORDER BY r.id
+    `,
+  },
+  {
+    id: "routes_without_airlines",
+    severity: "warning",
+    description:
+      "Routes that no airline operates; they are missing from route_details",
+    query: `
+      SELECT r.id as route_id, r.departure_iata, r.arrival_iata
+      FROM routes r
+      WHERE NOT EXISTS (SELECT 1 FROM route_airlines ra WHERE ra.route_id = r.id)
+      ORDER BY r.id
+    `,
+  },
+  {
+    id: "duplicate_routes",
+    severity: "warning",
+    description:
+      "Airport pairs stored as more than one route, which are listed several times",
+    query: `
+      SELECT departure_iata, arrival_iata, COUNT(*) as route_count,
+             json_group_array(id) as route_ids
+      FROM routes
+      GROUP BY departure_iata, arrival_iata
+      HAVING COUNT(*) > 1
+      ORDER BY route_count DESC, departure_iata, arrival_iata
+    `,
+    jsonColumns: ["route_ids"],
+  },
+  {
+    id: "airports_missing_coordinates",
+    severity: "error",
+    description:
+      "Airports without latitude or longitude, which break distances, nearby search and GeoJSON",
+    query: `
+      SELECT iata, name, latitude, longitude
+      FROM airports
+      WHERE latitude IS NULL OR longitude IS NULL
+      ORDER BY iata
+    `,
+  },
+  {
+    id: "airports_zero_coordinates",
+    severity: "warning",
+    description:
+      "Airports at (0, 0), almost always a placeholder for unknown coordinates",
+    query: `
+      SELECT iata, name, latitude, longitude
+      FROM airports
+      WHERE latitude = 0 AND longitude = 0
+      ORDER BY iata
+    `,
+  },
+  {
+    id: "airports_empty_country",
+    severity: "warning",
+    description:
+      "Airports without a country name, which are left out of /countries and country filters",
+    query: `
+      SELECT iata, name, country
+      FROM airports
+      WHERE country IS NULL OR TRIM(country) = ''
+      ORDER BY iata
+    `,
+  },
+  {
+    id: "routes_missing_distance_or_duration",
+    severity: "error",
+    description:
+      "Routes with a missing or negative distance_km or duration_min",
+    query: `
+      SELECT id as route_id, departure_iata, arrival_iata,
+             distance_km, duration_min
+      FROM routes
+      WHERE distance_km IS NULL OR distance_km < 0
+         OR duration_min IS NULL OR duration_min < 0
+      ORDER BY id
+    `,
+  },
+];
+
+// Checks computed in JavaScript over every route with known coordinates
+function routeChecks(db) {
+  const distanceMismatch = [];
+  const implausibleSpeed = [];
+
+  const routes = db
+    .prepare(
+      `
+      SELECT r.id as route_id, r.departure_iata, r.arrival_iata,
+             r.distance_km, r.duration_min,
+             dep.latitude as dep_lat, dep.longitude as dep_lon,
+             arr.latitude as arr_lat, arr.longitude as arr_lon
+      FROM routes r
+      JOIN airports dep ON dep.iata = r.departure_iata
+      JOIN airports arr ON arr.iata = r.arrival_iata
+      ORDER BY r.id
+    `
+    )
+    .iterate();
+
+  for (const route of routes) {
+    const {
+      dep_lat: depLat,
+      dep_lon: depLon,
+      arr_lat: arrLat,
+      arr_lon: arrLon,
+      ...details
+    } = route;
+    const { distance_km: distance, duration_min: duration } = details;
+
+    const hasCoordinates =
+      [depLat, depLon, arrLat, arrLon].every((value) => value !== null) &&
+      !(depLat === 0 && depLon === 0) &&
+      !(arrLat === 0 && arrLon === 0);
+    if (hasCoordinates && distance !== null) {
+      const expected = haversineKm(depLat, depLon, arrLat, arrLon);
+      const tolerance = Math.max(
+        DISTANCE_TOLERANCE_KM,
+        expected * DISTANCE_TOLERANCE_RATIO
+      );
+      if (Math.abs(distance - expected) > tolerance) {
+        distanceMismatch.push({
+          ...details,
+          expected_distance_km: Math.round(expected),
+          difference_km: Math.round(distance - expected),
+        });
+      }
+    }
+
+    if (distance !== null && duration !== null && distance > 0) {
+      const speed = duration > 0 ? (distance / duration) * 60 : Infinity;
+      if (
+        speed > MAX_SPEED_KMH ||
+        (speed < MIN_SPEED_KMH && distance >= MIN_SPEED_DISTANCE_KM)
+      ) {
+        implausibleSpeed.push({
+          ...details,
+          speed_kmh: Number.isFinite(speed) ? round(speed) : null,
+        });
+      }
+    }
+  }
+
+  const byDifference = (a, b) =>
+    Math.abs(b.difference_km) - Math.abs(a.difference_km);
+  return [
+    {
+      id: "distance_mismatch",
+      severity: "warning",
+      description: `Routes whose distance_km differs from the great-circle distance between their airports by more than ${DISTANCE_TOLERANCE_KM} km or ${
+        DISTANCE_TOLERANCE_RATIO * 100
+      }%`,
+      rows: distanceMismatch.sort(byDifference),
+    },
+    {
+      id: "implausible_speed",
+      severity: "warning",
+      description: `Routes whose distance_km and duration_min imply an average speed above ${MAX_SPEED_KMH} km/h, or below ${MIN_SPEED_KMH} km/h over ${MIN_SPEED_DISTANCE_KM} km or more`,
+      rows: implausibleSpeed,
+    },
+  ];
+}
+
+// Run every check. Returns { status, summary, checks } where status is
+// "error" if any error check found rows, else "warning" if any warning
+// check did, else "ok". Each check lists up to `limit` examples.
+function auditDatabase(db, { limit = 20 } = {}) {
+  const results = QUERY_CHECKS.map(
+    ({ id, severity, description, query, jsonColumns = [] }) => {
+      const rows = db.prepare(query).all();
+      for (const row of rows) {
+        jsonColumns.forEach((column) => {
+          row[column] = JSON.parse(row[column]);
+        });
+      }
+      return { id, severity, description, rows };
+    }
+  ).concat(routeChecks(db));
+
+  const checks = results.map(({ rows, ...check }) => ({
+    ...check,
+    count: rows.length,
+    examples: rows.slice(0, limit),
+  }));
+
+  const failing = (severity) =>
+    checks.filter((check) => check.severity === severity && check.count > 0)
+      .length;
+  const summary = {
+    checks: checks.length,
+    passed: checks.filter((check) => check.count === 0).length,
+    errors: failing("error"),
+    warnings: failing("warning"),
+  };
+
+  return {
+    status:
+      summary.errors > 0 ? "error" : summary.warnings > 0 ? "warning" : "ok",
+    summary,
+    checks,
+  };
+}
+
+module.exports = {
+  auditDatabase,
+};
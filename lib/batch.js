@@ -0,0 +1,186 @@
+// POST /batch: several GET requests in one round trip. Each sub-request is
+// run in-process through the app's own middleware and handlers (validation,
+// response cache, errors), so its status and body are exactly what the
+// equivalent GET would return.
+
+const http = require("http");
+const net = require("net");
+const { invalidParameter } = require("./errors");
+const { getExportFormat } = require("./export");
+
+const isScalar = (value) =>
+  typeof value === "string" ||
+  typeof value === "boolean" ||
+  (typeof value === "number" && Number.isFinite(value));
+
+// Check one { path, query } item and return its URL. path is an absolute
+// API path and may carry its own query string; query maps parameter names
+// to scalars or arrays of scalars (repeated parameters).
+function subRequestUrl(item, index) {
+  const param = `[${index}]`;
+  if (item === null || typeof item !== "object" || Array.isArray(item)) {
+    throw invalidParameter(param, `${param} must be an object`);
+  }
+  const { path, query = {} } = item;
+  if (typeof path !== "string" || !path.startsWith("/")) {
+    throw invalidParameter(
+      `${param}.path`,
+      `${param}.path must be a path starting with /`
+    );
+  }
+
+  const url = new URL(path, "http://batch");
+  if (url.pathname === "/batch") {
+    throw invalidParameter(`${param}.path`, "Batches cannot be nested");
+  }
+  if (query === null || typeof query !== "object" || Array.isArray(query)) {
+    throw invalidParameter(
+      `${param}.query`,
+      `${param}.query must be an object`
+    );
+  }
+  for (const [name, value] of Object.entries(query)) {
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every(isScalar)) {
+      throw invalidParameter(
+        `${param}.query.${name}`,
+        `${param}.query.${name} must be a string, number, boolean or an array of them`
+      );
+    }
+    values.forEach((entry) => url.searchParams.append(name, String(entry)));
+  }
+
+  // Exports stream their rows to the client as they are read; inside a
+  // batch the whole file would be held in memory instead
+  if (url.searchParams.getAll("format").some(getExportFormat)) {
+    const inQuery = [].concat(query.format).some(getExportFormat);
+    const field = inQuery ? `${param}.query.format` : `${param}.path`;
+    throw invalidParameter(
+      field,
+      `${field} asks for a CSV or NDJSON export, which cannot be batched`
+    );
+  }
+  return url.pathname + url.search;
+}
+
+// Run a GET request through the app without a network round trip. The
+// response is captured instead of written to a socket and resolves to
+// { status, contentType, body }.
+function dispatch(app, url, headers) {
+  return new Promise((resolve) => {
+    const req = new http.IncomingMessage(new net.Socket());
+    req.method = "GET";
+    req.url = url;
+    req.headers = headers;
+    req.push(null);
+
+    const res = new http.ServerResponse(req);
+    const chunks = [];
+    let finished = false;
+
+    const capture = (chunk, encoding) => {
+      if (
+        chunk !== undefined &&
+        chunk !== null &&
+        typeof chunk !== "function"
+      ) {
+        chunks.push(
+          Buffer.isBuffer(chunk)
+            ? chunk
+            : Buffer.from(
+                chunk,
+                typeof encoding === "string" ? encoding : "utf8"
+              )
+        );
+      }
+    };
+    const finish = (status) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      resolve({
+        status,
+        contentType: res.getHeader("Content-Type") || null,
+        body: Buffer.concat(chunks),
+      });
+      res.emit("finish");
+      res.emit("close");
+    };
+
+    res.write = (chunk, encoding) => {
+      capture(chunk, encoding);
+      return true;
+    };
+    res.end = (chunk, encoding) => {
+      capture(chunk, encoding);
+      finish(res.statusCode);
+      return res;
+    };
+    app(req, res);
+  });
+}
+
+// JSON bodies are returned parsed, anything else (the docs page) as text
+function decodeBody({ contentType, body }) {
+  if (body.length === 0) {
+    return null;
+  }
+  const text = body.toString("utf8");
+  if (contentType && /json/.test(contentType)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+}
+
+// Handler for POST /batch. The body is an array of at most maxRequests
+// { path, query } items; the response lists { path, status, body } for
+// each, in order. Sub-requests run one after another and share the batch's
+// request id, suffixed with their index. GeoJSON is requested with
+// format=geojson rather than the Accept header; CSV and NDJSON exports are
+// refused.
+function createBatchHandler(app, { maxRequests }) {
+  return async (req, res, next) => {
+    try {
+      const items = req.body;
+      if (!Array.isArray(items)) {
+        throw invalidParameter(
+          "body",
+          "Request body must be an array of { path, query } objects"
+        );
+      }
+      if (items.length === 0 || items.length > maxRequests) {
+        throw invalidParameter(
+          "body",
+          `A batch must contain between 1 and ${maxRequests} requests`
+        );
+      }
+      const urls = items.map(subRequestUrl);
+
+      const results = [];
+      for (const [index, url] of urls.entries()) {
+        const response = await dispatch(app, url, {
+          accept: "application/json",
+          "x-request-id": `${req.id}.${index}`,
+        });
+        results.push({
+          path: url,
+          status: response.status,
+          body: decodeBody(response),
+        });
+      }
+
+      res.json({ count: results.length, results });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  createBatchHandler,
+};
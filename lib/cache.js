@@ -0,0 +1,318 @@
+// Caching for a database that never changes while the server runs:
+// a bounded LRU of finished responses, a statement cache for dynamically
+// built SQL, and strong ETags derived from the database checksum.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const {
+  COMPRESSION_THRESHOLD,
+  negotiateEncoding,
+  compressBuffer,
+} = require("./compression");
+
+// Map-backed LRU: iteration order is insertion order, so the first key is
+// always the least recently used. Bounded by entry count and total size.
+class LruCache {
+  constructor({ maxEntries = 500, maxBytes = Infinity } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+    this.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  // The value without counting a lookup or refreshing its position
+  peek(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.value;
+  }
+
+  // Returns false if the value alone exceeds maxBytes and was not stored
+  set(key, value, size = 0) {
+    this.delete(key);
+    if (size > this.maxBytes) {
+      return false;
+    }
+
+    this.entries.set(key, { value, size });
+    this.bytes += size;
+
+    while (
+      this.entries.size > this.maxEntries ||
+      (this.bytes > this.maxBytes && this.entries.size > 1)
+    ) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this.entries.delete(oldestKey);
+      this.bytes -= oldest.size;
+      this.evictions++;
+    }
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.bytes -= entry.size;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      max_entries: this.maxEntries,
+      bytes: this.bytes,
+      max_bytes: Number.isFinite(this.maxBytes) ? this.maxBytes : null,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hit_rate: lookups ? Math.round((this.hits / lookups) * 1000) / 1000 : 0,
+    };
+  }
+}
+
+// SHA-256 of a file, read in chunks so large databases are never held in
+// memory at once
+function fileChecksum(filePath) {
+  const hash = crypto.createHash("sha256");
+  const buffer = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest("hex");
+}
+
+// Compiled statements for SQL that is built per request, keyed on the SQL
+// text. Filters only change the bound parameters, so the number of distinct
+// statements stays small.
+function createStatementCache(db, maxEntries = 200) {
+  const statements = new LruCache({ maxEntries });
+
+  return {
+    prepare(sql) {
+      let statement = statements.get(sql);
+      if (!statement) {
+        statement = db.prepare(sql);
+        statements.set(sql, statement);
+      }
+      return statement;
+    },
+    stats: () => statements.stats(),
+  };
+}
+
+// Normalize a request to a cache key: path plus query parameters in sorted
+// order, ignoring empty values, plus the negotiated variant (if any)
+function cacheKey(req, variant) {
+  const query = new URLSearchParams();
+  for (const name of Object.keys(req.query).sort()) {
+    for (const value of [].concat(req.query[name])) {
+      if (typeof value === "string" && value !== "") {
+        query.append(name, value);
+      }
+    }
+  }
+  return `${req.path}?${query}#${variant}`;
+}
+
+// Strong ETags differ per content coding, so compressed representations
+// get a suffix
+function representationTag(baseTag, encoding) {
+  return encoding === "identity" ? `"${baseTag}"` : `"${baseTag}-${encoding}"`;
+}
+
+function setRepresentationTag(res, encoding) {
+  if (res.locals.baseTag) {
+    res.setHeader("ETag", representationTag(res.locals.baseTag, encoding));
+  }
+}
+
+// The first of encodings whose representation of baseTag is listed in
+// If-None-Match, or null. Weak tags compare equal to strong ones here.
+function notModifiedEncoding(req, baseTag, encodings) {
+  const header = req.get("If-None-Match");
+  if (!header) {
+    return null;
+  }
+  const tags = header.split(",").map((tag) => tag.trim().replace(/^W\//, ""));
+  if (tags.includes("*")) {
+    return encodings[0];
+  }
+  return (
+    encodings.find((encoding) =>
+      tags.includes(representationTag(baseTag, encoding))
+    ) || null
+  );
+}
+
+// Response cache middleware for GET and HEAD requests. Every successful
+// response is a pure function of the database version and the request, so
+// it can be served from memory and revalidated without running the
+// handler. Options:
+// - version: database checksum, changes every ETag when the data changes
+// - maxEntries, maxBytes: LRU bounds
+// - maxAge: Cache-Control max-age in seconds
+// - variant(req): extra key component for content negotiated on headers
+// - skip(req): true for responses that must not be cached
+// - streamed(req): true for responses streamed with the negotiated
+//   encoding whatever their size, such as exports
+// A 304 carries the ETag of the representation a 200 would have sent, so
+// it only answers a tag for the encoding this request negotiates.
+function createResponseCache(options) {
+  const {
+    version,
+    maxEntries,
+    maxBytes,
+    maxAge = 300,
+    variant = () => "",
+    skip = () => false,
+    streamed = () => false,
+  } = options;
+  const responses = new LruCache({ maxEntries, maxBytes });
+  let notModified = 0;
+
+  const entrySize = (entry) =>
+    entry.body.length +
+    Object.values(entry.encoded).reduce((sum, body) => sum + body.length, 0);
+
+  // Small bodies are sent as they are, larger ones compressed
+  const entryEncoding = (entry, negotiated) =>
+    entry.body.length >= COMPRESSION_THRESHOLD ? negotiated : "identity";
+
+  // Send a cached entry, compressing it once per encoding on first use
+  function sendEntry(req, res, key, entry) {
+    const encoding = entryEncoding(entry, negotiateEncoding(req));
+    let body = entry.body;
+
+    if (encoding !== "identity") {
+      if (!entry.encoded[encoding]) {
+        entry.encoded[encoding] = compressBuffer(entry.body, encoding);
+        responses.set(key, entry, entrySize(entry));
+      }
+      body = entry.encoded[encoding];
+      res.setHeader("Content-Encoding", encoding);
+    }
+
+    setRepresentationTag(res, encoding);
+    res.setHeader("Content-Type", entry.contentType);
+    res.setHeader("Content-Length", body.length);
+    res.status(200).end(body);
+  }
+
+  function middleware(req, res, next) {
+    if ((req.method !== "GET" && req.method !== "HEAD") || skip(req)) {
+      res.setHeader("Cache-Control", "no-store");
+      return next();
+    }
+
+    const key = cacheKey(req, variant(req));
+    const baseTag = `${version.slice(0, 12)}-${crypto
+      .createHash("sha1")
+      .update(key)
+      .digest("base64url")
+      .slice(0, 16)}`;
+
+    res.locals.baseTag = baseTag;
+    res.setHeader("Cache-Control", `public, max-age=${maxAge}`);
+    res.vary("Accept");
+    res.vary("Accept-Encoding");
+    setRepresentationTag(res, "identity");
+
+    // The encodings a 200 could use: the negotiated one for a streamed or
+    // large body, identity for a small one. Without a cached body the size
+    // is unknown, so either may match.
+    const negotiated = negotiateEncoding(req);
+    const entry = responses.peek(key);
+    let encodings;
+    if (streamed(req)) {
+      encodings = [negotiated];
+    } else if (entry) {
+      encodings = [entryEncoding(entry, negotiated)];
+    } else {
+      encodings = [negotiated, "identity"];
+    }
+    const matched = notModifiedEncoding(req, baseTag, encodings);
+    if (matched) {
+      notModified++;
+      setRepresentationTag(res, matched);
+      return res.status(304).end();
+    }
+
+    const cached = responses.get(key);
+    if (cached) {
+      res.setHeader("X-Cache", "HIT");
+      return sendEntry(req, res, key, cached);
+    }
+    res.setHeader("X-Cache", "MISS");
+
+    // Capture the body of a successful response; errors pass through
+    // uncached. Streamed responses never call send() and are not cached.
+    const send = res.send;
+    res.send = function (body) {
+      if (body !== null && typeof body === "object" && !Buffer.isBuffer(body)) {
+        return this.json(body);
+      }
+      res.send = send;
+
+      if (res.statusCode !== 200 || body === undefined) {
+        res.removeHeader("ETag");
+        res.setHeader("Cache-Control", "no-store");
+        return send.call(this, body);
+      }
+
+      if (!res.get("Content-Type")) {
+        res.type(typeof body === "string" ? "html" : "bin");
+      }
+      const entry = {
+        contentType: res.get("Content-Type"),
+        body: Buffer.from(body),
+        encoded: {},
+      };
+      responses.set(key, entry, entry.body.length);
+      sendEntry(req, res, key, entry);
+      return res;
+    };
+
+    next();
+  }
+
+  return {
+    middleware,
+    stats: () => ({ ...responses.stats(), not_modified: notModified }),
+    clear: () => responses.clear(),
+  };
+}
+
+module.exports = {
+  LruCache,
+  fileChecksum,
+  createStatementCache,
+  createResponseCache,
+  setRepresentationTag,
+};
@@ -0,0 +1,177 @@
+// Network centrality of airports over the directed route graph.
+// Betweenness and closeness use hop counts (each non-stop route is one
+// step), so they measure how central an airport is to connecting the
+// network rather than how far it is from everything.
+
+// Compute hub metrics for the airports touched by `edges` (route graph
+// edges, see graph.js). Returns a Map of IATA code to
+// { degree, weighted_degree, betweenness, closeness, connecting_pairs }:
+// - degree: distinct airports served non-stop, in either direction
+// - weighted_degree: departures plus arrivals, counted once per operating
+//   airline
+// - betweenness: share of shortest paths between other airports passing
+//   through it (Brandes' algorithm, normalized to 0..1)
+// - closeness: harmonic closeness, the average of 1/hops to every other
+//   airport (0..1, unreachable airports count as 0)
+// - connecting_pairs: origin-destination pairs without a non-stop route that
+//   can connect through it with one stop
+function computeHubMetrics(edges) {
+  // Airport indexes are below 2^21, so a pair fits in one safe integer
+  const pairKey = (from, to) => from * 2097152 + to;
+  const index = new Map();
+  const iatas = [];
+  const indexOf = (iata) => {
+    if (!index.has(iata)) {
+      index.set(iata, iatas.length);
+      iatas.push(iata);
+    }
+    return index.get(iata);
+  };
+
+  // Distinct directed airport pairs; parallel routes are one step
+  const weightedDegree = new Map();
+  const pairs = new Set();
+  const pairList = [];
+  for (const edge of edges) {
+    const from = indexOf(edge.departure_iata);
+    const to = indexOf(edge.arrival_iata);
+    const services = edge.airline_ids.length;
+    weightedDegree.set(from, (weightedDegree.get(from) || 0) + services);
+    weightedDegree.set(to, (weightedDegree.get(to) || 0) + services);
+
+    const key = pairKey(from, to);
+    if (from !== to && !pairs.has(key)) {
+      pairs.add(key);
+      pairList.push([from, to]);
+    }
+  }
+
+  const n = iatas.length;
+  const outgoing = toAdjacency(n, pairList, 0, 1);
+  const incoming = toAdjacency(n, pairList, 1, 0);
+
+  const { betweenness, closeness } = shortestPathCentrality(
+    n,
+    outgoing,
+    incoming
+  );
+
+  const metrics = new Map();
+  for (let v = 0; v < n; v++) {
+    const neighbours = new Set([
+      ...outgoing.targets.subarray(
+        outgoing.offsets[v],
+        outgoing.offsets[v + 1]
+      ),
+      ...incoming.targets.subarray(
+        incoming.offsets[v],
+        incoming.offsets[v + 1]
+      ),
+    ]);
+
+    let connectingPairs = 0;
+    for (let i = incoming.offsets[v]; i < incoming.offsets[v + 1]; i++) {
+      const origin = incoming.targets[i];
+      for (let j = outgoing.offsets[v]; j < outgoing.offsets[v + 1]; j++) {
+        const destination = outgoing.targets[j];
+        if (
+          origin !== destination &&
+          !pairs.has(pairKey(origin, destination))
+        ) {
+          connectingPairs++;
+        }
+      }
+    }
+
+    metrics.set(iatas[v], {
+      degree: neighbours.size,
+      weighted_degree: weightedDegree.get(v) || 0,
+      betweenness: betweenness[v],
+      closeness: closeness[v],
+      connecting_pairs: connectingPairs,
+    });
+  }
+
+  return metrics;
+}
+
+// Compressed adjacency lists: the neighbours of v are
+// targets[offsets[v]] .. targets[offsets[v + 1] - 1]
+function toAdjacency(n, pairList, fromIndex, toIndex) {
+  const offsets = new Int32Array(n + 1);
+  for (const pair of pairList) {
+    offsets[pair[fromIndex] + 1]++;
+  }
+  for (let v = 0; v < n; v++) {
+    offsets[v + 1] += offsets[v];
+  }
+
+  const targets = new Int32Array(pairList.length);
+  const next = offsets.slice(0, n);
+  for (const pair of pairList) {
+    targets[next[pair[fromIndex]]++] = pair[toIndex];
+  }
+  return { offsets, targets };
+}
+
+// Brandes' betweenness and harmonic closeness from one BFS per airport
+function shortestPathCentrality(n, outgoing, incoming) {
+  const betweenness = new Float64Array(n);
+  const closeness = new Float64Array(n);
+  const distance = new Int32Array(n);
+  const sigma = new Float64Array(n);
+  const delta = new Float64Array(n);
+  const order = new Int32Array(n);
+
+  for (let source = 0; source < n; source++) {
+    distance.fill(-1);
+    sigma.fill(0);
+    delta.fill(0);
+    distance[source] = 0;
+    sigma[source] = 1;
+
+    // BFS; `order` doubles as the queue and the visiting order
+    let head = 0;
+    let tail = 0;
+    order[tail++] = source;
+    let harmonic = 0;
+    while (head < tail) {
+      const v = order[head++];
+      for (let i = outgoing.offsets[v]; i < outgoing.offsets[v + 1]; i++) {
+        const w = outgoing.targets[i];
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          harmonic += 1 / distance[w];
+          order[tail++] = w;
+        }
+        if (distance[w] === distance[v] + 1) {
+          sigma[w] += sigma[v];
+        }
+      }
+    }
+    closeness[source] = n > 1 ? harmonic / (n - 1) : 0;
+
+    // Accumulate dependencies in reverse BFS order
+    for (let k = tail - 1; k > 0; k--) {
+      const w = order[k];
+      for (let i = incoming.offsets[w]; i < incoming.offsets[w + 1]; i++) {
+        const v = incoming.targets[i];
+        if (distance[v] >= 0 && distance[v] === distance[w] - 1) {
+          delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+        }
+      }
+      betweenness[w] += delta[w];
+    }
+  }
+
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+  for (let v = 0; v < n; v++) {
+    betweenness[v] *= scale;
+  }
+
+  return { betweenness, closeness };
+}
+
+module.exports = {
+  computeHubMetrics,
+};
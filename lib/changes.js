@@ -0,0 +1,107 @@
+// Route changes between two versions of the database. Route ids are not
+// stable when the database is rebuilt, so routes are matched on their
+// departure and arrival airports, and airlines on their code and name.
+
+// Every route in a database with the airlines operating it, keyed on
+// "DEP-ARR"
+function loadRouteSnapshot(db) {
+  const routes = new Map();
+  const rows = db
+    .prepare(
+      `
+      SELECT
+        route_id,
+        departure_iata, departure_city, departure_country,
+        arrival_iata, arrival_city, arrival_country,
+        distance_km, duration_min,
+        airline_iata, airline_name
+      FROM route_details
+      ORDER BY departure_iata, arrival_iata, airline_name
+    `
+    )
+    .iterate();
+
+  for (const { airline_iata, airline_name, ...route } of rows) {
+    const key = `${route.departure_iata}-${route.arrival_iata}`;
+    if (!routes.has(key)) {
+      routes.set(key, { ...route, airlines: [] });
+    }
+    routes.get(key).airlines.push({ iata: airline_iata, name: airline_name });
+  }
+  return routes;
+}
+
+const airlineKey = (airline) => `${airline.iata || ""}|${airline.name}`;
+
+// Airlines in `airlines` that are not in `others`
+function airlinesMissingFrom(airlines, others) {
+  const keys = new Set(others.map(airlineKey));
+  return airlines.filter((airline) => !keys.has(airlineKey(airline)));
+}
+
+function changeRecord(change, route, airlinesAdded, airlinesRemoved) {
+  const { airlines, ...details } = route;
+  return {
+    change,
+    ...details,
+    airlines_added: airlinesAdded,
+    airlines_removed: airlinesRemoved,
+  };
+}
+
+// Changes from the previous to the current snapshot, ordered by departure
+// and arrival airport:
+// - added: a route that did not exist, with all its airlines as added
+// - removed: a route that no longer exists, with all its airlines as
+//   removed (and its previous route_id)
+// - changed: a route that airlines started or stopped operating
+function diffRouteSnapshots(previous, current) {
+  const changes = [];
+
+  for (const [key, route] of current) {
+    const before = previous.get(key);
+    if (!before) {
+      changes.push(changeRecord("added", route, route.airlines, []));
+      continue;
+    }
+    const added = airlinesMissingFrom(route.airlines, before.airlines);
+    const removed = airlinesMissingFrom(before.airlines, route.airlines);
+    if (added.length > 0 || removed.length > 0) {
+      changes.push(changeRecord("changed", route, added, removed));
+    }
+  }
+  for (const [key, route] of previous) {
+    if (!current.has(key)) {
+      changes.push(changeRecord("removed", route, [], route.airlines));
+    }
+  }
+
+  return changes.sort(
+    (a, b) =>
+      a.departure_iata.localeCompare(b.departure_iata) ||
+      a.arrival_iata.localeCompare(b.arrival_iata)
+  );
+}
+
+// Counts of route and airline changes
+function summarizeChanges(changes) {
+  const summary = {
+    routes_added: 0,
+    routes_removed: 0,
+    routes_changed: 0,
+    airlines_added: 0,
+    airlines_removed: 0,
+  };
+  for (const change of changes) {
+    summary[`routes_${change.change}`]++;
+    summary.airlines_added += change.airlines_added.length;
+    summary.airlines_removed += change.airlines_removed.length;
+  }
+  return summary;
+}
+
+module.exports = {
+  loadRouteSnapshot,
+  diffRouteSnapshots,
+  summarizeChanges,
+};
@@ -0,0 +1,123 @@
+// Cities and metro areas. A city is every airport sharing a city_name
+// within one country; metro areas (see metro-areas.json) add airports that
+// serve the same city under another name, such as Newark for New York.
+
+const fs = require("fs");
+const { normalize } = require("./search");
+
+// Load metro area definitions: a JSON array of { name, airports }, where
+// airports are IATA codes
+function loadMetroAreas(filePath) {
+  const metroAreas = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(metroAreas)) {
+    throw new Error(`${filePath} must contain an array of metro areas`);
+  }
+  for (const metro of metroAreas) {
+    if (typeof metro.name !== "string" || !Array.isArray(metro.airports)) {
+      throw new Error(
+        `${filePath}: every metro area needs a name and an airports array`
+      );
+    }
+  }
+  return metroAreas;
+}
+
+// Build the city index from airportsByIata and metro areas. A metro area
+// belongs to the country of its first known airport and extends the city of
+// the same name there (or creates it); codes missing from the database are
+// ignored. departureCounts maps IATA codes to their number of departing
+// routes.
+function buildCityIndex(airportsByIata, metroAreas = [], departureCounts) {
+  const cities = new Map();
+
+  const cityFor = (name, airport) => {
+    const key = `${normalize(name)}|${airport.country}`;
+    if (!cities.has(key)) {
+      cities.set(key, {
+        city: name,
+        country: airport.country,
+        country_code: airport.country_code,
+        continent: airport.continent,
+        metro: false,
+        airports: [],
+      });
+    }
+    return cities.get(key);
+  };
+
+  const addAirport = (city, airport) => {
+    if (!city.airports.some((member) => member.iata === airport.iata)) {
+      city.airports.push({
+        iata: airport.iata,
+        name: airport.name,
+        city_name: airport.city_name,
+        departures: departureCounts.get(airport.iata) || 0,
+      });
+    }
+  };
+
+  for (const airport of airportsByIata.values()) {
+    if (airport.city_name) {
+      addAirport(cityFor(airport.city_name, airport), airport);
+    }
+  }
+
+  for (const metro of metroAreas) {
+    const members = metro.airports
+      .map((iata) => airportsByIata.get(String(iata).toUpperCase()))
+      .filter(Boolean);
+    if (members.length === 0) {
+      continue;
+    }
+    const city = cityFor(metro.name, members[0]);
+    city.metro = true;
+    members.forEach((airport) => addAirport(city, airport));
+  }
+
+  const byName = new Map();
+  for (const [key, entry] of cities) {
+    const { airports, ...details } = entry;
+    airports.sort(
+      (a, b) => b.departures - a.departures || a.iata.localeCompare(b.iata)
+    );
+    const city = {
+      ...details,
+      airport_count: airports.length,
+      departures: airports.reduce(
+        (sum, airport) => sum + airport.departures,
+        0
+      ),
+      airports,
+    };
+    cities.set(key, city);
+
+    const name = normalize(city.city);
+    if (!byName.has(name)) {
+      byName.set(name, []);
+    }
+    byName.get(name).push(city);
+  }
+
+  const list = [...cities.values()].sort(
+    (a, b) =>
+      String(a.country).localeCompare(String(b.country)) ||
+      a.city.localeCompare(b.city)
+  );
+
+  return {
+    size: list.length,
+    cities: list,
+    // Cities with this name (case and accent insensitive), optionally only
+    // in one country. A name can match cities in several countries.
+    lookup(name, country = null) {
+      return (byName.get(normalize(name)) || []).filter(
+        (city) => !country || city.country === country
+      );
+    },
+  };
+}
+
+module.exports = {
+  loadMetroAreas,
+  buildCityIndex,
+};
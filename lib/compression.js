@@ -0,0 +1,52 @@
+// gzip and brotli compression of large responses.
+// Buffered responses are compressed once and cached per encoding by the
+// response cache; streamed exports are piped through a compression stream.
+
+const zlib = require("zlib");
+
+// Responses smaller than this are sent uncompressed
+const COMPRESSION_THRESHOLD = 1024;
+
+// Brotli's default quality (11) is too slow for on-the-fly compression
+const BROTLI_OPTIONS = {
+  params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 },
+};
+
+// Pick the encoding for a response: brotli, then gzip, else identity.
+// Clients that send no Accept-Encoding header get identity.
+function negotiateEncoding(req) {
+  if (!req.get("Accept-Encoding")) {
+    return "identity";
+  }
+  return req.acceptsEncodings(["br", "gzip"]) || "identity";
+}
+
+function compressBuffer(buffer, encoding) {
+  switch (encoding) {
+    case "br":
+      return zlib.brotliCompressSync(buffer, BROTLI_OPTIONS);
+    case "gzip":
+      return zlib.gzipSync(buffer);
+    default:
+      return buffer;
+  }
+}
+
+// Returns a transform stream for the encoding, or null for identity
+function createCompressionStream(encoding) {
+  switch (encoding) {
+    case "br":
+      return zlib.createBrotliCompress(BROTLI_OPTIONS);
+    case "gzip":
+      return zlib.createGzip();
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  COMPRESSION_THRESHOLD,
+  negotiateEncoding,
+  compressBuffer,
+  createCompressionStream,
+};
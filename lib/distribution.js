@@ -0,0 +1,74 @@
+// Summary statistics of a numeric column: range, mean, percentiles and an
+// equal-width histogram. Used by /analytics/distribution on one value per
+// route.
+
+const DEFAULT_PERCENTILES = [5, 25, 50, 75, 95];
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// Percentile of sorted values, interpolating linearly between the two
+// nearest ranks (the same definition as Excel's PERCENTILE.INC)
+function percentile(sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Histogram of sorted integer values in at most `bins` bins of equal,
+// whole-number width. Each bin covers from (inclusive) to to (exclusive).
+function histogram(sorted, bins) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = Math.max(1, Math.ceil((max - min + 1) / bins));
+  const counts = new Array(Math.ceil((max - min + 1) / width)).fill(0);
+  for (const value of sorted) {
+    counts[Math.floor((value - min) / width)]++;
+  }
+  return counts.map((count, index) => ({
+    from: min + index * width,
+    to: min + (index + 1) * width,
+    count,
+  }));
+}
+
+// Summarize values, ignoring nulls. Percentiles are keyed p5, p50, ...
+function summarizeDistribution(
+  values,
+  { bins = 20, percentiles = DEFAULT_PERCENTILES } = {}
+) {
+  const sorted = values
+    .filter((value) => value !== null && value !== undefined)
+    .sort((a, b) => a - b);
+
+  if (sorted.length === 0) {
+    return {
+      count: 0,
+      min: null,
+      max: null,
+      mean: null,
+      percentiles: Object.fromEntries(percentiles.map((p) => [`p${p}`, null])),
+      histogram: [],
+    };
+  }
+
+  const sum = sorted.reduce((total, value) => total + value, 0);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: round(sum / sorted.length),
+    percentiles: Object.fromEntries(
+      percentiles.map((p) => [`p${p}`, round(percentile(sorted, p))])
+    ),
+    histogram: histogram(sorted, bins),
+  };
+}
+
+module.exports = {
+  DEFAULT_PERCENTILES,
+  summarizeDistribution,
+};
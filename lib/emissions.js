@@ -0,0 +1,155 @@
+// Per-passenger CO2 estimates from flight distance. The factors live in
+// emission-factors.json so they can be updated without code changes:
+// - distance_uplift: multiplier on the great-circle distance for routing
+//   and holding
+// - bands: distance bands in ascending max_distance_km order (null for the
+//   last, open-ended band), each with kg CO2 per passenger-km
+// - cabin_multipliers: share of the aircraft each cabin class takes up,
+//   relative to economy
+// - default_cabin: the cabin used when none is requested
+
+const fs = require("fs");
+
+const isPositiveNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value > 0;
+
+// Load and check an emission factors file; throws on a malformed file so a
+// bad update fails at startup instead of producing wrong numbers
+function loadEmissionFactors(filePath) {
+  const factors = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const fail = (message) => {
+    throw new Error(`${filePath}: ${message}`);
+  };
+
+  if (!isPositiveNumber(factors.distance_uplift)) {
+    fail("distance_uplift must be a positive number");
+  }
+  if (!Array.isArray(factors.bands) || factors.bands.length === 0) {
+    fail("bands must be a non-empty array");
+  }
+  factors.bands.forEach((band, index) => {
+    const last = index === factors.bands.length - 1;
+    if (
+      typeof band.band !== "string" ||
+      !isPositiveNumber(band.kg_co2_per_km)
+    ) {
+      fail("every band needs a name and a positive kg_co2_per_km");
+    }
+    if (
+      last
+        ? band.max_distance_km !== null
+        : !isPositiveNumber(band.max_distance_km)
+    ) {
+      fail(
+        "max_distance_km must be a positive number, and null for the last band"
+      );
+    }
+    if (
+      !last &&
+      index > 0 &&
+      band.max_distance_km <= factors.bands[index - 1].max_distance_km
+    ) {
+      fail("bands must be in ascending max_distance_km order");
+    }
+  });
+  const cabins = Object.entries(factors.cabin_multipliers || {});
+  if (
+    cabins.length === 0 ||
+    !cabins.every(([, value]) => isPositiveNumber(value))
+  ) {
+    fail("cabin_multipliers must map cabin classes to positive numbers");
+  }
+  if (!factors.cabin_multipliers[factors.default_cabin]) {
+    fail("default_cabin must be one of the cabin_multipliers");
+  }
+
+  return factors;
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Build the estimator for loaded factors
+function createEmissionsModel(factors) {
+  const bandFor = (distanceKm) =>
+    factors.bands.find(
+      (band) =>
+        band.max_distance_km === null || distanceKm <= band.max_distance_km
+    );
+
+  // Estimate for one passenger on one flight of distanceKm, or null if the
+  // distance is unknown
+  function estimate(distanceKm, cabin = factors.default_cabin) {
+    if (distanceKm === null || distanceKm === undefined) {
+      return null;
+    }
+    const band = bandFor(distanceKm);
+    return {
+      band: band.band,
+      cabin,
+      co2_kg: round(
+        distanceKm *
+          factors.distance_uplift *
+          band.kg_co2_per_km *
+          factors.cabin_multipliers[cabin]
+      ),
+    };
+  }
+
+  // Estimates for every cabin class, keyed by cabin
+  function estimateByCabin(distanceKm) {
+    return Object.fromEntries(
+      Object.keys(factors.cabin_multipliers).map((cabin) => {
+        const result = estimate(distanceKm, cabin);
+        return [cabin, result ? result.co2_kg : null];
+      })
+    );
+  }
+
+  // Totals over a list of distances (one flight each), with a breakdown by
+  // distance band. Unknown distances are counted as unestimated.
+  function summarize(distances, cabin = factors.default_cabin) {
+    const byBand = Object.fromEntries(
+      factors.bands.map((band) => [band.band, { route_count: 0, co2_kg: 0 }])
+    );
+    let total = 0;
+    let estimated = 0;
+
+    for (const distanceKm of distances) {
+      const result = estimate(distanceKm, cabin);
+      if (!result) {
+        continue;
+      }
+      estimated++;
+      total += result.co2_kg;
+      byBand[result.band].route_count++;
+      byBand[result.band].co2_kg += result.co2_kg;
+    }
+
+    for (const band of Object.values(byBand)) {
+      band.co2_kg = round(band.co2_kg);
+    }
+
+    return {
+      cabin,
+      route_count: distances.length,
+      estimated_route_count: estimated,
+      total_co2_kg: round(total),
+      average_co2_kg: estimated ? round(total / estimated) : null,
+      by_band: byBand,
+    };
+  }
+
+  return {
+    factors,
+    cabins: Object.keys(factors.cabin_multipliers),
+    defaultCabin: factors.default_cabin,
+    estimate,
+    estimateByCabin,
+    summarize,
+  };
+}
+
+module.exports = {
+  loadEmissionFactors,
+  createEmissionsModel,
+};
@@ -0,0 +1,118 @@
+// Error model shared by every endpoint. Handlers throw (or pass to next) an
+// ApiError and the error middleware turns it into a response of the form
+// { error: { code, message, param, request_id } }.
+
+class ApiError extends Error {
+  constructor(status, code, message, param = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.param = param;
+  }
+}
+
+function invalidParameter(param, message) {
+  return new ApiError(400, "INVALID_PARAMETER", message, param);
+}
+
+function missingParameter(param) {
+  return new ApiError(
+    400,
+    "MISSING_PARAMETER",
+    `${param} parameter is required`,
+    param
+  );
+}
+
+function notFound(code, message, param = null) {
+  return new ApiError(404, code, message, param);
+}
+
+// Codes for the client errors Express and body-parser raise themselves
+const CLIENT_ERROR_CODES = {
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+};
+
+function errorBody(req, error) {
+  return {
+    error: {
+      code: error.code,
+      message: error.message,
+      param: error.param,
+      request_id: req.id || null,
+    },
+  };
+}
+
+// Unknown endpoints get the same JSON error shape as everything else
+function notFoundHandler(req, res, next) {
+  next(notFound("NOT_FOUND", `Cannot ${req.method} ${req.path}`));
+}
+
+// Express error middleware: known errors and client errors raised by
+// Express or body-parser (a malformed URI, an oversized or unsupported
+// body) are reported as-is, anything else is logged with the request id and
+// reported as an internal error, logged to logger.error
+function createErrorHandler(logger = console) {
+  return (error, req, res, next) => {
+    if (res.headersSent) {
+      return next(error);
+    }
+
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(errorBody(req, error));
+    }
+
+    // Malformed JSON request bodies from express.json()
+    if (error.type === "entity.parse.failed") {
+      return res
+        .status(400)
+        .json(
+          errorBody(
+            req,
+            new ApiError(400, "INVALID_JSON", "Request body is not valid JSON")
+          )
+        );
+    }
+
+    const status = error.status || error.statusCode;
+    if (status >= 400 && status < 500 && error.expose !== false) {
+      return res
+        .status(status)
+        .json(
+          errorBody(
+            req,
+            new ApiError(
+              status,
+              CLIENT_ERROR_CODES[status] || "INVALID_REQUEST",
+              error.message
+            )
+          )
+        );
+    }
+
+    logger.error(
+      `[${req.id}] Error handling ${req.method} ${req.originalUrl}:`,
+      error
+    );
+    res
+      .status(500)
+      .json(
+        errorBody(
+          req,
+          new ApiError(500, "INTERNAL_ERROR", "Internal server error")
+        )
+      );
+  };
+}
+
+module.exports = {
+  ApiError,
+  invalidParameter,
+  missingParameter,
+  notFound,
+  notFoundHandler,
+  createErrorHandler,
+};
@@ -0,0 +1,210 @@
+// Streaming CSV and NDJSON exports for large route queries.
+// Rows are read with better-sqlite3's iterate() and written as they arrive,
+// honouring backpressure so a slow client never forces the whole result
+// set into memory.
+
+const sqlite3 = require("better-sqlite3");
+const { createCompressionStream } = require("./compression");
+const { ApiError } = require("./errors");
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+};
+
+// Flush buffered rows to the response once they reach this many characters
+const CHUNK_SIZE = 64 * 1024;
+
+// Returns the export format named by the format query parameter, or null
+function getExportFormat(format) {
+  return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)
+    ? format
+    : null;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvValue).join(",") + "\r\n";
+}
+
+// Build a download filename from parts, e.g. ["routes", "LHR"] -> routes-LHR
+function exportFilename(parts, format) {
+  const base = parts
+    .filter(Boolean)
+    .map((part) => String(part).replace(/[^A-Za-z0-9_-]+/g, "_"))
+    .join("-");
+  return `${base}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Read-only connections reserved for exports. Pausing an iterator keeps its
+// connection busy, so exports must not share the handle that serves every
+// other request, and each connection streams one export at a time. The
+// connections are opened up front with the dataset they belong to, so
+// exports read the same file even after it has been replaced on disk.
+function createExportPool(dbPath, size) {
+  const connections = [];
+  try {
+    for (let i = 0; i < size; i++) {
+      connections.push(
+        sqlite3(dbPath, { readonly: true, fileMustExist: true })
+      );
+    }
+  } catch (error) {
+    connections.forEach((connection) => connection.close());
+    throw error;
+  }
+  const idle = [...connections];
+
+  return {
+    connections,
+    // An idle connection, or null if every one is streaming an export
+    acquire: () => idle.pop() || null,
+    release: (connection) => idle.push(connection),
+    // Only called once no export is running
+    close: () => connections.forEach((connection) => connection.close()),
+  };
+}
+
+// Run query on a connection from the export pool and stream the rows,
+// compressed with the given encoding (default: identity). fields limits
+// the output to those columns. jsonColumns hold JSON text, kept as text in
+// CSV and embedded as values in NDJSON. addColumns maps extra column names
+// to functions computing them from a row; objects are written to CSV as
+// JSON text. Failures after the response has started are logged to
+// logger.error. Throws a 503 ApiError if every export connection is busy.
+function streamQuery(
+  res,
+  {
+    pool,
+    query,
+    params,
+    format,
+    filename,
+    requestId,
+    encoding,
+    jsonColumns = [],
+    fields = null,
+    addColumns = {},
+    logger = console,
+  }
+) {
+  const connection = pool.acquire();
+  if (!connection) {
+    throw new ApiError(
+      503,
+      "EXPORTS_BUSY",
+      "Too many exports are running, try again shortly"
+    );
+  }
+  let columns;
+  let iterator;
+  try {
+    const statement = connection.prepare(query);
+    columns = [
+      ...(fields || statement.columns().map((column) => column.name)),
+      ...Object.keys(addColumns),
+    ];
+    iterator = statement.iterate(params);
+  } catch (error) {
+    pool.release(connection);
+    throw error;
+  }
+
+  let finished = false;
+  const cleanup = () => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    iterator.return();
+    pool.release(connection);
+  };
+
+  res.status(200);
+  res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  // Rows are written to the compressor (if any), which is piped to res
+  const compressor = createCompressionStream(encoding);
+  const output = compressor || res;
+  if (compressor) {
+    res.setHeader("Content-Encoding", encoding);
+    compressor.pipe(res);
+  }
+
+  res.on("close", () => {
+    cleanup();
+    if (compressor) {
+      compressor.destroy();
+    }
+  });
+
+  const addRowColumns = (row) => {
+    for (const [column, compute] of Object.entries(addColumns)) {
+      row[column] = compute(row);
+    }
+    return row;
+  };
+
+  const serialize =
+    format === "csv"
+      ? (row) => csvLine(columns.map((column) => row[column]))
+      : (row) => {
+          // JSON text columns are embedded as values, not strings
+          const record = {};
+          for (const column of columns) {
+            record[column] = jsonColumns.includes(column)
+              ? JSON.parse(row[column])
+              : row[column];
+          }
+          return JSON.stringify(record) + "\n";
+        };
+
+  let buffer = format === "csv" ? csvLine(columns) : "";
+
+  const pump = () => {
+    try {
+      while (!finished) {
+        const { value, done } = iterator.next();
+        if (done) {
+          cleanup();
+          output.end(buffer);
+          return;
+        }
+
+        buffer += serialize(addRowColumns(value));
+        if (buffer.length >= CHUNK_SIZE) {
+          const chunk = buffer;
+          buffer = "";
+          if (!output.write(chunk)) {
+            output.once("drain", pump);
+            return;
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(`[${requestId}] Error streaming export:`, error);
+      cleanup();
+      res.destroy(error);
+    }
+  };
+
+  pump();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportFormat,
+  csvLine,
+  exportFilename,
+  createExportPool,
+  streamQuery,
+};
@@ -0,0 +1,231 @@
+// Geographic helpers: great-circle distances and a grid-based spatial index
+// over airport coordinates, built once at startup.
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in kilometres between two points
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Interpolate `points` positions (including both ends) along the great
+// circle between two coordinates. Returns GeoJSON [lon, lat] positions.
+function greatCircleArc(lat1, lon1, lat2, lon2, points = 64) {
+  const phi1 = toRadians(lat1);
+  const lambda1 = toRadians(lon1);
+  const phi2 = toRadians(lat2);
+  const lambda2 = toRadians(lon2);
+  const angle = haversineKm(lat1, lon1, lat2, lon2) / EARTH_RADIUS_KM;
+
+  if (angle === 0 || points < 2) {
+    return [
+      [lon1, lat1],
+      [lon2, lat2],
+    ];
+  }
+
+  const positions = [];
+  for (let i = 0; i < points; i++) {
+    const fraction = i / (points - 1);
+    const a = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+    const b = Math.sin(fraction * angle) / Math.sin(angle);
+    const x =
+      a * Math.cos(phi1) * Math.cos(lambda1) +
+      b * Math.cos(phi2) * Math.cos(lambda2);
+    const y =
+      a * Math.cos(phi1) * Math.sin(lambda1) +
+      b * Math.cos(phi2) * Math.sin(lambda2);
+    const z = a * Math.sin(phi1) + b * Math.sin(phi2);
+    positions.push([
+      (Math.atan2(y, x) * 180) / Math.PI,
+      (Math.atan2(z, Math.sqrt(x * x + y * y)) * 180) / Math.PI,
+    ]);
+  }
+
+  // Keep the exact airport coordinates at both ends
+  positions[0] = [lon1, lat1];
+  positions[positions.length - 1] = [lon2, lat2];
+  return positions;
+}
+
+// Split a line into parts wherever it crosses the antimeridian, so map
+// renderers do not draw it the long way round the globe
+function splitAtAntimeridian(positions) {
+  const parts = [[positions[0]]];
+
+  for (let i = 1; i < positions.length; i++) {
+    const [prevLon, prevLat] = positions[i - 1];
+    const [lon, lat] = positions[i];
+    const delta = lon - prevLon;
+
+    if (Math.abs(delta) > 180) {
+      // Unwrap the longitude to find where the segment meets +/-180
+      const edge = prevLon > 0 ? 180 : -180;
+      const unwrappedLon = lon + (prevLon > 0 ? 360 : -360);
+      const fraction = (edge - prevLon) / (unwrappedLon - prevLon);
+      const crossingLat = prevLat + fraction * (lat - prevLat);
+
+      parts[parts.length - 1].push([edge, crossingLat]);
+      parts.push([[-edge, crossingLat]]);
+    }
+
+    parts[parts.length - 1].push([lon, lat]);
+  }
+
+  return parts;
+}
+
+// Buckets points into cellSize x cellSize degree cells so radius and
+// bounding-box queries only look at nearby cells instead of every airport.
+class SpatialIndex {
+  constructor(points, cellSize = 1) {
+    this.cellSize = cellSize;
+    this.lonCells = Math.ceil(360 / cellSize);
+    this.latCells = Math.ceil(180 / cellSize);
+    this.cells = new Map();
+    this.size = 0;
+
+    for (const point of points) {
+      if (
+        typeof point.latitude !== "number" ||
+        typeof point.longitude !== "number"
+      ) {
+        continue;
+      }
+      const key = this.cellKey(
+        this.latCell(point.latitude),
+        this.lonCell(point.longitude)
+      );
+      if (!this.cells.has(key)) {
+        this.cells.set(key, []);
+      }
+      this.cells.get(key).push(point);
+      this.size++;
+    }
+  }
+
+  latCell(latitude) {
+    const cell = Math.floor((latitude + 90) / this.cellSize);
+    return Math.min(Math.max(cell, 0), this.latCells - 1);
+  }
+
+  lonCell(longitude) {
+    const cell = Math.floor((longitude + 180) / this.cellSize);
+    return ((cell % this.lonCells) + this.lonCells) % this.lonCells;
+  }
+
+  cellKey(latCell, lonCell) {
+    return latCell * this.lonCells + lonCell;
+  }
+
+  // Collect points from every cell in the given cell ranges. lonFrom may be
+  // greater than lonTo when the range wraps around the antimeridian.
+  collect(latFrom, latTo, lonFrom, lonTo) {
+    const results = [];
+    const lonCount =
+      lonFrom <= lonTo
+        ? lonTo - lonFrom + 1
+        : this.lonCells - lonFrom + lonTo + 1;
+
+    for (let latCell = latFrom; latCell <= latTo; latCell++) {
+      for (let i = 0; i < Math.min(lonCount, this.lonCells); i++) {
+        const lonCell = (lonFrom + i) % this.lonCells;
+        const points = this.cells.get(this.cellKey(latCell, lonCell));
+        if (points) {
+          results.push(...points);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  // Points within radiusKm of (latitude, longitude), nearest first, each
+  // returned as { point, distance_km }
+  withinRadius(latitude, longitude, radiusKm) {
+    const latSpan = radiusKm / KM_PER_DEGREE;
+    const minLat = Math.max(latitude - latSpan, -90);
+    const maxLat = Math.min(latitude + latSpan, 90);
+
+    let lonFrom = 0;
+    let lonTo = this.lonCells - 1;
+    // Near the poles the longitude span covers the whole globe
+    const cosLat = Math.cos(
+      toRadians(Math.max(Math.abs(minLat), Math.abs(maxLat)))
+    );
+    const lonSpan = cosLat > 0 ? latSpan / cosLat : 360;
+    if (lonSpan < 180) {
+      lonFrom = this.lonCell(longitude - lonSpan);
+      lonTo = this.lonCell(longitude + lonSpan);
+    }
+
+    return this.collect(
+      this.latCell(minLat),
+      this.latCell(maxLat),
+      lonFrom,
+      lonTo
+    )
+      .map((point) => ({
+        point,
+        distance_km: haversineKm(
+          latitude,
+          longitude,
+          point.latitude,
+          point.longitude
+        ),
+      }))
+      .filter((result) => result.distance_km <= radiusKm)
+      .sort((a, b) => a.distance_km - b.distance_km);
+  }
+
+  // Points inside a bounding box. minLon > maxLon means the box crosses
+  // the antimeridian.
+  withinBoundingBox(minLon, minLat, maxLon, maxLat) {
+    const crossesAntimeridian = minLon > maxLon;
+    const insideLon = (longitude) =>
+      crossesAntimeridian
+        ? longitude >= minLon || longitude <= maxLon
+        : longitude >= minLon && longitude <= maxLon;
+
+    // Longitudes are within [-180, 180] here, so clamp rather than wrap to
+    // keep a box ending at 180 from folding back onto the first cell
+    const lonFrom = Math.min(
+      Math.floor((minLon + 180) / this.cellSize),
+      this.lonCells - 1
+    );
+    const lonTo = Math.min(
+      Math.floor((maxLon + 180) / this.cellSize),
+      this.lonCells - 1
+    );
+
+    return this.collect(
+      this.latCell(minLat),
+      this.latCell(maxLat),
+      lonFrom,
+      lonTo
+    ).filter(
+      (point) =>
+        point.latitude >= minLat &&
+        point.latitude <= maxLat &&
+        insideLon(point.longitude)
+    );
+  }
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  haversineKm,
+  greatCircleArc,
+  splitAtAntimeridian,
+  SpatialIndex,
+};
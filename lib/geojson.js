@@ -0,0 +1,96 @@
+// Conversion of airport and route rows into GeoJSON features
+
+const { greatCircleArc, splitAtAntimeridian } = require("./geo");
+
+const GEOJSON_CONTENT_TYPE = "application/geo+json";
+
+// True when the client asked for GeoJSON via format=geojson or the Accept header
+function wantsGeoJson(req) {
+  if (req.query.format) {
+    return req.query.format === "geojson";
+  }
+  const accept = req.get("Accept") || "";
+  return accept.includes(GEOJSON_CONTENT_TYPE);
+}
+
+const hasCoordinates = (airport) =>
+  airport.latitude !== null &&
+  airport.latitude !== undefined &&
+  airport.longitude !== null &&
+  airport.longitude !== undefined;
+
+// Airports without coordinates get a null geometry, as GeoJSON allows for
+// unlocated features
+function airportFeature(airport) {
+  return {
+    type: "Feature",
+    id: airport.iata,
+    geometry: hasCoordinates(airport)
+      ? {
+          type: "Point",
+          coordinates: [airport.longitude, airport.latitude],
+        }
+      : null,
+    properties: { ...airport },
+  };
+}
+
+// Great-circle geometry between two airports, split at the antimeridian.
+// Returns null when either airport has no coordinates.
+function arcGeometry(departure, arrival, points) {
+  if (
+    !departure ||
+    !arrival ||
+    !hasCoordinates(departure) ||
+    !hasCoordinates(arrival)
+  ) {
+    return null;
+  }
+
+  const parts = splitAtAntimeridian(
+    greatCircleArc(
+      departure.latitude,
+      departure.longitude,
+      arrival.latitude,
+      arrival.longitude,
+      points
+    )
+  );
+
+  return parts.length === 1
+    ? { type: "LineString", coordinates: parts[0] }
+    : { type: "MultiLineString", coordinates: parts };
+}
+
+// airportsByIata maps IATA codes to rows carrying latitude and longitude
+function routeFeature(route, airportsByIata, points) {
+  return {
+    type: "Feature",
+    id: route.route_id,
+    geometry: arcGeometry(
+      airportsByIata.get(route.departure_iata),
+      airportsByIata.get(route.arrival_iata),
+      points
+    ),
+    properties: { ...route },
+  };
+}
+
+// Wrap features in a FeatureCollection, keeping any metadata such as
+// pagination as foreign members
+function featureCollection(features, metadata = {}) {
+  return {
+    type: "FeatureCollection",
+    ...metadata,
+    features,
+  };
+}
+
+module.exports = {
+  GEOJSON_CONTENT_TYPE,
+  wantsGeoJson,
+  airportFeature,
+  arcGeometry,
+  routeFeature,
+  featureCollection,
+};
@@ -0,0 +1,358 @@
+// In-memory route graph built from the read-only database.
+// The data never changes while the server runs, so we load it once and
+// answer graph-style questions (connections, reachability) without SQL.
+
+function buildRouteGraph(db) {
+  const airlines = new Map();
+  for (const airline of db
+    .prepare("SELECT id, iata, name FROM airlines")
+    .iterate()) {
+    airlines.set(airline.id, airline);
+  }
+
+  const edges = new Map();
+  const rows = db
+    .prepare(
+      `
+    SELECT r.id AS route_id, r.departure_iata, r.arrival_iata,
+           r.distance_km, r.duration_min, ra.airline_id
+    FROM routes r
+    JOIN route_airlines ra ON ra.route_id = r.id
+  `
+    )
+    .iterate();
+
+  for (const row of rows) {
+    let edge = edges.get(row.route_id);
+    if (!edge) {
+      edge = {
+        route_id: row.route_id,
+        departure_iata: row.departure_iata,
+        arrival_iata: row.arrival_iata,
+        distance_km: row.distance_km,
+        duration_min: row.duration_min,
+        airline_ids: [],
+      };
+      edges.set(row.route_id, edge);
+    }
+    edge.airline_ids.push(row.airline_id);
+  }
+
+  const outgoing = new Map();
+  const incoming = new Map();
+  const byAirline = new Map();
+  for (const edge of edges.values()) {
+    for (const airlineId of edge.airline_ids) {
+      if (!byAirline.has(airlineId)) {
+        byAirline.set(airlineId, []);
+      }
+      byAirline.get(airlineId).push(edge);
+    }
+
+    if (!outgoing.has(edge.departure_iata)) {
+      outgoing.set(edge.departure_iata, []);
+    }
+    outgoing.get(edge.departure_iata).push(edge);
+
+    if (!incoming.has(edge.arrival_iata)) {
+      incoming.set(edge.arrival_iata, []);
+    }
+    incoming.get(edge.arrival_iata).push(edge);
+  }
+
+  return { airlines, edges, outgoing, incoming, byAirline };
+}
+
+// Build a predicate on airline ids. airlineIds is an array of ids (any of
+// them matches), airlineName is a case-insensitive substring, mirroring the
+// LIKE filter used on /routes.
+function createAirlineMatcher(graph, { airlineIds, airlineName } = {}) {
+  const idSet =
+    airlineIds && airlineIds.length > 0 ? new Set(airlineIds) : null;
+  const needle = airlineName ? airlineName.toLowerCase() : null;
+
+  if (!idSet && !needle) {
+    return null;
+  }
+
+  return (airlineId) => {
+    if (idSet && !idSet.has(airlineId)) {
+      return false;
+    }
+    if (needle) {
+      const airline = graph.airlines.get(airlineId);
+      return Boolean(
+        airline && airline.name && airline.name.toLowerCase().includes(needle)
+      );
+    }
+    return true;
+  };
+}
+
+// Build a predicate that keeps only edges operated by a matching airline
+function createAirlineFilter(graph, options) {
+  const matchesAirline = createAirlineMatcher(graph, options);
+  if (!matchesAirline) {
+    return () => true;
+  }
+  return (edge) => edge.airline_ids.some(matchesAirline);
+}
+
+// Total distance of a list of legs, or null if a leg's distance is unknown
+function totalDistance(legs) {
+  if (legs.some((leg) => leg.distance_km === null)) {
+    return null;
+  }
+  return legs.reduce((sum, leg) => sum + leg.distance_km, 0);
+}
+
+// Order distances ascending, with unknown (null) distances last
+const compareDistances = (a, b) => (a === null) - (b === null) || a - b;
+
+// Find one- and two-stop (and direct) itineraries between two airports.
+// Total duration includes minConnection minutes for every stop. Legs with
+// an unknown duration are skipped, as in findReachable; a leg with an
+// unknown distance makes the total distance null, and such itineraries come
+// after the others of the same duration and stops.
+function findItineraries(
+  graph,
+  from,
+  to,
+  { maxStops = 1, minConnection = 60, maxDuration = null, filter = () => true }
+) {
+  const itineraries = [];
+  const usable = (edge) => edge.duration_min !== null && filter(edge);
+  const outgoing = (iata) => (graph.outgoing.get(iata) || []).filter(usable);
+
+  // Index the final legs into the destination by their departure airport
+  const finalLegs = new Map();
+  for (const edge of (graph.incoming.get(to) || []).filter(usable)) {
+    if (edge.departure_iata === from) {
+      continue;
+    }
+    if (!finalLegs.has(edge.departure_iata)) {
+      finalLegs.set(edge.departure_iata, []);
+    }
+    finalLegs.get(edge.departure_iata).push(edge);
+  }
+
+  const addItinerary = (legs) => {
+    const stops = legs.length - 1;
+    const flightDuration = legs.reduce((sum, leg) => sum + leg.duration_min, 0);
+    const totalDuration = flightDuration + stops * minConnection;
+
+    if (maxDuration !== null && totalDuration > maxDuration) {
+      return;
+    }
+
+    itineraries.push({
+      stops,
+      via: legs.slice(1).map((leg) => leg.departure_iata),
+      total_distance_km: totalDistance(legs),
+      flight_duration_min: flightDuration,
+      connection_min: stops * minConnection,
+      total_duration_min: totalDuration,
+      legs,
+    });
+  };
+
+  for (const first of outgoing(from)) {
+    const hub = first.arrival_iata;
+
+    if (hub === to) {
+      addItinerary([first]);
+      continue;
+    }
+
+    if (maxStops >= 1) {
+      for (const last of finalLegs.get(hub) || []) {
+        addItinerary([first, last]);
+      }
+    }
+
+    if (maxStops >= 2) {
+      for (const second of outgoing(hub)) {
+        const secondHub = second.arrival_iata;
+        if (secondHub === from || secondHub === to) {
+          continue;
+        }
+        for (const last of finalLegs.get(secondHub) || []) {
+          addItinerary([first, second, last]);
+        }
+      }
+    }
+  }
+
+  itineraries.sort(
+    (a, b) =>
+      a.total_duration_min - b.total_duration_min ||
+      a.stops - b.stops ||
+      compareDistances(a.total_distance_km, b.total_distance_km)
+  );
+
+  return itineraries;
+}
+
+// Every airport reachable from `from` within maxDuration minutes (including
+// minConnection minutes per stop) with at most maxStops stops. Each airport
+// gets its fastest connection; ties go to fewer stops.
+// Labels are relaxed one leg at a time, so the cost is O(E) per allowed
+// leg. A label that is not faster than one with fewer legs is dropped, since
+// any extension of it is beaten by the same extension of the faster label.
+function findReachable(
+  graph,
+  from,
+  { maxStops = 1, minConnection = 60, maxDuration, filter = () => true }
+) {
+  const bestDuration = new Map([[from, 0]]);
+  // layers[k] maps an airport to its label after k + 1 legs
+  const layers = [];
+  let frontier = new Map([[from, { duration: 0, edge: null }]]);
+
+  for (let stops = 0; stops <= maxStops && frontier.size > 0; stops++) {
+    const layer = new Map();
+
+    for (const [iata, label] of frontier) {
+      const departAt = label.duration + (stops > 0 ? minConnection : 0);
+
+      for (const edge of graph.outgoing.get(iata) || []) {
+        if (edge.duration_min === null || !filter(edge)) {
+          continue;
+        }
+        const duration = departAt + edge.duration_min;
+        const best = bestDuration.get(edge.arrival_iata);
+        if (
+          duration > maxDuration ||
+          (best !== undefined && best <= duration)
+        ) {
+          continue;
+        }
+        bestDuration.set(edge.arrival_iata, duration);
+        layer.set(edge.arrival_iata, { duration, edge });
+      }
+    }
+
+    layers.push(layer);
+    frontier = layer;
+  }
+
+  // The last layer that improved an airport holds its fastest label
+  const results = new Map();
+  layers.forEach((layer, stops) => {
+    for (const [iata, label] of layer) {
+      const legs = [label.edge];
+      for (let k = stops - 1; k >= 0; k--) {
+        legs.unshift(layers[k].get(legs[0].departure_iata).edge);
+      }
+
+      results.set(iata, {
+        iata,
+        total_duration_min: label.duration,
+        stops,
+        total_distance_km: totalDistance(legs),
+        path: [from, ...legs.map((leg) => leg.arrival_iata)],
+        route_ids: legs.map((leg) => leg.route_id),
+      });
+    }
+  });
+
+  return [...results.values()].sort(
+    (a, b) =>
+      a.total_duration_min - b.total_duration_min ||
+      a.stops - b.stops ||
+      a.iata.localeCompare(b.iata)
+  );
+}
+
+const edgeSummary = (edge) => ({
+  route_id: edge.route_id,
+  departure_iata: edge.departure_iata,
+  arrival_iata: edge.arrival_iata,
+  distance_km: edge.distance_km,
+  duration_min: edge.duration_min,
+});
+
+// Network summary of one airline: size, reach, stage lengths and the
+// airports it departs from most. airportsByIata resolves countries and
+// hub details.
+function summarizeAirlineNetwork(graph, airlineId, airportsByIata, hubs = 5) {
+  const edges = graph.byAirline.get(airlineId) || [];
+  const airports = new Set();
+  const departures = new Map();
+  let longest = null;
+  let shortest = null;
+  let distanceSum = 0;
+  let distanceCount = 0;
+  let durationSum = 0;
+  let durationCount = 0;
+
+  for (const edge of edges) {
+    airports.add(edge.departure_iata);
+    airports.add(edge.arrival_iata);
+    departures.set(
+      edge.departure_iata,
+      (departures.get(edge.departure_iata) || 0) + 1
+    );
+
+    if (edge.distance_km !== null) {
+      distanceSum += edge.distance_km;
+      distanceCount++;
+      if (!longest || edge.distance_km > longest.distance_km) {
+        longest = edge;
+      }
+      if (!shortest || edge.distance_km < shortest.distance_km) {
+        shortest = edge;
+      }
+    }
+    if (edge.duration_min !== null) {
+      durationSum += edge.duration_min;
+      durationCount++;
+    }
+  }
+
+  const countries = new Set();
+  for (const iata of airports) {
+    const airport = airportsByIata.get(iata);
+    if (airport && airport.country) {
+      countries.add(airport.country);
+    }
+  }
+
+  const topHubs = [...departures.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, hubs)
+    .map(([iata, count]) => {
+      const airport = airportsByIata.get(iata) || {};
+      return {
+        iata,
+        name: airport.name || null,
+        city_name: airport.city_name || null,
+        country: airport.country || null,
+        departures: count,
+      };
+    });
+
+  return {
+    route_count: edges.length,
+    airport_count: airports.size,
+    country_count: countries.size,
+    average_distance_km: distanceCount
+      ? Math.round(distanceSum / distanceCount)
+      : null,
+    average_duration_min: durationCount
+      ? Math.round(durationSum / durationCount)
+      : null,
+    longest_route: longest ? edgeSummary(longest) : null,
+    shortest_route: shortest ? edgeSummary(shortest) : null,
+    top_hubs: topHubs,
+  };
+}
+
+module.exports = {
+  buildRouteGraph,
+  summarizeAirlineNetwork,
+  createAirlineMatcher,
+  createAirlineFilter,
+  findItineraries,
+  findReachable,
+};
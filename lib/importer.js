@@ -0,0 +1,451 @@
+// Build routes.db from CSV sources: airports, airlines and one row per
+// airline per route. Rows that cannot be imported are rejected with a
+// reason instead of failing the whole build. Used by build-db.js.
+
+const fs = require("fs");
+const sqlite3 = require("better-sqlite3");
+const { haversineKm } = require("./geo");
+
+// The schema the server expects (see "DB Doc.pdf"), plus indexes for the
+// distance sort and range filters of the route listings. The departure and
+// arrival indexes also cover duration_min, so an airport's routes are read
+// in the listings' default order (see "Query plans" in the README).
+const SCHEMA = `
+  CREATE TABLE airlines ( id INTEGER PRIMARY KEY AUTOINCREMENT, iata TEXT, name TEXT, UNIQUE(iata, name) );
+  CREATE TABLE airports ( iata TEXT PRIMARY KEY, icao TEXT, name TEXT, city_name TEXT, country TEXT, country_code TEXT, continent TEXT, latitude REAL, longitude REAL, elevation INTEGER, timezone TEXT );
+  CREATE TABLE route_airlines ( route_id INTEGER, airline_id INTEGER, PRIMARY KEY (route_id, airline_id), FOREIGN KEY (route_id) REFERENCES routes(id), FOREIGN KEY (airline_id) REFERENCES airlines(id) );
+  CREATE TABLE routes ( id INTEGER PRIMARY KEY AUTOINCREMENT, departure_iata TEXT, arrival_iata TEXT, distance_km INTEGER, duration_min INTEGER, FOREIGN KEY (departure_iata) REFERENCES airports(iata), FOREIGN KEY (arrival_iata) REFERENCES airports(iata) );
+
+  CREATE INDEX idx_airlines_iata ON airlines(iata);
+  CREATE INDEX idx_airports_continent ON airports(continent);
+  CREATE INDEX idx_airports_country ON airports(country);
+  CREATE INDEX idx_airports_country_code ON airports(country_code);
+  CREATE INDEX idx_route_airlines_airline ON route_airlines(airline_id);
+  CREATE INDEX idx_routes_arrival ON routes(arrival_iata, duration_min);
+  CREATE INDEX idx_routes_departure ON routes(departure_iata, duration_min);
+  CREATE INDEX idx_routes_duration ON routes(duration_min);
+  CREATE INDEX idx_routes_distance ON routes(distance_km);
+
+  CREATE VIEW route_details AS SELECT r.id as route_id, dep.iata as departure_iata, dep.city_name as departure_city, dep.country as departure_country, arr.iata as arrival_iata, arr.city_name as arrival_city, arr.country as arrival_country, r.distance_km, r.duration_min, a.iata as airline_iata, a.name as airline_name FROM routes r JOIN airports dep ON r.departure_iata = dep.iata JOIN airports arr ON r.arrival_iata = arr.iata JOIN route_airlines ra ON r.id = ra.route_id JOIN airlines a ON ra.airline_id = a.id;
+`;
+
+// Block time estimate for routes without a duration: cruise speed plus a
+// fixed allowance for taxi, climb and descent
+const CRUISE_SPEED_KMH = 800;
+const DURATION_OVERHEAD_MIN = 30;
+
+const estimateDurationMin = (distanceKm) =>
+  Math.round(DURATION_OVERHEAD_MIN + (distanceKm / CRUISE_SPEED_KMH) * 60);
+
+// Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and
+// newlines) into { columns, records }. The first row is the header; column
+// names are lowercased. Each record is { line, values } where line is the
+// 1-based line the record starts on.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") {
+      rows.push({ line: rowLine, fields: row });
+    }
+    row = [];
+  };
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  if (rows.length === 0) {
+    return { columns: [], records: [] };
+  }
+  const columns = rows[0].fields.map((name) => name.trim().toLowerCase());
+  const records = rows.slice(1).map(({ line: recordLine, fields }) => ({
+    line: recordLine,
+    values: Object.fromEntries(
+      columns.map((name, index) => [name, (fields[index] || "").trim()])
+    ),
+  }));
+  return { columns, records };
+}
+
+// Read a CSV file, failing if any of the required columns is missing
+function readCsvFile(filePath, requiredColumns) {
+  const csv = parseCsv(fs.readFileSync(filePath, "utf8"));
+  const missing = requiredColumns.filter(
+    (column) => !csv.columns.includes(column)
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `${filePath}: missing column${
+        missing.length > 1 ? "s" : ""
+      } ${missing.join(", ")}`
+    );
+  }
+  return csv.records;
+}
+
+const text = (value) => (value === undefined || value === "" ? null : value);
+
+// A number from a CSV field: null if empty, NaN if not a number
+const number = (value) => (value === undefined || value === "" ? null : +value);
+
+function checkAirport(values) {
+  const iata = values.iata.toUpperCase();
+  if (!/^[A-Z0-9]{3}$/.test(iata)) {
+    return { reason: "iata must be a 3-character airport code" };
+  }
+  if (!values.name) {
+    return { reason: "name is required" };
+  }
+  const latitude = number(values.latitude);
+  const longitude = number(values.longitude);
+  if (
+    latitude === null ||
+    longitude === null ||
+    !(Math.abs(latitude) <= 90) ||
+    !(Math.abs(longitude) <= 180)
+  ) {
+    return { reason: "latitude and longitude must be valid coordinates" };
+  }
+  const elevation = number(values.elevation);
+  if (Number.isNaN(elevation)) {
+    return { reason: "elevation must be a number" };
+  }
+
+  return {
+    airport: {
+      iata,
+      icao: text(values.icao),
+      name: values.name,
+      city_name: text(values.city_name),
+      country: text(values.country),
+      country_code: text(values.country_code),
+      continent: text(values.continent),
+      latitude,
+      longitude,
+      elevation: elevation === null ? null : Math.round(elevation),
+      timezone: text(values.timezone),
+    },
+  };
+}
+
+function checkAirline(values) {
+  const id = number(values.id);
+  if (id !== null && !(Number.isInteger(id) && id > 0)) {
+    return { reason: "id must be a positive integer" };
+  }
+  const iata = text(values.iata) && values.iata.toUpperCase();
+  if (iata !== null && !/^[A-Z0-9]{2,3}$/.test(iata)) {
+    return { reason: "iata must be a 2- or 3-character airline code" };
+  }
+  if (!values.name) {
+    return { reason: "name is required" };
+  }
+  return { airline: { id, iata, name: values.name } };
+}
+
+// Build a database at options.output from the airports, airlines and
+// routes CSV files. The database is written next to the output and renamed
+// over it when complete, so a running server never sees a partial file.
+// Returns a report with per-file counts and every rejected row as
+// { file, line, reason, values }.
+function buildDatabase({ airports, airlines, routes, output }) {
+  const airportRecords = readCsvFile(airports, [
+    "iata",
+    "name",
+    "latitude",
+    "longitude",
+  ]);
+  const airlineRecords = readCsvFile(airlines, ["iata", "name"]);
+  const routeRecords = readCsvFile(routes, ["departure_iata", "arrival_iata"]);
+  const routeColumns = Object.keys(
+    routeRecords.length > 0 ? routeRecords[0].values : {}
+  );
+  if (
+    routeRecords.length > 0 &&
+    !["airline_id", "airline_iata", "airline_name"].some((column) =>
+      routeColumns.includes(column)
+    )
+  ) {
+    throw new Error(
+      `${routes}: needs an airline_id, airline_iata or airline_name column`
+    );
+  }
+
+  const rejected = [];
+  const reject = (file, record, reason) =>
+    rejected.push({ file, line: record.line, reason, values: record.values });
+
+  // Airports, keyed by IATA code
+  const airportsByIata = new Map();
+  for (const record of airportRecords) {
+    const { airport, reason } = checkAirport(record.values);
+    if (reason) {
+      reject(airports, record, reason);
+    } else if (airportsByIata.has(airport.iata)) {
+      reject(airports, record, `duplicate airport ${airport.iata}`);
+    } else {
+      airportsByIata.set(airport.iata, airport);
+    }
+  }
+
+  // Airlines get their id from the file if it has one, else by position
+  const airlineList = [];
+  const airlineKeys = new Set();
+  const airlineIds = new Set();
+  for (const record of airlineRecords) {
+    const { airline, reason } = checkAirline(record.values);
+    if (reason) {
+      reject(airlines, record, reason);
+      continue;
+    }
+    const key = `${airline.iata}|${airline.name}`;
+    if (airlineKeys.has(key)) {
+      reject(airlines, record, `duplicate airline ${airline.name}`);
+    } else if (airline.id !== null && airlineIds.has(airline.id)) {
+      reject(airlines, record, `duplicate airline id ${airline.id}`);
+    } else {
+      airlineKeys.add(key);
+      airlineIds.add(airline.id);
+      airlineList.push(airline);
+    }
+  }
+  let nextId = Math.max(0, ...airlineList.map((airline) => airline.id || 0));
+  for (const airline of airlineList) {
+    if (airline.id === null) {
+      airline.id = ++nextId;
+    }
+  }
+  const airlinesById = new Map(airlineList.map((a) => [a.id, a]));
+
+  // Resolve a route row's airline by id, or by code and/or name. A code
+  // shared by several airlines needs the name to tell them apart.
+  const resolveAirline = (values) => {
+    if (text(values.airline_id)) {
+      const airline = airlinesById.get(number(values.airline_id));
+      return airline
+        ? { airline }
+        : { reason: `unknown airline id ${values.airline_id}` };
+    }
+    const code = text(values.airline_iata) && values.airline_iata.toUpperCase();
+    const name = text(values.airline_name);
+    if (!code && !name) {
+      return { reason: "airline_id, airline_iata or airline_name is required" };
+    }
+    const matches = airlineList.filter(
+      (airline) =>
+        (!code || airline.iata === code) &&
+        (!name || airline.name.toLowerCase() === name.toLowerCase())
+    );
+    if (matches.length === 0) {
+      return {
+        reason: `unknown airline ${[code, name].filter(Boolean).join(" ")}`,
+      };
+    }
+    if (matches.length > 1) {
+      return {
+        reason: `airline code ${code} is shared by ${matches.length} airlines; add airline_name`,
+      };
+    }
+    return { airline: matches[0] };
+  };
+
+  // Routes, keyed on departure and arrival, with their airline ids
+  const routesByPair = new Map();
+  let computedDistances = 0;
+  let estimatedDurations = 0;
+  for (const record of routeRecords) {
+    const { values } = record;
+    const departure = airportsByIata.get(values.departure_iata.toUpperCase());
+    const arrival = airportsByIata.get(values.arrival_iata.toUpperCase());
+    if (!departure || !arrival) {
+      reject(
+        routes,
+        record,
+        `unknown airport ${
+          !departure ? values.departure_iata : values.arrival_iata
+        }`
+      );
+      continue;
+    }
+    if (departure === arrival) {
+      reject(routes, record, "departure and arrival are the same airport");
+      continue;
+    }
+    const { airline, reason } = resolveAirline(values);
+    if (reason) {
+      reject(routes, record, reason);
+      continue;
+    }
+    const distance = number(values.distance_km);
+    const duration = number(values.duration_min);
+    if (Number.isNaN(distance) || distance < 0) {
+      reject(routes, record, "distance_km must be a non-negative number");
+      continue;
+    }
+    if (Number.isNaN(duration) || duration < 0) {
+      reject(routes, record, "duration_min must be a non-negative number");
+      continue;
+    }
+
+    const key = `${departure.iata}-${arrival.iata}`;
+    let route = routesByPair.get(key);
+    if (!route) {
+      route = {
+        departure_iata: departure.iata,
+        arrival_iata: arrival.iata,
+        distance_km: distance,
+        duration_min: duration,
+        airline_ids: new Set(),
+      };
+      routesByPair.set(key, route);
+    } else if (route.airline_ids.has(airline.id)) {
+      reject(routes, record, `duplicate route for airline ${airline.name}`);
+      continue;
+    }
+    // The first row with a distance or duration sets it for the route
+    if (route.distance_km === null) {
+      route.distance_km = distance;
+    }
+    if (route.duration_min === null) {
+      route.duration_min = duration;
+    }
+    route.airline_ids.add(airline.id);
+  }
+
+  for (const route of routesByPair.values()) {
+    if (route.distance_km === null) {
+      const departure = airportsByIata.get(route.departure_iata);
+      const arrival = airportsByIata.get(route.arrival_iata);
+      route.distance_km = haversineKm(
+        departure.latitude,
+        departure.longitude,
+        arrival.latitude,
+        arrival.longitude
+      );
+      computedDistances++;
+    }
+    route.distance_km = Math.round(route.distance_km);
+    if (route.duration_min === null) {
+      route.duration_min = estimateDurationMin(route.distance_km);
+      estimatedDurations++;
+    }
+    route.duration_min = Math.round(route.duration_min);
+  }
+
+  const temporary = `${output}.${process.pid}.tmp`;
+  fs.rmSync(temporary, { force: true });
+  const db = sqlite3(temporary);
+  let routeAirlineCount = 0;
+  try {
+    db.exec(SCHEMA);
+    db.transaction(() => {
+      const insertAirport = db.prepare(`
+        INSERT INTO airports (iata, icao, name, city_name, country, country_code,
+                              continent, latitude, longitude, elevation, timezone)
+        VALUES (@iata, @icao, @name, @city_name, @country, @country_code,
+                @continent, @latitude, @longitude, @elevation, @timezone)
+      `);
+      airportsByIata.forEach((airport) => insertAirport.run(airport));
+
+      const insertAirline = db.prepare(
+        "INSERT INTO airlines (id, iata, name) VALUES (@id, @iata, @name)"
+      );
+      airlineList.forEach((airline) => insertAirline.run(airline));
+
+      const insertRoute = db.prepare(`
+        INSERT INTO routes (departure_iata, arrival_iata, distance_km, duration_min)
+        VALUES (@departure_iata, @arrival_iata, @distance_km, @duration_min)
+      `);
+      const insertRouteAirline = db.prepare(
+        "INSERT INTO route_airlines (route_id, airline_id) VALUES (?, ?)"
+      );
+      for (const { airline_ids, ...route } of routesByPair.values()) {
+        const routeId = insertRoute.run(route).lastInsertRowid;
+        for (const airlineId of airline_ids) {
+          insertRouteAirline.run(routeId, airlineId);
+          routeAirlineCount++;
+        }
+      }
+    })();
+    db.exec("ANALYZE");
+    db.close();
+    fs.renameSync(temporary, output);
+  } catch (error) {
+    if (db.open) {
+      db.close();
+    }
+    fs.rmSync(temporary, { force: true });
+    throw error;
+  }
+
+  const rejectedFrom = (file) =>
+    rejected.filter((entry) => entry.file === file).length;
+  return {
+    output,
+    airports: {
+      read: airportRecords.length,
+      imported: airportsByIata.size,
+      rejected: rejectedFrom(airports),
+    },
+    airlines: {
+      read: airlineRecords.length,
+      imported: airlineList.length,
+      rejected: rejectedFrom(airlines),
+    },
+    routes: {
+      read: routeRecords.length,
+      imported: routesByPair.size,
+      route_airlines: routeAirlineCount,
+      computed_distances: computedDistances,
+      estimated_durations: estimatedDurations,
+      rejected: rejectedFrom(routes),
+    },
+    rejected,
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  estimateDurationMin,
+  buildDatabase,
+};
@@ -0,0 +1,1469 @@
+// OpenAPI 3 document and offline HTML docs, generated from the same
+// parameter schemas that validate requests.
+
+const { schemas } = require("./schemas");
+const packageJson = require("../package.json");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: "array", items });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// Route listings return Route rows, or GroupedRoute rows with group=route
+const routeItems = arrayOf({ oneOf: [ref("Route"), ref("GroupedRoute")] });
+
+const components = {
+  Airport: {
+    type: "object",
+    properties: {
+      iata: { type: "string", example: "LHR" },
+      name: { type: "string", example: "London Heathrow Airport" },
+      city_name: { type: "string", example: "London" },
+      country: { type: "string", example: "United Kingdom" },
+      country_code: { type: "string", example: "GB" },
+      continent: { type: "string", example: "EU" },
+      latitude: { type: "number", example: 51.4775 },
+      longitude: { type: "number", example: -0.461389 },
+    },
+  },
+  Airline: {
+    type: "object",
+    properties: {
+      id: { type: "integer", example: 1 },
+      iata: { type: "string", example: "BA" },
+      name: { type: "string", example: "British Airways" },
+    },
+  },
+  Country: {
+    type: "object",
+    properties: {
+      country: { type: "string", example: "United Kingdom" },
+      country_code: { type: "string", example: "GB" },
+      continent: { type: "string", example: "EU" },
+    },
+  },
+  Route: {
+    type: "object",
+    description: "A row of the route_details view, one per airline per route",
+    properties: {
+      route_id: { type: "integer", example: 12345 },
+      departure_iata: { type: "string", example: "LHR" },
+      departure_city: { type: "string", example: "London" },
+      departure_country: { type: "string", example: "United Kingdom" },
+      arrival_iata: { type: "string", example: "CDG" },
+      arrival_city: { type: "string", example: "Paris" },
+      arrival_country: { type: "string", example: "France" },
+      distance_km: { type: "integer", example: 344 },
+      duration_min: { type: "integer", example: 75 },
+      airline_iata: { type: "string", example: "BA" },
+      airline_name: { type: "string", example: "British Airways" },
+      emissions: nullable(ref("EmissionsEstimate")),
+    },
+  },
+  GroupedRoute: {
+    type: "object",
+    description: "A route with every airline operating it (group=route)",
+    properties: {
+      route_id: { type: "integer", example: 12345 },
+      departure_iata: { type: "string", example: "LHR" },
+      departure_city: { type: "string", example: "London" },
+      departure_country: { type: "string", example: "United Kingdom" },
+      arrival_iata: { type: "string", example: "CDG" },
+      arrival_city: { type: "string", example: "Paris" },
+      arrival_country: { type: "string", example: "France" },
+      distance_km: { type: "integer", example: 344 },
+      duration_min: { type: "integer", example: 75 },
+      airline_count: { type: "integer", example: 2 },
+      airlines: arrayOf({
+        type: "object",
+        properties: {
+          iata: { type: "string", example: "BA" },
+          name: { type: "string", example: "British Airways" },
+        },
+      }),
+      emissions: nullable(ref("EmissionsEstimate")),
+    },
+  },
+  EmissionsEstimate: {
+    type: "object",
+    description: "Per-passenger CO2 estimate, added with include=emissions",
+    properties: {
+      band: {
+        type: "string",
+        enum: ["short_haul", "medium_haul", "long_haul"],
+      },
+      cabin: { type: "string", example: "economy" },
+      co2_kg: { type: "number", example: 604.2 },
+    },
+  },
+  PageInfo: {
+    type: "object",
+    properties: {
+      total: {
+        type: "integer",
+        description: "Only present with all=true or include_total=true",
+      },
+      returnedCount: { type: "integer" },
+      limit: { type: "integer" },
+      offset: { type: "integer" },
+      next_cursor: nullable({ type: "string" }),
+      has_more: { type: "boolean" },
+      all: { type: "boolean" },
+    },
+  },
+  RouteList: {
+    type: "object",
+    properties: {
+      routes: routeItems,
+      pagination: ref("PageInfo"),
+    },
+  },
+  AirportRouteList: {
+    allOf: [
+      ref("PageInfo"),
+      {
+        type: "object",
+        properties: {
+          airport: { type: "string" },
+          direction: { type: "string", enum: ["departure", "arrival"] },
+          routes: routeItems,
+        },
+      },
+    ],
+  },
+  CountryRouteList: {
+    allOf: [
+      ref("PageInfo"),
+      {
+        type: "object",
+        properties: {
+          country: { type: "string" },
+          direction: { type: "string", enum: ["departure", "arrival"] },
+          destination_country: nullable({ type: "string" }),
+          routes: routeItems,
+        },
+      },
+    ],
+  },
+  City: {
+    type: "object",
+    description:
+      "Airports sharing a city name in one country, plus any configured metro area airports",
+    properties: {
+      city: { type: "string", example: "New York" },
+      country: { type: "string", example: "United States" },
+      country_code: { type: "string", example: "US" },
+      continent: { type: "string", example: "NA" },
+      metro: {
+        type: "boolean",
+        description: "True if a metro area definition extends the city",
+      },
+      airport_count: { type: "integer", example: 3 },
+      departures: { type: "integer", example: 412 },
+      airports: arrayOf({
+        type: "object",
+        properties: {
+          iata: { type: "string", example: "EWR" },
+          name: {
+            type: "string",
+            example: "Newark Liberty International Airport",
+          },
+          city_name: { type: "string", example: "Newark" },
+          departures: { type: "integer", example: 120 },
+        },
+      }),
+    },
+  },
+  CityRouteList: {
+    type: "object",
+    properties: {
+      cities: arrayOf(ref("City")),
+      direction: { type: "string", enum: ["departure", "arrival"] },
+      routes: routeItems,
+      pagination: ref("PageInfo"),
+    },
+  },
+  AirlineNetwork: {
+    type: "object",
+    properties: {
+      airline: ref("Airline"),
+      network: {
+        type: "object",
+        properties: {
+          route_count: { type: "integer" },
+          airport_count: { type: "integer" },
+          country_count: { type: "integer" },
+          average_distance_km: nullable({ type: "integer" }),
+          average_duration_min: nullable({ type: "integer" }),
+          longest_route: nullable(ref("RouteSummary")),
+          shortest_route: nullable(ref("RouteSummary")),
+          top_hubs: arrayOf({
+            type: "object",
+            properties: {
+              iata: { type: "string" },
+              name: nullable({ type: "string" }),
+              city_name: nullable({ type: "string" }),
+              country: nullable({ type: "string" }),
+              departures: { type: "integer" },
+            },
+          }),
+        },
+      },
+    },
+  },
+  RouteSummary: {
+    type: "object",
+    properties: {
+      route_id: { type: "integer" },
+      departure_iata: { type: "string" },
+      arrival_iata: { type: "string" },
+      distance_km: { type: "integer" },
+      duration_min: { type: "integer" },
+    },
+  },
+  ServedAirportList: {
+    type: "object",
+    properties: {
+      airline: ref("Airline"),
+      airports: arrayOf({
+        allOf: [
+          ref("Airport"),
+          {
+            type: "object",
+            properties: {
+              departures: { type: "integer" },
+              arrivals: { type: "integer" },
+              route_count: { type: "integer" },
+            },
+          },
+        ],
+      }),
+      pagination: ref("PageInfo"),
+    },
+  },
+  AirportProfile: {
+    type: "object",
+    properties: {
+      airport: {
+        allOf: [
+          ref("Airport"),
+          {
+            type: "object",
+            properties: {
+              icao: nullable({ type: "string" }),
+              elevation: nullable({ type: "integer" }),
+              timezone: nullable({ type: "string" }),
+            },
+          },
+        ],
+      },
+      connectivity: {
+        type: "object",
+        properties: {
+          departures: { type: "integer" },
+          arrivals: { type: "integer" },
+          destination_count: { type: "integer" },
+          country_count: { type: "integer" },
+          departures_by_type: {
+            type: "object",
+            properties: {
+              domestic: { type: "integer" },
+              international: { type: "integer" },
+            },
+          },
+          airlines: arrayOf({
+            type: "object",
+            properties: {
+              airline_iata: nullable({ type: "string" }),
+              airline_name: { type: "string" },
+              route_count: { type: "integer" },
+            },
+          }),
+          busiest_destinations: arrayOf({
+            type: "object",
+            properties: {
+              iata: { type: "string" },
+              city_name: { type: "string" },
+              country: { type: "string" },
+              distance_km: { type: "integer" },
+              duration_min: { type: "integer" },
+              airline_count: { type: "integer" },
+            },
+          }),
+          longest_route: nullable({
+            type: "object",
+            properties: {
+              route_id: { type: "integer" },
+              departure_iata: { type: "string" },
+              arrival_iata: { type: "string" },
+              arrival_city: { type: "string" },
+              arrival_country: { type: "string" },
+              distance_km: { type: "integer" },
+              duration_min: { type: "integer" },
+            },
+          }),
+        },
+      },
+    },
+  },
+  ReachableAirport: {
+    type: "object",
+    properties: {
+      iata: { type: "string" },
+      name: nullable({ type: "string" }),
+      city_name: nullable({ type: "string" }),
+      country: nullable({ type: "string" }),
+      total_duration_min: { type: "integer" },
+      stops: { type: "integer" },
+      total_distance_km: nullable({ type: "integer" }),
+      path: arrayOf({ type: "string" }),
+      route_ids: arrayOf({ type: "integer" }),
+    },
+  },
+  Reachable: {
+    type: "object",
+    properties: {
+      origin: ref("Airport"),
+      max_duration: { type: "integer" },
+      max_stops: { type: "integer" },
+      min_connection_min: { type: "integer" },
+      total: { type: "integer" },
+      airports: {
+        ...arrayOf(ref("ReachableAirport")),
+        description: "Present unless group_by=country",
+      },
+      country_count: {
+        type: "integer",
+        description: "Present with group_by=country",
+      },
+      countries: {
+        ...arrayOf({
+          type: "object",
+          properties: {
+            country: nullable({ type: "string" }),
+            airport_count: { type: "integer" },
+            best_duration_min: { type: "integer" },
+            airports: arrayOf(ref("ReachableAirport")),
+          },
+        }),
+        description: "Present with group_by=country",
+      },
+    },
+  },
+  Hubs: {
+    type: "object",
+    properties: {
+      airline: nullable(ref("Airline")),
+      sort: { type: "string" },
+      total: { type: "integer" },
+      returnedCount: { type: "integer" },
+      airports: arrayOf({
+        type: "object",
+        properties: {
+          rank: { type: "integer" },
+          iata: { type: "string" },
+          name: { type: "string" },
+          city_name: { type: "string" },
+          country: { type: "string" },
+          continent: { type: "string" },
+          degree: {
+            type: "integer",
+            description: "Distinct airports served non-stop",
+          },
+          weighted_degree: {
+            type: "integer",
+            description: "Departures plus arrivals, once per operating airline",
+          },
+          betweenness: {
+            type: "number",
+            description:
+              "Share of shortest paths between other airports through it",
+          },
+          closeness: {
+            type: "number",
+            description: "Harmonic closeness over hop counts",
+          },
+          connecting_pairs: {
+            type: "integer",
+            description:
+              "Airport pairs without a non-stop route that connect through it",
+          },
+        },
+      }),
+    },
+  },
+  Competition: {
+    type: "object",
+    properties: {
+      airline: nullable(ref("Airline")),
+      summary: {
+        type: "object",
+        properties: {
+          route_count: { type: "integer" },
+          monopoly_count: { type: "integer" },
+          contested_count: { type: "integer" },
+          average_airlines: nullable({ type: "number" }),
+        },
+      },
+      routes: arrayOf({
+        type: "object",
+        properties: {
+          route_id: { type: "integer" },
+          departure_iata: { type: "string" },
+          departure_city: { type: "string" },
+          departure_country: { type: "string" },
+          arrival_iata: { type: "string" },
+          arrival_city: { type: "string" },
+          arrival_country: { type: "string" },
+          distance_km: { type: "integer" },
+          duration_min: { type: "integer" },
+          airline_count: { type: "integer" },
+          status: { type: "string", enum: ["monopoly", "contested"] },
+          airlines: arrayOf(ref("Airline")),
+        },
+      }),
+      pagination: ref("PageInfo"),
+    },
+  },
+  CountryMatrix: {
+    type: "object",
+    properties: {
+      level: { type: "string", enum: ["country", "continent"] },
+      pairs: arrayOf({
+        type: "object",
+        properties: {
+          departure: { type: "string", example: "United Kingdom" },
+          arrival: { type: "string", example: "France" },
+          route_count: { type: "integer", example: 153 },
+          airline_count: { type: "integer", example: 14 },
+          average_distance_km: nullable({ type: "integer", example: 612 }),
+          average_duration_min: nullable({ type: "integer", example: 82 }),
+        },
+      }),
+      pagination: ref("PageInfo"),
+    },
+  },
+  Distribution: {
+    type: "object",
+    properties: {
+      count: { type: "integer", description: "Routes with a value" },
+      min: nullable({ type: "integer" }),
+      max: nullable({ type: "integer" }),
+      mean: nullable({ type: "number" }),
+      percentiles: {
+        type: "object",
+        description: "Keyed p5, p25, ... for the requested percentiles",
+        additionalProperties: nullable({ type: "number" }),
+      },
+      histogram: arrayOf({
+        type: "object",
+        properties: {
+          from: { type: "integer", description: "Inclusive lower bound" },
+          to: { type: "integer", description: "Exclusive upper bound" },
+          count: { type: "integer" },
+        },
+      }),
+    },
+  },
+  RouteEmissions: {
+    type: "object",
+    properties: {
+      route: {
+        type: "object",
+        properties: {
+          route_id: { type: "integer" },
+          departure_iata: { type: "string" },
+          arrival_iata: { type: "string" },
+          distance_km: { type: "integer" },
+          duration_min: { type: "integer" },
+        },
+      },
+      band: nullable({ type: "string" }),
+      co2_kg_per_passenger: {
+        type: "object",
+        description: "Estimate for each cabin class",
+        additionalProperties: nullable({ type: "number" }),
+      },
+      factors: {
+        type: "object",
+        properties: {
+          distance_uplift: { type: "number" },
+          kg_co2_per_km: nullable({ type: "number" }),
+          cabin_multipliers: {
+            type: "object",
+            additionalProperties: { type: "number" },
+          },
+        },
+      },
+    },
+  },
+  RouteChange: {
+    type: "object",
+    description:
+      "A route that was added or removed, or that airlines started or stopped operating",
+    properties: {
+      change: { type: "string", enum: ["added", "removed", "changed"] },
+      route_id: {
+        type: "integer",
+        description:
+          "The route's id in the current (or, if removed, the previous) version",
+      },
+      departure_iata: { type: "string", example: "MAN" },
+      departure_city: { type: "string", example: "Manchester" },
+      departure_country: { type: "string", example: "United Kingdom" },
+      arrival_iata: { type: "string", example: "JFK" },
+      arrival_city: { type: "string", example: "New York" },
+      arrival_country: { type: "string", example: "United States" },
+      distance_km: { type: "integer", example: 5367 },
+      duration_min: { type: "integer", example: 470 },
+      airlines_added: arrayOf(ref("RouteChangeAirline")),
+      airlines_removed: arrayOf(ref("RouteChangeAirline")),
+    },
+  },
+  RouteChangeAirline: {
+    type: "object",
+    properties: {
+      iata: nullable({ type: "string", example: "BA" }),
+      name: { type: "string", example: "British Airways" },
+    },
+  },
+  RouteChanges: {
+    type: "object",
+    properties: {
+      previous: ref("DatabaseInfo"),
+      current: ref("DatabaseInfo"),
+      summary: {
+        type: "object",
+        description: "Counts over every matching change, not just this page",
+        properties: {
+          routes_added: { type: "integer" },
+          routes_removed: { type: "integer" },
+          routes_changed: { type: "integer" },
+          airlines_added: { type: "integer" },
+          airlines_removed: { type: "integer" },
+        },
+      },
+      changes: arrayOf(ref("RouteChange")),
+      pagination: {
+        type: "object",
+        properties: {
+          total: { type: "integer" },
+          returnedCount: { type: "integer" },
+          limit: { type: "integer" },
+          offset: { type: "integer" },
+          has_more: { type: "boolean" },
+        },
+      },
+    },
+  },
+  EmissionsSummary: {
+    type: "object",
+    properties: {
+      cabin: { type: "string" },
+      route_count: { type: "integer" },
+      estimated_route_count: { type: "integer" },
+      total_co2_kg: { type: "number" },
+      average_co2_kg: nullable({ type: "number" }),
+      by_band: {
+        type: "object",
+        additionalProperties: {
+          type: "object",
+          properties: {
+            route_count: { type: "integer" },
+            co2_kg: { type: "number" },
+          },
+        },
+      },
+    },
+  },
+  OverlapRoute: {
+    allOf: [
+      ref("RouteSummary"),
+      {
+        type: "object",
+        properties: {
+          airline_count: {
+            type: "integer",
+            description: "Airlines operating the route, including others",
+          },
+        },
+      },
+    ],
+  },
+  Overlap: {
+    type: "object",
+    properties: {
+      shared_count: { type: "integer" },
+      overlap_ratio: {
+        type: "number",
+        description: "Shared routes divided by the routes of either airline",
+      },
+      airlines: arrayOf({
+        type: "object",
+        properties: {
+          airline: ref("Airline"),
+          route_count: { type: "integer" },
+          exclusive_count: { type: "integer" },
+          exclusive_routes: arrayOf(ref("OverlapRoute")),
+        },
+      }),
+      shared_routes: arrayOf(ref("OverlapRoute")),
+    },
+  },
+  NearbyAirports: {
+    type: "object",
+    properties: {
+      center: {
+        type: "object",
+        properties: {
+          iata: nullable({ type: "string" }),
+          latitude: { type: "number" },
+          longitude: { type: "number" },
+        },
+      },
+      bbox: arrayOf({ type: "number" }),
+      radius_km: { type: "number" },
+      total: { type: "integer" },
+      returnedCount: { type: "integer" },
+      airports: arrayOf({
+        allOf: [
+          ref("Airport"),
+          {
+            type: "object",
+            properties: { distance_km: { type: "number" } },
+          },
+        ],
+      }),
+    },
+  },
+  SearchResults: {
+    type: "object",
+    properties: {
+      query: { type: "string" },
+      type: nullable({ type: "string" }),
+      returnedCount: { type: "integer" },
+      results: arrayOf({
+        type: "object",
+        description: "An airport, city or airline with match information",
+        properties: {
+          type: { type: "string", enum: ["airport", "city", "airline"] },
+          match: {
+            type: "string",
+            enum: ["iata", "prefix", "substring", "fuzzy"],
+          },
+          matched_field: { type: "string" },
+          route_count: { type: "integer" },
+        },
+        additionalProperties: true,
+      }),
+    },
+  },
+  Itineraries: {
+    type: "object",
+    properties: {
+      from: ref("Airport"),
+      to: ref("Airport"),
+      max_stops: { type: "integer" },
+      min_connection_min: { type: "integer" },
+      total: { type: "integer" },
+      returnedCount: { type: "integer" },
+      itineraries: arrayOf({
+        type: "object",
+        properties: {
+          stops: { type: "integer" },
+          via: arrayOf({ type: "string" }),
+          total_distance_km: nullable({ type: "integer" }),
+          flight_duration_min: { type: "integer" },
+          connection_min: { type: "integer" },
+          total_duration_min: { type: "integer" },
+          emissions: nullable({
+            type: "object",
+            description: "Sum of the legs, added with include=emissions",
+            properties: {
+              cabin: { type: "string" },
+              co2_kg: { type: "number" },
+            },
+          }),
+          legs: arrayOf({
+            type: "object",
+            properties: {
+              route_id: { type: "integer" },
+              departure_iata: { type: "string" },
+              arrival_iata: { type: "string" },
+              distance_km: { type: "integer" },
+              duration_min: { type: "integer" },
+              emissions: nullable(ref("EmissionsEstimate")),
+              route_details: arrayOf(ref("Route")),
+            },
+          }),
+        },
+      }),
+    },
+  },
+  Stats: {
+    type: "object",
+    properties: {
+      counts: {
+        type: "object",
+        properties: {
+          airports: { type: "integer" },
+          airlines: { type: "integer" },
+          routes: { type: "integer" },
+          countries: { type: "integer" },
+        },
+      },
+      top_airlines: arrayOf({
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          route_count: { type: "integer" },
+        },
+      }),
+      top_departure_airports: arrayOf({
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          city_name: { type: "string" },
+          country: { type: "string" },
+          route_count: { type: "integer" },
+        },
+      }),
+      database: ref("DatabaseInfo"),
+    },
+  },
+  DatabaseInfo: {
+    type: "object",
+    properties: {
+      version: {
+        type: "string",
+        description: "Short form of the checksum, also used in ETags",
+        example: "83a32ebbccc9",
+      },
+      checksum: { type: "string", description: "SHA-256 of routes.db" },
+      loaded_at: { type: "string", format: "date-time" },
+      load_ms: {
+        type: "integer",
+        description: "Time taken to verify and index the database",
+      },
+    },
+  },
+  AuditReport: {
+    type: "object",
+    properties: {
+      database: ref("DatabaseInfo"),
+      status: {
+        type: "string",
+        enum: ["ok", "warning", "error"],
+        description: "The most severe level of any failing check",
+      },
+      summary: {
+        type: "object",
+        description: "Numbers of checks, not of rows",
+        properties: {
+          checks: { type: "integer" },
+          passed: { type: "integer" },
+          errors: { type: "integer" },
+          warnings: { type: "integer" },
+        },
+      },
+      checks: arrayOf({
+        type: "object",
+        properties: {
+          id: { type: "string", example: "orphaned_route_airlines_airline" },
+          severity: { type: "string", enum: ["error", "warning"] },
+          description: { type: "string" },
+          count: { type: "integer", description: "Number of rows found" },
+          examples: arrayOf({ type: "object", additionalProperties: true }),
+        },
+      }),
+    },
+  },
+  Reload: {
+    type: "object",
+    properties: {
+      reloaded: {
+        type: "boolean",
+        description: "false if the file has not changed since it was loaded",
+      },
+      previous_version: { type: "string" },
+      database: ref("DatabaseInfo"),
+    },
+  },
+  CacheStats: {
+    type: "object",
+    properties: {
+      entries: { type: "integer" },
+      max_entries: { type: "integer" },
+      bytes: { type: "integer" },
+      max_bytes: nullable({ type: "integer" }),
+      hits: { type: "integer" },
+      misses: { type: "integer" },
+      evictions: { type: "integer" },
+      hit_rate: { type: "number" },
+      not_modified: {
+        type: "integer",
+        description: "Responses answered with 304 Not Modified",
+      },
+    },
+  },
+  BatchResults: {
+    type: "object",
+    properties: {
+      count: { type: "integer" },
+      results: arrayOf({
+        type: "object",
+        properties: {
+          path: { type: "string", description: "The sub-request's URL" },
+          status: { type: "integer", example: 200 },
+          body: {
+            description:
+              "The response body: parsed JSON, or text for the docs page",
+          },
+        },
+      }),
+    },
+  },
+  GeoJSON: {
+    type: "object",
+    description: "A GeoJSON Feature or FeatureCollection (RFC 7946)",
+    properties: {
+      type: { type: "string", enum: ["Feature", "FeatureCollection"] },
+    },
+    additionalProperties: true,
+  },
+  Error: {
+    type: "object",
+    properties: {
+      error: {
+        type: "object",
+        properties: {
+          code: { type: "string", example: "INVALID_PARAMETER" },
+          message: {
+            type: "string",
+            example: "limit must be an integer between 1 and 1000",
+          },
+          param: nullable({ type: "string", example: "limit" }),
+          request_id: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+// Every endpoint served by the API. `schema` names an entry in schemas.js;
+// endpoints are GET unless they set `method` (with a JSON `requestBody`,
+// or a function building it from the buildOpenApiDocument() options).
+// `errors` adds endpoint-specific error responses by status code.
+const endpoints = [
+  {
+    path: "/health",
+    summary:
+      "Check if the server is running, with the loaded database version and cache hit/miss counts",
+    response: {
+      type: "object",
+      properties: {
+        status: { type: "string", example: "ok" },
+        database: ref("DatabaseInfo"),
+        cache: {
+          type: "object",
+          properties: {
+            responses: ref("CacheStats"),
+            statements: ref("CacheStats"),
+          },
+        },
+      },
+    },
+  },
+  {
+    path: "/stats",
+    summary: "Database statistics, including counts and top airlines/airports",
+    response: ref("Stats"),
+  },
+  {
+    path: "/airlines",
+    summary: "List all airlines",
+    response: {
+      type: "object",
+      properties: { airlines: arrayOf(ref("Airline")) },
+    },
+  },
+  {
+    path: "/airlines/:airline",
+    summary: "An airline with a summary of its route network",
+    schema: "airline",
+    response: ref("AirlineNetwork"),
+  },
+  {
+    path: "/airlines/:airline/routes",
+    summary: "Routes operated by an airline, with the filters of /routes",
+    schema: "airlineRoutes",
+    response: {
+      allOf: [
+        ref("RouteList"),
+        { type: "object", properties: { airline: ref("Airline") } },
+      ],
+    },
+    alternatives: ["geojson", "csv", "ndjson"],
+  },
+  {
+    path: "/airlines/:airline/airports",
+    summary: "Airports served by an airline, busiest first",
+    schema: "airlineAirports",
+    response: ref("ServedAirportList"),
+    alternatives: ["geojson"],
+  },
+  {
+    path: "/airports",
+    summary: "List airports, optionally filtered by country or continent",
+    schema: "airports",
+    response: {
+      type: "object",
+      properties: { airports: arrayOf(ref("Airport")) },
+    },
+    alternatives: ["geojson"],
+  },
+  {
+    path: "/airports/nearby",
+    summary:
+      "Airports near a point or airport, or inside a bounding box, nearest first",
+    schema: "nearbyAirports",
+    response: ref("NearbyAirports"),
+  },
+  {
+    path: "/countries",
+    summary: "List all countries with airports",
+    response: {
+      type: "object",
+      properties: { countries: arrayOf(ref("Country")) },
+    },
+  },
+  {
+    path: "/cities",
+    summary: "List cities and metro areas with their airports",
+    schema: "cities",
+    response: {
+      type: "object",
+      properties: {
+        count: { type: "integer" },
+        cities: arrayOf(ref("City")),
+      },
+    },
+  },
+  {
+    path: "/routes",
+    summary: "Routes with comprehensive filtering",
+    schema: "routes",
+    response: ref("RouteList"),
+    alternatives: ["geojson", "csv", "ndjson"],
+  },
+  {
+    path: "/routes/:route_id/path",
+    summary: "Great-circle path of a single route as a GeoJSON Feature",
+    schema: "routePath",
+    response: ref("GeoJSON"),
+    contentType: "application/geo+json",
+  },
+  {
+    path: "/routes/:route_id/emissions",
+    summary: "Per-passenger CO2 estimates of a route in every cabin class",
+    schema: "routeEmissions",
+    response: ref("RouteEmissions"),
+  },
+  {
+    path: "/airports/:iata",
+    summary: "An airport with a summary of its connectivity",
+    schema: "airport",
+    response: ref("AirportProfile"),
+  },
+  {
+    path: "/airports/:iata/reachable",
+    summary:
+      "Every airport reachable within a time budget, with the fastest connection to each",
+    schema: "reachable",
+    response: ref("Reachable"),
+  },
+  {
+    path: "/airports/:iata/routes",
+    summary: "Routes from or to a specific airport",
+    schema: "airportRoutes",
+    response: ref("AirportRouteList"),
+    alternatives: ["geojson", "csv", "ndjson"],
+  },
+  {
+    path: "/countries/:country/routes",
+    summary: "Routes from or to a specific country",
+    schema: "countryRoutes",
+    response: ref("CountryRouteList"),
+    alternatives: ["geojson", "csv", "ndjson"],
+  },
+  {
+    path: "/cities/:city/routes",
+    summary: "Routes from or to any airport of a city or metro area",
+    schema: "cityRoutes",
+    response: ref("CityRouteList"),
+    alternatives: ["geojson", "csv", "ndjson"],
+  },
+  {
+    path: "/analytics/hubs",
+    summary: "Airports ranked by network centrality",
+    schema: "hubs",
+    response: ref("Hubs"),
+  },
+  {
+    path: "/analytics/competition",
+    summary: "Number of airlines competing on each route, most contested first",
+    schema: "competition",
+    response: ref("Competition"),
+  },
+  {
+    path: "/analytics/country-matrix",
+    summary:
+      "Route counts, airline counts and averages between pairs of countries or continents",
+    schema: "countryMatrix",
+    response: ref("CountryMatrix"),
+  },
+  {
+    path: "/analytics/distribution",
+    summary: "Histograms and percentiles of route distances and durations",
+    schema: "distribution",
+    response: {
+      type: "object",
+      properties: {
+        route_count: { type: "integer" },
+        distance_km: ref("Distribution"),
+        duration_min: ref("Distribution"),
+      },
+    },
+  },
+  {
+    path: "/analytics/emissions",
+    summary:
+      "Total CO2 estimates over the matching routes, such as an airline's network",
+    schema: "emissions",
+    response: ref("EmissionsSummary"),
+  },
+  {
+    path: "/changes",
+    summary:
+      "Routes added and removed, and airlines added and removed per route, since the previous database version",
+    schema: "changes",
+    response: ref("RouteChanges"),
+  },
+  {
+    path: "/analytics/overlap",
+    summary: "Shared and exclusive routes of two airlines",
+    schema: "overlap",
+    response: ref("Overlap"),
+  },
+  {
+    path: "/search",
+    summary: "Typeahead search across airports, cities and airlines",
+    schema: "search",
+    response: ref("SearchResults"),
+  },
+  {
+    path: "/itineraries",
+    summary: "Direct, one-stop and two-stop connections between two airports",
+    schema: "itineraries",
+    response: ref("Itineraries"),
+  },
+  {
+    path: "/batch",
+    method: "post",
+    summary:
+      "Run several GET requests in one round trip, with a status and body for each. CSV and NDJSON exports cannot be batched",
+    requestBody: ({ batchMaxRequests }) => ({
+      type: "array",
+      description: `At most ${batchMaxRequests} requests`,
+      minItems: 1,
+      maxItems: batchMaxRequests,
+      items: {
+        type: "object",
+        required: ["path"],
+        properties: {
+          path: { type: "string", example: "/airports/JFK/routes" },
+          query: { type: "object", example: { limit: 10 } },
+        },
+      },
+    }),
+    response: ref("BatchResults"),
+  },
+  {
+    path: "/admin/reload",
+    method: "post",
+    summary:
+      "Load routes.db again if it has changed, after verifying the new file. Requires ADMIN_TOKEN as a bearer token",
+    response: ref("Reload"),
+    errors: {
+      401: "Missing or wrong admin token",
+      403: "Admin endpoints are disabled (ADMIN_TOKEN is not set)",
+      422: "The new database failed verification and was not loaded",
+    },
+  },
+  {
+    path: "/admin/audit",
+    summary:
+      "Data integrity report for the loaded database. Requires ADMIN_TOKEN as a bearer token",
+    schema: "audit",
+    response: ref("AuditReport"),
+    errors: {
+      401: "Missing or wrong admin token",
+      403: "Admin endpoints are disabled (ADMIN_TOKEN is not set)",
+    },
+  },
+  {
+    path: "/openapi.json",
+    summary: "This OpenAPI document",
+    response: { type: "object" },
+  },
+  {
+    path: "/docs",
+    summary: "Human-readable API documentation",
+    response: { type: "string" },
+    contentType: "text/html",
+  },
+];
+
+const ALTERNATIVE_CONTENT = {
+  geojson: { "application/geo+json": { schema: ref("GeoJSON") } },
+  csv: { "text/csv": { schema: { type: "string" } } },
+  ndjson: { "application/x-ndjson": { schema: { type: "string" } } },
+};
+
+// Convert a validation spec into an OpenAPI schema object
+function specToSchema(spec) {
+  const schema = {};
+
+  switch (spec.type) {
+    case "integer":
+    case "number":
+      schema.type = spec.type;
+      if (spec.min !== undefined) schema.minimum = spec.min;
+      if (spec.max !== undefined) schema.maximum = spec.max;
+      break;
+    case "boolean":
+      schema.type = "boolean";
+      break;
+    case "enum":
+      schema.type = "string";
+      schema.enum = spec.values;
+      break;
+    case "iata":
+      schema.type = "string";
+      schema.pattern = "^[A-Za-z0-9]{3}$";
+      break;
+    case "list":
+      schema.type = "array";
+      schema.items = specToSchema(spec.items);
+      if (spec.length !== undefined) {
+        schema.minItems = spec.length;
+        schema.maxItems = spec.length;
+      }
+      if (spec.maxItems !== undefined) schema.maxItems = spec.maxItems;
+      break;
+    case "string":
+    default:
+      schema.type = "string";
+      if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+  }
+
+  if (spec.default !== undefined && spec.default !== null) {
+    schema.default = spec.default;
+  }
+  return schema;
+}
+
+function parametersFor(schema) {
+  const parameters = [];
+
+  for (const location of ["params", "query"]) {
+    for (const [name, spec] of Object.entries(schema[location] || {})) {
+      const parameter = {
+        name,
+        in: location === "params" ? "path" : "query",
+        required: location === "params" || Boolean(spec.required),
+        description: spec.description,
+        schema: specToSchema(spec),
+      };
+      // Lists are passed comma-separated, e.g. airline_id=1,2,3
+      if (spec.type === "list") {
+        parameter.style = "form";
+        parameter.explode = false;
+      }
+      parameters.push(parameter);
+    }
+  }
+
+  return parameters;
+}
+
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z_]+)/g, "{$1}");
+
+// Options describe the running server:
+// - basePath: the path the API is mounted under, published as its server URL
+// - batchMaxRequests: the most requests one POST /batch may contain
+function buildOpenApiDocument(options = {}) {
+  const { basePath = "", batchMaxRequests = 20 } = options;
+  const paths = {};
+  const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: ref("Error") } },
+  });
+
+  for (const endpoint of endpoints) {
+    const schema = endpoint.schema ? schemas[endpoint.schema] : {};
+    const requestBody =
+      typeof endpoint.requestBody === "function"
+        ? endpoint.requestBody({ batchMaxRequests })
+        : endpoint.requestBody;
+    const content = {
+      [endpoint.contentType || "application/json"]: {
+        schema: endpoint.response,
+      },
+    };
+    for (const alternative of endpoint.alternatives || []) {
+      Object.assign(content, ALTERNATIVE_CONTENT[alternative]);
+    }
+
+    const responses = { 200: { description: "Successful request", content } };
+    if (requestBody) {
+      responses[400] = errorResponse("Invalid request body");
+      responses[413] = errorResponse("Request body too large");
+      responses[415] = errorResponse("Unsupported request body encoding");
+    }
+    if (endpoint.schema) {
+      responses[400] = errorResponse("Missing or invalid parameters");
+      responses[404] = errorResponse(
+        "Unknown airport, country, airline or route"
+      );
+    }
+    for (const [status, description] of Object.entries(endpoint.errors || {})) {
+      responses[status] = errorResponse(description);
+    }
+    responses[500] = errorResponse("Server error");
+
+    const operation = {
+      summary: endpoint.summary,
+      operationId:
+        endpoint.schema || endpoint.path.slice(1).replace(/\W+/g, "_"),
+      parameters: parametersFor(schema),
+      responses,
+    };
+    if (requestBody) {
+      operation.requestBody = {
+        required: true,
+        content: { "application/json": { schema: requestBody } },
+      };
+    }
+    paths[toOpenApiPath(endpoint.path)] = {
+      [endpoint.method || "get"]: operation,
+    };
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Flight Routes API",
+      description: packageJson.description,
+      version: packageJson.version,
+    },
+    servers: [{ url: basePath || "/" }],
+    paths,
+    components: { schemas: components },
+  };
+}
+
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+function describeSchema(schema) {
+  if (schema.enum) {
+    return schema.enum.join(" | ");
+  }
+  if (schema.type === "array") {
+    return `list of ${describeSchema(schema.items)}`;
+  }
+  const range = [];
+  if (schema.minimum !== undefined) range.push(`≥ ${schema.minimum}`);
+  if (schema.maximum !== undefined) range.push(`≤ ${schema.maximum}`);
+  return [schema.type, ...range].join(" ");
+}
+
+// An example value for a schema, built from the examples of its properties
+function exampleFor(schema) {
+  if (schema.example !== undefined) {
+    return schema.example;
+  }
+  if (schema.type === "array") {
+    return [exampleFor(schema.items)];
+  }
+  const example = {};
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    example[name] = exampleFor(property);
+  }
+  return example;
+}
+
+// A form that sends the operation's request from the page and shows the
+// response. Empty fields are left out, so the server's defaults apply.
+function renderTryForm(path, method, operation) {
+  const inputs = operation.parameters
+    .map(
+      (parameter) => `
+          <label>${escapeHtml(parameter.name)}
+            <input name="${escapeHtml(parameter.name)}" data-in="${escapeHtml(
+        parameter.in
+      )}"${parameter.required ? " required" : ""}></label>`
+    )
+    .join("");
+  const body = operation.requestBody
+    ? `
+          <textarea name="body" rows="4">${escapeHtml(
+            JSON.stringify(
+              exampleFor(
+                operation.requestBody.content["application/json"].schema
+              )
+            )
+          )}</textarea>`
+    : "";
+
+  return `
+        <form class="try" data-method="${escapeHtml(
+          method.toUpperCase()
+        )}" data-path="${escapeHtml(path)}">${inputs}${body}
+          <button>Send</button>
+          <output></output>
+        </form>`;
+}
+
+// Sends the forms from renderTryForm() to the server the document names
+const TRY_SCRIPT = `
+  // Paths start with "/", so the root server adds nothing
+  const server = document.body.dataset.server === "/" ? "" : document.body.dataset.server;
+  for (const form of document.querySelectorAll("form.try")) {
+    form.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      let path = form.dataset.path;
+      const query = new URLSearchParams();
+      for (const input of form.querySelectorAll("[data-in]")) {
+        if (!input.value) continue;
+        if (input.dataset.in === "path") {
+          path = path.replace("{" + input.name + "}", encodeURIComponent(input.value));
+        } else {
+          query.append(input.name, input.value);
+        }
+      }
+      const headers = {};
+      const token = document.getElementById("token").value;
+      if (token) headers.Authorization = "Bearer " + token;
+      const body = form.elements.body;
+      if (body) headers["Content-Type"] = "application/json";
+      const output = form.querySelector("output");
+      output.textContent = "…";
+      try {
+        const res = await fetch(server + path + (String(query) ? "?" + query : ""), {
+          method: form.dataset.method,
+          headers,
+          body: body ? body.value : undefined,
+        });
+        let text = await res.text();
+        try {
+          text = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {}
+        output.textContent = res.status + " " + res.statusText + "\\n\\n" + text;
+      } catch (error) {
+        output.textContent = error.message;
+      }
+    });
+  }
+`;
+
+// Render the document as a self-contained HTML page (no external assets).
+// Each operation has a form that sends it to the server in document.servers.
+function renderDocsHtml(document) {
+  const server = (document.servers || [{ url: "/" }])[0].url;
+  const sections = Object.entries(document.paths).map(([path, methods]) => {
+    const [method, operation] = Object.entries(methods)[0];
+    const rows = operation.parameters
+      .map(
+        (parameter) => `
+          <tr>
+            <td><code>${escapeHtml(parameter.name)}</code></td>
+            <td>${escapeHtml(parameter.in)}</td>
+            <td>${escapeHtml(describeSchema(parameter.schema))}</td>
+            <td>${parameter.required ? "yes" : ""}</td>
+            <td>${escapeHtml(
+              parameter.schema.default !== undefined
+                ? JSON.stringify(parameter.schema.default)
+                : ""
+            )}</td>
+            <td>${escapeHtml(parameter.description)}</td>
+          </tr>`
+      )
+      .join("");
+    const contentTypes = Object.keys(operation.responses[200].content);
+
+    return `
+      <section id="${escapeHtml(operation.operationId)}">
+        <h2><span class="method">${method.toUpperCase()}</span> <code>${escapeHtml(
+      path
+    )}</code></h2>
+        <p>${escapeHtml(operation.summary)}</p>
+        ${
+          rows
+            ? `<table>
+          <thead><tr><th>Parameter</th><th>In</th><th>Type</th><th>Required</th><th>Default</th><th>Description</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>`
+            : operation.requestBody
+            ? "<p><em>Takes a JSON request body.</em></p>"
+            : "<p><em>No parameters.</em></p>"
+        }
+        <p class="content-types">Responds with: ${contentTypes
+          .map((type) => `<code>${escapeHtml(type)}</code>`)
+          .join(", ")}</p>${renderTryForm(path, method, operation)}
+      </section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.info.title)} ${escapeHtml(
+    document.info.version
+  )}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 72rem; padding: 0 1rem; color: #1f2328; }
+  section { border-top: 1px solid #d0d7de; padding: 0.5rem 0 1rem; }
+  .method { background: #0969da; color: #fff; border-radius: 4px; padding: 0 0.4rem; font-size: 0.8em; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+  th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; }
+  .content-types { color: #57606a; font-size: 0.9em; }
+  form.try { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: end; font-size: 0.9em; }
+  form.try label { display: flex; flex-direction: column; }
+  form.try textarea { flex-basis: 100%; font-family: monospace; }
+  form.try output { flex-basis: 100%; white-space: pre-wrap; font-family: monospace; max-height: 24rem; overflow: auto; background: #f6f8fa; }
+</style>
+</head>
+<body data-server="${escapeHtml(server)}">
+<h1>${escapeHtml(document.info.title)} <small>${escapeHtml(
+    document.info.version
+  )}</small></h1>
+<p>${escapeHtml(
+    document.info.description
+  )}. The machine-readable specification is at <a href="openapi.json">openapi.json</a>.</p>
+<p><label>Admin token, sent as a bearer token with every request: <input id="token" type="password"></label></p>
+${sections.join("\n")}
+<script>${TRY_SCRIPT}</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  renderDocsHtml,
+};
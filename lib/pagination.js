@@ -0,0 +1,278 @@
+// Keyset (cursor) pagination helpers.
+// A cursor is an opaque, URL-safe encoding of the sort key values of the
+// last row on a page; the next page starts strictly after that row. Cursors
+// are tagged with their sort order, so a cursor is only accepted by a
+// listing sorted the same way.
+//
+// Sort keys are plain columns, so SQLite can read rows in the order of an
+// index on them. NULLs sort first ascending and last descending, as SQLite
+// orders them; keysetCondition() handles them apart from the row-value
+// comparisons, which a NULL would make NULL. notNull marks columns that are
+// never NULL.
+
+const crypto = require("crypto");
+
+// Stable sort key for route listings. duration_min alone is not unique, so
+// ties are broken by route and airline. (duration_min, route_id) is the
+// order of idx_routes_duration, since every SQLite index ends with the rowid.
+const ROUTE_SORT_KEYS = [
+  { column: "duration_min" },
+  { column: "route_id", notNull: true },
+  { column: "airline_iata" },
+  { column: "airline_name" },
+];
+
+// Route listings with group=route have one row per route
+const GROUPED_ROUTE_SORT_KEYS = ROUTE_SORT_KEYS.slice(0, 2);
+
+// Airports served by an airline, busiest first
+const SERVED_AIRPORT_SORT_KEYS = [
+  { column: "route_count", descending: true, notNull: true },
+  { column: "iata" },
+];
+
+// Routes by number of operating airlines, most contested first
+const COMPETITION_SORT_KEYS = [
+  { column: "airline_count", descending: true, notNull: true },
+  { column: "route_id", notNull: true },
+];
+
+// Country (or continent) pairs by number of routes, busiest first
+const COUNTRY_MATRIX_SORT_KEYS = [
+  { column: "route_count", descending: true, notNull: true },
+  { column: "departure" },
+  { column: "arrival" },
+];
+
+// Columns route listings can be sorted by with sort=
+const ROUTE_SORT_COLUMNS = [
+  "route_id",
+  "departure_iata",
+  "departure_city",
+  "departure_country",
+  "arrival_iata",
+  "arrival_city",
+  "arrival_country",
+  "distance_km",
+  "duration_min",
+  "airline_iata",
+  "airline_name",
+  "airline_count",
+];
+
+// Route listing columns that are never NULL
+const NOT_NULL_ROUTE_COLUMNS = ["route_id", "airline_count"];
+
+// Sort keys for a sort= list such as ["distance_km", "-duration_min"]
+// ("-" sorts descending), followed by the unused keys of defaultKeys so the
+// order stays total. Returns null if a column is not in `columns` or is
+// listed twice.
+function customSortKeys(sort, defaultKeys, columns) {
+  const keys = [];
+  for (const item of sort) {
+    const descending = item.startsWith("-");
+    const column = descending ? item.slice(1) : item;
+    if (
+      !columns.includes(column) ||
+      keys.some((key) => key.column === column)
+    ) {
+      return null;
+    }
+
+    keys.push({
+      column,
+      descending,
+      notNull: NOT_NULL_ROUTE_COLUMNS.includes(column),
+    });
+  }
+
+  for (const key of defaultKeys) {
+    if (!keys.some((used) => used.column === key.column)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+function orderByClause(sortKeys) {
+  return (
+    "ORDER BY " +
+    sortKeys
+      .map((key) => `${key.column}${key.descending ? " DESC" : ""}`)
+      .join(", ")
+  );
+}
+
+// Short tag identifying the order of a list of sort keys
+function sortTag(sortKeys) {
+  const order = sortKeys
+    .map((key) => `${key.descending ? "-" : ""}${key.column}`)
+    .join(",");
+  return crypto
+    .createHash("sha1")
+    .update(order)
+    .digest("base64url")
+    .slice(0, 6);
+}
+
+function encodeCursor(sortKeys, values) {
+  return Buffer.from(JSON.stringify([sortTag(sortKeys), ...values])).toString(
+    "base64url"
+  );
+}
+
+// Returns the decoded sort key values, or null if the cursor is malformed
+// or was issued for a different sort order
+function decodeCursor(cursor, sortKeys) {
+  try {
+    const decoded = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (
+      !Array.isArray(decoded) ||
+      decoded.length !== sortKeys.length + 1 ||
+      decoded[0] !== sortTag(sortKeys)
+    ) {
+      return null;
+    }
+    const values = decoded.slice(1);
+    const valid = values.every(
+      (value) =>
+        value === null || typeof value === "number" || typeof value === "string"
+    );
+    return valid ? values : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function cursorForRow(sortKeys, row) {
+  return encodeCursor(
+    sortKeys,
+    sortKeys.map((key) =>
+      row[key.column] === undefined ? null : row[key.column]
+    )
+  );
+}
+
+// Number of leading sort keys that can be compared as one row value: keys
+// running the same way, with non-NULL cursor values. Rows with a NULL in
+// these columns then compare as NULL and are left out, which is right where
+// NULLs sort first, so descending keys must also be notNull.
+function rowValueLength(sortKeys, values) {
+  let length = 0;
+  while (
+    length < sortKeys.length &&
+    Boolean(sortKeys[length].descending) === Boolean(sortKeys[0].descending) &&
+    values[length] !== null &&
+    (!sortKeys[length].descending || sortKeys[length].notNull)
+  ) {
+    length++;
+  }
+  return length;
+}
+
+// WHERE condition selecting rows that sort after the cursor values, or
+// null if no row can. The leading keys are one row-value range, such as
+//   (duration_min, route_id) >= (?, ?)
+//     AND ((duration_min, route_id) > (?, ?) OR <later keys>)
+// which SQLite answers from an index on those columns; the later keys only
+// filter the rows that tie with the cursor.
+function keysetCondition(sortKeys, values) {
+  if (sortKeys.length === 0) {
+    return null;
+  }
+
+  const length = rowValueLength(sortKeys, values);
+  if (length > 0) {
+    const columns = sortKeys.slice(0, length).map((key) => key.column);
+    const leading = values.slice(0, length);
+    const row = length > 1 ? `(${columns.join(", ")})` : columns[0];
+    const placeholders =
+      length > 1 ? `(${leading.map(() => "?").join(", ")})` : "?";
+    const after = sortKeys[0].descending ? "<" : ">";
+    const rest = keysetCondition(sortKeys.slice(length), values.slice(length));
+
+    if (!rest) {
+      return { sql: `${row} ${after} ${placeholders}`, params: leading };
+    }
+    return {
+      sql: `(${row} ${after}= ${placeholders} AND (${row} ${after} ${placeholders} OR ${rest.sql}))`,
+      params: [...leading, ...leading, ...rest.params],
+    };
+  }
+
+  // A NULL cursor value, or a descending column that may be NULL
+  const [key] = sortKeys;
+  const [value] = values;
+  const rest = keysetCondition(sortKeys.slice(1), values.slice(1));
+  const clauses = [];
+  const params = [];
+
+  if (value === null) {
+    // Non-NULL values follow NULLs ascending, and precede them descending
+    if (!key.descending) {
+      clauses.push(`${key.column} IS NOT NULL`);
+    }
+    if (rest) {
+      clauses.push(`(${key.column} IS NULL AND ${rest.sql})`);
+      params.push(...rest.params);
+    }
+  } else {
+    clauses.push(`${key.column} < ?`, `${key.column} IS NULL`);
+    params.push(value);
+    if (rest) {
+      clauses.push(`(${key.column} = ? AND ${rest.sql})`);
+      params.push(value, ...rest.params);
+    }
+  }
+
+  if (clauses.length === 0) {
+    return null;
+  }
+  return { sql: `(${clauses.join(" OR ")})`, params };
+}
+
+// Build the final paginated query around baseQuery (which must not have an
+// ORDER BY). With cursorValues the page starts after the cursor and offset
+// is ignored.
+function buildPageQuery(baseQuery, params, options) {
+  const { sortKeys, returnAll, limit, offset, cursorValues } = options;
+  let query = `SELECT * FROM (${baseQuery})`;
+  const pageParams = [...params];
+
+  if (cursorValues) {
+    // A cursor after the last row matches nothing
+    const condition = keysetCondition(sortKeys, cursorValues) || {
+      sql: "0",
+      params: [],
+    };
+    query += ` WHERE ${condition.sql}`;
+    pageParams.push(...condition.params);
+  }
+
+  query += ` ${orderByClause(sortKeys)}`;
+
+  if (!returnAll) {
+    query += " LIMIT ? OFFSET ?";
+    pageParams.push(limit, cursorValues ? 0 : offset);
+  }
+
+  return { query, params: pageParams };
+}
+
+module.exports = {
+  ROUTE_SORT_KEYS,
+  GROUPED_ROUTE_SORT_KEYS,
+  SERVED_AIRPORT_SORT_KEYS,
+  COMPETITION_SORT_KEYS,
+  COUNTRY_MATRIX_SORT_KEYS,
+  ROUTE_SORT_COLUMNS,
+  customSortKeys,
+  orderByClause,
+  encodeCursor,
+  decodeCursor,
+  cursorForRow,
+  keysetCondition,
+  buildPageQuery,
+};
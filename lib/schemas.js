@@ -0,0 +1,732 @@
+// Parameter schemas for every endpoint. They drive both the validate()
+// middleware and the OpenAPI document, so the two cannot drift apart.
+
+const MAX_PAGE_SIZE = 1000;
+
+const direction = {
+  type: "enum",
+  values: ["departure", "arrival"],
+  default: "departure",
+  description: "Whether to list routes departing from or arriving at it",
+};
+
+const airlineId = {
+  type: "integer",
+  min: 1,
+  description: "Filter by airline ID",
+};
+const airlineName = {
+  type: "string",
+  maxLength: 100,
+  description: "Filter by airline name (supports partial matching)",
+};
+const country = { type: "string", maxLength: 100 };
+const city = { type: "string", maxLength: 100 };
+const duration = { type: "integer", min: 0 };
+
+// Pagination shared by every paginated listing
+function pageQuery(defaultAll) {
+  return {
+    all: {
+      type: "boolean",
+      default: defaultAll,
+      description: "Return all matching results without pagination",
+    },
+    limit: {
+      type: "integer",
+      min: 1,
+      max: MAX_PAGE_SIZE,
+      default: 100,
+      description: "Number of results to return when paginating",
+    },
+    offset: {
+      type: "integer",
+      min: 0,
+      default: 0,
+      description: "Offset for pagination (ignored when cursor is given)",
+    },
+    cursor: {
+      type: "string",
+      maxLength: 1000,
+      description: "Cursor from a previous page's next_cursor",
+    },
+    include_total: {
+      type: "boolean",
+      default: false,
+      description: "Include the total number of matching results",
+    },
+  };
+}
+
+// Optional CO2 estimates, see emissions.js
+const emissionsQuery = {
+  include: {
+    type: "list",
+    maxItems: 1,
+    items: { type: "enum", values: ["emissions"] },
+    description: "Set to emissions to add a per-passenger CO2 estimate",
+  },
+  cabin: {
+    type: "string",
+    maxLength: 30,
+    description:
+      "Cabin class of the CO2 estimate: economy, premium_economy, business or first (default: economy)",
+  },
+};
+
+// Shared by the route listings; only the default for `all` differs
+function routeListQuery(defaultAll) {
+  return {
+    ...pageQuery(defaultAll),
+    format: {
+      type: "enum",
+      values: ["json", "geojson", "csv", "ndjson"],
+      default: null,
+      description:
+        "Response format. csv and ndjson are streamed as downloads (default: json)",
+    },
+    points: {
+      type: "integer",
+      min: 2,
+      max: 256,
+      default: 32,
+      description: "Positions per great-circle arc when format=geojson",
+    },
+    sort: {
+      type: "list",
+      maxItems: 5,
+      items: { type: "string", maxLength: 20 },
+      description:
+        "Columns to sort by, e.g. distance_km,-duration_min. Prefix a column with - to sort descending",
+    },
+    fields: {
+      type: "list",
+      maxItems: 20,
+      items: { type: "string", maxLength: 20 },
+      description:
+        "Route columns to return, e.g. departure_iata,arrival_iata,distance_km (default: all)",
+    },
+    ...emissionsQuery,
+  };
+}
+
+// Distance and continent filters shared by every route listing
+const routeRangeQuery = {
+  min_distance: {
+    type: "integer",
+    min: 0,
+    description: "Filter by minimum distance in kilometres",
+  },
+  max_distance: {
+    type: "integer",
+    min: 0,
+    description: "Filter by maximum distance in kilometres",
+  },
+  departure_continent: {
+    type: "string",
+    maxLength: 2,
+    description: "Filter by departure continent code",
+  },
+  arrival_continent: {
+    type: "string",
+    maxLength: 2,
+    description: "Filter by arrival continent code",
+  },
+};
+
+// Return each route once with the airlines operating it, instead of one
+// row per airline
+const group = {
+  type: "enum",
+  values: ["route"],
+  default: null,
+  description:
+    "Set to route to return each route once, with an airlines array. Pagination and totals count routes",
+};
+
+// Filters of /routes that also apply to other route listings
+const routeFilterQuery = {
+  departure_iata: {
+    type: "iata",
+    description: "Filter by departure airport code",
+  },
+  arrival_iata: {
+    type: "iata",
+    description: "Filter by arrival airport code",
+  },
+  departure_city: {
+    ...city,
+    description:
+      "Filter by departure city or metro area, covering all of its airports",
+  },
+  arrival_city: {
+    ...city,
+    description:
+      "Filter by arrival city or metro area, covering all of its airports",
+  },
+  departure_country: {
+    ...country,
+    description: "Filter by departure country",
+  },
+  arrival_country: { ...country, description: "Filter by arrival country" },
+  max_duration: {
+    ...duration,
+    description: "Filter by maximum duration in minutes",
+  },
+  min_duration: {
+    ...duration,
+    description: "Filter by minimum duration in minutes",
+  },
+  ...routeRangeQuery,
+};
+
+// An airline is addressed by numeric ID or IATA code
+const airlineParams = {
+  airline: {
+    type: "string",
+    required: true,
+    maxLength: 10,
+    description: "Airline ID or 2-character IATA code",
+  },
+};
+
+const schemas = {
+  airports: {
+    query: {
+      country: { ...country, description: "Filter by country name" },
+      continent: {
+        type: "string",
+        maxLength: 2,
+        description: "Filter by continent code",
+      },
+      format: {
+        type: "enum",
+        values: ["json", "geojson"],
+        default: null,
+        description: "Response format (default: json)",
+      },
+    },
+  },
+
+  nearbyAirports: {
+    query: {
+      lat: {
+        type: "number",
+        min: -90,
+        max: 90,
+        description: "Latitude of the search centre",
+      },
+      lon: {
+        type: "number",
+        min: -180,
+        max: 180,
+        description: "Longitude of the search centre",
+      },
+      near: {
+        type: "iata",
+        description: "IATA code of an airport to search around",
+      },
+      bbox: {
+        type: "list",
+        length: 4,
+        items: { type: "number" },
+        description: "Bounding box as minLon,minLat,maxLon,maxLat",
+      },
+      radius_km: {
+        type: "number",
+        min: 1,
+        max: 5000,
+        default: 100,
+        description: "Search radius in kilometres",
+      },
+      limit: {
+        type: "integer",
+        min: 1,
+        max: 500,
+        default: 50,
+        description: "Number of airports to return",
+      },
+    },
+  },
+
+  routes: {
+    query: {
+      airline_id: airlineId,
+      airline_name: airlineName,
+      ...routeFilterQuery,
+      group,
+      ...routeListQuery(false),
+    },
+  },
+
+  airline: {
+    params: airlineParams,
+  },
+
+  airlineRoutes: {
+    params: airlineParams,
+    query: {
+      ...routeFilterQuery,
+      ...routeListQuery(false),
+    },
+  },
+
+  airlineAirports: {
+    params: airlineParams,
+    query: {
+      country: { ...country, description: "Filter by country name" },
+      continent: {
+        type: "string",
+        maxLength: 2,
+        description: "Filter by continent code",
+      },
+      ...pageQuery(false),
+      format: {
+        type: "enum",
+        values: ["json", "geojson"],
+        default: null,
+        description: "Response format (default: json)",
+      },
+    },
+  },
+
+  routePath: {
+    params: {
+      route_id: {
+        type: "integer",
+        min: 1,
+        required: true,
+        description: "Route identifier",
+      },
+    },
+    query: {
+      points: {
+        type: "integer",
+        min: 2,
+        max: 1024,
+        default: 64,
+        description: "Number of interpolated positions along the arc",
+      },
+    },
+  },
+
+  routeEmissions: {
+    params: {
+      route_id: {
+        type: "integer",
+        min: 1,
+        required: true,
+        description: "Route identifier",
+      },
+    },
+  },
+
+  airport: {
+    params: {
+      iata: {
+        type: "iata",
+        required: true,
+        description: "IATA code of the airport",
+      },
+    },
+  },
+
+  reachable: {
+    params: {
+      iata: {
+        type: "iata",
+        required: true,
+        description: "IATA code of the departure airport",
+      },
+    },
+    query: {
+      max_duration: {
+        type: "integer",
+        min: 1,
+        max: 2880,
+        required: true,
+        description: "Maximum total duration in minutes, including connections",
+      },
+      max_stops: {
+        type: "integer",
+        min: 0,
+        max: 2,
+        default: 1,
+        description: "Maximum number of stops",
+      },
+      min_connection: {
+        type: "integer",
+        min: 0,
+        max: 1440,
+        default: 60,
+        description: "Minimum connection time in minutes added for each stop",
+      },
+      airline_id: {
+        type: "list",
+        maxItems: 50,
+        items: { type: "integer", min: 1 },
+        description:
+          "Only use legs operated by one of these airline IDs (comma-separated)",
+      },
+      airline_name: {
+        ...airlineName,
+        description: "Only use legs operated by a matching airline",
+      },
+      group_by: {
+        type: "enum",
+        values: ["country"],
+        description: "Group reachable airports by country",
+      },
+    },
+  },
+
+  airportRoutes: {
+    params: {
+      iata: {
+        type: "iata",
+        required: true,
+        description: "IATA code of the airport",
+      },
+    },
+    query: {
+      direction,
+      airline_id: airlineId,
+      airline_name: airlineName,
+      ...routeRangeQuery,
+      group,
+      // Default to returning all routes for specific airport queries
+      ...routeListQuery(true),
+    },
+  },
+
+  countryRoutes: {
+    params: {
+      country: { ...country, required: true, description: "Country name" },
+    },
+    query: {
+      direction,
+      destination_country: {
+        ...country,
+        description: "Filter by destination country",
+      },
+      airline_name: airlineName,
+      ...routeRangeQuery,
+      group,
+      ...routeListQuery(false),
+    },
+  },
+
+  cities: {
+    query: {
+      country: { ...country, description: "Filter by country name" },
+      continent: {
+        type: "string",
+        maxLength: 2,
+        description: "Filter by continent code",
+      },
+      min_airports: {
+        type: "integer",
+        min: 1,
+        default: 1,
+        description:
+          "Only list cities with at least this many airports, e.g. 2 for multi-airport cities",
+      },
+    },
+  },
+
+  cityRoutes: {
+    params: {
+      city: {
+        ...city,
+        required: true,
+        description: "City or metro area name",
+      },
+    },
+    query: {
+      country: {
+        ...country,
+        description: "Country of the city, for names shared by several cities",
+      },
+      direction,
+      destination_city: {
+        ...city,
+        description: "Filter by destination city or metro area",
+      },
+      airline_name: airlineName,
+      ...routeRangeQuery,
+      group,
+      ...routeListQuery(false),
+    },
+  },
+
+  hubs: {
+    query: {
+      continent: {
+        type: "string",
+        maxLength: 2,
+        description: "Only rank airports on this continent",
+      },
+      country: {
+        ...country,
+        description: "Only rank airports in this country",
+      },
+      airline: {
+        type: "string",
+        maxLength: 10,
+        description:
+          "Airline ID or IATA code; metrics are computed over its network only",
+      },
+      sort: {
+        type: "enum",
+        values: [
+          "betweenness",
+          "closeness",
+          "degree",
+          "weighted_degree",
+          "connecting_pairs",
+        ],
+        default: "betweenness",
+        description: "Metric to rank airports by",
+      },
+      limit: {
+        type: "integer",
+        min: 1,
+        max: 500,
+        default: 20,
+        description: "Number of airports to return",
+      },
+    },
+  },
+
+  competition: {
+    query: {
+      ...routeFilterQuery,
+      airline: {
+        type: "string",
+        maxLength: 10,
+        description: "Only routes operated by this airline (ID or IATA code)",
+      },
+      status: {
+        type: "enum",
+        values: ["monopoly", "contested"],
+        description:
+          "Only routes with a single airline (monopoly) or several (contested)",
+      },
+      ...pageQuery(false),
+    },
+  },
+
+  countryMatrix: {
+    query: {
+      airline_id: airlineId,
+      airline_name: airlineName,
+      ...routeFilterQuery,
+      level: {
+        type: "enum",
+        values: ["country", "continent"],
+        default: "country",
+        description: "Aggregate between countries or between continents",
+      },
+      ...pageQuery(false),
+    },
+  },
+
+  distribution: {
+    query: {
+      airline_id: airlineId,
+      airline_name: airlineName,
+      ...routeFilterQuery,
+      bins: {
+        type: "integer",
+        min: 1,
+        max: 200,
+        default: 20,
+        description: "Maximum number of histogram bins",
+      },
+      percentiles: {
+        type: "list",
+        maxItems: 20,
+        items: { type: "number", min: 0, max: 100 },
+        description:
+          "Percentiles to compute, comma-separated (default: 5,25,50,75,95)",
+      },
+    },
+  },
+
+  emissions: {
+    query: {
+      airline_id: airlineId,
+      airline_name: airlineName,
+      ...routeFilterQuery,
+      cabin: emissionsQuery.cabin,
+    },
+  },
+
+  overlap: {
+    query: {
+      airlines: {
+        type: "list",
+        length: 2,
+        required: true,
+        items: { type: "string", maxLength: 10 },
+        description: "Two airlines to compare, by ID or IATA code, e.g. BA,VS",
+      },
+      limit: {
+        type: "integer",
+        min: 0,
+        max: MAX_PAGE_SIZE,
+        default: 100,
+        description: "Maximum number of routes in each route list",
+      },
+    },
+  },
+
+  search: {
+    query: {
+      q: {
+        type: "string",
+        required: true,
+        maxLength: 100,
+        description: "Search text",
+      },
+      type: {
+        type: "enum",
+        values: ["airport", "city", "airline"],
+        description: "Restrict results to airports, cities or airlines",
+      },
+      limit: {
+        type: "integer",
+        min: 1,
+        max: 50,
+        default: 10,
+        description: "Number of results to return",
+      },
+    },
+  },
+
+  itineraries: {
+    query: {
+      from: {
+        type: "iata",
+        required: true,
+        description: "IATA code of the departure airport",
+      },
+      to: {
+        type: "iata",
+        required: true,
+        description: "IATA code of the arrival airport",
+      },
+      max_stops: {
+        type: "integer",
+        min: 0,
+        max: 2,
+        default: 1,
+        description: "Maximum number of stops",
+      },
+      min_connection: {
+        type: "integer",
+        min: 0,
+        max: 1440,
+        default: 60,
+        description: "Minimum connection time in minutes added for each stop",
+      },
+      max_duration: {
+        ...duration,
+        description: "Maximum total duration in minutes, including connections",
+      },
+      airline_id: {
+        type: "list",
+        maxItems: 50,
+        items: { type: "integer", min: 1 },
+        description:
+          "Only use legs operated by one of these airline IDs (comma-separated)",
+      },
+      airline_name: {
+        ...airlineName,
+        description: "Only use legs operated by a matching airline",
+      },
+      limit: {
+        type: "integer",
+        min: 1,
+        max: 100,
+        default: 10,
+        description: "Number of itineraries to return",
+      },
+      ...emissionsQuery,
+    },
+  },
+
+  audit: {
+    query: {
+      limit: {
+        type: "integer",
+        min: 0,
+        max: MAX_PAGE_SIZE,
+        default: 20,
+        description: "Number of example rows to list per check",
+      },
+    },
+  },
+
+  changes: {
+    query: {
+      type: {
+        type: "list",
+        maxItems: 3,
+        items: { type: "enum", values: ["added", "removed", "changed"] },
+        description:
+          "Only these kinds of change (comma-separated): added or removed routes, or changed airlines",
+      },
+      airport: {
+        type: "iata",
+        description: "Only routes departing from or arriving at this airport",
+      },
+      departure_iata: {
+        type: "iata",
+        description: "Filter by departure airport code",
+      },
+      arrival_iata: {
+        type: "iata",
+        description: "Filter by arrival airport code",
+      },
+      country: {
+        ...country,
+        description: "Only routes departing from or arriving in this country",
+      },
+      departure_country: {
+        ...country,
+        description: "Filter by departure country",
+      },
+      arrival_country: { ...country, description: "Filter by arrival country" },
+      airline_iata: {
+        type: "string",
+        maxLength: 3,
+        description:
+          "Only additions and removals of the airline with this IATA code",
+      },
+      airline_name: {
+        ...airlineName,
+        description:
+          "Only additions and removals of matching airlines (partial match)",
+      },
+      limit: {
+        type: "integer",
+        min: 1,
+        max: MAX_PAGE_SIZE,
+        default: 100,
+        description: "Number of changes to return",
+      },
+      offset: {
+        type: "integer",
+        min: 0,
+        default: 0,
+        description: "Number of changes to skip",
+      },
+    },
+  },
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  schemas,
+};
@@ -0,0 +1,293 @@
+// In-memory typeahead index over airports, cities and airlines.
+// Results are ranked by match quality (exact IATA, prefix, substring, then
+// typo-tolerant matches) and, within a tier, by how many routes they serve.
+
+const MATCH_TIERS = ["iata", "prefix", "substring", "fuzzy"];
+
+// Lowercase and strip accents so "Zürich" matches "zurich"
+function normalize(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+function tokenize(value) {
+  return normalize(value)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Levenshtein distance that gives up once it exceeds maxDistance
+function boundedEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Short words are too ambiguous to fuzzy-match
+function allowedTypos(word) {
+  if (word.length < 4) {
+    return 0;
+  }
+  return word.length < 7 ? 1 : 2;
+}
+
+// Best edit distance between a query word and any token, also comparing
+// against token prefixes so partially typed words still match
+function closestToken(word, tokens) {
+  const maxDistance = allowedTypos(word);
+  let best = maxDistance + 1;
+
+  for (const token of tokens) {
+    const candidates = [token];
+    if (token.length > word.length) {
+      candidates.push(token.slice(0, word.length));
+    }
+    for (const candidate of candidates) {
+      best = Math.min(best, boundedEditDistance(word, candidate, maxDistance));
+      if (best === 0) {
+        return best;
+      }
+    }
+  }
+
+  return best <= maxDistance ? best : null;
+}
+
+// label orders entries that tie on match quality and route counts
+function createEntry(type, record, fields, weight, label = record.name) {
+  const normalizedFields = fields
+    .filter(([, value]) => value)
+    .map(([name, value]) => ({
+      name,
+      value: normalize(value),
+      tokens: tokenize(value),
+    }));
+
+  return {
+    type,
+    record,
+    iata: normalize(record.iata),
+    fields: normalizedFields,
+    weight,
+    label: String(label),
+  };
+}
+
+// Returns { tier, field, distance } or null when the entry does not match
+function matchEntry(entry, query, queryWords) {
+  if (entry.iata && entry.iata === query) {
+    return { tier: 0, field: "iata", distance: 0 };
+  }
+
+  for (const field of entry.fields) {
+    if (
+      field.value.startsWith(query) ||
+      field.tokens.some((token) => token.startsWith(query))
+    ) {
+      return { tier: 1, field: field.name, distance: 0 };
+    }
+  }
+
+  for (const field of entry.fields) {
+    if (field.value.includes(query)) {
+      return { tier: 2, field: field.name, distance: 0 };
+    }
+  }
+
+  if (queryWords.length === 0 || queryWords.every((w) => !allowedTypos(w))) {
+    return null;
+  }
+
+  // Every word must be close to a token of some field. The matched field is
+  // the one close to the most words, then the one closest to them.
+  const fieldMatches = entry.fields.map((field) => ({
+    name: field.name,
+    words: 0,
+    distance: 0,
+  }));
+  let distance = 0;
+  for (const word of queryWords) {
+    let wordDistance = null;
+    entry.fields.forEach((field, i) => {
+      const fieldDistance = closestToken(word, field.tokens);
+      if (fieldDistance === null) {
+        return;
+      }
+      fieldMatches[i].words++;
+      fieldMatches[i].distance += fieldDistance;
+      if (wordDistance === null || fieldDistance < wordDistance) {
+        wordDistance = fieldDistance;
+      }
+    });
+    if (wordDistance === null) {
+      return null;
+    }
+    distance += wordDistance;
+  }
+
+  const field = fieldMatches.reduce((best, candidate) =>
+    candidate.words > best.words ||
+    (candidate.words === best.words && candidate.distance < best.distance)
+      ? candidate
+      : best
+  );
+  return { tier: 3, field: field.name, distance };
+}
+
+// Group airports sharing a city_name within one country into cities, with
+// the route counts of their airports added up
+function groupCities(airports, routeCounts) {
+  const cities = new Map();
+
+  for (const airport of airports) {
+    if (!airport.city_name) {
+      continue;
+    }
+    const key = `${normalize(airport.city_name)}|${airport.country}`;
+    if (!cities.has(key)) {
+      cities.set(key, {
+        city: {
+          city: airport.city_name,
+          country: airport.country,
+          country_code: airport.country_code,
+          continent: airport.continent,
+          airports: [],
+        },
+        routeCount: 0,
+        airportCounts: new Map(),
+      });
+    }
+    const group = cities.get(key);
+    const count = routeCounts.get(`airport:${airport.iata}`) || 0;
+    group.city.airports.push(airport.iata);
+    group.airportCounts.set(airport.iata, count);
+    group.routeCount += count;
+  }
+
+  // Busiest airport first
+  for (const { city, airportCounts } of cities.values()) {
+    city.airports.sort(
+      (a, b) =>
+        airportCounts.get(b) - airportCounts.get(a) || a.localeCompare(b)
+    );
+  }
+
+  return [...cities.values()];
+}
+
+// airports and airlines are plain rows; routeCounts maps "airport:LHR" and
+// "airline:<id>" keys to the number of routes used for tie-breaking
+function buildSearchIndex({ airports, airlines, routeCounts = new Map() }) {
+  const entries = [];
+
+  for (const { city, routeCount } of groupCities(airports, routeCounts)) {
+    entries.push(
+      createEntry(
+        "city",
+        city,
+        [
+          ["city", city.city],
+          ["country", city.country],
+        ],
+        routeCount,
+        city.city
+      )
+    );
+  }
+
+  for (const airport of airports) {
+    entries.push(
+      createEntry(
+        "airport",
+        airport,
+        [
+          ["iata", airport.iata],
+          ["city_name", airport.city_name],
+          ["name", airport.name],
+          ["country", airport.country],
+        ],
+        routeCounts.get(`airport:${airport.iata}`) || 0
+      )
+    );
+  }
+
+  for (const airline of airlines) {
+    entries.push(
+      createEntry(
+        "airline",
+        airline,
+        [
+          ["iata", airline.iata],
+          ["name", airline.name],
+        ],
+        routeCounts.get(`airline:${airline.id}`) || 0
+      )
+    );
+  }
+
+  const search = (text, { type = null, limit = 10 } = {}) => {
+    const query = normalize(text);
+    if (!query) {
+      return [];
+    }
+    const queryWords = tokenize(text);
+    const matches = [];
+
+    for (const entry of entries) {
+      if (type && entry.type !== type) {
+        continue;
+      }
+      const match = matchEntry(entry, query, queryWords);
+      if (match) {
+        matches.push({ entry, ...match });
+      }
+    }
+
+    matches.sort(
+      (a, b) =>
+        a.tier - b.tier ||
+        a.distance - b.distance ||
+        b.entry.weight - a.entry.weight ||
+        a.entry.label.localeCompare(b.entry.label)
+    );
+
+    return matches.slice(0, limit).map((match) => ({
+      type: match.entry.type,
+      match: MATCH_TIERS[match.tier],
+      matched_field: match.field,
+      route_count: match.entry.weight,
+      ...match.entry.record,
+    }));
+  };
+
+  return { size: entries.length, search };
+}
+
+module.exports = {
+  buildSearchIndex,
+  normalize,
+};
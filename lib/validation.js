@@ -0,0 +1,198 @@
+// Schema-driven validation of path and query parameters.
+// A schema maps each parameter name to a spec such as
+// { type: "integer", min: 1, max: 1000, default: 100 }. Parsed values are
+// exposed to handlers as req.validated; unknown parameters are ignored.
+
+const crypto = require("crypto");
+const { invalidParameter, missingParameter } = require("./errors");
+
+const BOOLEAN_VALUES = {
+  true: true,
+  false: false,
+  1: true,
+  0: false,
+};
+
+function rangeMessage(name, kind, spec) {
+  if (spec.min !== undefined && spec.max !== undefined) {
+    return `${name} must be ${kind} between ${spec.min} and ${spec.max}`;
+  }
+  if (spec.min !== undefined) {
+    return `${name} must be ${kind} of at least ${spec.min}`;
+  }
+  if (spec.max !== undefined) {
+    return `${name} must be ${kind} of at most ${spec.max}`;
+  }
+  return `${name} must be ${kind}`;
+}
+
+function parseNumber(name, raw, spec, integer) {
+  const kind = integer ? "an integer" : "a number";
+  const value = Number(raw);
+  if (
+    String(raw).trim() === "" ||
+    !Number.isFinite(value) ||
+    (integer && !Number.isInteger(value)) ||
+    (spec.min !== undefined && value < spec.min) ||
+    (spec.max !== undefined && value > spec.max)
+  ) {
+    throw invalidParameter(name, rangeMessage(name, kind, spec));
+  }
+  return value;
+}
+
+function parseList(name, raw, spec) {
+  const items = String(raw)
+    .split(",")
+    .map((item) => item.trim());
+  if (spec.length !== undefined && items.length !== spec.length) {
+    throw invalidParameter(
+      name,
+      `${name} must be a comma-separated list of ${spec.length} values`
+    );
+  }
+  if (spec.maxItems !== undefined && items.length > spec.maxItems) {
+    throw invalidParameter(
+      name,
+      `${name} accepts at most ${spec.maxItems} values`
+    );
+  }
+  return items.map((item) =>
+    parseValue(name, item, { ...spec.items, required: true })
+  );
+}
+
+function parseValue(name, raw, spec) {
+  if (Array.isArray(raw)) {
+    throw invalidParameter(name, `${name} must only be given once`);
+  }
+
+  switch (spec.type) {
+    case "integer":
+      return parseNumber(name, raw, spec, true);
+    case "number":
+      return parseNumber(name, raw, spec, false);
+    case "boolean":
+      if (!Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, raw)) {
+        throw invalidParameter(name, `${name} must be 'true' or 'false'`);
+      }
+      return BOOLEAN_VALUES[raw];
+    case "enum":
+      if (!spec.values.includes(raw)) {
+        throw invalidParameter(
+          name,
+          `${name} must be one of: ${spec.values.join(", ")}`
+        );
+      }
+      return raw;
+    case "iata": {
+      const value = String(raw).trim().toUpperCase();
+      if (!/^[A-Z0-9]{3}$/.test(value)) {
+        throw invalidParameter(
+          name,
+          `${name} must be a 3-character IATA airport code`
+        );
+      }
+      return value;
+    }
+    case "list":
+      return parseList(name, raw, spec);
+    case "string":
+    default: {
+      const value = String(raw).trim();
+      if (spec.required && value === "") {
+        throw missingParameter(name);
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        throw invalidParameter(
+          name,
+          `${name} must be at most ${spec.maxLength} characters`
+        );
+      }
+      return value;
+    }
+  }
+}
+
+// Validate one source object (req.params or req.query) against its schema
+function validateSource(source, schema) {
+  const values = {};
+
+  for (const [name, spec] of Object.entries(schema || {})) {
+    const raw = source[name];
+    if (raw === undefined || raw === "") {
+      if (spec.required) {
+        throw missingParameter(name);
+      }
+      values[name] = spec.default !== undefined ? spec.default : null;
+      continue;
+    }
+    values[name] = parseValue(name, raw, spec);
+  }
+
+  return values;
+}
+
+// Validate plain values against a schema's path and query parameters
+// together, for programmatic callers. Lists may be given as arrays, and
+// null counts as not given.
+function validateValues(schema, values) {
+  const source = {};
+  for (const [name, value] of Object.entries(values)) {
+    if (value !== null) {
+      source[name] = Array.isArray(value) ? value.join(",") : value;
+    }
+  }
+  return {
+    ...validateSource(source, schema.query),
+    ...validateSource(source, schema.params),
+  };
+}
+
+// Middleware validating req.params and req.query against
+// { params: {...}, query: {...} }
+function validate(schema) {
+  return (req, res, next) => {
+    try {
+      req.validated = {
+        ...validateSource(req.query, schema.query),
+        ...validateSource(req.params, schema.params),
+      };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Middleware assigning every request an id (or reusing a sane incoming
+// X-Request-Id), echoing it in the response and logging each request with
+// it to logger.log
+function createRequestContext(logger = console) {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    req.id =
+      incoming && /^[A-Za-z0-9._-]{1,64}$/.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+    res.setHeader("X-Request-Id", req.id);
+
+    const startTime = process.hrtime.bigint();
+    res.on("finish", () => {
+      const elapsedMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+      logger.log(
+        `[${req.id}] ${req.method} ${req.originalUrl} ${
+          res.statusCode
+        } ${elapsedMs.toFixed(1)}ms`
+      );
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  validateValues,
+  createRequestContext,
+};
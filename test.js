@@ -5,7 +5,7 @@ const API_BASE_URL = "http://localhost:3000";
 
 // Utility function to format response data for display
 function formatResponse(data, endpoint) {
-  if (endpoint === "/routes" && data.routes) {
+  if (data.routes && data.pagination) {
     const { routes, pagination } = data;
     return {
       meta: {
@@ -13,10 +13,37 @@ function formatResponse(data, endpoint) {
         showing: routes.length,
         limit: pagination.limit,
         offset: pagination.offset,
+        next_cursor: pagination.next_cursor,
+        has_more: pagination.has_more,
         all: pagination.all,
       },
       example: routes.length > 0 ? routes[0] : null,
-      message: `Showing ${routes.length} of ${pagination.total} routes`,
+      message:
+        pagination.total !== undefined
+          ? `Showing ${routes.length} of ${pagination.total} routes`
+          : `Showing ${routes.length} routes`,
+    };
+  }
+
+  if (endpoint === "/itineraries" && data.itineraries) {
+    return {
+      meta: {
+        from: data.from.iata,
+        to: data.to.iata,
+        max_stops: data.max_stops,
+        total: data.total,
+        returnedCount: data.returnedCount,
+      },
+      example: data.itineraries.length > 0 ? data.itineraries[0] : null,
+      message: `Found ${data.total} itineraries from ${data.from.iata} to ${data.to.iata}`,
+    };
+  }
+
+  if (endpoint === "/openapi.json" && data.paths) {
+    return {
+      openapi: data.openapi,
+      info: data.info,
+      paths: Object.keys(data.paths),
     };
   }
 
@@ -92,6 +119,53 @@ async function testEndpoint(endpoint, params, description) {
   }
 }
 
+// Function to test a POST /batch request
+async function testBatch(requests, description) {
+  console.log("\n" + "=".repeat(80));
+  console.log(description);
+  console.log("=".repeat(80));
+
+  const url = `${API_BASE_URL}/batch`;
+  console.log(`Request: POST ${url}`);
+  console.log("Body:", requests);
+
+  const startTime = Date.now();
+
+  try {
+    const response = await axios.post(url, requests);
+    const elapsedTime = Date.now() - startTime;
+
+    console.log(`Status: ${response.status}`);
+    console.log(`Response time: ${elapsedTime} ms`);
+    console.log("Response data:");
+    console.log(
+      JSON.stringify(
+        {
+          count: response.data.count,
+          results: response.data.results.map((result) => ({
+            ...result,
+            body:
+              result.body && typeof result.body === "object"
+                ? formatResponse(result.body, result.path)
+                : result.body,
+          })),
+        },
+        null,
+        2
+      )
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error.response) {
+      console.error(`Status: ${error.response.status}`);
+      console.error("Response data:", error.response.data);
+    }
+    return null;
+  }
+}
+
 // Main function to run all tests
 async function runTests() {
   console.log("Testing Flight Routes API");
@@ -228,6 +302,20 @@ async function runTests() {
       "21. Routes with Pagination (Page 2)"
     );
 
+    // Test cursor pagination
+    const firstPage = await testEndpoint(
+      "/routes",
+      { limit: 5, include_total: "true" },
+      "21a. Routes with Cursor Pagination (Page 1, with total)"
+    );
+    if (firstPage && firstPage.pagination.next_cursor) {
+      await testEndpoint(
+        "/routes",
+        { limit: 5, cursor: firstPage.pagination.next_cursor },
+        "21b. Routes with Cursor Pagination (Page 2)"
+      );
+    }
+
     // Test error handling
     await testEndpoint(
       "/airports/INVALID/routes",
@@ -241,6 +329,192 @@ async function runTests() {
       "23. Invalid Direction Parameter (Error Handling)"
     );
 
+    await testEndpoint(
+      "/routes",
+      { max_duration: "abc", limit: 5000 },
+      "23a. Invalid Numeric Parameters (Error Handling)"
+    );
+
+    await testEndpoint(
+      "/countries/Atlantis/routes",
+      {},
+      "23b. Unknown Country (Error Handling)"
+    );
+
+    // Test itineraries
+    await testEndpoint(
+      "/itineraries",
+      { from: "LHR", to: "SYD", max_stops: 2, limit: 5 },
+      "24. Itineraries from London Heathrow to Sydney (up to 2 stops)"
+    );
+
+    await testEndpoint(
+      "/itineraries",
+      { from: "LHR", to: "SYD", airline_name: "Qantas" },
+      "25. Qantas-only Itineraries from London Heathrow to Sydney"
+    );
+
+    // Test nearby airports
+    await testEndpoint(
+      "/airports/nearby",
+      { near: "LHR", radius_km: 100 },
+      "26. Airports within 100 km of London Heathrow"
+    );
+
+    await testEndpoint(
+      "/airports/nearby",
+      { bbox: "-10,49,2,61" },
+      "27. Airports inside a UK bounding box"
+    );
+
+    // Test search
+    await testEndpoint("/search", { q: "heath" }, "28. Search for 'heath'");
+
+    await testEndpoint(
+      "/search",
+      { q: "lufthansa", type: "airline" },
+      "29. Search airlines for 'lufthansa'"
+    );
+
+    // Test GeoJSON output
+    await testEndpoint(
+      "/airports/SYD/routes",
+      { format: "geojson" },
+      "30. Routes from Sydney as GeoJSON"
+    );
+
+    await testEndpoint(
+      "/routes/1/path",
+      { points: 16 },
+      "31. Great-circle Path for Route 1"
+    );
+
+    // Test streaming exports
+    await testEndpoint(
+      "/countries/United Kingdom/routes",
+      { format: "csv", limit: 5 },
+      "32. Routes from UK as CSV (First 5)"
+    );
+
+    await testEndpoint(
+      "/routes",
+      { departure_iata: "LHR", format: "ndjson", limit: 5 },
+      "33. Routes from London Heathrow as NDJSON (First 5)"
+    );
+
+    // Test the API description
+    await testEndpoint("/openapi.json", null, "34. OpenAPI Document");
+
+    // Test airline network endpoints
+    await testEndpoint("/airlines/BA", null, "35. British Airways Network");
+    await testEndpoint(
+      "/airlines/BA/routes",
+      { departure_iata: "LHR", limit: 5 },
+      "36. British Airways Routes from LHR (First 5)"
+    );
+    await testEndpoint(
+      "/airlines/BA/airports",
+      { limit: 5 },
+      "37. Busiest British Airways Airports (First 5)"
+    );
+
+    // Test airport profile
+    await testEndpoint("/airports/LHR", null, "38. London Heathrow Profile");
+
+    await testEndpoint(
+      "/airports/MAN/reachable",
+      { max_duration: 360, max_stops: 1, group_by: "country" },
+      "39. Reachable from Manchester within 6 Hours"
+    );
+
+    // Test analytics
+    await testEndpoint(
+      "/analytics/hubs",
+      { continent: "EU", limit: 5 },
+      "40. Top European Hubs by Betweenness"
+    );
+
+    await testEndpoint(
+      "/analytics/competition",
+      { departure_iata: "LHR", limit: 5 },
+      "41. Competition on Routes from London Heathrow"
+    );
+    await testEndpoint(
+      "/analytics/overlap",
+      { airlines: "BA,VS", limit: 5 },
+      "42. British Airways and Virgin Atlantic Overlap"
+    );
+
+    await testEndpoint(
+      "/routes",
+      { departure_iata: "LHR", group: "route", limit: 5, include_total: true },
+      "43. Routes from London Heathrow Grouped by Route"
+    );
+
+    await testEndpoint(
+      "/routes",
+      {
+        departure_continent: "EU",
+        min_distance: 5000,
+        sort: "-distance_km,airline_name",
+        fields: "departure_iata,arrival_iata,distance_km,airline_name",
+        limit: 5,
+      },
+      "44. Longest Routes from Europe, Selected Fields"
+    );
+
+    await testEndpoint(
+      "/cities",
+      { min_airports: 2 },
+      "45. Cities with Several Airports"
+    );
+    await testEndpoint(
+      "/cities/New York/routes",
+      { destination_city: "London", group: "route" },
+      "46. Routes from Any New York Airport to London"
+    );
+
+    await testEndpoint(
+      "/analytics/country-matrix",
+      { departure_country: "United Kingdom", limit: 5 },
+      "47. Country Matrix from the United Kingdom"
+    );
+    await testEndpoint(
+      "/analytics/distribution",
+      { departure_continent: "EU", bins: 10 },
+      "48. Distance and Duration Distribution from Europe"
+    );
+
+    await testEndpoint(
+      "/routes/3/emissions",
+      null,
+      "49. CO2 Estimates for Route 3"
+    );
+    await testEndpoint(
+      "/analytics/emissions",
+      { airline_id: 1, cabin: "business" },
+      "50. Business Class CO2 Totals for Airline 1"
+    );
+
+    await testBatch(
+      [
+        { path: "/stats" },
+        { path: "/airports/JFK/routes", query: { direction: "arrival" } },
+        { path: "/airports/XXX" },
+      ],
+      "51. Batch of Three Requests, One Failing"
+    );
+
+    // 404 unless the server was started with PREVIOUS_DB_FILE or reloaded
+    await testEndpoint(
+      "/changes",
+      { type: "added,removed", limit: 10 },
+      "52. Routes Added and Removed Since the Previous Database"
+    );
+
+    // Repeated requests above should now be served from the cache
+    await testEndpoint("/health", null, "53. Cache Hit/Miss Counts");
+
     console.log("\nAll tests completed successfully!");
   } catch (error) {
     console.error("Error running tests:", error.message);
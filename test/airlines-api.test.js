@@ -0,0 +1,102 @@
+// Airline network summaries, routes and airports.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test("an airline is found by IATA code or id", async () => {
+  const byCode = await get("/airlines/aa");
+  const byId = await get("/airlines/3");
+
+  assert.equal(byCode.status, 200);
+  assert.deepEqual(byCode.body.airline, {
+    id: 3,
+    iata: "AA",
+    name: "American Airlines",
+  });
+  assert.deepEqual(byId.body, byCode.body);
+});
+
+test("the network summary describes the airline's routes", async () => {
+  const { network } = (await get("/airlines/AA")).body;
+
+  assert.equal(network.route_count, 3);
+  assert.equal(network.airport_count, 4);
+  assert.equal(network.country_count, 2);
+  assert.equal(
+    network.average_distance_km,
+    Math.round((5540 + 5350 + 300) / 3)
+  );
+  assert.equal(network.average_duration_min, Math.round((480 + 470 + 75) / 3));
+  assert.equal(network.longest_route.route_id, 3);
+  assert.equal(network.shortest_route.route_id, 8);
+  assert.deepEqual(
+    network.top_hubs.map((hub) => [hub.iata, hub.departures]),
+    [
+      ["JFK", 1],
+      ["LHR", 1],
+      ["MAN", 1],
+    ]
+  );
+});
+
+test("an airline's routes page with cursors", async () => {
+  const first = await get("/airlines/AA/routes?limit=2");
+  const rest = await get(
+    `/airlines/AA/routes?limit=2&cursor=${first.body.pagination.next_cursor}`
+  );
+
+  assert.deepEqual(
+    first.body.routes.map((route) => route.route_id),
+    [8, 5]
+  );
+  assert.equal(first.body.pagination.has_more, true);
+  assert.deepEqual(
+    rest.body.routes.map((route) => route.route_id),
+    [3]
+  );
+  assert.equal(rest.body.pagination.has_more, false);
+  assert.ok(
+    first.body.routes
+      .concat(rest.body.routes)
+      .every((route) => route.airline_iata === "AA")
+  );
+});
+
+test("an airline's airports count departures and arrivals", async () => {
+  const { body } = await get("/airlines/AA/airports");
+  const jfk = body.airports.find((airport) => airport.iata === "JFK");
+
+  assert.equal(body.airports.length, 4);
+  assert.equal(body.airports[0].iata, "JFK");
+  assert.deepEqual([jfk.departures, jfk.arrivals, jfk.route_count], [1, 2, 3]);
+});
+
+test("unknown airlines are 404s", async () => {
+  for (const path of ["/airlines/ZZ", "/airlines/99/routes"]) {
+    const { status, body } = await get(path);
+    assert.equal(status, 404, path);
+    assert.equal(body.error.code, "AIRLINE_NOT_FOUND", path);
+  }
+});
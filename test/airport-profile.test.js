@@ -0,0 +1,93 @@
+// GET /airports/:iata, an airport's record and connectivity summary.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test("the profile lists the airport's full record", async () => {
+  const { status, body } = await get("/airports/lhr");
+
+  assert.equal(status, 200);
+  assert.equal(body.airport.iata, "LHR");
+  assert.equal(body.airport.name, "Heathrow");
+  assert.ok("icao" in body.airport);
+  assert.ok("timezone" in body.airport);
+});
+
+test("connectivity counts routes, destinations and countries", async () => {
+  const { connectivity } = (await get("/airports/LHR")).body;
+
+  assert.equal(connectivity.departures, 4);
+  assert.equal(connectivity.arrivals, 1);
+  assert.equal(connectivity.destination_count, 4);
+  assert.equal(connectivity.country_count, 3);
+  assert.deepEqual(connectivity.departures_by_type, {
+    domestic: 1,
+    international: 3,
+  });
+  assert.deepEqual(
+    connectivity.airlines.map((row) => [row.airline_iata, row.route_count]),
+    [
+      ["BA", 5],
+      ["AF", 2],
+      ["AA", 1],
+    ]
+  );
+  assert.deepEqual(
+    connectivity.busiest_destinations.map((row) => [
+      row.iata,
+      row.airline_count,
+    ]),
+    [
+      ["JFK", 2],
+      ["CDG", 2],
+      ["BOS", 1],
+      ["MAN", 1],
+    ]
+  );
+  assert.equal(connectivity.longest_route.route_id, 3);
+});
+
+test("an airport with arrivals only has an empty departure summary", async () => {
+  const { connectivity } = (await get("/airports/BOS")).body;
+
+  assert.equal(connectivity.departures, 0);
+  assert.equal(connectivity.arrivals, 2);
+  assert.deepEqual(connectivity.departures_by_type, {
+    domestic: 0,
+    international: 0,
+  });
+  assert.deepEqual(connectivity.busiest_destinations, []);
+  assert.equal(connectivity.longest_route, null);
+});
+
+test("unknown and malformed codes are rejected", async () => {
+  const missing = await get("/airports/XXX");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, "AIRPORT_NOT_FOUND");
+
+  const malformed = await get("/airports/toolong");
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error.param, "iata");
+});
@@ -0,0 +1,146 @@
+// GET /analytics/country-matrix and /analytics/distribution against a
+// fixture database.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test("the country matrix counts routes and airlines per pair", async () => {
+  const { status, body } = await get("/analytics/country-matrix");
+
+  assert.equal(status, 200);
+  assert.equal(body.level, "country");
+  assert.deepEqual(body.pairs.slice(0, 2), [
+    {
+      departure: "United Kingdom",
+      arrival: "United States",
+      route_count: 3,
+      airline_count: 2,
+      average_distance_km: 5383,
+      average_duration_min: 467,
+    },
+    {
+      departure: "United Kingdom",
+      arrival: "France",
+      route_count: 2,
+      airline_count: 2,
+      average_distance_km: 334,
+      average_duration_min: 73,
+    },
+  ]);
+  // Single-route pairs follow in name order
+  assert.deepEqual(
+    body.pairs.slice(2).map((pair) => `${pair.departure}>${pair.arrival}`),
+    [
+      "France>United Kingdom",
+      "France>United States",
+      "United Kingdom>United Kingdom",
+      "United States>United States",
+    ]
+  );
+});
+
+test("the matrix aggregates continents and pages with cursors", async () => {
+  const { body: first } = await get(
+    "/analytics/country-matrix?level=continent&limit=2"
+  );
+  assert.deepEqual(
+    first.pairs.map((pair) => [
+      pair.departure,
+      pair.arrival,
+      pair.route_count,
+      pair.airline_count,
+    ]),
+    [
+      ["EU", "EU", 4, 2],
+      ["EU", "NA", 4, 3],
+    ]
+  );
+
+  const { body: rest } = await get(
+    `/analytics/country-matrix?level=continent&cursor=${first.pagination.next_cursor}`
+  );
+  assert.deepEqual(
+    rest.pairs.map((pair) => [pair.departure, pair.arrival]),
+    [["NA", "NA"]]
+  );
+  assert.equal(rest.pagination.has_more, false);
+});
+
+test("the matrix applies the route filters", async () => {
+  const { body } = await get("/analytics/country-matrix?airline_id=3");
+
+  assert.deepEqual(
+    body.pairs.map((pair) => [pair.departure, pair.arrival, pair.route_count]),
+    [
+      ["United Kingdom", "United States", 2],
+      ["United States", "United States", 1],
+    ]
+  );
+});
+
+test("distributions count each route once", async () => {
+  const { status, body } = await get(
+    "/analytics/distribution?bins=2&percentiles=50"
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.route_count, 9);
+  assert.deepEqual(body.duration_min, {
+    count: 9,
+    min: 60,
+    max: 500,
+    mean: 250.6,
+    percentiles: { p50: 75 },
+    histogram: [
+      { from: 60, to: 281, count: 5 },
+      { from: 281, to: 502, count: 4 },
+    ],
+  });
+  assert.equal(body.distance_km.min, 262);
+  assert.equal(body.distance_km.max, 5837);
+});
+
+test("distributions of an empty selection are null", async () => {
+  const { body } = await get("/analytics/distribution?min_duration=1000");
+
+  assert.equal(body.route_count, 0);
+  assert.equal(body.distance_km.mean, null);
+  assert.deepEqual(body.duration_min.histogram, []);
+});
+
+test("invalid analytics parameters are rejected", async () => {
+  const cases = [
+    ["/analytics/country-matrix?level=city", "level"],
+    ["/analytics/distribution?bins=0", "bins"],
+    ["/analytics/distribution?bins=201", "bins"],
+    ["/analytics/distribution?percentiles=50,101", "percentiles"],
+  ];
+
+  for (const [path, param] of cases) {
+    const { status, body } = await get(path);
+    assert.equal(status, 400, path);
+    assert.equal(body.error.param, param, path);
+  }
+});
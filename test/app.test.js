@@ -0,0 +1,185 @@
+// createApp() against a fixture database: the programmatic query API, the
+// Express app it returns and mounting under a base path.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const sqlite3 = require("better-sqlite3");
+const { createApp } = require("../app");
+const { ApiError } = require("../lib/errors");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+let api;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+  api = server.api;
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+test("findRoutes filters routes like /routes", () => {
+  const { routes, pagination } = api.findRoutes({
+    departure_iata: "lhr",
+    include_total: true,
+  });
+
+  assert.equal(routes.length, 6);
+  assert.ok(routes.every((route) => route.departure_iata === "LHR"));
+  assert.equal(pagination.total, 6);
+  assert.equal(pagination.has_more, false);
+});
+
+test("findRoutes accepts arrays for lists and applies fields", () => {
+  const { routes } = api.findRoutes({
+    arrival_iata: "JFK",
+    sort: ["airline_name", "-duration_min"],
+    fields: ["arrival_iata", "airline_name"],
+    min_duration: null,
+  });
+
+  assert.deepEqual(
+    routes.map((route) => route.airline_name),
+    ["Air France", "American Airlines", "American Airlines", "British Airways"]
+  );
+  for (const route of routes) {
+    assert.deepEqual(Object.keys(route), ["arrival_iata", "airline_name"]);
+  }
+});
+
+test("findRoutes throws the ApiError the endpoint responds with", () => {
+  assert.throws(
+    () => api.findRoutes({ limit: 0 }),
+    (error) =>
+      error instanceof ApiError &&
+      error.status === 400 &&
+      error.param === "limit"
+  );
+  assert.throws(
+    () => api.findRoutes({ departure_iata: "ZZZ" }),
+    (error) => error.status === 404 && error.code === "AIRPORT_NOT_FOUND"
+  );
+});
+
+test("the app serves the same listings as findRoutes", async () => {
+  const queries = [
+    { departure_iata: "LHR" },
+    { arrival_country: "United States", sort: "-distance_km,route_id" },
+    { airline_id: "3", fields: "route_id,airline_name", include_total: "true" },
+    { group: "route", limit: "2" },
+    { min_distance: "1000", include: "emissions", cabin: "business" },
+  ];
+  for (const query of queries) {
+    const res = await fetch(
+      `${server.baseUrl}/routes?${new URLSearchParams(query)}`
+    );
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    // As JSON, which leaves out the total unless it was asked for
+    const listing = JSON.parse(JSON.stringify(api.findRoutes(query)));
+    assert.deepEqual(body.routes, listing.routes, JSON.stringify(query));
+    assert.deepEqual(body.pagination, listing.pagination);
+  }
+});
+
+test("database() describes the loaded file", async () => {
+  const database = api.database();
+  assert.equal(database.version, database.checksum.slice(0, 12));
+  assert.equal(api.dbPath, fixture.dbPath);
+
+  const res = await fetch(`${server.baseUrl}/health`);
+  assert.deepEqual((await res.json()).database, database);
+});
+
+test("a basePath mounts the API under it", async () => {
+  const mounted = await startServer(fixture.dbPath, { basePath: "/api" });
+  try {
+    const health = await fetch(`${mounted.baseUrl}/api/health`);
+    assert.equal(health.status, 200);
+
+    const outside = await fetch(`${mounted.baseUrl}/health`);
+    assert.equal(outside.status, 404);
+    assert.equal((await outside.json()).error.code, "NOT_FOUND");
+  } finally {
+    await mounted.close();
+  }
+});
+
+test("createApp rejects a bad basePath or database", () => {
+  for (const basePath of ["api", "/api/", "/api?x"]) {
+    assert.throws(
+      () => createApp({ dbPath: fixture.dbPath, basePath }),
+      /basePath must start with \/ and not end with \//,
+      basePath
+    );
+  }
+  assert.throws(
+    () => createApp({ dbPath: `${fixture.dir}/missing.db`, watchInterval: 0 }),
+    /unable to open database file|directory does not exist/
+  );
+});
+
+test("createApp closes what it opened when loading fails", (t) => {
+  const invalid = `${fixture.dir}/invalid.db`;
+  fixture.build({ output: invalid });
+  const db = sqlite3(invalid);
+  db.exec("DROP VIEW route_details");
+  db.close();
+
+  const close = t.mock.method(sqlite3.prototype, "close");
+  assert.throws(
+    () => createApp({ dbPath: invalid, watchInterval: 0 }),
+    /route_details view does not exist/
+  );
+  assert.equal(close.mock.callCount(), 1);
+
+  // A bad previous database is rejected before the served one is opened
+  close.mock.resetCalls();
+  assert.throws(
+    () =>
+      createApp({
+        dbPath: fixture.dbPath,
+        previousDbPath: invalid,
+        exportConnections: 2,
+        watchInterval: 0,
+      }),
+    /route_details view does not exist/
+  );
+  assert.equal(close.mock.callCount(), 1);
+});
+
+test("startup and request lines go to the logger, or nowhere", async () => {
+  const lines = [];
+  const logger = {
+    log: (...args) => lines.push(args.join(" ")),
+    error: (...args) => lines.push(`error: ${args.join(" ")}`),
+  };
+  const logged = await startServer(fixture.dbPath, { logger });
+  try {
+    assert.ok(lines.some((line) => line.startsWith("Database version: ")));
+    const res = await fetch(`${logged.baseUrl}/health`, {
+      headers: { "X-Request-Id": "logged-1" },
+    });
+    await res.json();
+    assert.match(lines[lines.length - 1], /^\[logged-1\] GET \/health 200 /);
+  } finally {
+    await logged.close();
+  }
+
+  console.log.mock.resetCalls();
+  const silent = await startServer(fixture.dbPath, { logger: false });
+  try {
+    await (await fetch(`${silent.baseUrl}/health`)).json();
+  } finally {
+    await silent.close();
+  }
+  assert.equal(console.log.mock.callCount(), 0);
+});
@@ -0,0 +1,83 @@
+// GET /admin/audit against a fixture database, before and after reloading
+// one with integrity problems.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("better-sqlite3");
+const { createFixture, startServer } = require("./fixtures");
+
+const ADMIN_TOKEN = "test-token";
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath, { adminToken: ADMIN_TOKEN });
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const request = async (path, { method = "GET", token = ADMIN_TOKEN } = {}) => {
+  const res = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+test("the audit needs the admin token", async () => {
+  const { status, body } = await request("/admin/audit", { token: "wrong" });
+  assert.equal(status, 401);
+  assert.equal(body.error.code, "UNAUTHORIZED");
+});
+
+test("the loaded database is audited", async () => {
+  const health = await request("/health");
+  const { status, headers, body } = await request("/admin/audit");
+  assert.equal(status, 200);
+  assert.equal(headers.get("x-cache"), null);
+  assert.deepEqual(body.database, health.body.database);
+  assert.equal(body.status, "ok");
+  assert.deepEqual(body.summary, {
+    checks: 11,
+    passed: 11,
+    errors: 0,
+    warnings: 0,
+  });
+});
+
+test("the audit limit is validated", async () => {
+  for (const limit of ["-1", "x", "1001"]) {
+    const { status, body } = await request(`/admin/audit?limit=${limit}`);
+    assert.equal(status, 400, limit);
+    assert.equal(body.error.param, "limit", limit);
+  }
+});
+
+test("a reloaded database is audited in place of the old one", async () => {
+  const next = path.join(fixture.dir, "next.db");
+  fixture.build({ output: next });
+  const db = sqlite3(next);
+  db.exec("UPDATE routes SET distance_km = 900 WHERE id = 4");
+  db.close();
+  fs.renameSync(next, fixture.dbPath);
+  assert.equal(
+    (await request("/admin/reload", { method: "POST" })).body.reloaded,
+    true
+  );
+
+  const { body } = await request("/admin/audit?limit=0");
+  assert.equal(body.status, "warning");
+  const check = body.checks.find((entry) => entry.id === "distance_mismatch");
+  assert.equal(check.count, 1);
+  assert.deepEqual(check.examples, []);
+});
@@ -0,0 +1,161 @@
+// auditDatabase() and validate-db over the fixture database, clean and with
+// one problem of each kind added.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const sqlite3 = require("better-sqlite3");
+const { auditDatabase } = require("../lib/audit");
+const { createDatabase, createFixture } = require("./fixtures");
+
+// better-sqlite3 enforces foreign keys, which routes.db files do not
+const PROBLEMS = `
+  PRAGMA foreign_keys = OFF;
+  INSERT INTO route_airlines (route_id, airline_id) VALUES (99, 1), (4, 99);
+  INSERT INTO routes (id, departure_iata, arrival_iata, distance_km, duration_min)
+  VALUES (10, 'LHR', 'XXX', 500, 60), (11, 'LHR', 'CDG', 348, 75);
+  INSERT INTO airports (iata, name, country, latitude, longitude)
+  VALUES ('NUL', 'Unplaced', 'France', NULL, NULL), ('ZER', 'Null Island', '', 0, 0);
+  UPDATE routes SET duration_min = NULL WHERE id = 5;
+  UPDATE routes SET distance_km = 900 WHERE id = 4;
+  UPDATE routes SET duration_min = 5 WHERE id = 8;
+`;
+
+const withProblems = () => {
+  const db = createDatabase();
+  db.exec(PROBLEMS);
+  return db;
+};
+
+// Check ids with the rows they found, identified by route or airport
+const findings = (report) =>
+  Object.fromEntries(
+    report.checks
+      .filter((check) => check.count > 0)
+      .map((check) => [
+        check.id,
+        check.examples.map(
+          (row) =>
+            row.iata ||
+            (row.route_ids && row.route_ids.join("+")) ||
+            `${row.route_id}${row.airline_id ? `/${row.airline_id}` : ""}`
+        ),
+      ])
+  );
+
+test("the fixture database passes every check", () => {
+  const report = auditDatabase(createDatabase());
+  assert.equal(report.status, "ok");
+  assert.deepEqual(report.summary, {
+    checks: 11,
+    passed: 11,
+    errors: 0,
+    warnings: 0,
+  });
+  assert.ok(report.checks.every((check) => check.examples.length === 0));
+});
+
+test("each kind of problem is found by its check", () => {
+  const report = auditDatabase(withProblems());
+  assert.equal(report.status, "error");
+  assert.deepEqual(report.summary, {
+    checks: 11,
+    passed: 0,
+    errors: 5,
+    warnings: 6,
+  });
+  assert.deepEqual(findings(report), {
+    orphaned_route_airlines_route: ["99/1"],
+    orphaned_route_airlines_airline: ["4/99"],
+    orphaned_route_airport: ["10"],
+    routes_without_airlines: ["10", "11"],
+    duplicate_routes: ["1+11"],
+    airports_missing_coordinates: ["NUL"],
+    airports_zero_coordinates: ["ZER"],
+    airports_empty_country: ["ZER"],
+    routes_missing_distance_or_duration: ["5"],
+    distance_mismatch: ["4"],
+    implausible_speed: ["8"],
+  });
+
+  const check = (id) => report.checks.find((entry) => entry.id === id);
+  assert.deepEqual(
+    [check("distance_mismatch").examples[0]].map(
+      ({ expected_distance_km, difference_km }) => [
+        expected_distance_km,
+        difference_km,
+      ]
+    ),
+    [[243, 657]]
+  );
+  assert.equal(check("implausible_speed").examples[0].speed_kmh, 3600);
+});
+
+test("warnings alone give a warning status", () => {
+  const db = createDatabase();
+  db.exec("UPDATE routes SET distance_km = 900 WHERE id = 4");
+  const report = auditDatabase(db);
+  assert.equal(report.status, "warning");
+  assert.equal(report.summary.warnings, 1);
+});
+
+test("examples are limited, counts are not", () => {
+  const report = auditDatabase(withProblems(), { limit: 1 });
+  const check = report.checks.find(
+    (entry) => entry.id === "routes_without_airlines"
+  );
+  assert.equal(check.count, 2);
+  assert.equal(check.examples.length, 1);
+});
+
+test("validate-db exits with 1 only when an error check fails", (t) => {
+  const fixture = createFixture();
+  t.after(fixture.cleanup);
+  fixture.build();
+  const run = (...args) =>
+    spawnSync(
+      process.execPath,
+      [
+        path.join(__dirname, "..", "validate-db.js"),
+        "--db",
+        fixture.dbPath,
+        ...args,
+      ],
+      { encoding: "utf8" }
+    );
+
+  const clean = run();
+  assert.equal(clean.status, 0, clean.stderr);
+  assert.match(
+    clean.stdout,
+    /: 0 errors, 0 warnings \(11 of 11 checks passed\)/
+  );
+
+  const db = sqlite3(fixture.dbPath);
+  // A warning on its own still exits with 0
+  db.exec(
+    "INSERT INTO airports (iata, name, country, latitude, longitude) VALUES ('NIL', 'Null Island', 'France', 0, 0)"
+  );
+  const warned = run("--json");
+  assert.equal(warned.status, 0, warned.stderr);
+  assert.equal(JSON.parse(warned.stdout).status, "warning");
+
+  db.exec(PROBLEMS);
+  db.close();
+  const failing = run("--json", "--limit", "0");
+  assert.equal(failing.status, 1);
+  const report = JSON.parse(failing.stdout);
+  assert.equal(report.database, fixture.dbPath);
+  assert.equal(report.summary.errors, 5);
+  assert.ok(report.checks.every((check) => check.examples.length === 0));
+
+  const text = run();
+  assert.match(text.stdout, /ERROR {4}orphaned_route_airport \(1\)/);
+  assert.match(text.stdout, /WARNING {2}duplicate_routes \(1\)/);
+
+  const missing = run("--db", path.join(fixture.dir, "missing.db"));
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /Cannot audit/);
+  assert.equal(run("--limit", "-1").status, 1);
+});
@@ -0,0 +1,148 @@
+// POST /batch against a fixture database.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath, { batchMaxRequests: 3 });
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const batch = async (body, headers = {}) => {
+  const res = await fetch(`${server.baseUrl}/batch`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test("each request is answered in order, as the GET would be", async () => {
+  const { status, body } = await batch([
+    { path: "/airlines/BA" },
+    { path: "/routes?limit=1", query: { fields: "route_id" } },
+    { path: "/airports/XXX" },
+  ]);
+
+  assert.equal(status, 200);
+  assert.equal(body.count, 3);
+  assert.deepEqual(
+    body.results.map((result) => [result.path, result.status]),
+    [
+      ["/airlines/BA", 200],
+      ["/routes?limit=1&fields=route_id", 200],
+      ["/airports/XXX", 404],
+    ]
+  );
+  assert.equal(body.results[0].body.airline.name, "British Airways");
+  assert.deepEqual(body.results[1].body.routes, [{ route_id: 4 }]);
+  assert.equal(body.results[2].body.error.code, "AIRPORT_NOT_FOUND");
+
+  const direct = await fetch(`${server.baseUrl}/airlines/BA`);
+  assert.deepEqual(body.results[0].body, await direct.json());
+});
+
+test("query values may be numbers, booleans or repeated", async () => {
+  const { body } = await batch([
+    { path: "/routes", query: { limit: 2, all: false, fields: "route_id" } },
+    { path: "/routes", query: { fields: ["route_id", "airline_iata"] } },
+  ]);
+  const [scalars, repeated] = body.results;
+
+  assert.equal(scalars.path, "/routes?limit=2&all=false&fields=route_id");
+  assert.equal(scalars.status, 200);
+  assert.equal(scalars.body.routes.length, 2);
+
+  // Arrays become repeated parameters, which the endpoint refuses as usual
+  assert.equal(repeated.path, "/routes?fields=route_id&fields=airline_iata");
+  assert.equal(repeated.status, 400);
+  assert.equal(repeated.body.error.param, "fields");
+});
+
+test("sub-requests share the batch's request id", async () => {
+  const { body } = await batch([{ path: "/nope" }, { path: "/nope" }], {
+    "X-Request-Id": "batch-1",
+  });
+
+  assert.deepEqual(
+    body.results.map((result) => result.body.error.request_id),
+    ["batch-1.0", "batch-1.1"]
+  );
+});
+
+test("malformed batches are rejected as a whole", async () => {
+  const cases = [
+    [{ path: "/health" }, "body"],
+    [[], "body"],
+    [
+      [
+        { path: "/health" },
+        { path: "/health" },
+        { path: "/health" },
+        { path: "/health" },
+      ],
+      "body",
+    ],
+    [["/health"], "[0]"],
+    [[{ path: "health" }], "[0].path"],
+    [[{ path: "/health" }, { path: "/batch" }], "[1].path"],
+    [[{ path: "/health", query: [] }], "[0].query"],
+    [[{ path: "/routes", query: { limit: { max: 1 } } }], "[0].query.limit"],
+  ];
+
+  for (const [items, param] of cases) {
+    const { status, body } = await batch(items);
+    assert.equal(status, 400, JSON.stringify(items));
+    assert.equal(body.error.code, "INVALID_PARAMETER", JSON.stringify(items));
+    assert.equal(body.error.param, param, JSON.stringify(items));
+  }
+
+  const { status, body } = await batch("[{");
+  assert.equal(status, 400);
+  assert.equal(body.error.code, "INVALID_JSON");
+});
+
+test("exports cannot be batched", async () => {
+  const cases = [
+    [[{ path: "/routes", query: { format: "csv" } }], "[0].query.format"],
+    [
+      [{ path: "/health" }, { path: "/airports/LHR/routes?format=ndjson" }],
+      "[1].path",
+    ],
+    [
+      [{ path: "/routes", query: { format: ["json", "ndjson"] } }],
+      "[0].query.format",
+    ],
+  ];
+
+  for (const [items, param] of cases) {
+    const { status, body } = await batch(items);
+    assert.equal(status, 400, JSON.stringify(items));
+    assert.equal(body.error.code, "INVALID_PARAMETER", JSON.stringify(items));
+    assert.equal(body.error.param, param, JSON.stringify(items));
+  }
+
+  // Other formats still run
+  const { status, body } = await batch([
+    { path: "/routes", query: { format: "json", limit: 1 } },
+    { path: "/airports/LHR/routes", query: { format: "geojson" } },
+  ]);
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.results.map((result) => result.status),
+    [200, 200]
+  );
+  assert.equal(body.results[1].body.type, "FeatureCollection");
+});
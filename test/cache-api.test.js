@@ -0,0 +1,264 @@
+// Response caching, ETags and compression on the server's endpoints.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const zlib = require("zlib");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+// fetch() decodes compressed bodies itself, so use http for the raw bytes
+const get = (path, headers = {}) =>
+  new Promise((resolve, reject) => {
+    http
+      .get(`${server.baseUrl}${path}`, { headers }, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks),
+          })
+        );
+      })
+      .on("error", reject);
+  });
+
+const health = async () =>
+  JSON.parse((await get("/health")).body).cache.responses;
+
+test("responses are cached and revalidated with strong ETags", async () => {
+  const first = await get("/airlines?limit=&format=json");
+  const second = await get("/airlines?format=json");
+
+  assert.equal(first.status, 200);
+  assert.equal(first.headers["x-cache"], "MISS");
+  assert.equal(second.headers["x-cache"], "HIT");
+  assert.match(first.headers.etag, /^"[0-9a-f]{12}-[\w-]{16}"$/);
+  assert.equal(second.headers.etag, first.headers.etag);
+  assert.equal(first.headers["cache-control"], "public, max-age=300");
+  assert.equal(first.headers.vary, "Accept, Accept-Encoding");
+  assert.deepEqual(second.body, first.body);
+
+  const counts = await health();
+  const revalidated = await get("/airlines?format=json", {
+    "If-None-Match": first.headers.etag,
+  });
+  assert.equal(revalidated.status, 304);
+  assert.equal(revalidated.body.length, 0);
+  assert.equal((await health()).not_modified, counts.not_modified + 1);
+});
+
+test("GeoJSON is cached apart from JSON", async () => {
+  const json = await get("/airports?country=France");
+  const geojson = await get("/airports?country=France", {
+    Accept: "application/geo+json",
+  });
+
+  assert.notEqual(geojson.headers.etag, json.headers.etag);
+  assert.equal(JSON.parse(geojson.body).type, "FeatureCollection");
+});
+
+test("large responses are compressed, with their own ETags", async () => {
+  const plain = await get("/routes?all=true");
+  const gzip = await get("/routes?all=true", { "Accept-Encoding": "gzip" });
+  const br = await get("/routes?all=true", { "Accept-Encoding": "br" });
+
+  assert.ok(plain.body.length >= 1024);
+  assert.equal(plain.headers["content-encoding"], undefined);
+  assert.equal(gzip.headers["content-encoding"], "gzip");
+  assert.equal(br.headers["content-encoding"], "br");
+  assert.equal(gzip.headers.etag, plain.headers.etag.replace(/"$/, '-gzip"'));
+  assert.equal(br.headers.etag, plain.headers.etag.replace(/"$/, '-br"'));
+  assert.deepEqual(zlib.gunzipSync(gzip.body), plain.body);
+  assert.deepEqual(zlib.brotliDecompressSync(br.body), plain.body);
+});
+
+test("exports stream compressed", async () => {
+  const plain = await get("/routes?all=true&format=csv");
+  const gzip = await get("/routes?all=true&format=csv", {
+    "Accept-Encoding": "gzip",
+  });
+
+  assert.equal(gzip.headers["content-encoding"], "gzip");
+  assert.deepEqual(zlib.gunzipSync(gzip.body), plain.body);
+});
+
+test("a 304 carries the ETag of the negotiated representation", async () => {
+  const gzip = await get("/routes?all=true", { "Accept-Encoding": "gzip" });
+  const plainTag = gzip.headers.etag.replace(/-gzip"$/, '"');
+
+  const revalidated = await get("/routes?all=true", {
+    "Accept-Encoding": "gzip",
+    "If-None-Match": `${plainTag}, ${gzip.headers.etag}`,
+  });
+  assert.equal(revalidated.status, 304);
+  assert.equal(revalidated.headers.etag, gzip.headers.etag);
+
+  // A tag for another encoding does not validate this one
+  const plain = await get("/routes?all=true", {
+    "If-None-Match": gzip.headers.etag,
+  });
+  assert.equal(plain.status, 200);
+  assert.equal(plain.headers.etag, plainTag);
+  const br = await get("/routes?all=true", {
+    "Accept-Encoding": "br",
+    "If-None-Match": gzip.headers.etag,
+  });
+  assert.equal(br.status, 200);
+  assert.equal(br.headers["content-encoding"], "br");
+
+  // Small bodies are sent uncompressed, so only the plain tag matches
+  const small = await get("/airlines?limit=1", { "Accept-Encoding": "gzip" });
+  assert.equal(small.headers["content-encoding"], undefined);
+  const smallRevalidated = await get("/airlines?limit=1", {
+    "Accept-Encoding": "gzip",
+    "If-None-Match": small.headers.etag,
+  });
+  assert.equal(smallRevalidated.status, 304);
+  assert.equal(smallRevalidated.headers.etag, small.headers.etag);
+});
+
+test("exports are revalidated with the tag they were sent with", async () => {
+  // A small export is still compressed, unlike a small JSON body
+  const path = "/routes?limit=1&format=ndjson";
+  const gzip = await get(path, { "Accept-Encoding": "gzip" });
+  assert.equal(gzip.headers["content-encoding"], "gzip");
+  assert.match(gzip.headers.etag, /-gzip"$/);
+
+  const revalidated = await get(path, {
+    "Accept-Encoding": "gzip",
+    "If-None-Match": gzip.headers.etag,
+  });
+  assert.equal(revalidated.status, 304);
+  assert.equal(revalidated.headers.etag, gzip.headers.etag);
+
+  const plain = await get(path, { "If-None-Match": gzip.headers.etag });
+  assert.equal(plain.status, 200);
+  assert.equal(plain.headers.etag, gzip.headers.etag.replace(/-gzip"$/, '"'));
+  assert.equal(plain.body.toString().trimEnd().split("\n").length, 1);
+
+  const plainRevalidated = await get(path, {
+    "Accept-Encoding": "gzip",
+    "If-None-Match": plain.headers.etag,
+  });
+  assert.equal(plainRevalidated.status, 200);
+  assert.equal(plainRevalidated.headers["content-encoding"], "gzip");
+});
+
+test("errors and the health check are never cached", async () => {
+  const missing = await get("/routes/99/path");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.headers["cache-control"], "no-store");
+  assert.equal(missing.headers.etag, undefined);
+
+  const status = await get("/health");
+  assert.equal(status.headers["cache-control"], "no-store");
+  assert.equal(status.headers["x-cache"], undefined);
+});
+
+const etagOf = async (baseUrl, path = "/airlines") =>
+  (await fetch(`${baseUrl}${path}`)).headers.get("etag");
+
+test("ETags change with every input the responses depend on", async () => {
+  const write = (name, content) => {
+    const file = path.join(fixture.dir, name);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+  };
+  const factors = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "..", "emission-factors.json"))
+  );
+  const previousDbPath = path.join(fixture.dir, "previous.db");
+  fixture.build({ output: previousDbPath });
+
+  const variants = [
+    {},
+    { metroAreasFile: write("metro.json", [{ name: "X", airports: [] }]) },
+    {
+      emissionFactorsFile: write("factors.json", {
+        ...factors,
+        distance_uplift: 1,
+      }),
+    },
+    { previousDbPath },
+  ];
+  const etags = [await etagOf(server.baseUrl)];
+  for (const options of variants) {
+    const other = await startServer(fixture.dbPath, options);
+    try {
+      etags.push(await etagOf(other.baseUrl));
+    } finally {
+      await other.close();
+    }
+  }
+
+  // The same inputs give the same ETag, any other input a new one
+  assert.equal(etags[1], etags[0]);
+  assert.equal(new Set(etags).size, variants.length);
+});
+
+test("a reload picks up new metro areas and drops cached responses", async () => {
+  const metroAreasFile = path.join(fixture.dir, "metro-areas.json");
+  const writeMetroAreas = (airports) =>
+    fs.writeFileSync(
+      metroAreasFile,
+      JSON.stringify([{ name: "London", airports }])
+    );
+  writeMetroAreas(["LHR", "LGW"]);
+  const admin = await startServer(fixture.dbPath, {
+    metroAreasFile,
+    adminToken: "test-token",
+  });
+  const reload = async () => {
+    const res = await fetch(`${admin.baseUrl}/admin/reload`, {
+      method: "POST",
+      headers: { Authorization: "Bearer test-token" },
+    });
+    return (await res.json()).reloaded;
+  };
+  const metroAirports = async () => {
+    const res = await fetch(`${admin.baseUrl}/cities`);
+    const { cities } = await res.json();
+    return {
+      cache: res.headers.get("x-cache"),
+      etag: res.headers.get("etag"),
+      airports: cities.find((city) => city.city === "London").airports,
+    };
+  };
+
+  try {
+    await metroAirports();
+    const cached = await metroAirports();
+    assert.equal(cached.cache, "HIT");
+    assert.equal(await reload(), false);
+
+    writeMetroAreas(["LHR", "LGW", "MAN"]);
+    assert.equal(await reload(), true);
+    const fresh = await metroAirports();
+    assert.equal(fresh.cache, "MISS");
+    assert.notEqual(fresh.etag, cached.etag);
+    assert.notDeepEqual(fresh.airports, cached.airports);
+    assert.equal(await reload(), false);
+  } finally {
+    await admin.close();
+  }
+});
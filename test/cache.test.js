@@ -0,0 +1,239 @@
+// Response and statement caching, strong ETags and compression.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const zlib = require("zlib");
+const express = require("express");
+const {
+  LruCache,
+  fileChecksum,
+  createStatementCache,
+  createResponseCache,
+} = require("../lib/cache");
+const { negotiateEncoding } = require("../lib/compression");
+const { createDatabase, createFixture } = require("./fixtures");
+
+const VERSION = "0123456789abcdef0123456789abcdef";
+
+let server;
+let port;
+let handled = 0;
+let responseCache;
+
+before(async () => {
+  responseCache = createResponseCache({
+    version: VERSION,
+    maxEntries: 10,
+    maxAge: 60,
+    variant: (req) => (req.get("Accept") === "text/plain" ? "text" : ""),
+    skip: (req) => ["/health", "/encoding"].includes(req.path),
+  });
+
+  const app = express();
+  app.set("etag", false);
+  app.use(responseCache.middleware);
+  app.get("/small", (req, res) => {
+    handled++;
+    res.json({ handled, query: req.query });
+  });
+  app.get("/large", (req, res) => {
+    handled++;
+    res.json({ rows: Array.from({ length: 200 }, (_, i) => ({ i })) });
+  });
+  app.get("/missing", (req, res) => {
+    handled++;
+    res.status(404).json({ error: "not found" });
+  });
+  app.get("/health", (req, res) => res.json({ handled }));
+  app.get("/encoding", (req, res) =>
+    res.type("text").send(negotiateEncoding(req))
+  );
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+// A raw request, so compressed bodies arrive as sent
+function request(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ port, path, headers }, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks),
+          })
+        );
+      })
+      .on("error", reject);
+  });
+}
+
+test("LruCache evicts the least recently used entry", () => {
+  const cache = new LruCache({ maxEntries: 2 });
+  cache.set("a", 1);
+  cache.set("b", 2);
+  cache.get("a");
+  cache.set("c", 3);
+
+  assert.equal(cache.get("b"), undefined);
+  assert.equal(cache.get("a"), 1);
+  assert.equal(cache.get("c"), 3);
+  assert.deepEqual(cache.stats(), {
+    entries: 2,
+    max_entries: 2,
+    bytes: 0,
+    max_bytes: null,
+    hits: 3,
+    misses: 1,
+    evictions: 1,
+    hit_rate: 0.75,
+  });
+});
+
+test("LruCache is bounded by total size", () => {
+  const cache = new LruCache({ maxBytes: 10 });
+  cache.set("a", "a", 4);
+  cache.set("b", "b", 4);
+  cache.set("c", "c", 4);
+
+  assert.deepEqual([...cache.entries.keys()], ["b", "c"]);
+  assert.equal(cache.bytes, 8);
+  // A value bigger than the whole cache is not stored
+  assert.equal(cache.set("huge", "huge", 11), false);
+  assert.equal(cache.get("huge"), undefined);
+
+  cache.clear();
+  assert.equal(cache.bytes, 0);
+});
+
+test("fileChecksum is the SHA-256 of the file", () => {
+  const fixture = createFixture();
+  try {
+    fixture.build();
+    const expected = crypto
+      .createHash("sha256")
+      .update(fs.readFileSync(fixture.dbPath))
+      .digest("hex");
+    assert.equal(fileChecksum(fixture.dbPath), expected);
+  } finally {
+    fixture.cleanup();
+  }
+});
+
+test("the statement cache prepares each SQL text once", () => {
+  const db = createDatabase();
+  try {
+    const statements = createStatementCache(db);
+    const sql = "SELECT COUNT(*) AS count FROM routes";
+
+    assert.equal(statements.prepare(sql), statements.prepare(sql));
+    assert.equal(statements.prepare(sql).get().count, 9);
+    assert.equal(statements.stats().entries, 1);
+  } finally {
+    db.close();
+  }
+});
+
+test("responses are cached per normalized request", async () => {
+  const first = await request("/small?b=2&a=1&empty=");
+  const second = await request("/small?a=1&b=2");
+
+  assert.equal(first.headers["x-cache"], "MISS");
+  assert.equal(second.headers["x-cache"], "HIT");
+  assert.deepEqual(second.body, first.body);
+  assert.equal(second.headers.etag, first.headers.etag);
+  assert.match(first.headers.etag, /^"0123456789ab-[\w-]{16}"$/);
+  assert.equal(first.headers["cache-control"], "public, max-age=60");
+  assert.equal(first.headers.vary, "Accept, Accept-Encoding");
+
+  // A different variant of the same URL is a different entry
+  const text = await request("/small?a=1&b=2", { Accept: "text/plain" });
+  assert.equal(text.headers["x-cache"], "MISS");
+  assert.notEqual(text.headers.etag, first.headers.etag);
+});
+
+test("a matching If-None-Match is answered with 304", async () => {
+  const { headers } = await request("/small?etag=1");
+  const before = handled;
+
+  const revalidated = await request("/small?etag=1", {
+    "If-None-Match": `"other", ${headers.etag}`,
+  });
+  assert.equal(revalidated.status, 304);
+  assert.equal(revalidated.body.length, 0);
+  assert.equal(handled, before);
+
+  const changed = await request("/small?etag=1", {
+    "If-None-Match": '"0123456789ab-something-else"',
+  });
+  assert.equal(changed.status, 200);
+  assert.ok(responseCache.stats().not_modified >= 1);
+});
+
+test("large responses are compressed and tagged per encoding", async () => {
+  const plain = await request("/large");
+  const gzip = await request("/large", { "Accept-Encoding": "gzip" });
+  const brotli = await request("/large", { "Accept-Encoding": "br" });
+
+  assert.equal(plain.headers["content-encoding"], undefined);
+  assert.equal(gzip.headers["content-encoding"], "gzip");
+  assert.equal(brotli.headers["content-encoding"], "br");
+  assert.deepEqual(zlib.gunzipSync(gzip.body), plain.body);
+  assert.deepEqual(zlib.brotliDecompressSync(brotli.body), plain.body);
+  assert.ok(gzip.body.length < plain.body.length);
+  assert.equal(Number(gzip.headers["content-length"]), gzip.body.length);
+
+  const base = plain.headers.etag.slice(0, -1);
+  assert.equal(gzip.headers.etag, `${base}-gzip"`);
+  assert.equal(brotli.headers.etag, `${base}-br"`);
+  // Every representation was served by one run of the handler
+  assert.equal(gzip.headers["x-cache"], "HIT");
+});
+
+test("small responses are not compressed", async () => {
+  const response = await request("/small?tiny=1", {
+    "Accept-Encoding": "gzip",
+  });
+
+  assert.equal(response.headers["content-encoding"], undefined);
+  assert.doesNotMatch(response.headers.etag, /-gzip"$/);
+});
+
+test("errors and skipped paths are not cached", async () => {
+  const first = await request("/missing");
+  const second = await request("/missing");
+
+  assert.equal(second.status, 404);
+  assert.equal(second.headers["x-cache"], "MISS");
+  assert.equal(first.headers.etag, undefined);
+  assert.equal(first.headers["cache-control"], "no-store");
+
+  const health = await request("/health");
+  assert.equal(health.headers["cache-control"], "no-store");
+  assert.equal(health.headers.etag, undefined);
+});
+
+test("negotiateEncoding picks brotli or gzip, else identity", async () => {
+  const negotiated = async (header) =>
+    (
+      await request("/encoding", header ? { "Accept-Encoding": header } : {})
+    ).body.toString();
+
+  assert.equal(await negotiated(), "identity");
+  assert.equal(await negotiated("gzip;q=0.5, deflate, br"), "br");
+  assert.equal(await negotiated("gzip"), "gzip");
+  assert.equal(await negotiated("deflate"), "identity");
+  assert.equal(await negotiated("br;q=0, gzip"), "gzip");
+});
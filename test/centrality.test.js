@@ -0,0 +1,67 @@
+// Hub metrics over small directed route graphs.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeHubMetrics } = require("../lib/centrality");
+
+// Graph edges as built by graph.js, from "AB" style pairs
+const edges = (...pairs) =>
+  pairs.map(([pair, airlines = 1]) => ({
+    departure_iata: pair[0],
+    arrival_iata: pair[1],
+    airline_ids: Array.from({ length: airlines }, (_, i) => i + 1),
+  }));
+
+test("a chain routes every connection through its middle", () => {
+  const metrics = computeHubMetrics(edges(["AB"], ["BC", 2]));
+
+  assert.deepEqual(metrics.get("B"), {
+    degree: 2,
+    weighted_degree: 3,
+    betweenness: 0.5,
+    closeness: 0.5,
+    connecting_pairs: 1,
+  });
+  assert.deepEqual(metrics.get("A"), {
+    degree: 1,
+    weighted_degree: 1,
+    betweenness: 0,
+    closeness: (1 + 1 / 2) / 2,
+    connecting_pairs: 0,
+  });
+  assert.equal(metrics.get("C").closeness, 0);
+});
+
+test("equal shortest paths share the betweenness", () => {
+  const metrics = computeHubMetrics(edges(["AB"], ["AC"], ["BD"], ["CD"]));
+
+  // Half of the A-D paths pass through B, out of 3 * 2 ordered pairs
+  assert.equal(metrics.get("B").betweenness, 0.5 / 6);
+  assert.equal(metrics.get("C").betweenness, 0.5 / 6);
+  assert.equal(metrics.get("A").betweenness, 0);
+  assert.equal(metrics.get("B").connecting_pairs, 1);
+});
+
+test("parallel routes are one step and existing routes need no connection", () => {
+  const metrics = computeHubMetrics(
+    edges(["AB", 2], ["AB"], ["BC"], ["AC"], ["BB"])
+  );
+
+  assert.equal(metrics.get("B").degree, 2);
+  // Self-loops still count towards the weighted degree
+  assert.equal(metrics.get("B").weighted_degree, 2 + 1 + 1 + 2);
+  assert.equal(metrics.get("B").betweenness, 0);
+  assert.equal(metrics.get("B").connecting_pairs, 0);
+});
+
+test("empty and single-airport networks have no metrics to speak of", () => {
+  assert.equal(computeHubMetrics([]).size, 0);
+  // A self-loop serves no other airport
+  assert.deepEqual(computeHubMetrics(edges(["AA"])).get("A"), {
+    degree: 0,
+    weighted_degree: 2,
+    betweenness: 0,
+    closeness: 0,
+    connecting_pairs: 0,
+  });
+});
@@ -0,0 +1,111 @@
+// GET /changes against a fixture database and an earlier version of it.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { PREVIOUS_ROUTES, createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  const previousDbPath = path.join(fixture.dir, "previous.db");
+  fixture.build({ routes: PREVIOUS_ROUTES, output: previousDbPath });
+  server = await startServer(fixture.dbPath, { previousDbPath });
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+const routeKeys = (body) =>
+  body.changes.map(
+    (change) =>
+      `${change.change} ${change.departure_iata}-${change.arrival_iata}`
+  );
+
+test("changes since the previous version are listed and counted", async () => {
+  const { status, body } = await get("/changes");
+  assert.equal(status, 200);
+  assert.notEqual(body.previous.checksum, body.current.checksum);
+  assert.deepEqual(routeKeys(body), [
+    "removed BOS-JFK",
+    "added LGW-CDG",
+    "changed LHR-CDG",
+    "changed MAN-JFK",
+  ]);
+  assert.deepEqual(body.summary, {
+    routes_added: 1,
+    routes_removed: 1,
+    routes_changed: 2,
+    airlines_added: 2,
+    airlines_removed: 2,
+  });
+  assert.equal(body.pagination.total, 4);
+  assert.equal(body.pagination.has_more, false);
+});
+
+test("changes are filtered by kind, airport and country", async () => {
+  const kinds = await get("/changes?type=added,removed");
+  assert.deepEqual(routeKeys(kinds.body), ["removed BOS-JFK", "added LGW-CDG"]);
+
+  const airport = await get("/changes?airport=JFK");
+  assert.deepEqual(routeKeys(airport.body), [
+    "removed BOS-JFK",
+    "changed MAN-JFK",
+  ]);
+
+  const departures = await get("/changes?departure_iata=LHR");
+  assert.deepEqual(routeKeys(departures.body), ["changed LHR-CDG"]);
+
+  const country = await get("/changes?arrival_country=France");
+  assert.deepEqual(routeKeys(country.body), [
+    "added LGW-CDG",
+    "changed LHR-CDG",
+  ]);
+  assert.equal(country.body.summary.routes_added, 1);
+});
+
+test("an airline filter keeps only that airline's changes", async () => {
+  const { body } = await get("/changes?airline_iata=ba");
+  assert.deepEqual(routeKeys(body), ["added LGW-CDG", "changed MAN-JFK"]);
+  assert.deepEqual(body.changes[1].airlines_removed, [
+    { iata: "BA", name: "British Airways" },
+  ]);
+
+  const byName = await get("/changes?airline_name=france");
+  assert.deepEqual(routeKeys(byName.body), ["changed LHR-CDG"]);
+  assert.equal(byName.body.summary.airlines_added, 1);
+});
+
+test("changes are paginated", async () => {
+  const { body } = await get("/changes?limit=1&offset=1");
+  assert.deepEqual(routeKeys(body), ["added LGW-CDG"]);
+  assert.deepEqual(body.pagination, {
+    total: 4,
+    returnedCount: 1,
+    limit: 1,
+    offset: 1,
+    has_more: true,
+  });
+  // The summary covers every match, not just the page
+  assert.equal(body.summary.routes_changed, 2);
+});
+
+test("invalid filters are rejected", async () => {
+  for (const query of ["type=moved", "airport=LONDON", "limit=0"]) {
+    const { status, body } = await get(`/changes?${query}`);
+    assert.equal(status, 400, query);
+    assert.equal(body.error.code, "INVALID_PARAMETER", query);
+  }
+});
@@ -0,0 +1,90 @@
+// Route changes between two versions of a fixture database.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ROUTES, PREVIOUS_ROUTES, createDatabase } = require("./fixtures");
+const {
+  loadRouteSnapshot,
+  diffRouteSnapshots,
+  summarizeChanges,
+} = require("../lib/changes");
+
+const BA = { iata: "BA", name: "British Airways" };
+const AF = { iata: "AF", name: "Air France" };
+const AA = { iata: "AA", name: "American Airlines" };
+
+const snapshot = (rows) => loadRouteSnapshot(createDatabase(rows));
+
+test("loadRouteSnapshot groups airlines by departure and arrival", () => {
+  const routes = snapshot();
+  assert.equal(routes.size, 9);
+  assert.deepEqual(routes.get("LHR-CDG"), {
+    route_id: 1,
+    departure_iata: "LHR",
+    departure_city: "London",
+    departure_country: "United Kingdom",
+    arrival_iata: "CDG",
+    arrival_city: "Paris",
+    arrival_country: "France",
+    distance_km: 348,
+    duration_min: 75,
+    airlines: [AF, BA],
+  });
+});
+
+test("diffRouteSnapshots matches routes on their airports, not ids", () => {
+  const changes = diffRouteSnapshots(snapshot(), snapshot());
+  assert.deepEqual(changes, []);
+
+  const reordered = diffRouteSnapshots(
+    snapshot({ routes: [...ROUTES].reverse() }),
+    snapshot()
+  );
+  assert.deepEqual(reordered, []);
+});
+
+test("diffRouteSnapshots lists added, removed and changed routes", () => {
+  const changes = diffRouteSnapshots(
+    snapshot({ routes: PREVIOUS_ROUTES }),
+    snapshot()
+  );
+
+  assert.deepEqual(
+    changes.map((change) => [
+      change.change,
+      `${change.departure_iata}-${change.arrival_iata}`,
+      change.airlines_added,
+      change.airlines_removed,
+    ]),
+    [
+      ["removed", "BOS-JFK", [], [AA]],
+      ["added", "LGW-CDG", [BA], []],
+      ["changed", "LHR-CDG", [AF], []],
+      ["changed", "MAN-JFK", [], [BA]],
+    ]
+  );
+  // Removed routes keep their previous details, the others the current ones
+  assert.equal(changes[0].duration_min, 80);
+  assert.equal(changes[1].route_id, 9);
+});
+
+test("summarizeChanges counts routes and airlines", () => {
+  const changes = diffRouteSnapshots(
+    snapshot({ routes: PREVIOUS_ROUTES }),
+    snapshot()
+  );
+  assert.deepEqual(summarizeChanges(changes), {
+    routes_added: 1,
+    routes_removed: 1,
+    routes_changed: 2,
+    airlines_added: 2,
+    airlines_removed: 2,
+  });
+  assert.deepEqual(summarizeChanges([]), {
+    routes_added: 0,
+    routes_removed: 0,
+    routes_changed: 0,
+    airlines_added: 0,
+    airlines_removed: 0,
+  });
+});
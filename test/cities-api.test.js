@@ -0,0 +1,127 @@
+// GET /cities, /cities/:city/routes and the city filters, with metro areas
+// from a fixture file.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  const metroAreasFile = path.join(fixture.dir, "metro-areas.json");
+  fs.writeFileSync(
+    metroAreasFile,
+    JSON.stringify([
+      { name: "London", airports: ["LHR", "LGW"] },
+      { name: "Northeast", airports: ["JFK", "BOS"] },
+    ])
+  );
+  server = await startServer(fixture.dbPath, { metroAreasFile });
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+const routeIds = (routes) => routes.map((route) => route.route_id);
+
+test("cities list their airports and metro areas", async () => {
+  const { body } = await get("/cities");
+
+  assert.equal(body.count, 6);
+  assert.deepEqual(
+    body.cities.map((city) => city.city),
+    ["Paris", "London", "Manchester", "Boston", "New York", "Northeast"]
+  );
+
+  const london = body.cities[1];
+  assert.equal(london.metro, true);
+  assert.equal(london.departures, 5);
+  assert.deepEqual(
+    london.airports.map((airport) => airport.iata),
+    ["LHR", "LGW"]
+  );
+});
+
+test("cities filter by country, continent and airport count", async () => {
+  const byCountry = await get("/cities?country=United%20Kingdom");
+  assert.deepEqual(
+    byCountry.body.cities.map((city) => city.city),
+    ["London", "Manchester"]
+  );
+
+  const byContinent = await get("/cities?continent=NA&min_airports=2");
+  assert.deepEqual(
+    byContinent.body.cities.map((city) => city.city),
+    ["Northeast"]
+  );
+});
+
+test("a city's routes cover all of its airports", async () => {
+  const { status, body } = await get("/cities/london/routes?group=route");
+
+  assert.equal(status, 200);
+  assert.equal(body.direction, "departure");
+  assert.deepEqual(
+    body.cities.map((city) => city.city),
+    ["London"]
+  );
+  assert.deepEqual(routeIds(body.routes).sort(), [1, 3, 4, 7, 9]);
+
+  const arrivals = await get("/cities/London/routes?direction=arrival");
+  assert.deepEqual(routeIds(arrivals.body.routes), [2, 2]);
+});
+
+test("destination_city narrows a city's routes", async () => {
+  const { body } = await get(
+    "/cities/London/routes?destination_city=paris&group=route&sort=route_id"
+  );
+
+  assert.deepEqual(routeIds(body.routes), [1, 9]);
+});
+
+test("the route listings accept city filters", async () => {
+  const { body } = await get(
+    "/routes?departure_city=London&arrival_city=Northeast&group=route&sort=route_id"
+  );
+  assert.deepEqual(routeIds(body.routes), [3, 7]);
+
+  const exported = await fetch(
+    `${server.baseUrl}/routes?departure_city=Northeast&format=ndjson`
+  );
+  const rows = (await exported.text()).trimEnd().split("\n").map(JSON.parse);
+  assert.deepEqual(routeIds(rows), [8]);
+});
+
+test("unknown cities are 404s", async () => {
+  const cases = [
+    ["/cities/Atlantis/routes", "city"],
+    ["/cities/London/routes?country=France", "city"],
+    ["/cities/London/routes?destination_city=Atlantis", "destination_city"],
+    ["/routes?arrival_city=Atlantis", "arrival_city"],
+  ];
+
+  for (const [path, param] of cases) {
+    const { status, body } = await get(path);
+    assert.equal(status, 404, path);
+    assert.equal(body.error.code, "CITY_NOT_FOUND", path);
+    assert.equal(body.error.param, param, path);
+  }
+
+  const { status, body } = await get("/cities?country=Atlantis");
+  assert.equal(status, 404);
+  assert.equal(body.error.code, "COUNTRY_NOT_FOUND");
+});
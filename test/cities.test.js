@@ -0,0 +1,119 @@
+// The city index: cities from airport city names, extended by metro areas.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadMetroAreas, buildCityIndex } = require("../lib/cities");
+const { AIRPORTS, createFixture } = require("./fixtures");
+
+const airportsByIata = new Map(AIRPORTS.map((a) => [a.iata, a]));
+const departureCounts = new Map([
+  ["LHR", 4],
+  ["LGW", 1],
+  ["MAN", 1],
+  ["CDG", 2],
+  ["JFK", 1],
+]);
+
+const METRO_AREAS = [
+  // STN is not in the database and is left out
+  { name: "London", airports: ["lgw", "LHR", "STN"] },
+  { name: "Northeast", airports: ["JFK", "BOS"] },
+  { name: "Nowhere", airports: ["XXX"] },
+];
+
+const index = buildCityIndex(airportsByIata, METRO_AREAS, departureCounts);
+
+test("cities are listed by country, then name", () => {
+  assert.equal(index.size, 6);
+  assert.deepEqual(
+    index.cities.map((city) => [city.country, city.city, city.metro]),
+    [
+      ["France", "Paris", false],
+      ["United Kingdom", "London", true],
+      ["United Kingdom", "Manchester", false],
+      ["United States", "Boston", false],
+      ["United States", "New York", false],
+      ["United States", "Northeast", true],
+    ]
+  );
+});
+
+test("a city lists its airports busiest first, with its departures", () => {
+  const [london] = index.lookup("London");
+
+  assert.deepEqual(london, {
+    city: "London",
+    country: "United Kingdom",
+    country_code: "GB",
+    continent: "EU",
+    metro: true,
+    airport_count: 2,
+    departures: 5,
+    airports: [
+      { iata: "LHR", name: "Heathrow", city_name: "London", departures: 4 },
+      { iata: "LGW", name: "Gatwick", city_name: "London", departures: 1 },
+    ],
+  });
+});
+
+test("a metro area under a new name takes its first airport's country", () => {
+  const [northeast] = index.lookup("northeast");
+
+  assert.equal(northeast.country, "United States");
+  assert.deepEqual(
+    northeast.airports.map((airport) => [airport.iata, airport.departures]),
+    [
+      ["JFK", 1],
+      ["BOS", 0],
+    ]
+  );
+});
+
+test("lookups ignore case and accents and may filter by country", () => {
+  const withAccent = buildCityIndex(
+    new Map([
+      [
+        "ZRH",
+        {
+          iata: "ZRH",
+          name: "Kloten",
+          city_name: "Zürich",
+          country: "Switzerland",
+        },
+      ],
+    ]),
+    [],
+    new Map()
+  );
+
+  assert.equal(withAccent.lookup("ZURICH").length, 1);
+  assert.equal(index.lookup(" LONDON ").length, 1);
+  assert.deepEqual(index.lookup("London", "France"), []);
+  assert.deepEqual(index.lookup("Atlantis"), []);
+});
+
+test("metro area files must list names and airports", () => {
+  const fixture = createFixture();
+  const file = path.join(fixture.dir, "metro-areas.json");
+  try {
+    fs.writeFileSync(file, JSON.stringify(METRO_AREAS));
+    assert.deepEqual(loadMetroAreas(file), METRO_AREAS);
+
+    fs.writeFileSync(file, JSON.stringify({ London: ["LHR"] }));
+    assert.throws(() => loadMetroAreas(file), /must contain an array/);
+
+    fs.writeFileSync(file, JSON.stringify([{ name: "London" }]));
+    assert.throws(() => loadMetroAreas(file), /needs a name and an airports/);
+  } finally {
+    fixture.cleanup();
+  }
+});
+
+test("the bundled metro areas file loads", () => {
+  const metroAreas = loadMetroAreas(
+    path.join(__dirname, "..", "metro-areas.json")
+  );
+  assert.ok(metroAreas.some((metro) => metro.name === "New York"));
+});
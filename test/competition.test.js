@@ -0,0 +1,129 @@
+// GET /analytics/competition and /analytics/overlap against a fixture
+// database.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+const routeIds = (routes) => routes.map((route) => route.route_id);
+
+test("routes are listed most contested first", async () => {
+  const { status, body } = await get("/analytics/competition");
+
+  assert.equal(status, 200);
+  assert.equal(body.airline, null);
+  assert.deepEqual(body.summary, {
+    route_count: 9,
+    monopoly_count: 6,
+    contested_count: 3,
+    average_airlines: 1.33,
+  });
+  assert.deepEqual(routeIds(body.routes), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+  const [first] = body.routes;
+  assert.equal(first.airline_count, 2);
+  assert.equal(first.status, "contested");
+  assert.deepEqual(
+    first.airlines.map((airline) => airline.name),
+    ["Air France", "British Airways"]
+  );
+  assert.equal(body.routes[3].status, "monopoly");
+});
+
+test("status and airline filter the routes and the summary", async () => {
+  const { body: monopolies } = await get(
+    "/analytics/competition?status=monopoly&airline=BA"
+  );
+  assert.equal(monopolies.airline.iata, "BA");
+  assert.deepEqual(routeIds(monopolies.routes), [4, 7, 9]);
+  assert.equal(monopolies.summary.route_count, 3);
+  assert.equal(monopolies.summary.contested_count, 0);
+
+  const { body: empty } = await get(
+    "/analytics/competition?status=contested&departure_country=United%20States"
+  );
+  assert.deepEqual(empty.routes, []);
+  assert.deepEqual(empty.summary, {
+    route_count: 0,
+    monopoly_count: 0,
+    contested_count: 0,
+    average_airlines: null,
+  });
+});
+
+test("the competition listing pages with cursors", async () => {
+  const { body: first } = await get("/analytics/competition?limit=4");
+  const { body: rest } = await get(
+    `/analytics/competition?cursor=${first.pagination.next_cursor}`
+  );
+
+  assert.deepEqual(
+    routeIds(first.routes).concat(routeIds(rest.routes)),
+    [1, 2, 3, 4, 5, 6, 7, 8, 9]
+  );
+});
+
+test("overlap splits two networks into shared and exclusive routes", async () => {
+  const { status, body } = await get("/analytics/overlap?airlines=BA,2");
+
+  assert.equal(status, 200);
+  assert.equal(body.shared_count, 2);
+  assert.equal(body.overlap_ratio, Math.round((2 / 7) * 1000) / 1000);
+  assert.deepEqual(routeIds(body.shared_routes), [2, 1]);
+
+  const [british, french] = body.airlines;
+  assert.equal(british.airline.iata, "BA");
+  assert.equal(british.route_count, 6);
+  assert.equal(british.exclusive_count, 4);
+  assert.deepEqual(routeIds(british.exclusive_routes), [9, 7, 3, 4]);
+  assert.equal(french.airline.iata, "AF");
+  assert.deepEqual(routeIds(french.exclusive_routes), [6]);
+});
+
+test("overlap limits each route list, not the counts", async () => {
+  const { body } = await get("/analytics/overlap?airlines=BA,AF&limit=1");
+
+  assert.equal(body.shared_count, 2);
+  assert.equal(body.shared_routes.length, 1);
+  assert.equal(body.airlines[0].exclusive_count, 4);
+  assert.equal(body.airlines[0].exclusive_routes.length, 1);
+});
+
+test("invalid comparisons are rejected", async () => {
+  const cases = [
+    ["/analytics/competition?status=x", 400, "INVALID_PARAMETER", "status"],
+    ["/analytics/competition?airline=ZZ", 404, "AIRLINE_NOT_FOUND", "airline"],
+    ["/analytics/overlap", 400, "MISSING_PARAMETER", "airlines"],
+    ["/analytics/overlap?airlines=BA", 400, "INVALID_PARAMETER", "airlines"],
+    ["/analytics/overlap?airlines=BA,1", 400, "INVALID_PARAMETER", "airlines"],
+    ["/analytics/overlap?airlines=BA,ZZ", 404, "AIRLINE_NOT_FOUND", "airlines"],
+  ];
+
+  for (const [path, status, code, param] of cases) {
+    const { status: actual, body } = await get(path);
+    assert.equal(actual, status, path);
+    assert.equal(body.error.code, code, path);
+    assert.equal(body.error.param, param, path);
+  }
+});
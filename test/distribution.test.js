@@ -0,0 +1,70 @@
+// Distribution summaries: percentiles, means and histograms.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { summarizeDistribution } = require("../lib/distribution");
+
+const ONE_TO_TEN = [7, 3, 10, 1, 5, 9, 2, 8, 4, 6];
+
+test("percentiles interpolate between the nearest ranks", () => {
+  const summary = summarizeDistribution(ONE_TO_TEN, {
+    percentiles: [0, 25, 50, 90, 100],
+  });
+
+  assert.equal(summary.count, 10);
+  assert.equal(summary.min, 1);
+  assert.equal(summary.max, 10);
+  assert.equal(summary.mean, 5.5);
+  assert.deepEqual(summary.percentiles, {
+    p0: 1,
+    p25: 3.3,
+    p50: 5.5,
+    p90: 9.1,
+    p100: 10,
+  });
+});
+
+test("the default percentiles are 5, 25, 50, 75 and 95", () => {
+  assert.deepEqual(Object.keys(summarizeDistribution(ONE_TO_TEN).percentiles), [
+    "p5",
+    "p25",
+    "p50",
+    "p75",
+    "p95",
+  ]);
+});
+
+test("histogram bins have equal whole-number widths", () => {
+  assert.deepEqual(summarizeDistribution(ONE_TO_TEN, { bins: 3 }).histogram, [
+    { from: 1, to: 5, count: 4 },
+    { from: 5, to: 9, count: 4 },
+    { from: 9, to: 13, count: 2 },
+  ]);
+
+  // Never narrower than one, so there may be fewer bins than asked for
+  assert.deepEqual(summarizeDistribution([0, 2], { bins: 20 }).histogram, [
+    { from: 0, to: 1, count: 1 },
+    { from: 1, to: 2, count: 0 },
+    { from: 2, to: 3, count: 1 },
+  ]);
+});
+
+test("a single value fills one bin", () => {
+  const summary = summarizeDistribution([42, 42]);
+
+  assert.equal(summary.mean, 42);
+  assert.equal(summary.percentiles.p95, 42);
+  assert.deepEqual(summary.histogram, [{ from: 42, to: 43, count: 2 }]);
+});
+
+test("nulls are ignored, and nothing to summarize gives nulls", () => {
+  assert.equal(summarizeDistribution([null, 4, undefined, 2]).mean, 3);
+  assert.deepEqual(summarizeDistribution([null], { percentiles: [50] }), {
+    count: 0,
+    min: null,
+    max: null,
+    mean: null,
+    percentiles: { p50: null },
+    histogram: [],
+  });
+});
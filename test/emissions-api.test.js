@@ -0,0 +1,141 @@
+// CO2 estimates on the route, itinerary and analytics endpoints, with
+// emission factors from a fixture file.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  const emissionFactorsFile = path.join(fixture.dir, "emission-factors.json");
+  fs.writeFileSync(
+    emissionFactorsFile,
+    JSON.stringify({
+      distance_uplift: 1,
+      bands: [
+        { band: "short_haul", max_distance_km: 1000, kg_co2_per_km: 0.1 },
+        { band: "long_haul", max_distance_km: null, kg_co2_per_km: 0.05 },
+      ],
+      cabin_multipliers: { economy: 1, business: 3 },
+      default_cabin: "economy",
+    })
+  );
+  server = await startServer(fixture.dbPath, { emissionFactorsFile });
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, text: await res.text() };
+};
+const getJson = async (path) => {
+  const { status, text } = await get(path);
+  return { status, body: JSON.parse(text) };
+};
+
+test("a route's estimate covers every cabin class", async () => {
+  const { status, body } = await getJson("/routes/1/emissions");
+
+  assert.equal(status, 200);
+  assert.equal(body.route.route_id, 1);
+  assert.equal(body.route.airline_iata, undefined);
+  assert.equal(body.band, "short_haul");
+  assert.deepEqual(body.co2_kg_per_passenger, {
+    economy: 34.8,
+    business: 104.4,
+  });
+  assert.deepEqual(body.factors, {
+    distance_uplift: 1,
+    kg_co2_per_km: 0.1,
+    cabin_multipliers: { economy: 1, business: 3 },
+  });
+});
+
+test("network totals count each route once", async () => {
+  const { body } = await getJson("/analytics/emissions?airline_id=3");
+
+  // LHR-JFK 5540 km and MAN-JFK 5350 km long haul, JFK-BOS 300 km short
+  assert.deepEqual(body, {
+    cabin: "economy",
+    route_count: 3,
+    estimated_route_count: 3,
+    total_co2_kg: 574.5,
+    average_co2_kg: 191.5,
+    by_band: {
+      short_haul: { route_count: 1, co2_kg: 30 },
+      long_haul: { route_count: 2, co2_kg: 544.5 },
+    },
+  });
+});
+
+test("itineraries add up their legs", async () => {
+  const { body } = await getJson(
+    "/itineraries?from=LHR&to=JFK&include=emissions&cabin=business&limit=2"
+  );
+  const [direct, viaManchester] = body.itineraries;
+
+  assert.deepEqual(direct.emissions, { cabin: "business", co2_kg: 831 });
+  assert.deepEqual(viaManchester.emissions, {
+    cabin: "business",
+    co2_kg: 881.1,
+  });
+  assert.deepEqual(
+    viaManchester.legs.map((leg) => leg.emissions.co2_kg),
+    [78.6, 802.5]
+  );
+
+  const { body: plain } = await getJson("/itineraries?from=LHR&to=JFK");
+  assert.equal(plain.itineraries[0].emissions, undefined);
+});
+
+test("route listings and exports add estimates on request", async () => {
+  const { body } = await getJson(
+    "/routes?include=emissions&fields=route_id&limit=2"
+  );
+  assert.deepEqual(body.routes, [
+    {
+      route_id: 4,
+      emissions: { band: "short_haul", cabin: "economy", co2_kg: 26.2 },
+    },
+    {
+      route_id: 9,
+      emissions: { band: "short_haul", cabin: "economy", co2_kg: 32 },
+    },
+  ]);
+
+  const { text } = await get(
+    "/routes?format=csv&include=emissions&cabin=business&fields=route_id&limit=1"
+  );
+  assert.equal(
+    text,
+    "route_id,emissions\r\n" +
+      '4,"{""band"":""short_haul"",""cabin"":""business"",""co2_kg"":78.6}"\r\n'
+  );
+});
+
+test("unknown cabins and routes are rejected", async () => {
+  const cases = [
+    ["/routes?include=emissions&cabin=first", 400, "cabin"],
+    ["/analytics/emissions?cabin=coach", 400, "cabin"],
+    ["/routes?include=co2", 400, "include"],
+    ["/routes/99/emissions", 404, "route_id"],
+  ];
+
+  for (const [path, status, param] of cases) {
+    const { status: actual, body } = await getJson(path);
+    assert.equal(actual, status, path);
+    assert.equal(body.error.param, param, path);
+  }
+});
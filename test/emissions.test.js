@@ -0,0 +1,118 @@
+// CO2 estimates: loading emission factors and the estimates built on them.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  loadEmissionFactors,
+  createEmissionsModel,
+} = require("../lib/emissions");
+const { createFixture } = require("./fixtures");
+
+// Round numbers so the expected estimates are easy to check
+const FACTORS = {
+  distance_uplift: 1,
+  bands: [
+    { band: "short_haul", max_distance_km: 1000, kg_co2_per_km: 0.1 },
+    { band: "long_haul", max_distance_km: null, kg_co2_per_km: 0.05 },
+  ],
+  cabin_multipliers: { economy: 1, business: 3 },
+  default_cabin: "economy",
+};
+
+const model = createEmissionsModel(FACTORS);
+
+test("estimates use the band of the distance and the cabin", () => {
+  assert.deepEqual(model.estimate(500), {
+    band: "short_haul",
+    cabin: "economy",
+    co2_kg: 50,
+  });
+  assert.deepEqual(model.estimate(1000, "business"), {
+    band: "short_haul",
+    cabin: "business",
+    co2_kg: 300,
+  });
+  assert.equal(model.estimate(2000).band, "long_haul");
+  assert.equal(model.estimate(2000).co2_kg, 100);
+  assert.equal(model.estimate(null), null);
+});
+
+test("estimates by cabin cover every cabin class", () => {
+  assert.deepEqual(model.cabins, ["economy", "business"]);
+  assert.equal(model.defaultCabin, "economy");
+  assert.deepEqual(model.estimateByCabin(348), {
+    economy: 34.8,
+    business: 104.4,
+  });
+  assert.deepEqual(model.estimateByCabin(null), {
+    economy: null,
+    business: null,
+  });
+});
+
+test("summaries total the estimates and skip unknown distances", () => {
+  assert.deepEqual(model.summarize([500, null, 2000, 3000], "business"), {
+    cabin: "business",
+    route_count: 4,
+    estimated_route_count: 3,
+    total_co2_kg: 150 + 300 + 450,
+    average_co2_kg: 300,
+    by_band: {
+      short_haul: { route_count: 1, co2_kg: 150 },
+      long_haul: { route_count: 2, co2_kg: 750 },
+    },
+  });
+  assert.equal(model.summarize([]).average_co2_kg, null);
+});
+
+test("the bundled factors load and apply the distance uplift", () => {
+  const bundled = createEmissionsModel(
+    loadEmissionFactors(path.join(__dirname, "..", "emission-factors.json"))
+  );
+
+  assert.deepEqual(bundled.estimate(348), {
+    band: "short_haul",
+    cabin: "economy",
+    co2_kg: Math.round(348 * 1.08 * 0.133 * 10) / 10,
+  });
+});
+
+test("malformed factor files are refused", () => {
+  const fixture = createFixture();
+  const file = path.join(fixture.dir, "emission-factors.json");
+  const load = (changes) => {
+    fs.writeFileSync(file, JSON.stringify({ ...FACTORS, ...changes }));
+    return () => loadEmissionFactors(file);
+  };
+
+  try {
+    assert.deepEqual(load({})(), FACTORS);
+    assert.throws(load({ distance_uplift: 0 }), /distance_uplift/);
+    assert.throws(load({ bands: [] }), /bands must be a non-empty array/);
+    assert.throws(
+      load({
+        bands: [{ band: "all", max_distance_km: 100, kg_co2_per_km: 1 }],
+      }),
+      /null for the last band/
+    );
+    assert.throws(
+      load({
+        bands: [
+          { band: "a", max_distance_km: 2000, kg_co2_per_km: 1 },
+          { band: "b", max_distance_km: 1000, kg_co2_per_km: 1 },
+          { band: "c", max_distance_km: null, kg_co2_per_km: 1 },
+        ],
+      }),
+      /ascending/
+    );
+    assert.throws(
+      load({ cabin_multipliers: { economy: -1 } }),
+      /cabin_multipliers/
+    );
+    assert.throws(load({ default_cabin: "first" }), /default_cabin/);
+  } finally {
+    fixture.cleanup();
+  }
+});
@@ -0,0 +1,80 @@
+// The shared error model across the server's endpoints.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path, headers = {}) => {
+  const res = await fetch(`${server.baseUrl}${path}`, { headers });
+  return {
+    status: res.status,
+    requestId: res.headers.get("x-request-id"),
+    body: await res.json(),
+  };
+};
+
+test("invalid parameters name the parameter at fault", async () => {
+  const cases = [
+    ["/itineraries?from=LHR", 400, "MISSING_PARAMETER", "to"],
+    ["/airports/nearby?lat=91&lon=0", 400, "INVALID_PARAMETER", "lat"],
+    ["/routes?limit=abc", 400, "INVALID_PARAMETER", "limit"],
+    ["/routes?limit=0", 400, "INVALID_PARAMETER", "limit"],
+    ["/routes?cursor=zz", 400, "INVALID_PARAMETER", "cursor"],
+    [
+      "/airports/LHR/routes?direction=up",
+      400,
+      "INVALID_PARAMETER",
+      "direction",
+    ],
+    ["/search?q=a&type=x", 400, "INVALID_PARAMETER", "type"],
+    ["/itineraries?from=LHR&to=XXX", 404, "AIRPORT_NOT_FOUND", "to"],
+    ["/airports/nearby?near=XXX", 404, "AIRPORT_NOT_FOUND", "near"],
+    ["/routes/99/path", 404, "ROUTE_NOT_FOUND", "route_id"],
+  ];
+
+  for (const [path, status, code, param] of cases) {
+    const { status: actual, body } = await get(path);
+    assert.equal(actual, status, path);
+    assert.equal(body.error.code, code, path);
+    assert.equal(body.error.param, param, path);
+    assert.equal(typeof body.error.message, "string", path);
+  }
+});
+
+test("unknown endpoints are JSON 404s", async () => {
+  const { status, body } = await get("/nope");
+
+  assert.equal(status, 404);
+  assert.deepEqual(body.error, {
+    code: "NOT_FOUND",
+    message: "Cannot GET /nope",
+    param: null,
+    request_id: body.error.request_id,
+  });
+});
+
+test("errors carry the request id, echoed or generated", async () => {
+  const echoed = await get("/nope", { "X-Request-Id": "abc-123" });
+  assert.equal(echoed.requestId, "abc-123");
+  assert.equal(echoed.body.error.request_id, "abc-123");
+
+  const generated = await get("/nope");
+  assert.ok(generated.requestId);
+  assert.equal(generated.body.error.request_id, generated.requestId);
+});
@@ -0,0 +1,95 @@
+// CSV and NDJSON downloads from the route listings.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return {
+    status: res.status,
+    type: res.headers.get("content-type"),
+    disposition: res.headers.get("content-disposition"),
+    text: await res.text(),
+  };
+};
+
+test("an airport's routes download as CSV", async () => {
+  const { status, type, disposition, text } = await get(
+    "/airports/LHR/routes?format=csv"
+  );
+
+  assert.equal(status, 200);
+  assert.equal(type, "text/csv; charset=utf-8");
+  assert.equal(disposition, 'attachment; filename="routes-LHR-departure.csv"');
+
+  const lines = text.trimEnd().split("\r\n");
+  assert.equal(
+    lines[0],
+    "route_id,departure_iata,departure_city,departure_country," +
+      "arrival_iata,arrival_city,arrival_country,distance_km,duration_min," +
+      "airline_iata,airline_name"
+  );
+  assert.equal(lines.length, 1 + 6);
+  assert.ok(lines.slice(1).every((line) => /^\d+,LHR,London,/.test(line)));
+});
+
+test("NDJSON exports follow the JSON pagination", async () => {
+  const page = await get(
+    "/countries/France/routes?format=ndjson&limit=2&offset=1"
+  );
+  const rows = page.text.trimEnd().split("\n").map(JSON.parse);
+
+  assert.equal(page.type, "application/x-ndjson");
+  assert.equal(
+    page.disposition,
+    'attachment; filename="routes-France-departure.ndjson"'
+  );
+  assert.equal(rows.length, 2);
+  assert.ok(rows.every((row) => row.departure_country === "France"));
+
+  const all = await get("/countries/France/routes?format=ndjson");
+  assert.equal(all.text.trimEnd().split("\n").length, 3);
+});
+
+test("the full route listing downloads with its filters", async () => {
+  const { disposition, text } = await get(
+    "/routes?format=csv&airline_id=3&all=true"
+  );
+
+  assert.equal(disposition, 'attachment; filename="routes.csv"');
+  // One row per airline on each of American's three routes
+  assert.equal(text.trimEnd().split("\r\n").length, 1 + 4);
+});
+
+test("exports get a 503 while every export connection is busy", async () => {
+  const busy = await startServer(fixture.dbPath, { exportConnections: 0 });
+  try {
+    const res = await fetch(`${busy.baseUrl}/routes?format=csv`);
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).error.code, "EXPORTS_BUSY");
+    assert.equal(res.headers.get("cache-control"), "no-store");
+
+    // JSON listings do not need an export connection
+    const json = await fetch(`${busy.baseUrl}/routes`);
+    assert.equal(json.status, 200);
+  } finally {
+    await busy.close();
+  }
+});
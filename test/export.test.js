@@ -0,0 +1,245 @@
+// CSV and NDJSON exports streamed from a query.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const http = require("http");
+const zlib = require("zlib");
+const express = require("express");
+const {
+  getExportFormat,
+  exportFilename,
+  createExportPool,
+  streamQuery,
+} = require("../lib/export");
+const { ApiError } = require("../lib/errors");
+const { createFixture } = require("./fixtures");
+
+let fixture;
+let pool;
+let server;
+let baseUrl;
+
+// Enough rows to fill several chunks
+const MANY_ROWS = `
+  WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?)
+  SELECT i, printf('%0100d', i) AS padding FROM n
+`;
+
+before(async () => {
+  fixture = createFixture();
+  fixture.build();
+  pool = createExportPool(fixture.dbPath, 2);
+
+  const app = express();
+  app.get("/export", (req, res) =>
+    streamQuery(res, {
+      pool,
+      query:
+        "SELECT route_id, departure_iata, arrival_iata, airline_name FROM route_details WHERE departure_iata = ? ORDER BY route_id, airline_name",
+      params: ["LHR"],
+      format: req.query.format,
+      filename: exportFilename(["routes", "LHR"], req.query.format),
+      encoding: req.query.encoding,
+    })
+  );
+  app.get("/escaping", (req, res) =>
+    streamQuery(res, {
+      pool,
+      query: `SELECT 'a,b' AS comma, 'say "hi"' AS quote, NULL AS empty`,
+      params: [],
+      format: "csv",
+      filename: "escaping.csv",
+    })
+  );
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  pool.close();
+  fixture.cleanup();
+});
+
+test("only csv and ndjson are export formats", () => {
+  assert.equal(getExportFormat("csv"), "csv");
+  assert.equal(getExportFormat("ndjson"), "ndjson");
+  assert.equal(getExportFormat("json"), null);
+  assert.equal(getExportFormat("toString"), null);
+});
+
+test("filenames are built from safe parts", () => {
+  assert.equal(exportFilename(["routes", "LHR"], "csv"), "routes-LHR.csv");
+  assert.equal(
+    exportFilename(["routes", null, "New York/JFK"], "ndjson"),
+    "routes-New_York_JFK.ndjson"
+  );
+});
+
+test("CSV exports have a header row and one line per row", async () => {
+  const response = await fetch(`${baseUrl}/export?format=csv`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "text/csv; charset=utf-8");
+  assert.equal(
+    response.headers.get("content-disposition"),
+    'attachment; filename="routes-LHR.csv"'
+  );
+  assert.deepEqual((await response.text()).split("\r\n"), [
+    "route_id,departure_iata,arrival_iata,airline_name",
+    "1,LHR,CDG,Air France",
+    "1,LHR,CDG,British Airways",
+    "3,LHR,JFK,American Airlines",
+    "3,LHR,JFK,British Airways",
+    "4,LHR,MAN,British Airways",
+    "7,LHR,BOS,British Airways",
+    "",
+  ]);
+});
+
+test("CSV values are quoted when needed", async () => {
+  const response = await fetch(`${baseUrl}/escaping`);
+
+  assert.equal(
+    await response.text(),
+    'comma,quote,empty\r\n"a,b","say ""hi""",\r\n'
+  );
+});
+
+test("NDJSON exports have one object per line", async () => {
+  const response = await fetch(`${baseUrl}/export?format=ndjson`);
+
+  assert.equal(response.headers.get("content-type"), "application/x-ndjson");
+  const lines = (await response.text()).trim().split("\n").map(JSON.parse);
+  assert.equal(lines.length, 6);
+  assert.deepEqual(lines[0], {
+    route_id: 1,
+    departure_iata: "LHR",
+    arrival_iata: "CDG",
+    airline_name: "Air France",
+  });
+});
+
+test("exports can be compressed as they stream", async () => {
+  const plain = await (await fetch(`${baseUrl}/export?format=csv`)).text();
+  const { headers, body } = await new Promise((resolve, reject) =>
+    http
+      .get(`${baseUrl}/export?format=csv&encoding=gzip`, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({ headers: res.headers, body: Buffer.concat(chunks) })
+        );
+      })
+      .on("error", reject)
+  );
+
+  assert.equal(headers["content-encoding"], "gzip");
+  assert.equal(zlib.gunzipSync(body).toString(), plain);
+});
+
+// A response whose buffer is always full, so every write asks the
+// exporter to wait for "drain"
+function createSlowResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.status = () => res;
+  res.setHeader = () => {};
+  res.write = (chunk) => {
+    res.chunks.push(chunk);
+    return false;
+  };
+  res.end = (chunk) => {
+    res.chunks.push(chunk);
+    res.ended = true;
+  };
+  return res;
+}
+
+test("exports wait for the client to drain each chunk", () => {
+  const res = createSlowResponse();
+  streamQuery(res, {
+    pool,
+    query: MANY_ROWS,
+    params: [5000],
+    format: "ndjson",
+    filename: "many.ndjson",
+  });
+
+  // One chunk is written, then nothing until the client catches up
+  assert.equal(res.chunks.length, 1);
+  assert.equal(res.listenerCount("drain"), 1);
+
+  while (!res.ended) {
+    const written = res.chunks.length;
+    res.emit("drain");
+    assert.equal(res.chunks.length, written + 1);
+  }
+  const rows = res.chunks.join("").trim().split("\n").map(JSON.parse);
+  assert.equal(rows.length, 5000);
+  assert.deepEqual(
+    rows.map((row) => row.i),
+    Array.from({ length: 5000 }, (_, i) => i + 1)
+  );
+});
+
+test("a client that goes away stops the export", () => {
+  const res = createSlowResponse();
+  streamQuery(res, {
+    pool,
+    query: MANY_ROWS,
+    params: [5000],
+    format: "csv",
+    filename: "many.csv",
+  });
+
+  res.emit("close");
+  res.emit("drain");
+  assert.equal(res.chunks.length, 1);
+  assert.equal(res.ended, undefined);
+});
+
+test("each export holds a pool connection until it ends", () => {
+  const single = createExportPool(fixture.dbPath, 1);
+  const exportMany = (res) =>
+    streamQuery(res, {
+      pool: single,
+      query: MANY_ROWS,
+      params: [5000],
+      format: "csv",
+      filename: "many.csv",
+    });
+
+  const first = createSlowResponse();
+  exportMany(first);
+  assert.throws(
+    () => exportMany(createSlowResponse()),
+    (error) =>
+      error instanceof ApiError &&
+      error.status === 503 &&
+      error.code === "EXPORTS_BUSY"
+  );
+
+  // A finished export gives its connection back, and so does one whose
+  // client went away
+  while (!first.ended) {
+    first.emit("drain");
+  }
+  const second = createSlowResponse();
+  exportMany(second);
+  second.emit("close");
+  const third = createSlowResponse();
+  exportMany(third);
+  third.emit("close");
+  single.close();
+});
+
+test("an export pool needs its database", () => {
+  assert.throws(
+    () => createExportPool(`${fixture.dir}/missing.db`, 2),
+    /unable to open database file|directory does not exist/
+  );
+});
@@ -0,0 +1,192 @@
+// Small routes databases for the tests, in the schema the server expects
+// (see "DB Doc.pdf"). createDatabase() builds one in memory for the lib
+// modules; createFixture() writes one to a temporary directory of its own,
+// for tests that need a file. Call cleanup() when done. startServer()
+// serves a fixture database over HTTP on a free port.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("better-sqlite3");
+const { createApp } = require("../app");
+
+const SCHEMA = `
+  CREATE TABLE airlines ( id INTEGER PRIMARY KEY AUTOINCREMENT, iata TEXT, name TEXT, UNIQUE(iata, name) );
+  CREATE TABLE airports ( iata TEXT PRIMARY KEY, icao TEXT, name TEXT, city_name TEXT, country TEXT, country_code TEXT, continent TEXT, latitude REAL, longitude REAL, elevation INTEGER, timezone TEXT );
+  CREATE TABLE route_airlines ( route_id INTEGER, airline_id INTEGER, PRIMARY KEY (route_id, airline_id), FOREIGN KEY (route_id) REFERENCES routes(id), FOREIGN KEY (airline_id) REFERENCES airlines(id) );
+  CREATE TABLE routes ( id INTEGER PRIMARY KEY AUTOINCREMENT, departure_iata TEXT, arrival_iata TEXT, distance_km INTEGER, duration_min INTEGER, FOREIGN KEY (departure_iata) REFERENCES airports(iata), FOREIGN KEY (arrival_iata) REFERENCES airports(iata) );
+
+  CREATE INDEX idx_airlines_iata ON airlines(iata);
+  CREATE INDEX idx_airports_continent ON airports(continent);
+  CREATE INDEX idx_airports_country ON airports(country);
+  CREATE INDEX idx_airports_country_code ON airports(country_code);
+  CREATE INDEX idx_route_airlines_airline ON route_airlines(airline_id);
+  CREATE INDEX idx_routes_arrival ON routes(arrival_iata);
+  CREATE INDEX idx_routes_departure ON routes(departure_iata);
+  CREATE INDEX idx_routes_duration ON routes(duration_min);
+
+  CREATE VIEW route_details AS SELECT r.id as route_id, dep.iata as departure_iata, dep.city_name as departure_city, dep.country as departure_country, arr.iata as arrival_iata, arr.city_name as arrival_city, arr.country as arrival_country, r.distance_km, r.duration_min, a.iata as airline_iata, a.name as airline_name FROM routes r JOIN airports dep ON r.departure_iata = dep.iata JOIN airports arr ON r.arrival_iata = arr.iata JOIN route_airlines ra ON r.id = ra.route_id JOIN airlines a ON ra.airline_id = a.id;
+`;
+
+const AIRPORT_COLUMNS = [
+  "iata",
+  "name",
+  "city_name",
+  "country",
+  "country_code",
+  "continent",
+  "latitude",
+  "longitude",
+];
+
+// Two London airports, and a network spanning Europe and North America
+const AIRPORTS = [
+  ["LHR", "Heathrow", "London", "United Kingdom", "GB", "EU", 51.47, -0.45],
+  ["LGW", "Gatwick", "London", "United Kingdom", "GB", "EU", 51.15, -0.18],
+  ["MAN", "Ringway", "Manchester", "United Kingdom", "GB", "EU", 53.35, -2.27],
+  ["CDG", "Charles de Gaulle", "Paris", "France", "FR", "EU", 49.01, 2.55],
+  ["JFK", "Kennedy", "New York", "United States", "US", "NA", 40.64, -73.78],
+  ["BOS", "Logan", "Boston", "United States", "US", "NA", 42.37, -71.01],
+].map((row) =>
+  Object.fromEntries(AIRPORT_COLUMNS.map((column, i) => [column, row[i]]))
+);
+
+const AIRLINES = [
+  { id: 1, iata: "BA", name: "British Airways" },
+  { id: 2, iata: "AF", name: "Air France" },
+  { id: 3, iata: "AA", name: "American Airlines" },
+];
+
+// Routes: departure, arrival, distance, duration and the IATA codes of the
+// airlines flying them. Route ids follow this order.
+const ROUTES = [
+  ["LHR", "CDG", 348, 75, ["BA", "AF"]],
+  ["CDG", "LHR", 348, 75, ["BA", "AF"]],
+  ["LHR", "JFK", 5540, 480, ["BA", "AA"]],
+  ["LHR", "MAN", 262, 60, ["BA"]],
+  ["MAN", "JFK", 5350, 470, ["AA"]],
+  ["CDG", "JFK", 5837, 500, ["AF"]],
+  ["LHR", "BOS", 5260, 450, ["BA"]],
+  ["JFK", "BOS", 300, 75, ["AA"]],
+  ["LGW", "CDG", 320, 70, ["BA"]],
+].map(
+  ([departure_iata, arrival_iata, distance_km, duration_min, airlines]) => ({
+    departure_iata,
+    arrival_iata,
+    distance_km,
+    duration_min,
+    airlines,
+  })
+);
+
+// The default routes as they were before: no LGW-CDG, BA still flying
+// MAN-JFK, AF not yet on LHR-CDG and a BOS-JFK route since dropped. They
+// are listed the other way round, so route ids differ between versions.
+const PREVIOUS_ROUTES = [
+  ...ROUTES.filter((route) => route.departure_iata !== "LGW")
+    .map((route) =>
+      route.departure_iata === "MAN" && route.arrival_iata === "JFK"
+        ? { ...route, airlines: ["AA", "BA"] }
+        : route.departure_iata === "LHR" && route.arrival_iata === "CDG"
+        ? { ...route, airlines: ["BA"] }
+        : route
+    )
+    .reverse(),
+  {
+    departure_iata: "BOS",
+    arrival_iata: "JFK",
+    distance_km: 300,
+    duration_min: 80,
+    airlines: ["AA"],
+  },
+];
+
+// Create the schema in db and insert the rows given, or the defaults above
+function populate(
+  db,
+  { airports = AIRPORTS, airlines = AIRLINES, routes = ROUTES } = {}
+) {
+  db.exec(SCHEMA);
+  db.transaction(() => {
+    const insertAirport = db.prepare(`
+      INSERT INTO airports (iata, name, city_name, country, country_code,
+                            continent, latitude, longitude)
+      VALUES (@iata, @name, @city_name, @country, @country_code,
+              @continent, @latitude, @longitude)
+    `);
+    airports.forEach((row) => insertAirport.run({ city_name: null, ...row }));
+
+    const insertAirline = db.prepare(
+      "INSERT INTO airlines (id, iata, name) VALUES (@id, @iata, @name)"
+    );
+    airlines.forEach((row) => insertAirline.run(row));
+
+    const airlineIds = new Map(airlines.map((row) => [row.iata, row.id]));
+    const insertRoute = db.prepare(`
+      INSERT INTO routes (departure_iata, arrival_iata, distance_km, duration_min)
+      VALUES (@departure_iata, @arrival_iata, @distance_km, @duration_min)
+    `);
+    const insertRouteAirline = db.prepare(
+      "INSERT INTO route_airlines (route_id, airline_id) VALUES (?, ?)"
+    );
+    for (const { airlines: codes, ...route } of routes) {
+      const routeId = insertRoute.run(route).lastInsertRowid;
+      codes.forEach((code) =>
+        insertRouteAirline.run(routeId, airlineIds.get(code))
+      );
+    }
+  })();
+  return db;
+}
+
+// An in-memory database with the rows given, or the defaults
+const createDatabase = (rows) => populate(sqlite3(":memory:"), rows);
+
+// Create a fixture directory. build() writes a database with the rows
+// given, or the defaults, to `output` (default: the fixture's routes.db).
+function createFixture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "flight-routes-"));
+  const dbPath = path.join(dir, "routes.db");
+
+  const build = ({ output = dbPath, ...rows } = {}) => {
+    fs.rmSync(output, { force: true });
+    populate(sqlite3(output), rows).close();
+  };
+
+  return {
+    dir,
+    dbPath,
+    build,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+// Serve the database at dbPath with createApp() options on a free port.
+// File watching is off unless options turn it on. close() stops the server
+// and closes the database.
+function startServer(dbPath, options = {}) {
+  const api = createApp({ dbPath, watchInterval: 0, ...options });
+
+  return new Promise((resolve) => {
+    const server = api.app.listen(0, "127.0.0.1", () => {
+      resolve({
+        api,
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: async () => {
+          await new Promise((done) => server.close(done));
+          api.close();
+        },
+      });
+    });
+  });
+}
+
+module.exports = {
+  AIRPORTS,
+  AIRLINES,
+  ROUTES,
+  PREVIOUS_ROUTES,
+  createDatabase,
+  createFixture,
+  startServer,
+};
@@ -0,0 +1,138 @@
+// Great-circle distances and arcs, and the spatial index behind
+// /airports/nearby.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  haversineKm,
+  greatCircleArc,
+  splitAtAntimeridian,
+  SpatialIndex,
+} = require("../lib/geo");
+const { AIRPORTS } = require("./fixtures");
+
+const point = (iata, latitude, longitude) => ({ iata, latitude, longitude });
+
+// Fiji, Samoa and Tonga sit either side of the antimeridian
+const PACIFIC = [
+  point("NAN", -17.76, 177.44),
+  point("APW", -13.83, -172.01),
+  point("TBU", -21.24, -175.15),
+  point("AKL", -37.01, 174.79),
+];
+
+const iatas = (points) => points.map((p) => p.iata).sort();
+
+test("haversineKm measures great-circle distances", () => {
+  assert.equal(haversineKm(51.47, -0.45, 51.47, -0.45), 0);
+  // Heathrow to Kennedy is about 5,540 km
+  assert.equal(Math.round(haversineKm(51.47, -0.45, 40.64, -73.78) / 10), 554);
+  // A quarter of the way round the equator
+  assert.equal(
+    Math.round(haversineKm(0, 0, 0, 90)),
+    Math.round((Math.PI * 6371) / 2)
+  );
+});
+
+test("withinRadius returns points nearest first with their distance", () => {
+  const index = new SpatialIndex(AIRPORTS);
+  const results = index.withinRadius(51.5, -0.12, 300);
+
+  assert.deepEqual(
+    results.map((result) => result.point.iata),
+    ["LHR", "LGW", "MAN"]
+  );
+  assert.ok(results.every((result) => result.distance_km <= 300));
+  assert.ok(results[0].distance_km < results[1].distance_km);
+});
+
+test("points without coordinates are not indexed", () => {
+  const index = new SpatialIndex([
+    ...AIRPORTS,
+    point("NUL", null, null),
+    point("HLF", 10, undefined),
+  ]);
+
+  assert.equal(index.size, AIRPORTS.length);
+});
+
+test("withinRadius finds points across the antimeridian", () => {
+  const index = new SpatialIndex(PACIFIC);
+
+  assert.deepEqual(
+    iatas(index.withinRadius(-18, 179.9, 900).map((result) => result.point)),
+    ["NAN", "TBU"]
+  );
+});
+
+test("withinRadius covers every longitude near the poles", () => {
+  const index = new SpatialIndex([
+    point("ALT", 89.5, 0),
+    point("OPP", 89.5, 180),
+  ]);
+
+  assert.equal(index.withinRadius(89.9, 90, 200).length, 2);
+});
+
+test("withinBoundingBox handles boxes crossing the antimeridian", () => {
+  const index = new SpatialIndex(PACIFIC);
+
+  assert.deepEqual(iatas(index.withinBoundingBox(175, -25, -170, -10)), [
+    "APW",
+    "NAN",
+    "TBU",
+  ]);
+  assert.deepEqual(iatas(index.withinBoundingBox(-180, -25, 175, -10)), [
+    "APW",
+    "TBU",
+  ]);
+  assert.deepEqual(iatas(index.withinBoundingBox(170, -40, 180, -10)), [
+    "AKL",
+    "NAN",
+  ]);
+});
+
+test("greatCircleArc interpolates between the exact endpoints", () => {
+  const arc = greatCircleArc(51.47, -0.45, 40.64, -73.78, 11);
+
+  assert.equal(arc.length, 11);
+  assert.deepEqual(arc[0], [-0.45, 51.47]);
+  assert.deepEqual(arc[10], [-73.78, 40.64]);
+  // The great circle from London to New York bulges north
+  assert.ok(arc[5][1] > 51.47);
+  assert.deepEqual(greatCircleArc(10, 20, 10, 20), [
+    [20, 10],
+    [20, 10],
+  ]);
+});
+
+test("splitAtAntimeridian breaks lines where they cross 180", () => {
+  assert.deepEqual(
+    splitAtAntimeridian([
+      [170, 0],
+      [175, 5],
+    ]),
+    [
+      [
+        [170, 0],
+        [175, 5],
+      ],
+    ]
+  );
+  assert.deepEqual(
+    splitAtAntimeridian([
+      [178, -10],
+      [-178, -12],
+    ]),
+    [
+      [
+        [178, -10],
+        [180, -11],
+      ],
+      [
+        [-180, -11],
+        [-178, -12],
+      ],
+    ]
+  );
+});
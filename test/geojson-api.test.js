@@ -0,0 +1,109 @@
+// GeoJSON responses from the airport and route endpoints.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path, headers = {}) => {
+  const res = await fetch(`${server.baseUrl}${path}`, { headers });
+  return {
+    status: res.status,
+    type: res.headers.get("content-type"),
+    body: await res.json(),
+  };
+};
+
+test("airports are points with format=geojson", async () => {
+  const { status, type, body } = await get(
+    "/airports?country=France&format=geojson"
+  );
+
+  assert.equal(status, 200);
+  assert.match(type, /^application\/geo\+json/);
+  assert.equal(body.type, "FeatureCollection");
+  assert.deepEqual(body.features, [
+    {
+      type: "Feature",
+      id: "CDG",
+      geometry: { type: "Point", coordinates: [2.55, 49.01] },
+      properties: {
+        iata: "CDG",
+        name: "Charles de Gaulle",
+        city_name: "Paris",
+        country: "France",
+        country_code: "FR",
+        continent: "EU",
+        latitude: 49.01,
+        longitude: 2.55,
+      },
+    },
+  ]);
+});
+
+test("the Accept header selects GeoJSON, format=json overrides it", async () => {
+  const accept = { Accept: "application/geo+json" };
+
+  assert.equal(
+    (await get("/airports?country=France", accept)).body.type,
+    "FeatureCollection"
+  );
+  assert.deepEqual(
+    Object.keys(
+      (await get("/airports?country=France&format=json", accept)).body
+    ),
+    ["airports"]
+  );
+});
+
+test("route listings are arcs with their metadata kept", async () => {
+  const { body } = await get("/airports/LHR/routes?format=geojson&points=4");
+
+  assert.equal(body.type, "FeatureCollection");
+  assert.equal(body.airport, "LHR");
+  assert.equal(body.direction, "departure");
+  assert.equal(body.features.length, 6);
+
+  const feature = body.features.find((item) => item.id === 1);
+  assert.equal(feature.geometry.type, "LineString");
+  assert.equal(feature.geometry.coordinates.length, 4);
+  assert.deepEqual(feature.geometry.coordinates[0], [-0.45, 51.47]);
+  assert.deepEqual(feature.geometry.coordinates[3], [2.55, 49.01]);
+  assert.equal(feature.properties.arrival_iata, "CDG");
+});
+
+test("a route path is a single feature listing its airlines", async () => {
+  const { status, type, body } = await get("/routes/3/path?points=10");
+
+  assert.equal(status, 200);
+  assert.match(type, /^application\/geo\+json/);
+  assert.equal(body.type, "Feature");
+  assert.equal(body.id, 3);
+  assert.equal(body.geometry.coordinates.length, 10);
+  assert.equal(body.properties.departure_iata, "LHR");
+  assert.equal(body.properties.arrival_iata, "JFK");
+  assert.deepEqual(
+    body.properties.airlines.map((airline) => airline.iata).sort(),
+    ["AA", "BA"]
+  );
+});
+
+test("route paths reject bad ids and unknown routes", async () => {
+  assert.equal((await get("/routes/abc/path")).status, 400);
+  assert.equal((await get("/routes/99/path")).status, 404);
+});
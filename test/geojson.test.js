@@ -0,0 +1,114 @@
+// GeoJSON features for airports and routes.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  wantsGeoJson,
+  airportFeature,
+  arcGeometry,
+  routeFeature,
+  featureCollection,
+} = require("../lib/geojson");
+const { AIRPORTS } = require("./fixtures");
+
+const airportsByIata = new Map(
+  [
+    ...AIRPORTS,
+    { iata: "NAN", latitude: -17.76, longitude: 177.44 },
+    { iata: "APW", latitude: -13.83, longitude: -172.01 },
+  ].map((airport) => [airport.iata, airport])
+);
+
+const request = (query, accept) => ({
+  query,
+  get: (name) => (name === "Accept" ? accept : undefined),
+});
+
+test("format=geojson or the Accept header asks for GeoJSON", () => {
+  assert.equal(wantsGeoJson(request({ format: "geojson" })), true);
+  assert.equal(wantsGeoJson(request({}, "application/geo+json")), true);
+  // An explicit format wins over the Accept header
+  assert.equal(
+    wantsGeoJson(request({ format: "json" }, "application/geo+json")),
+    false
+  );
+  assert.equal(wantsGeoJson(request({}, "application/json")), false);
+});
+
+test("airports are Point features keyed by IATA code", () => {
+  const lhr = airportsByIata.get("LHR");
+
+  assert.deepEqual(airportFeature(lhr), {
+    type: "Feature",
+    id: "LHR",
+    geometry: { type: "Point", coordinates: [-0.45, 51.47] },
+    properties: lhr,
+  });
+});
+
+test("airports without coordinates have no geometry", () => {
+  for (const missing of ["latitude", "longitude"]) {
+    const airport = { ...airportsByIata.get("LHR"), [missing]: null };
+    const feature = airportFeature(airport);
+
+    assert.equal(feature.geometry, null, missing);
+    assert.equal(feature.id, "LHR");
+    assert.deepEqual(feature.properties, airport);
+  }
+});
+
+test("routes are great-circle LineStrings", () => {
+  const route = {
+    route_id: 3,
+    departure_iata: "LHR",
+    arrival_iata: "JFK",
+    airline_iata: "BA",
+  };
+  const feature = routeFeature(route, airportsByIata, 8);
+
+  assert.equal(feature.id, 3);
+  assert.deepEqual(feature.properties, route);
+  assert.equal(feature.geometry.type, "LineString");
+  assert.equal(feature.geometry.coordinates.length, 8);
+});
+
+test("routes crossing the antimeridian are MultiLineStrings", () => {
+  const geometry = arcGeometry(
+    airportsByIata.get("NAN"),
+    airportsByIata.get("APW"),
+    16
+  );
+
+  assert.equal(geometry.type, "MultiLineString");
+  const [west, east] = geometry.coordinates;
+  assert.equal(west[west.length - 1][0], 180);
+  assert.equal(east[0][0], -180);
+  assert.equal(west[west.length - 1][1], east[0][1]);
+});
+
+test("routes to unknown or unplaced airports have no geometry", () => {
+  assert.equal(arcGeometry(airportsByIata.get("LHR"), undefined), null);
+  assert.equal(
+    arcGeometry(airportsByIata.get("LHR"), {
+      iata: "XXA",
+      latitude: null,
+      longitude: null,
+    }),
+    null
+  );
+  assert.equal(
+    routeFeature(
+      { route_id: 1, departure_iata: "LHR", arrival_iata: "XXX" },
+      airportsByIata
+    ).geometry,
+    null
+  );
+});
+
+test("featureCollection keeps metadata as foreign members", () => {
+  assert.deepEqual(featureCollection([], { pagination: { total: 0 } }), {
+    type: "FeatureCollection",
+    pagination: { total: 0 },
+    features: [],
+  });
+});
@@ -0,0 +1,330 @@
+// The in-memory route graph: connecting itineraries, reachable airports,
+// airline filters and airline network summaries.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildRouteGraph,
+  summarizeAirlineNetwork,
+  createAirlineMatcher,
+  createAirlineFilter,
+  findItineraries,
+  findReachable,
+} = require("../lib/graph");
+const { AIRPORTS, ROUTES, createDatabase } = require("./fixtures");
+
+let db;
+let graph;
+
+before(() => {
+  db = createDatabase();
+  graph = buildRouteGraph(db);
+});
+
+after(() => db.close());
+
+const paths = (itineraries) =>
+  itineraries.map((itinerary) =>
+    [itinerary.legs[0].departure_iata]
+      .concat(itinerary.legs.map((leg) => leg.arrival_iata))
+      .join("-")
+  );
+
+test("the graph indexes routes by departure, arrival and airline", () => {
+  assert.equal(graph.edges.size, 9);
+  assert.deepEqual(
+    graph.outgoing.get("LHR").map((edge) => edge.arrival_iata),
+    ["CDG", "JFK", "MAN", "BOS"]
+  );
+  assert.deepEqual(
+    graph.incoming.get("JFK").map((edge) => edge.departure_iata),
+    ["LHR", "MAN", "CDG"]
+  );
+  assert.deepEqual(graph.edges.get(1).airline_ids.sort(), [1, 2]);
+  assert.deepEqual(
+    graph.byAirline.get(3).map((edge) => edge.route_id),
+    [3, 5, 8]
+  );
+});
+
+test("itineraries are sorted by total duration including connections", () => {
+  const itineraries = findItineraries(graph, "LHR", "JFK", {});
+
+  assert.deepEqual(paths(itineraries), [
+    "LHR-JFK",
+    "LHR-MAN-JFK",
+    "LHR-CDG-JFK",
+  ]);
+  assert.deepEqual(itineraries[1], {
+    stops: 1,
+    via: ["MAN"],
+    total_distance_km: 262 + 5350,
+    flight_duration_min: 60 + 470,
+    connection_min: 60,
+    total_duration_min: 590,
+    legs: [graph.edges.get(4), graph.edges.get(5)],
+  });
+});
+
+test("max_stops limits the number of legs", () => {
+  assert.deepEqual(
+    paths(findItineraries(graph, "LHR", "BOS", { maxStops: 0 })),
+    ["LHR-BOS"]
+  );
+  assert.deepEqual(
+    paths(findItineraries(graph, "LHR", "BOS", { maxStops: 2 })),
+    ["LHR-BOS", "LHR-JFK-BOS", "LHR-MAN-JFK-BOS", "LHR-CDG-JFK-BOS"]
+  );
+});
+
+test("itineraries never pass through the origin or destination", () => {
+  const itineraries = findItineraries(graph, "CDG", "JFK", { maxStops: 2 });
+
+  assert.deepEqual(paths(itineraries), [
+    "CDG-JFK",
+    "CDG-LHR-JFK",
+    "CDG-LHR-MAN-JFK",
+  ]);
+});
+
+test("min_connection and max_duration apply to the total", () => {
+  const itineraries = findItineraries(graph, "LHR", "JFK", {
+    minConnection: 0,
+    maxDuration: 560,
+  });
+
+  assert.deepEqual(paths(itineraries), ["LHR-JFK", "LHR-MAN-JFK"]);
+  assert.equal(itineraries[1].total_duration_min, 530);
+});
+
+test("airline filters keep legs flown by a matching airline", () => {
+  const byId = createAirlineFilter(graph, { airlineIds: [2] });
+  assert.deepEqual(
+    paths(findItineraries(graph, "LHR", "JFK", { filter: byId })),
+    ["LHR-CDG-JFK"]
+  );
+
+  const byName = createAirlineFilter(graph, { airlineName: "BRITISH" });
+  assert.deepEqual(
+    paths(findItineraries(graph, "LHR", "JFK", { filter: byName })),
+    ["LHR-JFK"]
+  );
+});
+
+test("an airline matcher is only built for airline filters", () => {
+  assert.equal(createAirlineMatcher(graph, {}), null);
+  assert.equal(createAirlineMatcher(graph, { airlineIds: [] }), null);
+
+  const matches = createAirlineMatcher(graph, {
+    airlineIds: [1, 2],
+    airlineName: "air",
+  });
+  assert.deepEqual([1, 2, 3].filter(matches), [1, 2]);
+});
+
+test("itineraries skip legs with an unknown duration", () => {
+  const withUntimed = createDatabase({
+    routes: ROUTES.concat(
+      ["MAN-BOS", "LGW-JFK"].map((pair) => ({
+        departure_iata: pair.slice(0, 3),
+        arrival_iata: pair.slice(4),
+        distance_km: 5000,
+        duration_min: null,
+        airlines: ["BA"],
+      }))
+    ),
+  });
+  const untimed = buildRouteGraph(withUntimed);
+  withUntimed.close();
+
+  const toBoston = findItineraries(untimed, "LHR", "BOS", {});
+  assert.deepEqual(
+    paths(toBoston),
+    paths(findItineraries(graph, "LHR", "BOS", {}))
+  );
+  assert.ok(toBoston.every((itinerary) => itinerary.total_duration_min > 0));
+  assert.deepEqual(paths(findItineraries(untimed, "LGW", "JFK", {})), [
+    "LGW-CDG-JFK",
+  ]);
+});
+
+test("a leg with an unknown distance leaves the total distance unknown", () => {
+  const route = (pair, distance_km, duration_min) => ({
+    departure_iata: pair.slice(0, 3),
+    arrival_iata: pair.slice(4),
+    distance_km,
+    duration_min,
+    airlines: ["BA"],
+  });
+  const partial = createDatabase({
+    routes: [
+      route("LHR-MAN", 300, 60),
+      route("MAN-JFK", 5900, 400),
+      route("LHR-CDG", null, 60),
+      route("CDG-JFK", 5800, 400),
+      route("LHR-JFK", 5500, 470),
+    ],
+  });
+  const partialGraph = buildRouteGraph(partial);
+  partial.close();
+
+  // Both one-stop itineraries take 520 minutes; the unknown distance sorts
+  // after the known one
+  const itineraries = findItineraries(partialGraph, "LHR", "JFK", {});
+  assert.deepEqual(
+    itineraries.map((itinerary) => [
+      paths([itinerary])[0],
+      itinerary.total_duration_min,
+      itinerary.total_distance_km,
+    ]),
+    [
+      ["LHR-JFK", 470, 5500],
+      ["LHR-MAN-JFK", 520, 6200],
+      ["LHR-CDG-JFK", 520, null],
+    ]
+  );
+
+  const reached = findReachable(partialGraph, "LHR", { maxDuration: 600 });
+  assert.equal(
+    reached.find((result) => result.iata === "CDG").total_distance_km,
+    null
+  );
+});
+
+test("unknown airports have no itineraries", () => {
+  assert.deepEqual(findItineraries(graph, "LHR", "XXX", {}), []);
+  assert.deepEqual(findItineraries(graph, "XXX", "JFK", {}), []);
+});
+
+const reachable = (results) =>
+  results.map((result) => [
+    result.iata,
+    result.total_duration_min,
+    result.path.join("-"),
+  ]);
+
+test("reachable airports get their fastest connection", () => {
+  const results = findReachable(graph, "LGW", {
+    maxStops: 2,
+    maxDuration: 700,
+  });
+
+  // JFK via CDG (630) beats JFK via CDG-LHR (745); BOS needs 715
+  assert.deepEqual(reachable(results), [
+    ["CDG", 70, "LGW-CDG"],
+    ["LHR", 205, "LGW-CDG-LHR"],
+    ["MAN", 325, "LGW-CDG-LHR-MAN"],
+    ["JFK", 630, "LGW-CDG-JFK"],
+  ]);
+  assert.deepEqual(results[2], {
+    iata: "MAN",
+    total_duration_min: 325,
+    stops: 2,
+    total_distance_km: 320 + 348 + 262,
+    path: ["LGW", "CDG", "LHR", "MAN"],
+    route_ids: [9, 2, 4],
+  });
+});
+
+test("max_stops, max_duration and airline filters bound the search", () => {
+  assert.deepEqual(
+    reachable(findReachable(graph, "LGW", { maxStops: 0, maxDuration: 700 })),
+    [["CDG", 70, "LGW-CDG"]]
+  );
+  assert.deepEqual(
+    reachable(findReachable(graph, "LGW", { maxStops: 2, maxDuration: 300 })),
+    [
+      ["CDG", 70, "LGW-CDG"],
+      ["LHR", 205, "LGW-CDG-LHR"],
+    ]
+  );
+
+  const filter = createAirlineFilter(graph, { airlineIds: [1] });
+  assert.deepEqual(
+    findReachable(graph, "LGW", { maxStops: 2, maxDuration: 700, filter }).map(
+      (result) => result.iata
+    ),
+    ["CDG", "LHR", "MAN"]
+  );
+});
+
+test("reachable airports exclude the origin and legs without durations", () => {
+  const withUntimed = createDatabase({
+    routes: ROUTES.concat([
+      {
+        departure_iata: "LHR",
+        arrival_iata: "LGW",
+        distance_km: 40,
+        duration_min: null,
+        airlines: ["BA"],
+      },
+    ]),
+  });
+  const results = findReachable(buildRouteGraph(withUntimed), "LHR", {
+    maxDuration: 600,
+  });
+  withUntimed.close();
+
+  assert.deepEqual(
+    results.map((result) => result.iata),
+    ["MAN", "CDG", "BOS", "JFK"]
+  );
+  assert.deepEqual(findReachable(graph, "XXX", { maxDuration: 600 }), []);
+});
+
+test("an airline network is summarized from its routes", () => {
+  const airportsByIata = new Map(AIRPORTS.map((a) => [a.iata, a]));
+  const network = summarizeAirlineNetwork(graph, 3, airportsByIata, 2);
+
+  assert.deepEqual(network, {
+    route_count: 3,
+    airport_count: 4,
+    country_count: 2,
+    average_distance_km: Math.round((5540 + 5350 + 300) / 3),
+    average_duration_min: Math.round((480 + 470 + 75) / 3),
+    longest_route: {
+      route_id: 3,
+      departure_iata: "LHR",
+      arrival_iata: "JFK",
+      distance_km: 5540,
+      duration_min: 480,
+    },
+    shortest_route: {
+      route_id: 8,
+      departure_iata: "JFK",
+      arrival_iata: "BOS",
+      distance_km: 300,
+      duration_min: 75,
+    },
+    // One departure each, so hubs are listed by code
+    top_hubs: [
+      {
+        iata: "JFK",
+        name: "Kennedy",
+        city_name: "New York",
+        country: "United States",
+        departures: 1,
+      },
+      {
+        iata: "LHR",
+        name: "Heathrow",
+        city_name: "London",
+        country: "United Kingdom",
+        departures: 1,
+      },
+    ],
+  });
+});
+
+test("an airline without routes has an empty network", () => {
+  assert.deepEqual(summarizeAirlineNetwork(graph, 99, new Map()), {
+    route_count: 0,
+    airport_count: 0,
+    country_count: 0,
+    average_distance_km: null,
+    average_duration_min: null,
+    longest_route: null,
+    shortest_route: null,
+    top_hubs: [],
+  });
+});
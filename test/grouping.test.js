@@ -0,0 +1,128 @@
+// group=route on the route listings: one row per route with its airlines.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+// Every fixture route, by duration and then route id
+const BY_DURATION = [4, 9, 1, 2, 8, 7, 5, 3, 6];
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  const text = await res.text();
+  return {
+    status: res.status,
+    text,
+    body: res.headers.get("content-type").includes("application/json")
+      ? JSON.parse(text)
+      : null,
+  };
+};
+
+const routeIds = (routes) => routes.map((route) => route.route_id);
+
+test("each route is listed once with its airlines", async () => {
+  const { body } = await get("/routes?group=route&all=true");
+
+  assert.equal(body.pagination.total, 9);
+  assert.deepEqual(routeIds(body.routes), BY_DURATION);
+
+  const route = body.routes.find((item) => item.route_id === 1);
+  assert.equal(route.airline_count, 2);
+  assert.deepEqual(route.airlines, [
+    { iata: "AF", name: "Air France" },
+    { iata: "BA", name: "British Airways" },
+  ]);
+  assert.equal(route.airline_iata, undefined);
+  assert.equal(route.airline_name, undefined);
+});
+
+test("airline filters narrow the airlines listed", async () => {
+  const { body } = await get(
+    "/airports/LHR/routes?group=route&airline_name=american"
+  );
+
+  assert.deepEqual(routeIds(body.routes), [3]);
+  assert.deepEqual(body.routes[0].airlines, [
+    { iata: "AA", name: "American Airlines" },
+  ]);
+});
+
+test("limits and cursors count routes", async () => {
+  const visited = [];
+  let path = "/routes?group=route&limit=4&include_total=true";
+  for (;;) {
+    const { body } = await get(path);
+    assert.equal(body.pagination.total, 9);
+    assert.ok(body.routes.length <= 4);
+    visited.push(...routeIds(body.routes));
+    if (!body.pagination.has_more) {
+      break;
+    }
+    path = `/routes?group=route&limit=4&include_total=true&cursor=${body.pagination.next_cursor}`;
+  }
+
+  assert.deepEqual(visited, BY_DURATION);
+});
+
+test("cursors do not cross between grouped and ungrouped listings", async () => {
+  const { body: ungrouped } = await get("/routes?limit=2");
+  const { body: grouped } = await get("/routes?group=route&limit=2");
+
+  const mixed = [
+    `/routes?group=route&cursor=${ungrouped.pagination.next_cursor}`,
+    `/routes?cursor=${grouped.pagination.next_cursor}`,
+  ];
+  for (const path of mixed) {
+    const { status, body } = await get(path);
+    assert.equal(status, 400, path);
+    assert.equal(body.error.param, "cursor", path);
+  }
+});
+
+test("exports keep the airlines as JSON", async () => {
+  const csv = await get(
+    "/countries/France/routes?group=route&format=csv&airline_name=air%20france"
+  );
+  const lines = csv.text.trimEnd().split("\r\n");
+  assert.match(lines[0], /,airline_count,airlines$/);
+  assert.match(
+    lines[1],
+    /^2,CDG,.*,1,"\[\{""iata"":""AF"",""name"":""Air France""\}\]"$/
+  );
+
+  const ndjson = await get(
+    "/countries/France/routes?group=route&format=ndjson"
+  );
+  const rows = ndjson.text.trimEnd().split("\n").map(JSON.parse);
+  assert.deepEqual(
+    rows.map((row) => [row.route_id, row.airlines.length]),
+    [
+      [2, 2],
+      [6, 1],
+    ]
+  );
+});
+
+test("group only accepts route", async () => {
+  const { status, body } = await get("/routes?group=airline");
+
+  assert.equal(status, 400);
+  assert.equal(body.error.param, "group");
+});
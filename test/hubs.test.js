@@ -0,0 +1,104 @@
+// GET /analytics/hubs against a fixture database.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test("airports are ranked by betweenness by default", async () => {
+  const { status, body } = await get("/analytics/hubs");
+
+  assert.equal(status, 200);
+  assert.equal(body.airline, null);
+  assert.equal(body.sort, "betweenness");
+  assert.equal(body.total, 6);
+  assert.deepEqual(
+    body.airports.map((airport) => airport.rank),
+    [1, 2, 3, 4, 5, 6]
+  );
+  body.airports.slice(1).forEach((airport, i) => {
+    assert.ok(airport.betweenness <= body.airports[i].betweenness);
+  });
+  assert.equal(body.airports[0].name, "Charles de Gaulle");
+});
+
+test("ties are broken by IATA code", async () => {
+  const { body } = await get("/analytics/hubs?sort=degree&limit=3");
+
+  assert.equal(body.returnedCount, 3);
+  assert.deepEqual(
+    body.airports.map((airport) => [airport.iata, airport.degree]),
+    [
+      ["JFK", 4],
+      ["LHR", 4],
+      ["CDG", 3],
+    ]
+  );
+});
+
+test("country, continent and airline narrow the ranking", async () => {
+  const { body: british } = await get(
+    "/analytics/hubs?country=United%20Kingdom"
+  );
+  assert.deepEqual(british.airports.map((airport) => airport.iata).sort(), [
+    "LGW",
+    "LHR",
+    "MAN",
+  ]);
+
+  const { body: american } = await get("/analytics/hubs?continent=NA");
+  assert.equal(american.total, 2);
+
+  // American's own network: LHR-JFK, MAN-JFK and JFK-BOS
+  const { body } = await get("/analytics/hubs?airline=aa&sort=degree");
+  assert.deepEqual(body.airline, {
+    id: 3,
+    iata: "AA",
+    name: "American Airlines",
+  });
+  assert.deepEqual(
+    body.airports.map((airport) => [airport.iata, airport.degree]),
+    [
+      ["JFK", 3],
+      ["BOS", 1],
+      ["LHR", 1],
+      ["MAN", 1],
+    ]
+  );
+});
+
+test("invalid rankings are rejected", async () => {
+  const cases = [
+    ["/analytics/hubs?sort=x", 400, "INVALID_PARAMETER", "sort"],
+    ["/analytics/hubs?limit=501", 400, "INVALID_PARAMETER", "limit"],
+    ["/analytics/hubs?country=Nowhere", 404, "COUNTRY_NOT_FOUND", "country"],
+    ["/analytics/hubs?airline=ZZ", 404, "AIRLINE_NOT_FOUND", "airline"],
+  ];
+
+  for (const [path, status, code, param] of cases) {
+    const { status: actual, body } = await get(path);
+    assert.equal(actual, status, path);
+    assert.equal(body.error.code, code, path);
+    assert.equal(body.error.param, param, path);
+  }
+});
@@ -0,0 +1,341 @@
+// buildDatabase() and build-db: the fixture rows written as CSV build the
+// same database the other tests use, rows that cannot be imported are
+// rejected with a reason while the rest of the build goes ahead, and a file
+// missing a required column fails the whole build.
+
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const sqlite3 = require("better-sqlite3");
+const { csvLine } = require("../lib/export");
+const { buildDatabase, estimateDurationMin } = require("../lib/importer");
+const {
+  AIRPORTS,
+  AIRLINES,
+  ROUTES,
+  createDatabase,
+  createFixture,
+} = require("./fixtures");
+
+const AIRPORT_HEADER = [
+  "iata",
+  "name",
+  "city_name",
+  "country",
+  "country_code",
+  "continent",
+  "latitude",
+  "longitude",
+];
+
+// One row per airline per route, with its code
+const routeRows = (routes) =>
+  routes.flatMap((route) =>
+    route.airlines.map((code) => [
+      route.departure_iata,
+      route.arrival_iata,
+      route.distance_km,
+      route.duration_min,
+      code,
+    ])
+  );
+
+let fixture;
+
+beforeEach(() => {
+  fixture = createFixture();
+});
+
+afterEach(() => fixture.cleanup());
+
+// Write CSV files to the fixture directory, defaulting to the fixture rows,
+// and return the options for buildDatabase()
+function writeCsv({
+  airports = AIRPORTS.map((airport) =>
+    AIRPORT_HEADER.map((column) => airport[column])
+  ),
+  airlines = AIRLINES.map(({ id, iata, name }) => [id, iata, name]),
+  routes = routeRows(ROUTES),
+  routeHeader = [
+    "departure_iata",
+    "arrival_iata",
+    "distance_km",
+    "duration_min",
+    "airline_iata",
+  ],
+} = {}) {
+  const write = (name, header, rows) => {
+    const file = path.join(fixture.dir, name);
+    fs.writeFileSync(file, [header, ...rows].map(csvLine).join(""));
+    return file;
+  };
+  return {
+    airports: write("airports.csv", AIRPORT_HEADER, airports),
+    airlines: write("airlines.csv", ["id", "iata", "name"], airlines),
+    routes: write("routes.csv", routeHeader, routes),
+    output: fixture.dbPath,
+  };
+}
+
+const routeDetails = (db) =>
+  db
+    .prepare("SELECT * FROM route_details ORDER BY route_id, airline_iata")
+    .all();
+
+const reasons = (report) =>
+  report.rejected.map(({ file, line, reason }) => [
+    path.basename(file),
+    line,
+    reason,
+  ]);
+
+test("the fixture rows build the fixture database", () => {
+  const report = buildDatabase(writeCsv());
+
+  assert.deepEqual(report.rejected, []);
+  assert.equal(report.output, fixture.dbPath);
+  assert.equal(report.airports.imported, 6);
+  assert.equal(report.airlines.imported, 3);
+  assert.equal(report.routes.imported, 9);
+  assert.equal(report.routes.route_airlines, 12);
+  assert.equal(report.routes.computed_distances, 0);
+  assert.equal(report.routes.estimated_durations, 0);
+
+  const db = sqlite3(fixture.dbPath, { readonly: true });
+  assert.deepEqual(routeDetails(db), routeDetails(createDatabase()));
+  db.close();
+  // Nothing is left next to the output
+  assert.deepEqual(
+    fs.readdirSync(fixture.dir).filter((name) => name.endsWith(".tmp")),
+    []
+  );
+});
+
+test("airport indexes also order routes by duration", () => {
+  buildDatabase(writeCsv());
+  const db = sqlite3(fixture.dbPath, { readonly: true });
+  const columns = (index) =>
+    db
+      .prepare("SELECT name FROM pragma_index_info(?) ORDER BY seqno")
+      .all(index)
+      .map((column) => column.name);
+
+  assert.deepEqual(columns("idx_routes_departure"), [
+    "departure_iata",
+    "duration_min",
+  ]);
+  assert.deepEqual(columns("idx_routes_arrival"), [
+    "arrival_iata",
+    "duration_min",
+  ]);
+  db.close();
+});
+
+test("bad rows are rejected with a reason and the rest imported", () => {
+  const report = buildDatabase(
+    writeCsv({
+      airports: [
+        ...AIRPORTS.map((airport) =>
+          AIRPORT_HEADER.map((column) => airport[column])
+        ),
+        ["XX", "Too Short", "", "", "", "", 0, 0],
+        ["NOW", "Nowhere", "", "", "", "", 91, 0],
+        ["LHR", "Heathrow again", "", "", "", "", 51.47, -0.45],
+      ],
+      airlines: [
+        ...AIRLINES.map(({ id, iata, name }) => [id, iata, name]),
+        [4, "BAW1", "Too Long"],
+        [1, "ZZ", "Same Id"],
+      ],
+      routes: [
+        ...routeRows(ROUTES),
+        ["LHR", "NOW", "", "", "BA"],
+        ["LHR", "LHR", "", "", "BA"],
+        ["LHR", "CDG", "", "", "ZZ"],
+        ["LHR", "CDG", "", "", "BA"],
+        ["LHR", "MAN", "far", "", "BA"],
+      ],
+    })
+  );
+
+  assert.deepEqual(reasons(report), [
+    ["airports.csv", 8, "iata must be a 3-character airport code"],
+    ["airports.csv", 9, "latitude and longitude must be valid coordinates"],
+    ["airports.csv", 10, "duplicate airport LHR"],
+    ["airlines.csv", 5, "iata must be a 2- or 3-character airline code"],
+    ["airlines.csv", 6, "duplicate airline id 1"],
+    ["routes.csv", 14, "unknown airport NOW"],
+    ["routes.csv", 15, "departure and arrival are the same airport"],
+    ["routes.csv", 16, "unknown airline ZZ"],
+    ["routes.csv", 17, "duplicate route for airline British Airways"],
+    ["routes.csv", 18, "distance_km must be a non-negative number"],
+  ]);
+  assert.equal(report.airports.rejected, 3);
+  assert.equal(report.airlines.rejected, 2);
+  assert.equal(report.routes.rejected, 5);
+  assert.equal(report.routes.route_airlines, 12);
+});
+
+test("missing distances and durations are computed", () => {
+  const report = buildDatabase(
+    writeCsv({
+      routes: [
+        ["LHR", "CDG", "", "", "BA"],
+        ["LHR", "CDG", 348, "", "AF"],
+        ["LHR", "JFK", "", 480, "BA"],
+      ],
+    })
+  );
+  assert.equal(report.routes.computed_distances, 1);
+  assert.equal(report.routes.estimated_durations, 1);
+
+  const db = sqlite3(fixture.dbPath, { readonly: true });
+  const routes = db
+    .prepare("SELECT arrival_iata, distance_km, duration_min FROM routes")
+    .all();
+  db.close();
+  // The first row with a distance sets it for the route; a route without
+  // one gets the great-circle distance between its airports
+  assert.deepEqual(routes[0], {
+    arrival_iata: "CDG",
+    distance_km: 348,
+    duration_min: estimateDurationMin(348),
+  });
+  assert.equal(routes[1].arrival_iata, "JFK");
+  assert.ok(routes[1].distance_km > 5500 && routes[1].distance_km < 5600);
+  assert.equal(routes[1].duration_min, 480);
+});
+
+test("airlines are resolved by id, or by code and name", () => {
+  const options = writeCsv({
+    airlines: [
+      [1, "BA", "British Airways"],
+      ["", "XX", "First Shared"],
+      ["", "XX", "Second Shared"],
+    ],
+    routeHeader: [
+      "departure_iata",
+      "arrival_iata",
+      "airline_id",
+      "airline_iata",
+      "airline_name",
+    ],
+    routes: [
+      ["LHR", "CDG", 1, "", ""],
+      ["LHR", "MAN", "", "XX", "second shared"],
+      ["LHR", "JFK", "", "XX", ""],
+      ["LHR", "BOS", 9, "", ""],
+    ],
+  });
+  const report = buildDatabase(options);
+  assert.deepEqual(reasons(report), [
+    [
+      "routes.csv",
+      4,
+      "airline code XX is shared by 2 airlines; add airline_name",
+    ],
+    ["routes.csv", 5, "unknown airline id 9"],
+  ]);
+
+  const db = sqlite3(fixture.dbPath, { readonly: true });
+  assert.deepEqual(
+    db.prepare("SELECT id, iata, name FROM airlines ORDER BY id").all(),
+    [
+      { id: 1, iata: "BA", name: "British Airways" },
+      { id: 2, iata: "XX", name: "First Shared" },
+      { id: 3, iata: "XX", name: "Second Shared" },
+    ]
+  );
+  assert.equal(
+    db
+      .prepare(
+        "SELECT airline_name FROM route_details WHERE arrival_iata = 'MAN'"
+      )
+      .pluck()
+      .get(),
+    "Second Shared"
+  );
+  db.close();
+});
+
+test("a byte order mark, header case and quoted fields are handled", () => {
+  const options = writeCsv();
+  fs.writeFileSync(
+    options.airlines,
+    '\ufeffid,IATA,name\r\n1,BA,"British, ""Airways"""\n2,AF,"Air\nFrance"\n3,AA,American Airlines\n'
+  );
+  const report = buildDatabase(options);
+  assert.deepEqual(report.rejected, []);
+
+  const db = sqlite3(fixture.dbPath, { readonly: true });
+  assert.deepEqual(
+    db.prepare("SELECT name FROM airlines ORDER BY id").pluck().all(),
+    ['British, "Airways"', "Air\nFrance", "American Airlines"]
+  );
+  db.close();
+});
+
+test("a file missing a required column fails the build", () => {
+  fs.writeFileSync(fixture.dbPath, "previous");
+  const options = writeCsv({
+    routeHeader: ["departure_iata", "arrival_iata", "distance_km"],
+    routes: [["LHR", "CDG", 348]],
+  });
+  assert.throws(
+    () => buildDatabase(options),
+    /routes\.csv: needs an airline_id, airline_iata or airline_name column/
+  );
+
+  fs.writeFileSync(options.airports, "iata,name\nLHR,Heathrow\n");
+  assert.throws(
+    () => buildDatabase(options),
+    /airports\.csv: missing columns latitude, longitude/
+  );
+  // The existing output is left alone
+  assert.equal(fs.readFileSync(fixture.dbPath, "utf8"), "previous");
+});
+
+test("build-db reports the build and writes rejected rows", () => {
+  mock.method(console, "log");
+  const options = writeCsv({
+    routes: [...routeRows(ROUTES), ["LHR", "NOW", "", "", "BA"]],
+  });
+  const rejects = path.join(fixture.dir, "rejected.csv");
+  const run = (args) =>
+    spawnSync(
+      process.execPath,
+      [path.join(__dirname, "..", "build-db.js"), ...args],
+      {
+        encoding: "utf8",
+      }
+    );
+
+  const result = run([
+    "--airports",
+    options.airports,
+    "--airlines",
+    options.airlines,
+    "--routes",
+    options.routes,
+    "--output",
+    options.output,
+    "--rejects",
+    rejects,
+  ]);
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(
+    result.stdout,
+    /routes: {3}9 imported \(12 route\/airline pairs\), 1 rows rejected/
+  );
+  assert.match(result.stdout, /1\tunknown airport NOW/);
+  assert.deepEqual(fs.readFileSync(rejects, "utf8").split("\r\n").slice(0, 2), [
+    "file,line,reason,row",
+    `${options.routes},14,unknown airport NOW,"{""departure_iata"":""LHR"",""arrival_iata"":""NOW"",""distance_km"":"""",""duration_min"":"""",""airline_iata"":""BA""}"`,
+  ]);
+
+  const missing = run(["--airports", options.airports]);
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /Missing --airlines, --routes/);
+});
@@ -0,0 +1,98 @@
+// GET /itineraries against a fixture database.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (query) => {
+  const res = await fetch(`${server.baseUrl}/itineraries?${query}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test("itineraries connect the airports, shortest first", async () => {
+  const { status, body } = await get("from=lhr&to=jfk");
+
+  assert.equal(status, 200);
+  assert.equal(body.from.iata, "LHR");
+  assert.equal(body.to.iata, "JFK");
+  assert.equal(body.max_stops, 1);
+  assert.equal(body.min_connection_min, 60);
+  assert.equal(body.total, 3);
+  assert.equal(body.returnedCount, 3);
+  assert.deepEqual(
+    body.itineraries.map((itinerary) => itinerary.via),
+    [[], ["MAN"], ["CDG"]]
+  );
+  assert.deepEqual(
+    body.itineraries.map((itinerary) => itinerary.total_duration_min),
+    [480, 590, 635]
+  );
+
+  const [first, second] = body.itineraries[1].legs;
+  assert.deepEqual(
+    [first.route_id, first.departure_iata, first.arrival_iata],
+    [4, "LHR", "MAN"]
+  );
+  assert.equal(second.route_id, 5);
+  assert.deepEqual(
+    first.route_details.map((row) => row.airline_iata),
+    ["BA"]
+  );
+});
+
+test("airline filters limit the legs and the airlines listed", async () => {
+  const { body } = await get("from=LHR&to=JFK&airline_id=2,3");
+
+  assert.deepEqual(
+    body.itineraries.map((itinerary) => itinerary.via),
+    [[], ["CDG"]]
+  );
+  assert.deepEqual(
+    body.itineraries[0].legs[0].route_details.map((row) => row.airline_iata),
+    ["AA"]
+  );
+  assert.deepEqual(
+    body.itineraries[1].legs[0].route_details.map((row) => row.airline_iata),
+    ["AF"]
+  );
+});
+
+test("limit caps the itineraries returned but not the total", async () => {
+  const { body } = await get("from=LHR&to=BOS&max_stops=2&limit=2");
+
+  assert.equal(body.total, 4);
+  assert.equal(body.returnedCount, 2);
+  assert.equal(body.itineraries.length, 2);
+});
+
+test("invalid searches are rejected", async () => {
+  const cases = [
+    ["from=LHR", 400],
+    ["from=LHR&to=lhr", 400],
+    ["from=LHR&to=JFK&max_stops=3", 400],
+    ["from=LHR&to=JFK&min_connection=-5", 400],
+    ["from=LHR&to=XXX", 404],
+  ];
+
+  for (const [query, status] of cases) {
+    const res = await get(query);
+    assert.equal(res.status, status, query);
+    assert.equal(typeof res.body.error.code, "string", query);
+  }
+});
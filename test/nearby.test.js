@@ -0,0 +1,104 @@
+// GET /airports/nearby against a fixture database with airports either
+// side of the antimeridian.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { AIRPORTS, createFixture, startServer } = require("./fixtures");
+
+const pacific = (iata, country, latitude, longitude) => ({
+  iata,
+  name: iata,
+  city_name: iata,
+  country,
+  country_code: null,
+  continent: "OC",
+  latitude,
+  longitude,
+});
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build({
+    airports: AIRPORTS.concat([
+      pacific("NAN", "Fiji", -17.76, 177.44),
+      pacific("APW", "Samoa", -13.83, -172.01),
+      pacific("TBU", "Tonga", -21.24, -175.15),
+      pacific("XXA", "Nowhere", null, null),
+    ]),
+  });
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (query) => {
+  const res = await fetch(`${server.baseUrl}/airports/nearby?${query}`);
+  return { status: res.status, body: await res.json() };
+};
+
+const iatas = (body) => body.airports.map((airport) => airport.iata);
+
+test("near lists the airports around another, nearest first", async () => {
+  const { status, body } = await get("near=lhr&radius_km=300");
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.center, {
+    iata: "LHR",
+    latitude: 51.47,
+    longitude: -0.45,
+  });
+  assert.equal(body.radius_km, 300);
+  assert.deepEqual(iatas(body), ["LGW", "MAN"]);
+  assert.ok(body.airports[0].distance_km < body.airports[1].distance_km);
+});
+
+test("lat and lon search around a point, with a limit", async () => {
+  const { body } = await get("lat=51.5&lon=-0.12&radius_km=300&limit=2");
+
+  assert.equal(body.center.iata, null);
+  assert.equal(body.total, 3);
+  assert.equal(body.returnedCount, 2);
+  assert.deepEqual(iatas(body), ["LHR", "LGW"]);
+});
+
+test("the radius wraps around the antimeridian", async () => {
+  const { body } = await get("lat=-18&lon=179.9&radius_km=900");
+
+  assert.deepEqual(iatas(body), ["NAN", "TBU"]);
+});
+
+test("a bounding box may cross the antimeridian", async () => {
+  const { status, body } = await get("bbox=175,-25,-170,-10");
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.bbox, [175, -25, -170, -10]);
+  assert.deepEqual(iatas(body), ["NAN", "APW", "TBU"]);
+});
+
+test("invalid searches are rejected", async () => {
+  const cases = [
+    ["", 400],
+    ["lat=91&lon=0", 400],
+    ["lat=10", 400],
+    ["lat=0&lon=0&radius_km=0", 400],
+    ["lat=0&lon=0&radius_km=5001", 400],
+    ["bbox=1,2,3", 400],
+    ["bbox=0,10,10,0", 400],
+    ["bbox=-181,0,0,10", 400],
+    ["near=XXX", 404],
+  ];
+
+  for (const [query, status] of cases) {
+    const res = await get(query);
+    assert.equal(res.status, status, query);
+    assert.equal(typeof res.body.error.code, "string", query);
+  }
+});
@@ -0,0 +1,93 @@
+// The served API description matches the server's routes.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildOpenApiDocument } = require("../lib/openapi");
+const { createFixture, startServer } = require("./fixtures");
+
+// Path parameter values that exist in the fixture database
+const EXAMPLES = {
+  iata: "LHR",
+  route_id: "1",
+  country: "France",
+  airline: "AA",
+  city: "London",
+};
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+test("/openapi.json serves the generated document", async () => {
+  const res = await fetch(`${server.baseUrl}/openapi.json`);
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^application\/json/);
+  assert.deepEqual(await res.json(), buildOpenApiDocument());
+});
+
+test("/docs serves the HTML reference", async () => {
+  const res = await fetch(`${server.baseUrl}/docs`);
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/html/);
+  assert.match(await res.text(), /<h1>Flight Routes API/);
+});
+
+test("the document follows the server's base path and batch size", async () => {
+  const mounted = await startServer(fixture.dbPath, {
+    basePath: "/api",
+    batchMaxRequests: 3,
+  });
+  try {
+    const res = await fetch(`${mounted.baseUrl}/api/openapi.json`);
+    const document = await res.json();
+
+    assert.deepEqual(document.servers, [{ url: "/api" }]);
+    assert.equal(
+      document.paths["/batch"].post.requestBody.content["application/json"]
+        .schema.maxItems,
+      3
+    );
+    const docs = await fetch(`${mounted.baseUrl}/api/docs`);
+    assert.match(await docs.text(), /<body data-server="\/api">/);
+  } finally {
+    await mounted.close();
+  }
+});
+
+test("every documented operation is served", async () => {
+  const { paths } = buildOpenApiDocument();
+
+  for (const [template, operations] of Object.entries(paths)) {
+    const path = template.replace(/\{(\w+)\}/g, (_, name) => EXAMPLES[name]);
+    for (const method of Object.keys(operations)) {
+      const res = await fetch(`${server.baseUrl}${path}`, {
+        method: method.toUpperCase(),
+        headers: { "Content-Type": "application/json" },
+        body: method === "post" ? '[{"path":"/health"}]' : undefined,
+      });
+      const body = res.headers.get("content-type").includes("json")
+        ? await res.json()
+        : await res.text();
+
+      assert.notEqual(
+        body.error && body.error.code,
+        "NOT_FOUND",
+        `${method} ${template}`
+      );
+    }
+  }
+});
@@ -0,0 +1,171 @@
+// The OpenAPI document and the HTML docs rendered from it.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { buildOpenApiDocument, renderDocsHtml } = require("../lib/openapi");
+const { schemas } = require("../lib/schemas");
+const packageJson = require("../package.json");
+
+const document = buildOpenApiDocument();
+
+const toOpenApiPath = (route) => route.replace(/:([A-Za-z_]+)/g, "{$1}");
+
+// Every "$ref" anywhere in value
+function collectRefs(value, refs = []) {
+  if (value && typeof value === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      if (key === "$ref") {
+        refs.push(child);
+      } else {
+        collectRefs(child, refs);
+      }
+    }
+  }
+  return refs;
+}
+
+test("the document describes the package", () => {
+  assert.equal(document.openapi, "3.0.3");
+  assert.equal(document.info.version, packageJson.version);
+  assert.equal(document.info.description, packageJson.description);
+});
+
+test("the document describes the server's options", () => {
+  assert.deepEqual(document.servers, [{ url: "/" }]);
+  const batchBody = (options) =>
+    buildOpenApiDocument(options).paths["/batch"].post.requestBody.content[
+      "application/json"
+    ].schema;
+  assert.equal(batchBody().maxItems, 20);
+
+  const mounted = buildOpenApiDocument({
+    basePath: "/api",
+    batchMaxRequests: 5,
+  });
+  assert.deepEqual(mounted.servers, [{ url: "/api" }]);
+  assert.equal(batchBody({ batchMaxRequests: 5 }).maxItems, 5);
+  assert.equal(
+    batchBody({ batchMaxRequests: 5 }).description,
+    "At most 5 requests"
+  );
+});
+
+test("every endpoint the server registers is documented", () => {
+  const source = fs.readFileSync(path.join(__dirname, "..", "app.js"), "utf8");
+  const registered = [...source.matchAll(/app\.get\(\s*"([^"]+)"/g)].map(
+    (match) => toOpenApiPath(match[1])
+  );
+
+  assert.deepEqual(
+    registered.filter((route) => !document.paths[route]),
+    []
+  );
+});
+
+test("parameters follow the validation schemas", () => {
+  const routes = document.paths["/routes"].get;
+  const limit = routes.parameters.find((p) => p.name === "limit");
+  assert.deepEqual(limit, {
+    name: "limit",
+    in: "query",
+    required: false,
+    description: schemas.routes.query.limit.description,
+    schema: {
+      type: "integer",
+      minimum: schemas.routes.query.limit.min,
+      maximum: schemas.routes.query.limit.max,
+      default: schemas.routes.query.limit.default,
+    },
+  });
+
+  const airportRoutes = document.paths["/airports/{iata}/routes"].get;
+  const iata = airportRoutes.parameters.find((p) => p.name === "iata");
+  assert.equal(iata.in, "path");
+  assert.equal(iata.required, true);
+  assert.equal(iata.schema.pattern, "^[A-Za-z0-9]{3}$");
+
+  const nearby = document.paths["/airports/nearby"].get;
+  const bbox = nearby.parameters.find((p) => p.name === "bbox");
+  assert.equal(bbox.style, "form");
+  assert.equal(bbox.explode, false);
+  assert.equal(bbox.schema.minItems, 4);
+  assert.equal(bbox.schema.maxItems, 4);
+});
+
+test("validated endpoints document their error responses", () => {
+  const { responses } = document.paths["/itineraries"].get;
+  assert.deepEqual(Object.keys(responses), ["200", "400", "404", "500"]);
+  assert.deepEqual(Object.keys(document.paths["/health"].get.responses), [
+    "200",
+    "500",
+  ]);
+  assert.deepEqual(
+    Object.keys(document.paths["/routes"].get.responses[200].content),
+    [
+      "application/json",
+      "application/geo+json",
+      "text/csv",
+      "application/x-ndjson",
+    ]
+  );
+});
+
+test("every schema reference resolves", () => {
+  for (const ref of collectRefs(document)) {
+    const name = ref.replace("#/components/schemas/", "");
+    assert.ok(document.components.schemas[name], ref);
+  }
+});
+
+test("the HTML docs list every endpoint", () => {
+  const html = renderDocsHtml(document);
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  // Nothing is loaded from elsewhere, so the page works offline
+  assert.doesNotMatch(html, /<script src|<link|https?:/);
+  for (const route of Object.keys(document.paths)) {
+    assert.ok(html.includes(`<code>${route}</code>`), route);
+  }
+});
+
+test("the HTML docs can send every operation to the server", () => {
+  const html = renderDocsHtml(buildOpenApiDocument({ basePath: "/api" }));
+
+  assert.match(html, /<body data-server="\/api">/);
+  const forms = [
+    ...html.matchAll(
+      /<form class="try" data-method="(\w+)" data-path="([^"]+)"/g
+    ),
+  ].map((match) => `${match[1]} ${match[2]}`);
+  assert.equal(forms.length, Object.keys(document.paths).length);
+  assert.ok(forms.includes("GET /airports/{iata}/routes"));
+  assert.ok(forms.includes("POST /batch"));
+  assert.match(html, /<input name="iata" data-in="path" required>/);
+  assert.match(html, /<textarea name="body" rows="4">\[\{&quot;path&quot;/);
+
+  // The inline script is valid JavaScript
+  const [, script] = html.match(/<script>([\s\S]*)<\/script>/);
+  assert.doesNotThrow(() => new Function(script));
+});
+
+test("the HTML docs escape text from the document", () => {
+  const html = renderDocsHtml({
+    info: { title: "<Routes>", version: "1", description: "A & B" },
+    paths: {
+      "/x": {
+        get: {
+          operationId: "x",
+          summary: '"quoted"',
+          parameters: [],
+          responses: { 200: { content: { "text/html": {} } } },
+        },
+      },
+    },
+  });
+
+  assert.ok(html.includes("&lt;Routes&gt;"));
+  assert.ok(html.includes("A &amp; B"));
+  assert.ok(html.includes("&quot;quoted&quot;"));
+});
@@ -0,0 +1,95 @@
+// Keyset pagination of the route listings over HTTP.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+const keys = (routes) =>
+  routes.map((route) => `${route.route_id}/${route.airline_iata}`);
+
+test("following next_cursor visits every route once, in order", async () => {
+  const { body: everything } = await get("/routes?all=true");
+  assert.equal(everything.pagination.total, 12);
+
+  const visited = [];
+  let path = "/routes?limit=4";
+  for (;;) {
+    const { status, body } = await get(path);
+    assert.equal(status, 200);
+    visited.push(...keys(body.routes));
+    if (!body.pagination.has_more) {
+      assert.equal(body.pagination.next_cursor, null);
+      break;
+    }
+    path = `/routes?limit=4&cursor=${body.pagination.next_cursor}`;
+  }
+
+  assert.deepEqual(visited, keys(everything.routes));
+});
+
+test("the total is only counted on request", async () => {
+  const { body: plain } = await get("/routes?limit=2");
+  assert.equal(plain.pagination.total, undefined);
+  assert.equal(plain.pagination.returnedCount, 2);
+  assert.equal(plain.pagination.has_more, true);
+
+  const { body } = await get("/routes?limit=2&include_total=true");
+  assert.equal(body.pagination.total, 12);
+});
+
+test("a cursor replaces the offset", async () => {
+  const { body: first } = await get("/routes?limit=3");
+  const { body } = await get(
+    `/routes?limit=3&offset=5&cursor=${first.pagination.next_cursor}`
+  );
+  const { body: byOffset } = await get("/routes?limit=3&offset=3");
+
+  assert.equal(body.pagination.offset, 0);
+  assert.deepEqual(keys(body.routes), keys(byOffset.routes));
+});
+
+test("airport listings page with top-level cursors", async () => {
+  const { body: first } = await get("/airports/LHR/routes?all=false&limit=4");
+  const { body: rest } = await get(
+    `/airports/LHR/routes?all=false&limit=4&cursor=${first.next_cursor}`
+  );
+  const { body: everything } = await get("/airports/LHR/routes");
+
+  assert.equal(first.has_more, true);
+  assert.equal(rest.has_more, false);
+
+  assert.deepEqual(
+    keys(first.routes).concat(keys(rest.routes)),
+    keys(everything.routes)
+  );
+});
+
+test("malformed cursors are rejected", async () => {
+  for (const cursor of ["nope", "eyJ4IjoxfQ", "W10"]) {
+    const { status, body } = await get(`/routes?cursor=${cursor}`);
+    assert.equal(status, 400, cursor);
+    assert.equal(body.error.code, "INVALID_PARAMETER");
+    assert.equal(body.error.param, "cursor");
+  }
+});
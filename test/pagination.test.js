@@ -0,0 +1,300 @@
+// Keyset pagination: cursors and the page queries built from them.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ROUTE_SORT_KEYS,
+  ROUTE_SORT_COLUMNS,
+  customSortKeys,
+  encodeCursor,
+  decodeCursor,
+  cursorForRow,
+  keysetCondition,
+  orderByClause,
+  buildPageQuery,
+} = require("../lib/pagination");
+const { ROUTES, createDatabase } = require("./fixtures");
+
+let db;
+
+// The fixture's routes plus two with no duration, which sort first
+before(() => {
+  db = createDatabase({
+    routes: [
+      ...ROUTES,
+      {
+        departure_iata: "MAN",
+        arrival_iata: "CDG",
+        distance_km: 750,
+        duration_min: null,
+        airlines: ["AF", "BA"],
+      },
+      {
+        departure_iata: "BOS",
+        arrival_iata: "LHR",
+        distance_km: 5260,
+        duration_min: null,
+        airlines: ["BA"],
+      },
+    ],
+  });
+});
+
+after(() => db.close());
+
+const BASE_QUERY = "SELECT * FROM route_details";
+const rowKey = (row) => `${row.route_id}/${row.airline_iata}`;
+
+function fetchPage(options) {
+  const { query, params } = buildPageQuery(BASE_QUERY, [], {
+    sortKeys: ROUTE_SORT_KEYS,
+    returnAll: false,
+    offset: 0,
+    ...options,
+  });
+  return db.prepare(query).all(params);
+}
+
+test("cursors round-trip the sort key values", () => {
+  const cursor = encodeCursor(ROUTE_SORT_KEYS, [
+    75,
+    2,
+    "BA",
+    "British Airways",
+  ]);
+
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(cursor, ROUTE_SORT_KEYS), [
+    75,
+    2,
+    "BA",
+    "British Airways",
+  ]);
+});
+
+test("malformed cursors decode to null", () => {
+  for (const cursor of [
+    "not base64 json",
+    Buffer.from('{"duration_min":75}').toString("base64url"),
+    encodeCursor(ROUTE_SORT_KEYS, [75, 2, "BA"]),
+    encodeCursor(ROUTE_SORT_KEYS, [75, 2, "BA", {}]),
+  ]) {
+    assert.equal(decodeCursor(cursor, ROUTE_SORT_KEYS), null);
+  }
+});
+
+test("cursors keep NULL sort values", () => {
+  const cursor = cursorForRow(ROUTE_SORT_KEYS, {
+    duration_min: null,
+    route_id: 10,
+    airline_iata: "AF",
+    airline_name: null,
+  });
+
+  assert.deepEqual(decodeCursor(cursor, ROUTE_SORT_KEYS), [
+    null,
+    10,
+    "AF",
+    null,
+  ]);
+});
+
+test("keyset conditions compare the leading keys as one row value", () => {
+  assert.deepEqual(
+    keysetCondition(ROUTE_SORT_KEYS, [75, 2, "BA", "British Airways"]),
+    {
+      sql: "(duration_min, route_id, airline_iata, airline_name) > (?, ?, ?, ?)",
+      params: [75, 2, "BA", "British Airways"],
+    }
+  );
+  // The keys after a NULL only filter rows that tie with the cursor
+  assert.deepEqual(keysetCondition(ROUTE_SORT_KEYS, [75, 2, null, "Air"]), {
+    sql: "((duration_min, route_id) >= (?, ?) AND ((duration_min, route_id) > (?, ?) OR (airline_iata IS NOT NULL OR (airline_iata IS NULL AND airline_name > ?))))",
+    params: [75, 2, 75, 2, "Air"],
+  });
+  // Nothing sorts after a NULL in the last descending key
+  assert.equal(
+    keysetCondition([{ column: "distance_km", descending: true }], [null]),
+    null
+  );
+});
+
+test("paging with cursors visits every row once, in order", () => {
+  const everything = fetchPage({ returnAll: true });
+  const seen = [];
+  let cursorValues = null;
+
+  for (;;) {
+    const page = fetchPage({ limit: 3, cursorValues });
+    seen.push(...page);
+    if (page.length < 3) {
+      break;
+    }
+    cursorValues = decodeCursor(
+      cursorForRow(ROUTE_SORT_KEYS, page[page.length - 1]),
+      ROUTE_SORT_KEYS
+    );
+  }
+
+  assert.equal(everything.length, 15);
+  assert.deepEqual(seen.map(rowKey), everything.map(rowKey));
+  // Routes without a duration come first, then ties on duration_min are
+  // broken by route and airline
+  assert.deepEqual(everything.slice(0, 10).map(rowKey), [
+    "10/AF",
+    "10/BA",
+    "11/BA",
+    "4/BA",
+    "9/BA",
+    "1/AF",
+    "1/BA",
+    "2/AF",
+    "2/BA",
+    "8/AA",
+  ]);
+});
+
+test("a cursor ignores offset", () => {
+  const [first, second] = fetchPage({ limit: 2 });
+  const page = fetchPage({
+    limit: 1,
+    offset: 5,
+    cursorValues: decodeCursor(
+      cursorForRow(ROUTE_SORT_KEYS, first),
+      ROUTE_SORT_KEYS
+    ),
+  });
+
+  assert.deepEqual(page.map(rowKey), [rowKey(second)]);
+});
+
+test("descending keys page backwards", () => {
+  const sortKeys = [
+    { column: "distance_km", expression: "distance_km", descending: true },
+    { column: "route_id", expression: "route_id" },
+    { column: "airline_iata", expression: "airline_iata" },
+  ];
+  const { query, params } = buildPageQuery(BASE_QUERY, [], {
+    sortKeys,
+    returnAll: false,
+    limit: 2,
+    offset: 0,
+    cursorValues: [5540, 3, "AA"],
+  });
+
+  assert.deepEqual(db.prepare(query).all(params).map(rowKey), ["3/BA", "5/AA"]);
+});
+
+const ROUTE_COLUMNS = ROUTE_SORT_COLUMNS;
+
+test("sort lists are followed by the unused default keys", () => {
+  const sortKeys = customSortKeys(
+    ["-distance_km", "airline_name"],
+    ROUTE_SORT_KEYS,
+    ROUTE_COLUMNS
+  );
+
+  assert.deepEqual(
+    sortKeys.map((key) => [key.column, Boolean(key.descending)]),
+    [
+      ["distance_km", true],
+      ["airline_name", false],
+      ["duration_min", false],
+      ["route_id", false],
+      ["airline_iata", false],
+    ]
+  );
+  assert.equal(
+    orderByClause(sortKeys),
+    "ORDER BY distance_km DESC, airline_name, duration_min, route_id, airline_iata"
+  );
+});
+
+test("unknown or repeated sort columns are refused", () => {
+  for (const sort of [["nope"], ["distance_km", "-distance_km"], ["-"]]) {
+    assert.equal(
+      customSortKeys(sort, ROUTE_SORT_KEYS, ROUTE_COLUMNS),
+      null,
+      sort.join(",")
+    );
+  }
+});
+
+test("a cursor is only accepted by the sort order it was issued for", () => {
+  const byDistance = customSortKeys(
+    ["distance_km"],
+    ROUTE_SORT_KEYS,
+    ROUTE_COLUMNS
+  );
+  const cursor = encodeCursor(byDistance, [348, 75, 1, "AF", "Air France"]);
+
+  assert.deepEqual(decodeCursor(cursor, byDistance), [
+    348,
+    75,
+    1,
+    "AF",
+    "Air France",
+  ]);
+  assert.equal(
+    decodeCursor(
+      cursor,
+      customSortKeys(["-distance_km"], ROUTE_SORT_KEYS, ROUTE_COLUMNS)
+    ),
+    null
+  );
+  assert.equal(decodeCursor(cursor, ROUTE_SORT_KEYS), null);
+});
+
+test("paging with a custom sort visits every row once, in order", () => {
+  const sortKeys = customSortKeys(
+    ["-distance_km", "airline_name"],
+    ROUTE_SORT_KEYS,
+    ROUTE_COLUMNS
+  );
+  const everything = fetchPage({ sortKeys, returnAll: true });
+  const seen = [];
+  let cursorValues = null;
+
+  for (;;) {
+    const page = fetchPage({ sortKeys, limit: 4, cursorValues });
+    seen.push(...page);
+    if (page.length < 4) {
+      break;
+    }
+    cursorValues = decodeCursor(
+      cursorForRow(sortKeys, page[page.length - 1]),
+      sortKeys
+    );
+  }
+
+  assert.deepEqual(seen.map(rowKey), everything.map(rowKey));
+  assert.deepEqual(everything.slice(0, 4).map(rowKey), [
+    "6/AF",
+    "3/AA",
+    "3/BA",
+    "5/AA",
+  ]);
+});
+
+test("paging visits rows with NULL sort values once, wherever they sort", () => {
+  for (const sort of [["-duration_min"], ["duration_min", "-route_id"]]) {
+    const sortKeys = customSortKeys(sort, ROUTE_SORT_KEYS, ROUTE_COLUMNS);
+    const everything = fetchPage({ sortKeys, returnAll: true });
+    const seen = [];
+    let cursorValues = null;
+
+    for (;;) {
+      const page = fetchPage({ sortKeys, limit: 2, cursorValues });
+      seen.push(...page);
+      if (page.length < 2) {
+        break;
+      }
+      cursorValues = decodeCursor(
+        cursorForRow(sortKeys, page[page.length - 1]),
+        sortKeys
+      );
+    }
+
+    assert.deepEqual(seen.map(rowKey), everything.map(rowKey), sort.join());
+  }
+});
@@ -0,0 +1,127 @@
+// GET /airports/:iata/reachable against a fixture database.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test("reachable airports are listed fastest first", async () => {
+  const { status, body } = await get(
+    "/airports/lgw/reachable?max_duration=700&max_stops=2"
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.origin.iata, "LGW");
+  assert.equal(body.max_duration, 700);
+  assert.equal(body.max_stops, 2);
+  assert.equal(body.min_connection_min, 60);
+  assert.equal(body.total, 4);
+  assert.deepEqual(
+    body.airports.map((airport) => [airport.iata, airport.total_duration_min]),
+    [
+      ["CDG", 70],
+      ["LHR", 205],
+      ["MAN", 325],
+      ["JFK", 630],
+    ]
+  );
+  assert.equal(body.airports[1].name, "Heathrow");
+  assert.equal(body.airports[1].country, "United Kingdom");
+  assert.deepEqual(body.airports[1].route_ids, [9, 2]);
+});
+
+test("group_by=country orders countries by their fastest airport", async () => {
+  const { body } = await get(
+    "/airports/LGW/reachable?max_duration=700&max_stops=2&group_by=country"
+  );
+
+  assert.equal(body.airports, undefined);
+  assert.equal(body.country_count, 3);
+  assert.deepEqual(
+    body.countries.map((group) => [
+      group.country,
+      group.airport_count,
+      group.best_duration_min,
+      group.airports.map((airport) => airport.iata),
+    ]),
+    [
+      ["France", 1, 70, ["CDG"]],
+      ["United Kingdom", 2, 205, ["LHR", "MAN"]],
+      ["United States", 1, 630, ["JFK"]],
+    ]
+  );
+});
+
+test("airline filters restrict the legs used", async () => {
+  const { body } = await get(
+    "/airports/LGW/reachable?max_duration=700&max_stops=2&airline_name=british"
+  );
+
+  assert.deepEqual(
+    body.airports.map((airport) => airport.iata),
+    ["CDG", "LHR", "MAN"]
+  );
+});
+
+test("invalid searches are rejected", async () => {
+  const cases = [
+    ["/airports/LGW/reachable", 400, "MISSING_PARAMETER", "max_duration"],
+    [
+      "/airports/LGW/reachable?max_duration=2881",
+      400,
+      "INVALID_PARAMETER",
+      "max_duration",
+    ],
+    [
+      "/airports/LGW/reachable?max_duration=60&max_stops=3",
+      400,
+      "INVALID_PARAMETER",
+      "max_stops",
+    ],
+    [
+      "/airports/LGW/reachable?max_duration=60&group_by=city",
+      400,
+      "INVALID_PARAMETER",
+      "group_by",
+    ],
+    [
+      "/airports/XXX/reachable?max_duration=60",
+      404,
+      "AIRPORT_NOT_FOUND",
+      "iata",
+    ],
+    [
+      "/airports/LGW/reachable?max_duration=60&airline_id=99",
+      404,
+      "AIRLINE_NOT_FOUND",
+      "airline_id",
+    ],
+  ];
+
+  for (const [path, status, code, param] of cases) {
+    const { status: actual, body } = await get(path);
+    assert.equal(actual, status, path);
+    assert.equal(body.error.code, code, path);
+    assert.equal(body.error.param, param, path);
+  }
+});
@@ -0,0 +1,155 @@
+// POST /admin/reload: a new database is swapped in, and a file that fails
+// verification is rejected while the loaded one keeps serving.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("better-sqlite3");
+const { ROUTES, createFixture, startServer } = require("./fixtures");
+
+const ADMIN_TOKEN = "test-token";
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  mock.method(console, "error");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath, { adminToken: ADMIN_TOKEN });
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+// Build a database next to routes.db and rename it over it, as the README
+// asks of anyone publishing a new file
+function publish(build) {
+  const file = path.join(fixture.dir, "next.db");
+  build(file);
+  fs.renameSync(file, fixture.dbPath);
+}
+
+const reload = async (token = ADMIN_TOKEN) => {
+  const res = await fetch(`${server.baseUrl}/admin/reload`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+const loadedVersion = async () => (await get("/health")).body.database;
+
+test("reload needs the admin token", async () => {
+  const { status, body } = await reload("wrong");
+  assert.equal(status, 401);
+  assert.equal(body.error.code, "UNAUTHORIZED");
+});
+
+test("admin endpoints are disabled without an admin token", async () => {
+  const open = await startServer(fixture.dbPath);
+  try {
+    const res = await fetch(`${open.baseUrl}/admin/reload`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).error.code, "FORBIDDEN");
+  } finally {
+    await open.close();
+  }
+});
+
+test("/changes needs a previous version", async () => {
+  const { status, body } = await get("/changes");
+  assert.equal(status, 404);
+  assert.equal(body.error.code, "PREVIOUS_DATASET_NOT_FOUND");
+});
+
+test("an unchanged file is not reloaded", async () => {
+  const { status, body } = await reload();
+  assert.equal(status, 200);
+  assert.equal(body.reloaded, false);
+  assert.deepEqual(body.database, await loadedVersion());
+});
+
+test("a new file is swapped in, with a new ETag and an empty cache", async () => {
+  const loaded = await loadedVersion();
+  await get("/routes?include_total=true");
+  const cached = await get("/routes?include_total=true");
+  assert.equal(cached.headers.get("x-cache"), "HIT");
+  assert.equal(cached.body.pagination.total, 12);
+
+  publish((output) =>
+    fixture.build({
+      routes: [
+        ...ROUTES,
+        {
+          departure_iata: "MAN",
+          arrival_iata: "CDG",
+          distance_km: 730,
+          duration_min: 90,
+          airlines: ["AF"],
+        },
+      ],
+      output,
+    })
+  );
+  const { status, body } = await reload();
+  assert.equal(status, 200);
+  assert.equal(body.reloaded, true);
+  assert.equal(body.previous_version, loaded.version);
+  assert.notEqual(body.database.checksum, loaded.checksum);
+  assert.deepEqual(await loadedVersion(), body.database);
+
+  const fresh = await get("/routes?include_total=true");
+  assert.equal(fresh.headers.get("x-cache"), "MISS");
+  assert.notEqual(fresh.headers.get("etag"), cached.headers.get("etag"));
+  assert.equal(fresh.body.pagination.total, 13);
+
+  // The replaced version becomes the one /changes compares against
+  const changes = await get("/changes");
+  assert.equal(changes.body.previous.version, loaded.version);
+  assert.deepEqual(
+    changes.body.changes.map((change) => [
+      change.change,
+      change.departure_iata,
+      change.arrival_iata,
+    ]),
+    [["added", "MAN", "CDG"]]
+  );
+});
+
+test("a file that fails verification is rejected", async () => {
+  const loaded = await loadedVersion();
+  publish((output) => {
+    fixture.build({ output });
+    const db = sqlite3(output);
+    db.exec("DROP VIEW route_details");
+    db.close();
+  });
+
+  const { status, body } = await reload();
+  assert.equal(status, 422);
+  assert.equal(body.error.code, "INVALID_DATABASE");
+  assert.deepEqual(await loadedVersion(), loaded);
+
+  // JSON and exports both keep reading the loaded database
+  assert.equal(
+    (await get("/routes?include_total=true")).body.pagination.total,
+    13
+  );
+  const csv = await fetch(`${server.baseUrl}/routes?format=csv&all=true`);
+  assert.equal(csv.status, 200);
+  assert.equal((await csv.text()).trimEnd().split("\r\n").length, 1 + 13);
+});
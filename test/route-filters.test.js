@@ -0,0 +1,140 @@
+// sort, fields and the distance and continent filters of the route
+// listings.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (path) => {
+  const res = await fetch(`${server.baseUrl}${path}`);
+  const text = await res.text();
+  return {
+    status: res.status,
+    text,
+    body: res.headers.get("content-type").includes("json")
+      ? JSON.parse(text)
+      : null,
+  };
+};
+
+const keys = (routes) =>
+  routes.map((route) => `${route.route_id}/${route.airline_iata}`);
+
+test("sort orders by the columns given, then the default order", async () => {
+  const { body } = await get(
+    "/routes?sort=-distance_km,airline_name&all=true&fields=route_id,airline_iata"
+  );
+
+  assert.deepEqual(keys(body.routes).slice(0, 5), [
+    "6/AF",
+    "3/AA",
+    "3/BA",
+    "5/AA",
+    "7/BA",
+  ]);
+});
+
+test("fields trims every row, and cursors still follow the sort", async () => {
+  const path = "/routes?sort=-distance_km&fields=route_id,distance_km&limit=3";
+  const { body: first } = await get(path);
+  const { body: rest } = await get(
+    `${path}&cursor=${first.pagination.next_cursor}`
+  );
+
+  assert.deepEqual(first.routes, [
+    { route_id: 6, distance_km: 5837 },
+    { route_id: 3, distance_km: 5540 },
+    { route_id: 3, distance_km: 5540 },
+  ]);
+  assert.deepEqual(rest.routes, [
+    { route_id: 5, distance_km: 5350 },
+    { route_id: 7, distance_km: 5260 },
+    { route_id: 1, distance_km: 348 },
+  ]);
+});
+
+test("a cursor is refused by a differently sorted request", async () => {
+  const { body: first } = await get("/routes?sort=-distance_km&limit=3");
+  const { status, body } = await get(
+    `/routes?sort=distance_km&cursor=${first.pagination.next_cursor}`
+  );
+
+  assert.equal(status, 400);
+  assert.equal(body.error.param, "cursor");
+});
+
+test("distance and continent filters combine", async () => {
+  const { body } = await get(
+    "/routes?departure_continent=EU&arrival_continent=NA&min_distance=5300&sort=route_id&fields=route_id,airline_iata"
+  );
+  assert.deepEqual(keys(body.routes), ["3/AA", "3/BA", "5/AA", "6/AF"]);
+
+  const { text } = await get(
+    "/routes?format=csv&fields=departure_iata,arrival_iata&max_distance=330"
+  );
+  assert.equal(
+    text,
+    "departure_iata,arrival_iata\r\nLHR,MAN\r\nLGW,CDG\r\nJFK,BOS\r\n"
+  );
+});
+
+test("grouped listings sort by airline_count and return airlines", async () => {
+  const { body } = await get(
+    "/routes?group=route&sort=-airline_count&fields=route_id,airlines&limit=3"
+  );
+
+  assert.deepEqual(
+    body.routes.map((route) => [route.route_id, route.airlines.length]),
+    [
+      [1, 2],
+      [2, 2],
+      [3, 2],
+    ]
+  );
+  assert.deepEqual(Object.keys(body.routes[0]), ["route_id", "airlines"]);
+});
+
+test("GeoJSON features keep their geometry when fields trims them", async () => {
+  const { body } = await get(
+    "/airports/LHR/routes?format=geojson&fields=route_id"
+  );
+
+  assert.equal(body.features.length, 6);
+  assert.equal(body.features[0].geometry.type, "LineString");
+  assert.deepEqual(body.features[0].properties, { route_id: 4 });
+});
+
+test("unknown columns and bad ranges are rejected", async () => {
+  const cases = [
+    ["/routes?sort=nope", "sort"],
+    ["/routes?sort=distance_km,-distance_km", "sort"],
+    ["/routes?sort=airline_count", "sort"],
+    ["/routes?fields=nope", "fields"],
+    ["/routes?group=route&fields=airline_iata", "fields"],
+    ["/routes?min_distance=-1", "min_distance"],
+    ["/routes?departure_continent=EUR", "departure_continent"],
+  ];
+
+  for (const [path, param] of cases) {
+    const { status, body } = await get(path);
+    assert.equal(status, 400, path);
+    assert.equal(body.error.code, "INVALID_PARAMETER", path);
+    assert.equal(body.error.param, param, path);
+  }
+});
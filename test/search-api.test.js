@@ -0,0 +1,92 @@
+// GET /search against a fixture database.
+
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+
+before(async () => {
+  mock.method(console, "log");
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath);
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+  mock.restoreAll();
+});
+
+const get = async (query) => {
+  const res = await fetch(`${server.baseUrl}/search?${query}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test("search ranks cities and airports by their route counts", async () => {
+  const { status, body } = await get("q=lond");
+
+  assert.equal(status, 200);
+  assert.equal(body.query, "lond");
+  assert.equal(body.type, null);
+  assert.equal(body.returnedCount, 3);
+  assert.deepEqual(
+    body.results.map((result) => [
+      result.type,
+      result.iata || result.city,
+      result.route_count,
+    ]),
+    [
+      ["city", "London", 6],
+      ["airport", "LHR", 5],
+      ["airport", "LGW", 1],
+    ]
+  );
+  assert.deepEqual(body.results[0].airports, ["LHR", "LGW"]);
+});
+
+test("type=city returns only cities", async () => {
+  const { body } = await get("q=pari&type=city");
+
+  assert.equal(body.type, "city");
+  assert.deepEqual(
+    body.results.map((result) => [result.type, result.city, result.airports]),
+    [["city", "Paris", ["CDG"]]]
+  );
+});
+
+test("fuzzy matches name the field that matched", async () => {
+  const { body } = await get("q=heathrw");
+
+  assert.deepEqual(
+    body.results.map((result) => [
+      result.iata,
+      result.match,
+      result.matched_field,
+    ]),
+    [["LHR", "fuzzy", "name"]]
+  );
+});
+
+test("type and limit narrow the results", async () => {
+  const { body } = await get("q=air&type=airline&limit=2");
+
+  assert.equal(body.type, "airline");
+  assert.deepEqual(
+    body.results.map((result) => [result.type, result.iata]),
+    [
+      ["airline", "BA"],
+      ["airline", "AF"],
+    ]
+  );
+});
+
+test("invalid searches are rejected", async () => {
+  for (const query of ["", "q=%20", "q=lhr&type=country"]) {
+    const res = await get(query);
+    assert.equal(res.status, 400, query);
+    assert.equal(typeof res.body.error.code, "string", query);
+  }
+});
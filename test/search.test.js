@@ -0,0 +1,110 @@
+// The typeahead index behind /search: match tiers, ranking and filters.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildSearchIndex, normalize } = require("../lib/search");
+const { AIRPORTS, AIRLINES } = require("./fixtures");
+
+const routeCounts = new Map([
+  ["airport:LHR", 7],
+  ["airport:LGW", 1],
+  ["airline:1", 6],
+  ["airline:2", 3],
+  ["airline:3", 3],
+]);
+const index = buildSearchIndex({
+  airports: AIRPORTS,
+  airlines: AIRLINES,
+  routeCounts,
+});
+
+const summary = (results) =>
+  results.map(({ type, iata, city, match, matched_field }) => [
+    type,
+    type === "city" ? city : iata,
+    match,
+    matched_field,
+  ]);
+
+test("normalize lowercases and strips accents", () => {
+  assert.equal(normalize("  Zürich "), "zurich");
+  assert.equal(normalize("SÃO PAULO"), "sao paulo");
+  assert.equal(normalize(null), "");
+});
+
+test("an exact IATA code ranks first", () => {
+  const [first] = index.search("lhr");
+
+  assert.deepEqual(summary([first]), [["airport", "LHR", "iata", "iata"]]);
+  assert.equal(first.name, "Heathrow");
+  assert.equal(first.route_count, 7);
+});
+
+test("prefix matches rank busier entries first", () => {
+  assert.deepEqual(summary(index.search("lond")), [
+    ["city", "London", "prefix", "city"],
+    ["airport", "LHR", "prefix", "city_name"],
+    ["airport", "LGW", "prefix", "city_name"],
+  ]);
+  // Any word of a field can match
+  assert.deepEqual(summary(index.search("gaul")), [
+    ["airport", "CDG", "prefix", "name"],
+  ]);
+});
+
+test("substring matches come after prefix matches", () => {
+  assert.deepEqual(summary(index.search("ennedy")), [
+    ["airport", "JFK", "substring", "name"],
+  ]);
+});
+
+test("misspelt words match with a bounded number of typos", () => {
+  assert.deepEqual(summary(index.search("manchster")), [
+    ["city", "Manchester", "fuzzy", "city"],
+    ["airport", "MAN", "fuzzy", "city_name"],
+  ]);
+  // The matched field is the one closest to the most words, then the
+  // earliest of those
+  assert.deepEqual(summary(index.search("charls gaule", { type: "airport" })), [
+    ["airport", "CDG", "fuzzy", "name"],
+  ]);
+  assert.deepEqual(summary(index.search("gatwik londn")), [
+    ["airport", "LGW", "fuzzy", "city_name"],
+  ]);
+  // Words under four letters must match exactly
+  assert.deepEqual(index.search("lgx"), []);
+});
+
+test("type and limit narrow the results", () => {
+  // Every airline has a word starting "air"; ties go to the busier one,
+  // then to the name
+  assert.deepEqual(summary(index.search("air", { type: "airline" })), [
+    ["airline", "BA", "prefix", "name"],
+    ["airline", "AF", "prefix", "name"],
+    ["airline", "AA", "prefix", "name"],
+  ]);
+  assert.equal(index.search("a", { limit: 2 }).length, 2);
+  assert.deepEqual(index.search("   "), []);
+});
+
+test("cities group the airports of a city and country", () => {
+  const [london] = index.search("london", { type: "city" });
+
+  assert.deepEqual(london, {
+    type: "city",
+    match: "prefix",
+    matched_field: "city",
+    route_count: 8,
+    city: "London",
+    country: "United Kingdom",
+    country_code: "GB",
+    continent: "EU",
+    airports: ["LHR", "LGW"],
+  });
+  assert.deepEqual(summary(index.search("united", { type: "city" })), [
+    ["city", "London", "prefix", "country"],
+    ["city", "Boston", "prefix", "country"],
+    ["city", "Manchester", "prefix", "country"],
+    ["city", "New York", "prefix", "country"],
+  ]);
+});
@@ -0,0 +1,229 @@
+// Parameter validation and the error model, through a small Express app.
+
+const {
+  test,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const {
+  validate,
+  validateValues,
+  createRequestContext,
+} = require("../lib/validation");
+const {
+  ApiError,
+  notFoundHandler,
+  createErrorHandler,
+} = require("../lib/errors");
+
+const schema = {
+  params: { iata: { type: "iata", required: true } },
+  query: {
+    limit: { type: "integer", min: 1, max: 100, default: 10 },
+    ratio: { type: "number", min: 0 },
+    all: { type: "boolean", default: false },
+    direction: { type: "enum", values: ["departure", "arrival"] },
+    bbox: { type: "list", length: 4, items: { type: "number" } },
+    ids: { type: "list", maxItems: 3, items: { type: "integer", min: 1 } },
+    name: { type: "string", maxLength: 5 },
+    q: { type: "string", required: true },
+  },
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(createRequestContext());
+  app.use(express.json());
+  app.get("/airports/:iata", validate(schema), (req, res) =>
+    res.json(req.validated)
+  );
+  app.get("/teapot", () => {
+    throw new ApiError(418, "TEAPOT", "I'm a teapot", "brew");
+  });
+  app.get("/broken", () => {
+    throw new Error("boom");
+  });
+  app.post("/body", (req, res) => res.json(req.body));
+  app.use(notFoundHandler);
+  app.use(createErrorHandler());
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+// Keep the request log and error log out of the test output
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+async function get(path, headers) {
+  const response = await fetch(baseUrl + path, { headers });
+  return { response, body: await response.json() };
+}
+
+async function expectError(path, status, code, param) {
+  const { body, response } = await get(path);
+  assert.equal(response.status, status, path);
+  assert.equal(body.error.code, code, path);
+  assert.equal(body.error.param, param, path);
+  return body.error;
+}
+
+test("valid parameters are parsed, with defaults for the rest", async () => {
+  const { body } = await get(
+    "/airports/lhr?q=+london+&ratio=0.5&all=1&bbox=-1,50,1.5,52&ids=3,4&direction=arrival&unknown=x"
+  );
+
+  assert.deepEqual(body, {
+    iata: "LHR",
+    limit: 10,
+    ratio: 0.5,
+    all: true,
+    direction: "arrival",
+    bbox: [-1, 50, 1.5, 52],
+    ids: [3, 4],
+    name: null,
+    q: "london",
+  });
+});
+
+test("invalid values are rejected with the parameter named", async () => {
+  const cases = [
+    ["/airports/LHRX?q=a", "iata", "3-character IATA airport code"],
+    ["/airports/LHR?q=a&limit=0", "limit", "between 1 and 100"],
+    ["/airports/LHR?q=a&limit=2.5", "limit", "an integer"],
+    ["/airports/LHR?q=a&ratio=-1", "ratio", "at least 0"],
+    ["/airports/LHR?q=a&ratio=abc", "ratio", "a number"],
+    ["/airports/LHR?q=a&all=yes", "all", "'true' or 'false'"],
+    ["/airports/LHR?q=a&direction=up", "direction", "departure, arrival"],
+    ["/airports/LHR?q=a&bbox=1,2,3", "bbox", "list of 4 values"],
+    ["/airports/LHR?q=a&ids=1,2,3,4", "ids", "at most 3 values"],
+    ["/airports/LHR?q=a&ids=1,x", "ids", "an integer"],
+    ["/airports/LHR?q=a&name=toolong", "name", "at most 5 characters"],
+    ["/airports/LHR?q=a&limit=1&limit=2", "limit", "only be given once"],
+  ];
+
+  for (const [path, param, message] of cases) {
+    const error = await expectError(path, 400, "INVALID_PARAMETER", param);
+    assert.ok(error.message.includes(message), error.message);
+  }
+});
+
+test("required parameters must be present and not blank", async () => {
+  await expectError("/airports/LHR", 400, "MISSING_PARAMETER", "q");
+  await expectError("/airports/LHR?q=", 400, "MISSING_PARAMETER", "q");
+  await expectError("/airports/LHR?q=+", 400, "MISSING_PARAMETER", "q");
+});
+
+test("errors carry the request id", async () => {
+  const { response, body } = await get("/teapot", {
+    "X-Request-Id": "client-42",
+  });
+
+  assert.equal(response.status, 418);
+  assert.equal(response.headers.get("x-request-id"), "client-42");
+  assert.deepEqual(body, {
+    error: {
+      code: "TEAPOT",
+      message: "I'm a teapot",
+      param: "brew",
+      request_id: "client-42",
+    },
+  });
+});
+
+test("unsafe request ids are replaced", async () => {
+  const { response, body } = await get("/teapot", {
+    "X-Request-Id": "no spaces allowed",
+  });
+
+  const id = response.headers.get("x-request-id");
+  assert.match(id, /^[0-9a-f-]{36}$/);
+  assert.equal(body.error.request_id, id);
+});
+
+test("unknown endpoints and unexpected errors use the same shape", async () => {
+  await expectError("/nowhere", 404, "NOT_FOUND", null);
+
+  const error = await expectError("/broken", 500, "INTERNAL_ERROR", null);
+  assert.equal(error.message, "Internal server error");
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test("malformed JSON bodies are a client error", async () => {
+  const response = await fetch(`${baseUrl}/body`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: "{not json",
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.code, "INVALID_JSON");
+});
+
+test("client errors raised by Express keep their status", async () => {
+  const post = (body, headers) =>
+    fetch(`${baseUrl}/body`, { method: "POST", headers, body });
+
+  const large = await post(JSON.stringify({ text: "x".repeat(200 * 1024) }), {
+    "Content-Type": "application/json",
+  });
+  assert.equal(large.status, 413);
+  assert.equal((await large.json()).error.code, "PAYLOAD_TOO_LARGE");
+
+  const charset = await post("{}", {
+    "Content-Type": "application/json; charset=latin-9",
+  });
+  assert.equal(charset.status, 415);
+  assert.equal((await charset.json()).error.code, "UNSUPPORTED_MEDIA_TYPE");
+
+  await expectError("/airports/%E0%A4%A", 400, "INVALID_REQUEST", null);
+  assert.equal(console.error.mock.callCount(), 0);
+});
+
+test("validateValues takes plain values, with arrays for lists", () => {
+  assert.deepEqual(
+    validateValues(schema, {
+      iata: "lhr",
+      q: "x",
+      ids: [1, 2],
+      limit: 5,
+      ratio: null,
+    }),
+    {
+      limit: 5,
+      ratio: null,
+      all: false,
+      direction: null,
+      bbox: null,
+      ids: [1, 2],
+      name: null,
+      q: "x",
+      iata: "LHR",
+    }
+  );
+  assert.throws(
+    () => validateValues(schema, { iata: "LHR", q: "x", ids: [1, 2, 3, 4] }),
+    (error) => error instanceof ApiError && error.param === "ids"
+  );
+  assert.throws(
+    () => validateValues(schema, { iata: "LHR" }),
+    (error) => error.code === "MISSING_PARAMETER" && error.param === "q"
+  );
+});
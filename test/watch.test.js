@@ -0,0 +1,84 @@
+// Watching dbPath: a new file is loaded once it has stopped changing.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { setTimeout: sleep } = require("timers/promises");
+const { ROUTES, createFixture, startServer } = require("./fixtures");
+
+let fixture;
+let server;
+const errors = [];
+
+before(async () => {
+  fixture = createFixture();
+  fixture.build();
+  server = await startServer(fixture.dbPath, {
+    watchInterval: 0.1,
+    logger: { log: () => {}, error: (...args) => errors.push(args) },
+  });
+});
+
+after(async () => {
+  await server.close();
+  fixture.cleanup();
+});
+
+const get = async (path) => (await fetch(`${server.baseUrl}${path}`)).json();
+
+const loadedVersion = async () => (await get("/health")).database;
+
+const routeTotal = async () =>
+  (await get("/routes?include_total=true")).pagination.total;
+
+async function waitForReload(loaded) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const current = await loadedVersion();
+    if (current.checksum !== loaded.checksum) {
+      return current;
+    }
+    await sleep(50);
+  }
+  throw new Error("The database was not reloaded");
+}
+
+// Route listings have a row per route and airline
+const rowCount = (routes) => routes.flatMap((route) => route.airlines).length;
+
+const buildNext = (routes) => {
+  const file = path.join(fixture.dir, "next.db");
+  fixture.build({ routes, output: file });
+  return file;
+};
+
+test("a file renamed over dbPath is loaded", async () => {
+  const loaded = await loadedVersion();
+  const routes = ROUTES.slice(1);
+  fs.renameSync(buildNext(routes), fixture.dbPath);
+
+  await waitForReload(loaded);
+  assert.equal(await routeTotal(), rowCount(routes));
+  assert.deepEqual(errors, []);
+});
+
+test("a file written in place is only loaded once it stops growing", async () => {
+  const loaded = await loadedVersion();
+  const routes = ROUTES.slice(2);
+  const contents = fs.readFileSync(buildNext(routes));
+
+  // Write the file in pieces, more slowly than the file is checked, so the
+  // watcher sees it change several times before it is complete
+  fs.rmSync(fixture.dbPath);
+  const pieces = 8;
+  const size = Math.ceil(contents.length / pieces);
+  for (let offset = 0; offset < contents.length; offset += size) {
+    fs.appendFileSync(fixture.dbPath, contents.subarray(offset, offset + size));
+    await sleep(40);
+  }
+
+  await waitForReload(loaded);
+  assert.equal(await routeTotal(), rowCount(routes));
+  // No half-written file was tried and rejected on the way
+  assert.deepEqual(errors, []);
+});
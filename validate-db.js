@@ -0,0 +1,81 @@
+// Check routes.db for integrity problems:
+//
+//   npm run validate-db -- [--db routes.db] [--json] [--limit 20]
+//
+// Exits with status 1 if any error-level check fails. --json prints the
+// full report, as served by /admin/audit.
+
+const path = require("path");
+const { parseArgs } = require("util");
+const sqlite3 = require("better-sqlite3");
+const { auditDatabase } = require("./lib/audit");
+
+// Examples shown per failing check in the text output
+const PRINTED_EXAMPLES = 3;
+
+const usage = "Usage: npm run validate-db -- [--db FILE] [--json] [--limit N]";
+
+function main() {
+  let options;
+  try {
+    ({ values: options } = parseArgs({
+      options: {
+        db: { type: "string", default: path.join(__dirname, "routes.db") },
+        json: { type: "boolean", default: false },
+        limit: { type: "string", default: "20" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n${usage}`);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(usage);
+    return 0;
+  }
+  const limit = Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 0) {
+    console.error(`--limit must be a non-negative integer\n${usage}`);
+    return 1;
+  }
+
+  let report;
+  try {
+    const db = sqlite3(options.db, { readonly: true, fileMustExist: true });
+    try {
+      report = auditDatabase(db, { limit });
+    } finally {
+      db.close();
+    }
+  } catch (error) {
+    console.error(`Cannot audit ${options.db}: ${error.message}`);
+    return 1;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ database: options.db, ...report }, null, 2));
+  } else {
+    const { summary } = report;
+    console.log(
+      `${options.db}: ${summary.errors} errors, ${summary.warnings} warnings (${summary.passed} of ${summary.checks} checks passed)\n`
+    );
+    for (const check of report.checks) {
+      const label = check.count === 0 ? "ok" : check.severity.toUpperCase();
+      console.log(`${label.padEnd(8)} ${check.id} (${check.count})`);
+      if (check.count > 0) {
+        console.log(`         ${check.description}`);
+        check.examples
+          .slice(0, PRINTED_EXAMPLES)
+          .forEach((example) =>
+            console.log(`         - ${JSON.stringify(example)}`)
+          );
+      }
+    }
+  }
+
+  return report.status === "error" ? 1 : 0;
+}
+
+process.exitCode = main();